@@ -1,9 +1,12 @@
 // Filename: advanced_backtest.js
 // To run: node advanced_backtest.js
+//         node advanced_backtest.js walk-forward   (rolling parameter optimisation, see walk_forward.js)
+//         node advanced_backtest.js grid-search    (parallel parameter sweep, see grid_search.js)
+//         node advanced_backtest.js research       (forward returns after RSI(2) signals, see signal_research.js)
+//         node advanced_backtest.js --replay       (reuse recorded AI responses, see ai_cache.js)
+//         node advanced_backtest.js --stub         (fixed rules and analysis, no AI calls)
 // Prerequisites: npm install ora@5 yahoo-finance2 technicalindicators exceljs dotenv fs-extra groq-sdk node-telegram-bot-api puppeteer chart.js chartjs-node-canvas
 
-const yahooFinance = require("yahoo-finance2").default;
-const { SMA, RSI, ADX } = require("technicalindicators");
 const ExcelJS = require("exceljs");
 const dotenv = require("dotenv");
 const fs = require("fs-extra");
@@ -12,6 +15,76 @@ const puppeteer = require("puppeteer");
 const { ChartJSNodeCanvas } = require("chartjs-node-canvas");
 const TelegramBot = require("node-telegram-bot-api");
 const ora = require("ora");
+const {
+  createMarketDataProvider,
+  fetchBarsForTickers,
+} = require("./market_data");
+const { withBarCache } = require("./bar_cache");
+const { adjustPrices, describeAdjustment } = require("./price_adjustment");
+const {
+  validateMarketData,
+  printQualityReport,
+  saveQualityReport,
+} = require("./data_quality");
+const {
+  extendWithSyntheticHistory,
+  describeSyntheticReport,
+} = require("./synthetic_etf");
+const { resolveRules } = require("./trading_rules");
+const { DEFAULT_RULES } = require("./strategy_engine");
+const { withAiCache } = require("./ai_cache");
+const {
+  createExecutionModel,
+  describeExecution,
+} = require("./execution_model");
+const {
+  simulateUniverses,
+  commonDateSet,
+  calculateMetrics,
+} = require("./backtest_engine");
+const { createSizingModel, describeSizing } = require("./sizing");
+const {
+  DEFAULT_PARAMETER_SPACE,
+  parameterGrid,
+  applyParameters,
+  runWalkForward,
+  loadParameterSpace,
+} = require("./walk_forward");
+const {
+  GRID_SEARCH_DEFAULTS,
+  DEFAULT_SEARCH_SPACE,
+  searchCombinations,
+  rankResults,
+  heatmapGrid,
+  runGridSearch,
+  loadSearchSpace,
+} = require("./grid_search");
+const { runMonteCarlo } = require("./monte_carlo");
+const { runFilterStudy } = require("./filter_ablation");
+const { withRegimes, regimeBreakdown } = require("./regime");
+const {
+  DIMENSIONS,
+  bucketOrder,
+  runSignalResearch,
+} = require("./signal_research");
+const {
+  parseBenchmarks,
+  benchmarkTickers,
+  computeBenchmarks,
+} = require("./benchmarks");
+const {
+  defaultIndicatorSpecs,
+  runIndicatorPipeline,
+  pipelineInputs,
+  loadIndicatorSpecs,
+  describeColumn,
+} = require("./indicator_pipeline");
+const {
+  loadUniverses,
+  parseAllocation,
+  universeTickers,
+  describeUniverse,
+} = require("./universes");
 const {
   LinearScale,
   CategoryScale,
@@ -49,30 +122,180 @@ dotenv.config();
 
 // --- CONFIGURATION ---
 const CONFIG = {
-  signalEtf: "QQQ",
-  volatilityTicker: "^VIX",
-  longEtf: "TQQQ",
-  shortEtf: "SQQQ",
-  safeEtf: "QQQ",
-  longLeveragedEtf: "TQQQ", // Added missing property
-  shortLeveragedEtf: "SQQQ", // Added missing property
+  // Universes and capital allocation (see universes.js), e.g. UNIVERSES="NDX:0.5,SPX,RUT"
+  universes: process.env.UNIVERSES || "NDX",
   startDate: "2010-01-01",
   endDate: new Date().toISOString().split("T")[0],
+  dataProvider: process.env.MARKET_DATA_PROVIDER || "yahoo", // "yahoo" or "file"
+  marketDataDir: process.env.MARKET_DATA_DIR || "market_data",
+  dataCache: process.env.MARKET_DATA_CACHE || "on", // "on", "off" or "readonly"
+  dataCacheDir: process.env.MARKET_DATA_CACHE_DIR || "data_cache",
+  priceAdjustment: process.env.PRICE_ADJUSTMENT || "total_return", // "total_return", "split_only" or "raw"
+  dataQuality: {
+    mode: process.env.DATA_QUALITY_MODE || "warn", // "fail", "warn" or "repair"
+    maxAbsReturn: 0.25,
+    maxAbsReturnByTicker: {
+      "^VIX": 1.0,
+      "^VIX3M": 1.0,
+      TQQQ: 0.5,
+      SQQQ: 0.5,
+      UPRO: 0.5,
+      SPXU: 0.5,
+      TNA: 0.5,
+      TZA: 0.5,
+    },
+    staleRunLength: 3,
+  },
+  // Synthetic leveraged history before the 3x ETFs existed (SYNTHETIC_HISTORY=on)
+  syntheticHistory: {
+    enabled: process.env.SYNTHETIC_HISTORY === "on",
+    startDate: process.env.SYNTHETIC_START_DATE || null, // default: earliest signal ETF inception
+    longLeverage: 3,
+    shortLeverage: -3,
+    expenseRatio: 0.0095,
+    financingSpread: 0.005,
+  },
   initialCapital: 100000,
-  transactionCost: 5.0,
+  // Order fills (see execution_model.js). The defaults reproduce same-close fills with a flat
+  // $5 commission; e.g. EXECUTION_FILL=next_open SLIPPAGE_BPS=5 for a more realistic run
+  execution: {
+    fillTiming: process.env.EXECUTION_FILL || "same_close", // "same_close", "next_open", "next_close" or "vwap"
+    stopFills: process.env.EXECUTION_STOPS || "close", // "close" or "intrabar"
+    slippage: {
+      model: process.env.SLIPPAGE_MODEL || "bps", // "bps" or "spread"
+      bps: Number(process.env.SLIPPAGE_BPS || 0),
+      // Typical quoted spreads, paid half per fill by the "spread" model
+      spreadBps: { default: 5, QQQ: 0.5, SPY: 0.5, IWM: 1, TQQQ: 1, SQQQ: 2 },
+    },
+    commission: {
+      model: process.env.COMMISSION_MODEL || "fixed", // "fixed", "percent" or "per_share"
+      perOrder: 5.0,
+      rate: Number(process.env.COMMISSION_RATE || 0.0005),
+      perShare: Number(process.env.COMMISSION_PER_SHARE || 0.005),
+      minimum: 1.0,
+    },
+  },
+  // Size of each leveraged entry (see sizing.js); all_in reproduces the original backtest
+  sizing: {
+    model: process.env.POSITION_SIZING || "all_in", // "all_in", "fixed_fractional", "volatility_target", "kelly" or "ai_confidence"
+    maxFraction: Number(process.env.SIZING_MAX_FRACTION || 1),
+    riskPerTrade: Number(process.env.SIZING_RISK_PER_TRADE || 0.02),
+    targetVolatility: Number(process.env.SIZING_TARGET_VOL || 0.4),
+    volatilitySource: process.env.SIZING_VOL_SOURCE || "atr", // "atr" or "realized"
+    kellyFraction: Number(process.env.SIZING_KELLY_FRACTION || 0.5),
+    kellyFloor: Number(process.env.SIZING_KELLY_FLOOR || 0.1),
+    confidenceFloor: Number(process.env.SIZING_CONFIDENCE_FLOOR || 0.5),
+  },
   riskFreeRate: 0.02,
+  // Reference portfolios for the backtest (see benchmarks.js): any of signal, leveraged,
+  // base_rsi, sixty_forty and cash
+  benchmarks: {
+    keys:
+      process.env.BENCHMARKS || "signal,leveraged,base_rsi,sixty_forty,cash",
+    bondTicker: process.env.BENCHMARK_BOND || "AGG", // bond side of the 60/40
+  },
+  // Entry filter study (see filter_ablation.js): every raw RSI(2) signal with its filter
+  // results and forward returns, and the backtest re-run with filters removed
+  filterStudy: {
+    enabled: process.env.FILTER_ABLATION !== "off",
+    horizons: (process.env.SIGNAL_HORIZONS || "1,5,10") // trading days
+      .split(",")
+      .map((h) => parseInt(h, 10)),
+  },
   baseSignal: { rsiPeriod: 2, rsiOversold: 10, rsiOverbought: 90 },
-  riskManagement: { stopLossPercent: 0.1, maxHoldPeriod: 10 },
+  // Indicator pipeline (see indicator_pipeline.js), run on each universe's signal ETF;
+  // INDICATOR_SPEC adds specs from a JSON file, e.g.
+  // { "indicator": "RATIO", "input": ["^VIX", "^VIX3M"], "output": "vixTermRatio" }
+  indicatorSpecFile: process.env.INDICATOR_SPEC || null,
+  rulesSource: process.env.TRADING_RULES || "ai", // "ai", "pinned", "latest", a version or a file
+  rulesDir: process.env.TRADING_RULES_DIR || "rules",
+  // AI responses (see ai_cache.js): "live", "cache", "replay" or "stub"; --replay and
+  // --stub on the command line override AI_MODE. AI_STUB_RULES is a rules JSON for stub runs
+  ai: {
+    mode: process.argv.includes("--replay")
+      ? "replay"
+      : process.argv.includes("--stub")
+      ? "stub"
+      : process.env.AI_MODE || "live",
+    cacheDir: process.env.AI_CACHE_DIR || "ai_cache",
+    stubRulesFile: process.env.AI_STUB_RULES || null,
+  },
   aiModelName_Report: process.env.AI_MODEL_NAME_1 || "llama3-70b-8192",
   aiModelName_Analysis: process.env.AI_MODEL_NAME_2 || "llama3-8b-8192",
   outputDir: "backtest",
   excelFilename: "backtest_performance.xlsx",
+  // Walk-forward mode; WALK_FORWARD_SPACE points to a JSON object of parameter -> values
+  walkForward: {
+    inSampleDays: parseInt(process.env.WF_IN_SAMPLE_DAYS || "504", 10),
+    outOfSampleDays: parseInt(process.env.WF_OUT_OF_SAMPLE_DAYS || "126", 10),
+    anchored: process.env.WF_ANCHORED === "on",
+    objective: process.env.WF_OBJECTIVE || "sharpe", // "sharpe", "cagr" or "calmar"
+    minTrades: 3,
+    spaceFile: process.env.WALK_FORWARD_SPACE || null,
+    excelFilename: "walk_forward.xlsx",
+    jsonFilename: "walk_forward.json",
+  },
+  // Grid search mode; GRID_SEARCH_SPACE points to a JSON object of parameter -> values or
+  // { min, max, step }. Heatmaps are "x:y" parameter pairs, e.g. "rsiOversold:rsiOverbought"
+  gridSearch: {
+    method: process.env.GRID_SEARCH_METHOD || "grid", // "grid" or "random"
+    samples: parseInt(process.env.GRID_SEARCH_SAMPLES || "200", 10),
+    seed: parseInt(process.env.GRID_SEARCH_SEED || "42", 10),
+    workers: parseInt(
+      process.env.GRID_SEARCH_WORKERS || `${GRID_SEARCH_DEFAULTS.workers}`,
+      10
+    ),
+    rankBy: process.env.GRID_SEARCH_RANK || "sharpe", // "sharpe", "cagr", "maxDrawdown" or "trades"
+    spaceFile: process.env.GRID_SEARCH_SPACE || null,
+    heatmaps: process.env.GRID_SEARCH_HEATMAPS || null, // default: the first two parameters
+    heatmapMetrics: ["sharpe", "cagr", "maxDrawdown"],
+    excelFilename: "grid_search.xlsx",
+    chartDir: "grid_search",
+  },
+  // Research mode (see signal_research.js): forward returns after every RSI(2) signal
+  research: {
+    maxHorizon: parseInt(process.env.RESEARCH_MAX_HORIZON || "20", 10), // trading days
+    reportHorizons: [1, 5, 10, 20], // columns of the PDF tables
+    excelFilename: "signal_research.xlsx",
+    pdfFilename: "signal_research.pdf",
+    chartDir: "signal_research",
+  },
+  // Monte Carlo robustness analysis of the backtest (see monte_carlo.js)
+  monteCarlo: {
+    simulations: parseInt(process.env.MONTE_CARLO_RUNS || "1000", 10),
+    blockSize: parseInt(process.env.MONTE_CARLO_BLOCK_DAYS || "20", 10),
+    seed: parseInt(process.env.MONTE_CARLO_SEED || "42", 10),
+    ruinDrawdown: Number(process.env.MONTE_CARLO_RUIN_DRAWDOWN || 0.5), // drawdown that counts as ruin
+  },
   pdfFilename: "backtest_reports.pdf",
+  qualityReportFilename: "data_quality_report.json",
 };
 
 // --- DUAL AI CLIENT SETUP ---
-const groqReportClient = new Groq({ apiKey: process.env.GROQ_API_KEY_1 });
-const groqAnalysisClient = new Groq({ apiKey: process.env.GROQ_API_KEY_2 });
+const groqReportClient = withAiCache(
+  () => new Groq({ apiKey: process.env.GROQ_API_KEY_1 }),
+  { ...CONFIG.ai, stubResponse: stubRulesResponse }
+);
+const groqAnalysisClient = withAiCache(
+  () => new Groq({ apiKey: process.env.GROQ_API_KEY_2 }),
+  {
+    ...CONFIG.ai,
+    stubResponse: () =>
+      "Stub analysis (AI_MODE=stub): no AI review was requested for this run.",
+  }
+);
+
+// Rules returned in stub mode, in the same fenced JSON the strategist prompt asks for
+async function stubRulesResponse() {
+  const rules = CONFIG.ai.stubRulesFile
+    ? await fs.readJson(CONFIG.ai.stubRulesFile)
+    : {
+        ...DEFAULT_RULES,
+        exit_rules: {},
+        justification: "Stub rules (AI_MODE=stub): the strategy defaults.",
+      };
+  return `\`\`\`json\n${JSON.stringify(rules, null, 2)}\n\`\`\``;
+}
 
 // --- ALL FUNCTIONS ---
 
@@ -84,6 +307,8 @@ async function getAIHeuristics() {
 You are a Senior Quantitative Strategist. Your task is to generate a set of simple, machine-readable filtering rules (heuristics) to improve a base trading signal.
 **Base Signal:** A trade is considered when the QQQ ETF's daily RSI(2) is oversold (<10) for a long position in TQQQ, or overbought (>90) for a long position in SQQQ.
 **Your Task:** Generate a set of quantitative filters to improve the quality of this base signal. The rules should filter out bad trades in unfavorable market conditions.
+Optional "extra_conditions" may compare any of these daily indicators to a "value" or to another indicator ("compare_to"): atr14, bbUpper, bbLower, bbMiddle, bbPercentB, macd, macdSignal, macdHistogram, crsi, roc10, adxPlusDi, adxMinusDi.
+"exit_rules" decide when a leveraged position is closed: a percent stop loss, an ATR stop on the signal ETF (atr_stop_multiple), percent or ATR trailing stops, a profit target, an RSI normalisation exit (rsi_exit_level 50 exits a long once RSI(2) is back above 50 and a short once it is below 50), a close above the prior day's high, and a maximum holding period. Set the exits you do not want to null.
 Provide your response ONLY in a single JSON object with the exact structure below.
 \`\`\`json
 {
@@ -91,6 +316,8 @@ Provide your response ONLY in a single JSON object with the exact structure belo
   "max_vix_threshold": 35,
   "bullish_confirmation": { "require_price_above_sma50": true, "require_price_above_sma200": false },
   "bearish_confirmation": { "require_price_below_sma50": true, "require_price_below_sma200": false },
+  "extra_conditions": [{ "indicator": "bbPercentB", "op": "<", "value": 0.2, "side": "long" }],
+  "exit_rules": { "stop_loss_percent": 0.1, "atr_stop_multiple": null, "trailing_stop_percent": null, "trailing_atr_multiple": null, "profit_target_percent": null, "rsi_exit_level": 50, "exit_on_close_above_prior_high": false, "max_hold_days": 10 },
   "justification": "These heuristics filter for trades during moderately trending markets (ADX > 20) while avoiding extreme market fear (VIX < 35). The SMA confirmation rules prevent buying into a dip that has already broken its medium-term trend structure."
 }
 \`\`\`
@@ -104,7 +331,11 @@ Provide your response ONLY in a single JSON object with the exact structure belo
     const responseText = completion.choices[0]?.message?.content || "{}";
     const jsonMatch = responseText.match(/```json\s*([\s\S]*?)\s*```/);
     const rules = JSON.parse(jsonMatch ? jsonMatch[1] : responseText);
-    spinner.succeed(`✅ AI-generated heuristics received successfully.`);
+    spinner.succeed(
+      `✅ AI-generated heuristics received successfully${aiSourceNote(
+        completion
+      )}.`
+    );
     console.log(`   └─ Justification: ${rules.justification}`);
     return rules;
   } catch (error) {
@@ -113,164 +344,183 @@ Provide your response ONLY in a single JSON object with the exact structure belo
   }
 }
 
-async function runAiHeuristicStrategy(data, aiRules) {
-  const spinner = ora(
-    "⚙️  Running High-Speed Backtest with AI-Generated Rules..."
-  ).start();
-  let cash = CONFIG.initialCapital,
-    equity = CONFIG.initialCapital;
-  let currentPosition = "CASH",
-    shares = 0;
-  const trades = [],
-    simulationLog = [];
-  let isInLeveragedTrade = false,
-    daysInTrade = 0,
-    entryPrice = 0;
-
-  currentPosition = CONFIG.safeEtf;
-  shares = (cash - CONFIG.transactionCost) / data[0][CONFIG.safeEtf].close;
-  cash = 0;
-
-  for (const day of data) {
-    equity = cash + shares * day[currentPosition].close;
-    if (isInLeveragedTrade) {
-      daysInTrade++;
-      let exitReason = null;
-      if (daysInTrade >= CONFIG.riskManagement.maxHoldPeriod)
-        exitReason = "TIME STOP";
-      if (
-        !exitReason &&
-        day[currentPosition].close <
-          entryPrice * (1 - CONFIG.riskManagement.stopLossPercent)
-      )
-        exitReason = "STOP LOSS";
-      if (exitReason) {
-        cash += shares * day[currentPosition].close - CONFIG.transactionCost;
-        trades.push({
-          date: day.date,
-          action: `SELL (${exitReason})`,
-          symbol: currentPosition,
-          shares,
-          price: day[currentPosition].close,
-          equity,
-        });
-        shares = (cash - CONFIG.transactionCost) / day[CONFIG.safeEtf].close;
-        cash = 0;
-        currentPosition = CONFIG.safeEtf;
-        trades.push({
-          date: day.date,
-          action: "BUY (Default)",
-          symbol: currentPosition,
-          shares,
-          price: day[CONFIG.safeEtf].close,
-          equity,
-        });
-        isInLeveragedTrade = false;
-      }
-    } else {
-      const isOversold = day.rsi < CONFIG.baseSignal.rsiOversold;
-      const isOverbought = day.rsi > CONFIG.baseSignal.rsiOverbought;
-      let entrySignal = null;
-      if (isOversold) {
-        const adxCheck = day.adx > aiRules.min_adx_threshold;
-        const vixCheck = day.vixClose < aiRules.max_vix_threshold;
-        const sma50Check = aiRules.bullish_confirmation
-          .require_price_above_sma50
-          ? day.qqqClose > day.sma50
-          : true;
-        const sma200Check = aiRules.bullish_confirmation
-          .require_price_above_sma200
-          ? day.qqqClose > day.sma200
-          : true;
-        if (adxCheck && vixCheck && sma50Check && sma200Check)
-          entrySignal = CONFIG.longLeveragedEtf;
-      } else if (isOverbought) {
-        const adxCheck = day.adx > aiRules.min_adx_threshold;
-        const vixCheck = day.vixClose < aiRules.max_vix_threshold;
-        const sma50Check = aiRules.bearish_confirmation
-          .require_price_below_sma50
-          ? day.qqqClose < day.sma50
-          : true;
-        const sma200Check = aiRules.bearish_confirmation
-          .require_price_below_sma200
-          ? day.qqqClose < day.sma200
-          : true;
-        if (adxCheck && vixCheck && sma50Check && sma200Check)
-          entrySignal = CONFIG.shortLeveragedEtf;
-      }
-      if (entrySignal) {
-        cash += shares * day[CONFIG.safeEtf].close - CONFIG.transactionCost;
-        trades.push({
-          date: day.date,
-          action: "SELL (Entry)",
-          symbol: CONFIG.safeEtf,
-          shares,
-          price: day[CONFIG.safeEtf].close,
-          equity,
-        });
-        const buyPrice = day[entrySignal].close;
-        shares = (cash - CONFIG.transactionCost) / buyPrice;
-        cash = 0;
-        currentPosition = entrySignal;
-        trades.push({
-          date: day.date,
-          action: "BUY",
-          symbol: currentPosition,
-          shares,
-          price: buyPrice,
-          equity,
-        });
-        isInLeveragedTrade = true;
-        daysInTrade = 0;
-        entryPrice = buyPrice;
-      }
-    }
-    simulationLog.push({
-      date: day.date,
-      equity,
-      position: currentPosition,
-      qqq_close: day[CONFIG.signalEtf].close,
-    });
-  }
-  spinner.succeed("✅ High-speed simulation finished.");
-  return { simulationLog, trades };
+// Where a completion came from when it was not a fresh API answer
+function aiSourceNote(completion) {
+  if (completion.stub) return " (stub)";
+  if (completion.cached) return " (replayed from AI cache)";
+  return "";
 }
 
-async function main() {
+async function main(mode = "backtest") {
   console.log("--- 🚀 AI-Heuristic Backtesting Engine ---");
+  console.log(`🤖 AI mode: ${CONFIG.ai.mode}`);
   try {
+    if (
+      !["backtest", "walk-forward", "grid-search", "research"].includes(mode)
+    ) {
+      throw new Error(
+        `Unknown mode "${mode}" (expected backtest, walk-forward, grid-search or research)`
+      );
+    }
     await fs.ensureDir(CONFIG.outputDir);
-    const aiRules = await getAIHeuristics();
-
-    const spinner = ora("📡 Fetching historical data...").start();
-    const tickers = [
-      CONFIG.signalEtf,
-      CONFIG.volatilityTicker,
-      CONFIG.longEtf,
-      CONFIG.shortEtf,
-    ];
-    const rawData = await fetchData(tickers, CONFIG.startDate, CONFIG.endDate);
-    spinner.succeed("✅ Data fetched successfully.");
-
-    const alignedData = alignData(rawData);
-    const dataWithIndicators = calculateIndicators(alignedData);
+    if (mode === "research") {
+      // Evidence for the thresholds themselves: no rules, AI or simulation needed
+      await runResearchMode();
+      return;
+    }
+    const ruleSet = await resolveRules({
+      source: CONFIG.rulesSource,
+      dir: CONFIG.rulesDir,
+      fetchAiRules: getAIHeuristics,
+      model: CONFIG.aiModelName_Report,
+      aiMode: CONFIG.ai.mode,
+    });
+    const aiRules = ruleSet.rules;
+    const execution = createExecutionModel(CONFIG.execution);
+    console.log(`💱 Execution: ${describeExecution(execution)}`);
+    const sizing = createSizingModel(CONFIG.sizing);
+    console.log(`📐 Position sizing: ${describeSizing(sizing)}`);
+
+    const universes = parseAllocation(CONFIG.universes, await loadUniverses());
+    universes.forEach((u) => console.log(`🌐 ${describeUniverse(u)}`));
+    const benchmarkKeys =
+      mode === "backtest" ? parseBenchmarks(CONFIG.benchmarks.keys) : [];
+
+    const {
+      universeData,
+      extraData,
+      adjustments,
+      qualityReport,
+      syntheticReports,
+    } = await prepareMarketData(
+      universes,
+      benchmarkTickers(benchmarkKeys, CONFIG.benchmarks)
+    );
 
-    const { simulationLog, trades } = await runAiHeuristicStrategy(
-      dataWithIndicators,
-      aiRules
+    // Universes are simulated over their common dates so the combined curve starts
+    // from the full initial capital on one day
+    const commonDates = commonDateSet(
+      universes.map((u) => universeData[u.key].dataWithIndicators)
     );
+    if (commonDates.size < 2) {
+      throw new Error(
+        `Universes ${universes
+          .map((u) => u.key)
+          .join(", ")} share fewer than 2 trading days`
+      );
+    }
+
+    if (mode === "grid-search") {
+      await runGridSearchMode({
+        universes,
+        universeData,
+        dates: commonDates,
+        aiRules,
+        execution,
+        sizing,
+      });
+      return;
+    }
+    if (mode === "walk-forward") {
+      await runWalkForwardMode({
+        universes,
+        universeData,
+        dates: commonDates,
+        aiRules,
+        execution,
+        sizing,
+      });
+      return;
+    }
+
+    const spinner = ora(
+      `⚙️  Running High-Speed Backtest with AI-Generated Rules (${universes
+        .map((u) => u.key)
+        .join(", ")})...`
+    ).start();
+    const { universeResults, simulationLog, trades, metrics } =
+      simulateUniverses({
+        universes,
+        universeData,
+        dates: commonDates,
+        aiRules,
+        execution,
+        sizing,
+        baseSignal: CONFIG.baseSignal,
+        capital: CONFIG.initialCapital,
+        riskFreeRate: CONFIG.riskFreeRate,
+      });
+    spinner.succeed("✅ High-speed simulation finished.");
 
-    const metrics = calculateMetrics(
+    const monteCarloSpinner = ora(
+      `🎲 Running ${CONFIG.monteCarlo.simulations} Monte Carlo simulations...`
+    ).start();
+    const monteCarlo = runMonteCarlo({
       simulationLog,
       trades,
-      CONFIG.initialCapital,
-      CONFIG.riskFreeRate
-    );
+      initialCapital: CONFIG.initialCapital,
+      weights: Object.fromEntries(
+        universeResults.map((r) => [r.universe.key, r.universe.weight])
+      ),
+      options: CONFIG.monteCarlo,
+    });
+    monteCarloSpinner.succeed("✅ Monte Carlo analysis finished.");
+
+    const benchmarks = computeBenchmarks({
+      keys: benchmarkKeys,
+      strategy: {
+        simulationLog,
+        aiRules,
+        execution,
+        sizing,
+        baseSignal: CONFIG.baseSignal,
+      },
+      universes,
+      universeData,
+      bondSeries: extraData[CONFIG.benchmarks.bondTicker],
+      bondTicker: CONFIG.benchmarks.bondTicker,
+      capital: CONFIG.initialCapital,
+      riskFreeRate: CONFIG.riskFreeRate,
+    });
+
+    const regimes = regimeBreakdown(universeResults, universeData);
+
+    let filterStudy = null;
+    if (CONFIG.filterStudy.enabled) {
+      const filterSpinner = ora(
+        "🔬 Logging raw signals and running filter ablations..."
+      ).start();
+      filterStudy = runFilterStudy({
+        strategy: {
+          aiRules,
+          execution,
+          sizing,
+          baseSignal: CONFIG.baseSignal,
+          trades,
+        },
+        universes,
+        universeData,
+        dates: commonDates,
+        capital: CONFIG.initialCapital,
+        riskFreeRate: CONFIG.riskFreeRate,
+        options: { horizons: CONFIG.filterStudy.horizons },
+      });
+      filterSpinner.succeed(
+        `✅ ${filterStudy.signals.length} raw signals logged, ${filterStudy.ablations.length} filter variants backtested.`
+      );
+    }
+
+    const indicatorSets = universes.map((u) => ({
+      universe: u.key,
+      columns: universeData[u.key].indicatorColumns,
+      data: universeData[u.key].dataWithIndicators,
+    }));
 
     const aiFinalReport = await analyzePerformanceWithAI(
       trades,
       metrics,
-      aiRules.justification
+      aiRules.justification,
+      universeResults
     );
 
     await generateExcelReport({
@@ -278,13 +528,36 @@ async function main() {
       trades,
       metrics,
       aiAnalysisReport: aiFinalReport,
+      adjustments,
+      qualityReport,
+      syntheticReports,
+      indicatorSets,
+      universeResults,
+      execution,
+      sizing,
+      monteCarlo,
+      benchmarks,
+      filterStudy,
+      regimes,
     });
 
     const pdfReportPath = `${CONFIG.outputDir}/${CONFIG.pdfFilename}`;
     await generateAdvancedPdfReport({
       metrics,
       simulationLog,
+      trades,
       aiAnalysisReport: aiFinalReport, // Fixed: now passing the report correctly
+      adjustments,
+      qualityReport,
+      syntheticReports,
+      indicatorSets,
+      universeResults,
+      execution,
+      sizing,
+      monteCarlo,
+      benchmarks,
+      filterStudy,
+      regimes,
     });
 
     console.log("\n--- ✨ Backtest Summary ---");
@@ -297,6 +570,66 @@ async function main() {
     console.log(`   CAGR: ${(metrics.cagr * 100).toFixed(2)}%`);
     console.log(`   Max Drawdown: ${(metrics.maxDrawdown * 100).toFixed(2)}%`);
     console.log(`   Sharpe Ratio: ${metrics.sharpeRatio.toFixed(2)}`);
+    metricsSuiteRows(metrics).forEach(([label, value]) =>
+      console.log(`   ${label}: ${value}`)
+    );
+    console.log(`   Position Sizing: ${sizingSummary(sizing, trades)}`);
+    if (monteCarlo.blockBootstrap) {
+      const { maxDrawdown, riskOfRuin } = monteCarlo.blockBootstrap;
+      console.log(
+        `   Monte Carlo Max Drawdown (5th pct): ${(
+          maxDrawdown.percentiles[5] * 100
+        ).toFixed(2)}%, Risk of Ruin: ${(riskOfRuin * 100).toFixed(1)}%`
+      );
+    }
+    benchmarks.forEach((b) =>
+      console.log(
+        `   ⚖️  ${b.label}: ${b.metrics.finalEquity.toLocaleString("en-US", {
+          style: "currency",
+          currency: "USD",
+        })}, CAGR ${(b.metrics.cagr * 100).toFixed(2)}%, Max DD ${(
+          b.metrics.maxDrawdown * 100
+        ).toFixed(2)}%, Sharpe ${b.metrics.sharpeRatio.toFixed(2)}`
+      )
+    );
+    if (filterStudy) {
+      filterStudy.ablations.forEach((a) =>
+        console.log(
+          `   🔬 ${a.label}: CAGR ${(a.metrics.cagr * 100).toFixed(
+            2
+          )}%, Max DD ${(a.metrics.maxDrawdown * 100).toFixed(
+            2
+          )}%, Sharpe ${a.metrics.sharpeRatio.toFixed(2)}, ${a.trades} trades`
+        )
+      );
+    }
+    regimes
+      .filter((r) => r.dimension !== "regime")
+      .forEach((r) =>
+        console.log(
+          `   🧭 ${r.universe} ${r.dimensionLabel.toLowerCase()} ${r.state}: ${(
+            r.share * 100
+          ).toFixed(1)}% of days, return ${(r.totalReturn * 100).toFixed(
+            2
+          )}% (${r.signalSymbol} ${(r.signalReturn * 100).toFixed(2)}%), ${
+            r.trades
+          } trades`
+        )
+      );
+    if (universeResults.length > 1) {
+      universeResults.forEach((r) =>
+        console.log(
+          `   └─ ${r.universe.key} (${(r.universe.weight * 100).toFixed(
+            1
+          )}%): ${r.metrics.finalEquity.toLocaleString("en-US", {
+            style: "currency",
+            currency: "USD",
+          })}, CAGR ${(r.metrics.cagr * 100).toFixed(2)}%, Max DD ${(
+            r.metrics.maxDrawdown * 100
+          ).toFixed(2)}%`
+        )
+      );
+    }
     console.log("--------------------------\n");
 
     await sendTelegramReport({ metrics, pdfPath: pdfReportPath });
@@ -310,31 +643,1034 @@ async function main() {
   }
 }
 
-async function fetchData(tickers, startDate, endDate) {
-  const data = {};
-  for (const ticker of tickers) {
-    try {
-      // Using chart() instead of deprecated historical()
-      const result = await yahooFinance.chart(ticker, {
-        period1: startDate,
-        period2: endDate,
-        interval: "1d",
+function indicatorSpecs(universe) {
+  return defaultIndicatorSpecs({
+    signalTicker: universe.signal,
+    rsiPeriod: CONFIG.baseSignal.rsiPeriod,
+  });
+}
+
+// Fetch -> adjust -> (synthetic history) -> validate -> align -> indicators.
+// Every universe's tickers are fetched and validated together; alignment and
+// indicators are per universe.
+// extraTickers are fetched and validated alongside the universes (e.g. benchmark inputs)
+// and returned unaligned in extraData
+async function prepareMarketData(universes, extraTickers = []) {
+  const extraSpecs = CONFIG.indicatorSpecFile
+    ? await loadIndicatorSpecs(CONFIG.indicatorSpecFile)
+    : [];
+  const specsByUniverse = Object.fromEntries(
+    universes.map((u) => [u.key, indicatorSpecs(u).concat(extraSpecs)])
+  );
+
+  const spinner = ora("📡 Fetching historical data...").start();
+  // Extra inputs referenced by the indicator pipeline (e.g. ^VIX3M) are fetched too
+  const tickers = [
+    ...new Set([
+      ...universes.flatMap((u) => [
+        ...universeTickers(u),
+        ...pipelineInputs(specsByUniverse[u.key]),
+      ]),
+      ...extraTickers,
+    ]),
+  ];
+  const startDate = CONFIG.syntheticHistory.enabled
+    ? CONFIG.syntheticHistory.startDate ||
+      universes.map((u) => u.signalInception || CONFIG.startDate).sort()[0]
+    : CONFIG.startDate;
+  const rawData = await fetchData(tickers, startDate, CONFIG.endDate);
+  spinner.succeed("✅ Data fetched successfully.");
+
+  const { data: adjustedData, adjustments } = adjustPrices(rawData, {
+    mode: CONFIG.priceAdjustment,
+    exclude: tickers.filter((t) => t.startsWith("^")), // indices are not adjusted
+  });
+  console.log(`🔧 Price adjustment: ${CONFIG.priceAdjustment}`);
+  adjustments.forEach((a) => console.log(`   └─ ${describeAdjustment(a)}`));
+
+  let extendedData = adjustedData;
+  const syntheticReports = [];
+  if (CONFIG.syntheticHistory.enabled) {
+    for (const universe of universes) {
+      const { data, reports } = extendWithSyntheticHistory(extendedData, {
+        signalTicker: universe.signal,
+        targets: [
+          {
+            ticker: universe.long,
+            leverage: universe.leverage,
+          },
+          {
+            ticker: universe.short,
+            leverage: -universe.leverage,
+          },
+        ],
+        expenseRatio: CONFIG.syntheticHistory.expenseRatio,
+        financingSpread: CONFIG.syntheticHistory.financingSpread,
+        riskFreeRate: CONFIG.riskFreeRate,
+      });
+      extendedData = data;
+      syntheticReports.push(
+        ...reports.map((r) => ({ ...r, signalTicker: universe.signal }))
+      );
+    }
+    console.log("🧪 Synthetic leveraged history enabled");
+    syntheticReports.forEach((r) =>
+      console.log(`   └─ ${describeSyntheticReport(r)}`)
+    );
+  }
+
+  const qualityReportPath = `${CONFIG.outputDir}/${CONFIG.qualityReportFilename}`;
+  let validatedData, qualityReport;
+  try {
+    ({ data: validatedData, report: qualityReport } = validateMarketData(
+      extendedData,
+      CONFIG.dataQuality
+    ));
+  } catch (error) {
+    if (error.report) {
+      printQualityReport(error.report);
+      await saveQualityReport(error.report, qualityReportPath);
+    }
+    throw error;
+  }
+  printQualityReport(qualityReport);
+  await saveQualityReport(qualityReport, qualityReportPath);
+
+  const universeData = {};
+  for (const universe of universes) {
+    const specs = specsByUniverse[universe.key];
+    const universeTickerSet = [
+      ...new Set([...universeTickers(universe), ...pipelineInputs(specs)]),
+    ];
+    const alignedData = alignData(
+      Object.fromEntries(universeTickerSet.map((t) => [t, validatedData[t]]))
+    );
+    const { dataWithIndicators, indicatorColumns } = calculateIndicators(
+      alignedData,
+      specs,
+      universe
+    );
+    indicatorColumns.forEach((c) =>
+      console.log(`   └─ ${universe.key} ${c.key}: ${describeColumn(c)}`)
+    );
+    universeData[universe.key] = { dataWithIndicators, indicatorColumns };
+  }
+
+  return {
+    universeData,
+    extraData: Object.fromEntries(
+      extraTickers.map((t) => [t, validatedData[t]])
+    ),
+    adjustments,
+    qualityReport,
+    syntheticReports,
+  };
+}
+
+// Optimises the parameters on rolling in-sample windows and reports the stitched
+// out-of-sample result and how stable the chosen parameters were
+async function runWalkForwardMode({
+  universes,
+  universeData,
+  dates,
+  aiRules,
+  execution,
+  sizing,
+}) {
+  const settings = CONFIG.walkForward;
+  const space = settings.spaceFile
+    ? await loadParameterSpace(settings.spaceFile)
+    : DEFAULT_PARAMETER_SPACE;
+  const grid = parameterGrid(space);
+  const spinner = ora(
+    `🔁 Walk-forward: ${grid.length} parameter sets, ${
+      settings.inSampleDays
+    }d in-sample / ${settings.outOfSampleDays}d out-of-sample (${
+      settings.anchored ? "anchored" : "rolling"
+    }, objective ${settings.objective})...`
+  ).start();
+
+  const result = await runWalkForward({
+    dates: [...dates].sort(),
+    grid,
+    initialCapital: CONFIG.initialCapital,
+    options: settings,
+    evaluate: (params, windowDates, capital, books) => {
+      const applied = applyParameters(aiRules, CONFIG.baseSignal, params);
+      return simulateUniverses({
+        universes,
+        universeData,
+        dates: windowDates,
+        aiRules: applied.rules,
+        baseSignal: applied.baseSignal,
+        execution,
+        sizing,
+        capital,
+        riskFreeRate: CONFIG.riskFreeRate,
+        books: books || {},
       });
+    },
+    onWindow: (w) => {
+      spinner.text = `🔁 Walk-forward window ${w.index}: ${w.outOfSampleStart} → ${w.outOfSampleEnd}`;
+    },
+  });
+  const metrics = calculateMetrics(
+    result.simulationLog,
+    result.trades,
+    CONFIG.initialCapital,
+    CONFIG.riskFreeRate
+  );
+  spinner.succeed(
+    `✅ Walk-forward finished: ${result.windows.length} windows, ${result.simulationLog.length} out-of-sample days.`
+  );
+
+  result.windows.forEach((w) =>
+    console.log(
+      `   └─ #${w.index} ${w.outOfSampleStart} → ${w.outOfSampleEnd}: ${(
+        w.outOfSampleReturn * 100
+      ).toFixed(2)}% OOS (${w.outOfSampleTrades} trades), IS ${
+        settings.objective
+      } ${
+        w.eligible ? w.inSampleScore.toFixed(2) : "n/a"
+      } with ${Object.entries(w.params)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(" ")}`
+    )
+  );
+  console.log("   Parameter stability:");
+  result.stability.forEach((p) =>
+    console.log(
+      `   └─ ${p.parameter}: ${p.values.join(", ")} (${p.changes} change${
+        p.changes === 1 ? "" : "s"
+      }, mode ${p.mostCommon} in ${(p.mostCommonShare * 100).toFixed(
+        0
+      )}% of windows)`
+    )
+  );
+
+  await generateWalkForwardReport({ ...result, metrics, space, sizing });
+
+  console.log("\n--- ✨ Walk-Forward Summary (out-of-sample) ---");
+  console.log(
+    `   Final Portfolio Value: ${metrics.finalEquity.toLocaleString("en-US", {
+      style: "currency",
+      currency: "USD",
+    })}`
+  );
+  console.log(`   CAGR: ${(metrics.cagr * 100).toFixed(2)}%`);
+  console.log(`   Max Drawdown: ${(metrics.maxDrawdown * 100).toFixed(2)}%`);
+  console.log(`   Sharpe Ratio: ${metrics.sharpeRatio.toFixed(2)}`);
+  console.log("--------------------------\n");
+  return { ...result, metrics };
+}
+
+// Sweeps the search space in worker threads and reports every run, ranked, with heatmaps
+async function runGridSearchMode({
+  universes,
+  universeData,
+  dates,
+  aiRules,
+  execution,
+  sizing,
+}) {
+  const settings = CONFIG.gridSearch;
+  const space = settings.spaceFile
+    ? await loadSearchSpace(settings.spaceFile)
+    : DEFAULT_SEARCH_SPACE;
+  const combos = searchCombinations(space, settings);
+  const spinner = ora(
+    `🔬 Grid search (${settings.method}): ${combos.length} runs on ${settings.workers} worker thread(s)...`
+  ).start();
+
+  const results = await runGridSearch({
+    combos,
+    workers: settings.workers,
+    // Workers only need the simulation inputs, not the raw bars or quality reports
+    shared: {
+      universes,
+      universeData: Object.fromEntries(
+        universes.map((u) => [
+          u.key,
+          { dataWithIndicators: universeData[u.key].dataWithIndicators },
+        ])
+      ),
+      dates,
+      aiRules,
+      baseSignal: CONFIG.baseSignal,
+      execution,
+      sizing,
+      capital: CONFIG.initialCapital,
+      riskFreeRate: CONFIG.riskFreeRate,
+    },
+    onResult: (_, done, total) => {
+      spinner.text = `🔬 Grid search: ${done}/${total} runs`;
+    },
+  });
+  const ranked = rankResults(results, settings.rankBy);
+  spinner.succeed(`✅ Grid search finished: ${ranked.length} runs.`);
+
+  const paramKeys = Object.keys(space);
+  const pairs = (
+    settings.heatmaps ||
+    (paramKeys.length >= 2 ? `${paramKeys[0]}:${paramKeys[1]}` : "")
+  )
+    .split(",")
+    .filter(Boolean)
+    .map((pair) => pair.split(":").map((k) => k.trim()));
+  pairs.forEach(([x, y]) => {
+    if (!paramKeys.includes(x) || !paramKeys.includes(y)) {
+      throw new Error(`Heatmap ${x}:${y} uses a parameter outside the search`);
+    }
+  });
+  const heatmaps = pairs.flatMap(([x, y]) =>
+    settings.heatmapMetrics.map((metric) => heatmapGrid(ranked, x, y, metric))
+  );
+
+  console.log(`   Top 5 by ${settings.rankBy}:`);
+  ranked.slice(0, 5).forEach((r) =>
+    console.log(
+      `   └─ ${Object.entries(r.params)
+        .map(([k, v]) => `${k}=${v}`)
+        .join(" ")}: CAGR ${(r.cagr * 100).toFixed(
+        2
+      )}%, Sharpe ${r.sharpeRatio.toFixed(2)}, Max DD ${(
+        r.maxDrawdown * 100
+      ).toFixed(2)}%, ${r.trades} trades`
+    )
+  );
+
+  await generateGridSearchReport({
+    settings,
+    space,
+    ranked,
+    heatmaps,
+    sizing,
+  });
+  return { ranked, heatmaps };
+}
+
+// Heatmap as a Chart.js scatter of square points, one per cell, labelled with its value
+function heatmapChartConfig({ xKey, yKey, metric, xValues, yValues, cells }) {
+  const values = cells.flat().filter((v) => v !== null);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const percent = metric === "cagr" || metric === "maxDrawdown";
+  const format = (v) =>
+    percent
+      ? `${(v * 100).toFixed(1)}%`
+      : v.toFixed(metric === "trades" ? 0 : 2);
+  // Red (worst) -> yellow -> green (best)
+  const colour = (v) => {
+    const t = max > min ? (v - min) / (max - min) : 0.5;
+    const red = Math.round(t < 0.5 ? 230 : 230 - (t - 0.5) * 2 * 180);
+    const green = Math.round(t < 0.5 ? 80 + t * 2 * 150 : 230);
+    return `rgb(${red}, ${green}, 80)`;
+  };
+  const points = [];
+  cells.forEach((row, y) =>
+    row.forEach((v, x) => {
+      if (v !== null) points.push({ x, y, v });
+    })
+  );
+  const cellSize = Math.floor(
+    Math.min(800 / xValues.length, 440 / yValues.length) / 2
+  );
+  const axis = (labels, title) => ({
+    type: "linear",
+    min: -0.5,
+    max: labels.length - 0.5,
+    ticks: { stepSize: 1, callback: (i) => labels[i] ?? "" },
+    grid: { display: false },
+    title: { display: true, text: title },
+  });
+
+  return {
+    type: "scatter",
+    data: {
+      datasets: [
+        {
+          data: points,
+          pointStyle: "rect",
+          pointRadius: cellSize,
+          backgroundColor: points.map((p) => colour(p.v)),
+          borderWidth: 0,
+        },
+      ],
+    },
+    options: {
+      responsive: false,
+      scales: { x: axis(xValues, xKey), y: axis(yValues, yKey) },
+      plugins: {
+        title: {
+          display: true,
+          text: `${metric} by ${xKey} and ${yKey} (best over other parameters)`,
+          font: { size: 18 },
+        },
+        legend: { display: false },
+      },
+    },
+    plugins: [
+      {
+        id: "cellLabels",
+        afterDatasetsDraw: (chart) => {
+          const { ctx } = chart;
+          const meta = chart.getDatasetMeta(0);
+          ctx.save();
+          ctx.font = "11px sans-serif";
+          ctx.fillStyle = "#222";
+          ctx.textAlign = "center";
+          ctx.textBaseline = "middle";
+          meta.data.forEach((element, i) =>
+            ctx.fillText(format(points[i].v), element.x, element.y)
+          );
+          ctx.restore();
+        },
+      },
+    ],
+  };
+}
+
+async function generateGridSearchReport({
+  settings,
+  space,
+  ranked,
+  heatmaps,
+  sizing,
+}) {
+  const spinner = ora("🧾 Generating grid search report...").start();
+  const workbook = new ExcelJS.Workbook();
+  const paramKeys = Object.keys(space);
+  const pct = (v) => Number((v * 100).toFixed(2));
+
+  const runsSheet = workbook.addWorksheet("Runs");
+  runsSheet.addRow([
+    ...paramKeys,
+    "CAGR %",
+    "Sharpe",
+    "Max Drawdown %",
+    "Trades",
+    "Final Equity",
+    "CAGR Rank",
+    "Sharpe Rank",
+    "Drawdown Rank",
+    "Trades Rank",
+  ]);
+  ranked.forEach((r) =>
+    runsSheet.addRow([
+      ...paramKeys.map((k) => r.params[k]),
+      pct(r.cagr),
+      Number(r.sharpeRatio.toFixed(3)),
+      pct(r.maxDrawdown),
+      r.trades,
+      Number(r.finalEquity.toFixed(2)),
+      r.cagrRank,
+      r.sharpeRank,
+      r.maxDrawdownRank,
+      r.tradesRank,
+    ])
+  );
+
+  const settingsSheet = workbook.addWorksheet("Settings");
+  settingsSheet.addRows([
+    ["Setting", "Value"],
+    ["Method", settings.method],
+    ["Runs", ranked.length],
+    ["Seed", settings.method === "random" ? settings.seed : "n/a"],
+    ["Ranked By", settings.rankBy],
+    ["Position Sizing", describeSizing(sizing)],
+    ...paramKeys.map((k) => [k, JSON.stringify(space[k])]),
+  ]);
+
+  const chartDir = `${CONFIG.outputDir}/${settings.chartDir}`;
+  await fs.ensureDir(chartDir);
+  const chartJSNodeCanvas = new ChartJSNodeCanvas({
+    width: 1000,
+    height: 600,
+    backgroundColour: "white",
+  });
+  const heatmapSheet = workbook.addWorksheet("Heatmaps");
+  for (const [i, heatmap] of heatmaps.entries()) {
+    const image = await chartJSNodeCanvas.renderToBuffer(
+      heatmapChartConfig(heatmap)
+    );
+    await fs.writeFile(
+      `${chartDir}/${heatmap.metric}_${heatmap.xKey}_${heatmap.yKey}.png`,
+      image
+    );
+    const imageId = workbook.addImage({ buffer: image, extension: "png" });
+    heatmapSheet.addImage(imageId, {
+      tl: { col: 0, row: i * 32 },
+      ext: { width: 1000, height: 600 },
+    });
+  }
+
+  const excelPath = `${CONFIG.outputDir}/${settings.excelFilename}`;
+  await workbook.xlsx.writeFile(excelPath);
+  spinner.succeed(
+    `✅ Grid search report saved to '${excelPath}' (heatmaps in '${chartDir}').`
+  );
+}
+
+// Research mode: forward returns after every RSI(2) signal, no rules or simulation involved
+async function runResearchMode() {
+  const universes = parseAllocation(CONFIG.universes, await loadUniverses());
+  universes.forEach((u) => console.log(`🌐 ${describeUniverse(u)}`));
+  const { universeData } = await prepareMarketData(universes);
+
+  const spinner = ora(
+    `🔍 Measuring 1-${CONFIG.research.maxHorizon} day forward returns after RSI(2) signals...`
+  ).start();
+  const research = runSignalResearch({
+    universes,
+    universeData,
+    baseSignal: CONFIG.baseSignal,
+    options: { maxHorizon: CONFIG.research.maxHorizon },
+  });
+  const events = research.universes.flatMap((r) => r.events);
+  spinner.succeed(
+    `✅ ${events.filter((e) => e.signal === "oversold").length} oversold and ${
+      events.filter((e) => e.signal === "overbought").length
+    } overbought events measured.`
+  );
 
-      // Extract quotes from chart response
-      const quotes = result.quotes || [];
-      data[ticker] = quotes
-        .map((d) => ({
-          ...d,
-          date: new Date(d.date).toISOString().split("T")[0],
-        }))
-        .sort((a, b) => new Date(a.date) - new Date(b.date));
-    } catch (error) {
-      console.error(`Failed to fetch data for ${ticker}:`, error.message);
-      throw new Error(`Data fetch failed for ${ticker}`);
+  const horizon = CONFIG.research.maxHorizon;
+  for (const result of research.universes) {
+    const lookup = researchLookup(result.distributions);
+    for (const signal of ["oversold", "overbought"]) {
+      const all = lookup(
+        signal,
+        "all",
+        "All",
+        tradedInstrument(result, signal),
+        horizon
+      );
+      if (!all) continue;
+      console.log(
+        `   └─ ${result.universe.key} ${signal} (${
+          all.events
+        } events): ${tradedInstrument(
+          result,
+          signal
+        )} ${horizon}d mean ${formatStudyValue(
+          all.mean,
+          "pct"
+        )}, median ${formatStudyValue(
+          all.median,
+          "pct"
+        )}, win rate ${formatStudyValue(all.winRate, "pct")}`
+      );
     }
   }
-  return data;
+
+  await generateResearchReport(research);
+  return research;
+}
+
+// The leveraged ETF a signal would trade: the bull ETF after oversold, the bear ETF after overbought
+function tradedInstrument({ universe }, signal) {
+  return signal === "oversold" ? universe.long : universe.short;
+}
+
+// (signal, dimension, bucket, instrument, horizon) -> distribution row, or undefined
+function researchLookup(distributions) {
+  const rows = new Map(
+    distributions.map((r) => [
+      `${r.signal}|${r.dimension}|${r.bucket}|${r.instrument}|${r.horizon}`,
+      r,
+    ])
+  );
+  return (signal, dimension, bucket, instrument, horizon) =>
+    rows.get(`${signal}|${dimension}|${bucket}|${instrument}|${horizon}`);
+}
+
+const RESEARCH_COLOURS = [
+  "#007BFF",
+  "#28A745",
+  "#DC3545",
+  "#FD7E14",
+  "#6F42C1",
+];
+
+// Mean forward return by horizon, one line per series: [{ label, rows: [row by horizon] }]
+function researchPathChartConfig(title, series, maxHorizon) {
+  return {
+    type: "line",
+    data: {
+      labels: Array.from({ length: maxHorizon }, (_, h) => `${h + 1}d`),
+      datasets: series.map(({ label, rows }, i) => ({
+        label,
+        data: rows.map((r) => (r && r.mean !== null ? r.mean * 100 : null)),
+        borderColor: RESEARCH_COLOURS[i % RESEARCH_COLOURS.length],
+        borderWidth: 2,
+        pointRadius: 2,
+        fill: false,
+      })),
+    },
+    options: {
+      responsive: true,
+      plugins: { title: { display: true, text: title, font: { size: 18 } } },
+      scales: {
+        y: { title: { display: true, text: "Mean Forward Return (%)" } },
+      },
+    },
+  };
+}
+
+// Charts of one universe and signal: every instrument, then the traded ETF per RSI bucket
+function researchCharts(result, signal, settings) {
+  const lookup = researchLookup(result.distributions);
+  const path = (dimension, bucket, ticker) =>
+    Array.from({ length: settings.maxHorizon }, (_, h) =>
+      lookup(signal, dimension, bucket, ticker, h + 1)
+    );
+  const traded = tradedInstrument(result, signal);
+  const key = result.universe.key;
+  return [
+    {
+      name: `${key}_${signal}_instruments`,
+      config: researchPathChartConfig(
+        `${key} ${signal}: mean forward return by instrument`,
+        result.instruments.map((ticker) => ({
+          label: ticker,
+          rows: path("all", "All", ticker),
+        })),
+        settings.maxHorizon
+      ),
+    },
+    {
+      name: `${key}_${signal}_rsi`,
+      config: researchPathChartConfig(
+        `${key} ${signal}: ${traded} mean forward return by RSI(2) level`,
+        bucketOrder("rsi", signal, settings)
+          .map((bucket) => ({
+            label: `RSI ${bucket}`,
+            rows: path("rsi", bucket, traded),
+          }))
+          .filter((s) => s.rows.some(Boolean)),
+        settings.maxHorizon
+      ),
+    },
+  ];
+}
+
+// rows: [{ label, byHorizon: [distribution row at each report horizon] }]; rows without
+// events are left out
+function generateResearchTableHtml(heading, rows, horizons) {
+  const known = rows.filter((r) => r.byHorizon[0]);
+  if (known.length === 0) return "";
+  return `<table class="summary-table">
+          <tr><th>${heading}</th><th>Events</th>${horizons
+    .map((h) => `<th>Mean ${h}d</th><th>Win ${h}d</th>`)
+    .join("")}</tr>
+          ${known
+            .map(
+              ({ label, byHorizon }) =>
+                `<tr><td>${label.replace(/</g, "&lt;")}</td><td>${
+                  byHorizon[0].events
+                }</td>${byHorizon
+                  .map(
+                    (r) =>
+                      `<td>${formatStudyValue(
+                        r && r.mean,
+                        "pct"
+                      )}</td><td>${formatStudyValue(
+                        r && r.winRate,
+                        "pct"
+                      )}</td>`
+                  )
+                  .join("")}</tr>`
+            )
+            .join("")}
+        </table>`;
+}
+
+async function generateResearchReport(research) {
+  const spinner = ora("🧾 Generating signal research report...").start();
+  const { settings } = research;
+  const { reportHorizons, excelFilename, pdfFilename, chartDir } =
+    CONFIG.research;
+  const horizons = reportHorizons.filter((h) => h <= settings.maxHorizon);
+  const chartPath = `${CONFIG.outputDir}/${chartDir}`;
+  await fs.ensureDir(chartPath);
+  const chartJSNodeCanvas = new ChartJSNodeCanvas({
+    width: 1000,
+    height: 500,
+    backgroundColour: "white",
+  });
+  const workbook = new ExcelJS.Workbook();
+
+  const settingsSheet = workbook.addWorksheet("Settings");
+  settingsSheet.addRows([
+    ["Setting", "Value"],
+    [
+      "Oversold",
+      `RSI(${CONFIG.baseSignal.rsiPeriod}) < ${CONFIG.baseSignal.rsiOversold}`,
+    ],
+    [
+      "Overbought",
+      `RSI(${CONFIG.baseSignal.rsiPeriod}) > ${CONFIG.baseSignal.rsiOverbought}`,
+    ],
+    ["Forward Horizons", `1-${settings.maxHorizon} trading days`],
+    [
+      "RSI Buckets (oversold)",
+      bucketOrder("rsi", "oversold", settings).join(", "),
+    ],
+    [
+      "RSI Buckets (overbought)",
+      bucketOrder("rsi", "overbought", settings).join(", "),
+    ],
+    ["VIX Buckets", bucketOrder("vix", null, settings).join(", ")],
+    ["ADX Buckets", bucketOrder("adx", null, settings).join(", ")],
+    ["Trend Buckets", bucketOrder("trend", null, settings).join(", ")],
+  ]);
+
+  const distributionSheet = workbook.addWorksheet("Distributions");
+  distributionSheet.addRow([
+    "Universe",
+    "Signal",
+    "Dimension",
+    "Bucket",
+    "Instrument",
+    "Horizon (days)",
+    "Events",
+    "Observations",
+    "Mean",
+    "Median",
+    "Std Dev",
+    "Win Rate",
+    ...settings.percentiles.map((p) => `P${p}`),
+  ]);
+  for (const result of research.universes) {
+    result.distributions.forEach((r) =>
+      distributionSheet.addRow([
+        result.universe.key,
+        r.signal,
+        r.dimension,
+        r.bucket,
+        r.instrument,
+        r.horizon,
+        r.events,
+        r.count,
+        r.mean,
+        r.median,
+        r.stdDev,
+        r.winRate,
+        ...settings.percentiles.map((p) => r.percentiles[p]),
+      ])
+    );
+  }
+
+  // One sheet of events per universe, every forward return of every instrument
+  for (const { universe, instruments, events } of research.universes) {
+    const eventSheet = workbook.addWorksheet(`Events ${universe.key}`);
+    eventSheet.addRow([
+      "Date",
+      "Signal",
+      "RSI",
+      "VIX",
+      "ADX",
+      ...DIMENSIONS.filter((d) => d.key !== "all").map((d) => d.label),
+      ...instruments.flatMap((ticker) =>
+        Array.from(
+          { length: settings.maxHorizon },
+          (_, h) => `${ticker} ${h + 1}d`
+        )
+      ),
+    ]);
+    events.forEach((e) =>
+      eventSheet.addRow([
+        e.date,
+        e.signal,
+        e.rsi,
+        e.vix,
+        e.adx,
+        ...DIMENSIONS.filter((d) => d.key !== "all").map(
+          (d) => e.buckets[d.key]
+        ),
+        ...instruments.flatMap((ticker) => e.forward[ticker]),
+      ])
+    );
+  }
+
+  // Charts: PNG files, the Charts sheet and the PDF
+  const chartSheet = workbook.addWorksheet("Charts");
+  const sections = [];
+  let chartIndex = 0;
+  for (const result of research.universes) {
+    for (const signal of ["oversold", "overbought"]) {
+      const signalEvents = result.events.filter((e) => e.signal === signal);
+      if (signalEvents.length === 0) continue;
+      const images = [];
+      for (const { name, config } of researchCharts(result, signal, settings)) {
+        const image = await chartJSNodeCanvas.renderToBuffer(config);
+        await fs.writeFile(`${chartPath}/${name}.png`, image);
+        const imageId = workbook.addImage({ buffer: image, extension: "png" });
+        chartSheet.addImage(imageId, {
+          tl: { col: 0, row: chartIndex++ * 27 },
+          ext: { width: 1000, height: 500 },
+        });
+        images.push(`data:image/png;base64,${image.toString("base64")}`);
+      }
+      sections.push({ result, signal, signalEvents, images });
+    }
+  }
+
+  const excelPath = `${CONFIG.outputDir}/${excelFilename}`;
+  await workbook.xlsx.writeFile(excelPath);
+
+  const browser = await puppeteer.launch({
+    args: ["--no-sandbox", "--disable-setuid-sandbox"],
+    headless: true,
+    executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+  });
+  const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Helvetica, Arial, sans-serif;
+            margin: 40px;
+            color: #333;
+          }
+          h1, h2, h3 {
+            color: #1a237e;
+            border-bottom: 2px solid #3949ab;
+            padding-bottom: 5px;
+          }
+          .page-break { page-break-before: always; }
+          .summary-table {
+            border-collapse: collapse;
+            width: 100%;
+            margin: 20px 0;
+            font-size: 12px;
+          }
+          .summary-table th, .summary-table td {
+            border: 1px solid #ddd;
+            padding: 6px;
+            text-align: left;
+          }
+          .summary-table th { background-color: #e8eaf6; }
+          .chart-container {
+            margin: 20px 0;
+            text-align: center;
+          }
+        </style>
+      </head>
+      <body>
+        <h1>RSI(${CONFIG.baseSignal.rsiPeriod}) Signal Research</h1>
+        <p>Every close of a signal ETF with RSI(${
+          CONFIG.baseSignal.rsiPeriod
+        }) below ${CONFIG.baseSignal.rsiOversold} (oversold) or above ${
+    CONFIG.baseSignal.rsiOverbought
+  } (overbought), and the close-to-close returns of the signal ETF and its leveraged ETFs 1 to ${
+    settings.maxHorizon
+  } trading days later. No strategy rules, filters, exits or costs are applied. Tables show the ETF the signal would trade: the bull ETF after oversold closes, the bear ETF after overbought closes. Win is the share of positive returns.</p>
+        ${sections
+          .map(({ result, signal, signalEvents, images }, i) => {
+            const lookup = researchLookup(result.distributions);
+            const traded = tradedInstrument(result, signal);
+            return `${i > 0 ? '<div class="page-break"></div>' : ""}
+        <h2>${result.universe.key} ${signal}: ${signalEvents.length} events (${
+              signalEvents[0].date
+            } to ${signalEvents[signalEvents.length - 1].date})</h2>
+        ${images
+          .map(
+            (src) => `<div class="chart-container">
+          <img src="${src}" style="width:100%; max-width:1000px;">
+        </div>`
+          )
+          .join("")}
+        <h3>All Instruments</h3>
+        ${generateResearchTableHtml(
+          "Instrument",
+          result.instruments.map((ticker) => ({
+            label: ticker,
+            byHorizon: horizons.map((h) =>
+              lookup(signal, "all", "All", ticker, h)
+            ),
+          })),
+          horizons
+        )}
+        ${DIMENSIONS.filter((d) => d.key !== "all")
+          .map(
+            (d) => `<h3>${traded} by ${d.label}</h3>
+        ${generateResearchTableHtml(
+          d.label,
+          [...bucketOrder(d.key, signal, settings), "n/a"].map((bucket) => ({
+            label: bucket,
+            byHorizon: horizons.map((h) =>
+              lookup(signal, d.key, bucket, traded, h)
+            ),
+          })),
+          horizons
+        )}`
+          )
+          .join("")}`;
+          })
+          .join("")}
+      </body>
+      </html>
+    `;
+  const page = await browser.newPage();
+  await page.setContent(htmlContent, { waitUntil: "networkidle0" });
+  const pdfPath = `${CONFIG.outputDir}/${pdfFilename}`;
+  await page.pdf({
+    path: pdfPath,
+    format: "A4",
+    printBackground: true,
+    margin: { top: "20mm", right: "20mm", bottom: "20mm", left: "20mm" },
+  });
+  await browser.close();
+
+  spinner.succeed(
+    `✅ Signal research saved to '${excelPath}' and '${pdfPath}' (charts in '${chartPath}').`
+  );
+}
+
+async function generateWalkForwardReport(results) {
+  const spinner = ora("🧾 Generating walk-forward report...").start();
+  const {
+    settings,
+    windows,
+    simulationLog,
+    trades,
+    stability,
+    metrics,
+    space,
+    sizing,
+  } = results;
+  const workbook = new ExcelJS.Workbook();
+  const paramKeys = Object.keys(space);
+  const pct = (v) => `${(v * 100).toFixed(2)}%`;
+
+  const summarySheet = workbook.addWorksheet("Summary");
+  summarySheet.addRows([
+    ["Metric", "Value"],
+    [
+      "Windows",
+      `${windows.length} (${settings.anchored ? "anchored" : "rolling"})`,
+    ],
+    ["In-Sample Days", settings.inSampleDays],
+    ["Out-of-Sample Days", settings.outOfSampleDays],
+    ["Objective", settings.objective],
+    [
+      "Parameter Space",
+      paramKeys.map((k) => `${k}: ${space[k].join("/")}`).join("; "),
+    ],
+    ["OOS Final Portfolio Value", `$${metrics.finalEquity.toLocaleString()}`],
+    ["OOS CAGR", pct(metrics.cagr)],
+    ["OOS Maximum Drawdown", pct(metrics.maxDrawdown)],
+    ["OOS Sharpe Ratio", metrics.sharpeRatio.toFixed(2)],
+    ["OOS Average Exposure", pct(metrics.exposure)],
+    ["Position Sizing", sizingSummary(sizing, trades)],
+  ]);
+
+  const windowSheet = workbook.addWorksheet("Windows");
+  windowSheet.addRow([
+    "Window",
+    "In-Sample",
+    "Out-of-Sample",
+    ...paramKeys,
+    `IS ${settings.objective}`,
+    "IS CAGR",
+    "OOS Return",
+    "OOS CAGR",
+    "OOS Max DD",
+    "OOS Sharpe",
+    "OOS Trades",
+  ]);
+  windows.forEach((w) =>
+    windowSheet.addRow([
+      w.index,
+      `${w.inSampleStart} → ${w.inSampleEnd}`,
+      `${w.outOfSampleStart} → ${w.outOfSampleEnd}`,
+      ...paramKeys.map((k) => w.params[k]),
+      w.eligible ? Number(w.inSampleScore.toFixed(4)) : "n/a",
+      pct(w.inSampleMetrics.cagr),
+      pct(w.outOfSampleReturn),
+      pct(w.outOfSampleMetrics.cagr),
+      pct(w.outOfSampleMetrics.maxDrawdown),
+      w.outOfSampleMetrics.sharpeRatio.toFixed(2),
+      w.outOfSampleTrades,
+    ])
+  );
+
+  const stabilitySheet = workbook.addWorksheet("Stability");
+  stabilitySheet.addRow([
+    "Parameter",
+    "Mean",
+    "Std Dev",
+    "Coeff. of Variation",
+    "Changes",
+    "Most Common",
+    "Share of Windows",
+    "Values by Window",
+  ]);
+  stability.forEach((p) =>
+    stabilitySheet.addRow([
+      p.parameter,
+      Number(p.mean.toFixed(4)),
+      Number(p.stdDev.toFixed(4)),
+      p.cv === null ? "n/a" : Number(p.cv.toFixed(3)),
+      p.changes,
+      p.mostCommon,
+      `${(p.mostCommonShare * 100).toFixed(0)}%`,
+      p.values.join(", "),
+    ])
+  );
+
+  const equitySheet = workbook.addWorksheet("EquityCurve");
+  equitySheet.columns = [
+    { header: "Date", key: "date", width: 15 },
+    { header: "OOS Equity", key: "equity", width: 20 },
+    { header: "Window", key: "window", width: 10 },
+    { header: "Positions", key: "position", width: 30 },
+  ];
+  let w = 0;
+  simulationLog.forEach((day) => {
+    while (w < windows.length - 1 && day.date > windows[w].outOfSampleEnd) w++;
+    equitySheet.addRow({
+      date: day.date,
+      equity: day.equity,
+      window: windows[w].index,
+      position: day.position,
+    });
+  });
+
+  const excelPath = `${CONFIG.outputDir}/${settings.excelFilename}`;
+  const jsonPath = `${CONFIG.outputDir}/${settings.jsonFilename}`;
+  await workbook.xlsx.writeFile(excelPath);
+  await fs.writeJson(
+    jsonPath,
+    {
+      settings,
+      space,
+      metrics: { ...metrics, drawdowns: undefined },
+      windows,
+      stability,
+    },
+    { spaces: 2 }
+  );
+  spinner.succeed(
+    `✅ Walk-forward report saved to '${excelPath}' and '${jsonPath}'.`
+  );
+}
+
+async function fetchData(tickers, startDate, endDate) {
+  const provider = withBarCache(
+    createMarketDataProvider({
+      provider: CONFIG.dataProvider,
+      dataDir: CONFIG.marketDataDir,
+    }),
+    { mode: CONFIG.dataCache, cacheDir: CONFIG.dataCacheDir }
+  );
+  return fetchBarsForTickers(provider, tickers, {
+    startDate,
+    endDate,
+    interval: "1d",
+  });
 }
 
 function alignData(dataByTicker) {
@@ -364,19 +1700,11 @@ function alignData(dataByTicker) {
   return alignedData;
 }
 
-function transpose(data) {
-  return data.reduce((acc, curr) => {
-    for (const key in curr) {
-      if (!acc[key]) acc[key] = [];
-      acc[key].push(curr[key]);
-    }
-    return acc;
-  }, {});
-}
-
-function calculateIndicators(alignedData) {
+function calculateIndicators(alignedData, specs, universe) {
   const spinner = ora(
-    "📊 Calculating full suite of indicators (SMA, RSI, ADX)..."
+    `📊 Calculating ${specs.length} ${universe.key} indicators (${[
+      ...new Set(specs.map((s) => s.indicator)),
+    ].join(", ")})...`
   ).start();
 
   if (alignedData.length === 0) {
@@ -384,63 +1712,48 @@ function calculateIndicators(alignedData) {
     throw new Error("No aligned data available");
   }
 
-  const qqqData = alignedData.map((d) => d[CONFIG.signalEtf]);
-
-  const qqqCloses = qqqData.map((d) => d.close);
-
   // Add validation for minimum data requirements
-  if (qqqCloses.length < 200) {
+  if (alignedData.length < 200) {
     spinner.fail(
-      `❌ Insufficient data: ${qqqCloses.length} days, need at least 200.`
+      `❌ Insufficient data: ${alignedData.length} days, need at least 200.`
     );
     throw new Error("Insufficient historical data for indicators");
   }
 
-  const rsi = RSI.calculate({
-    period: CONFIG.baseSignal.rsiPeriod,
-    values: qqqCloses,
-  });
-  const sma50 = SMA.calculate({ period: 50, values: qqqCloses });
-  const sma200 = SMA.calculate({ period: 200, values: qqqCloses });
-  const adx = ADX.calculate({
-    period: 14,
-    ...transpose(
-      qqqData.map((d) => ({ high: d.high, low: d.low, close: d.close }))
-    ),
-  });
-
-  const longestLookback = 200;
-
-  const dataWithIndicators = alignedData
-    .slice(longestLookback)
-    .map((day, i) => {
-      const baseIndex = i + longestLookback;
-      const rsiIndex = baseIndex - CONFIG.baseSignal.rsiPeriod;
-      const sma50Index = baseIndex - 50;
-      const adxIndex = baseIndex - 14 * 2 + 1;
-
+  const { rows, columns } = runIndicatorPipeline(alignedData, specs);
+  const previousBar = new Map(
+    alignedData.map((day, i) => [
+      day.date,
+      i > 0 ? alignedData[i - 1][universe.signal] : null,
+    ])
+  );
+  // Regime states (regime.js) are classified bar by bar, so each only uses earlier bars
+  const dataWithIndicators = withRegimes(
+    rows.map((day) => {
+      const prev = previousBar.get(day.date);
       return {
         ...day,
-        qqqClose: day[CONFIG.signalEtf].close,
-        vixClose: day[CONFIG.volatilityTicker].close,
-        rsi: rsiIndex >= 0 && rsiIndex < rsi.length ? rsi[rsiIndex] : null,
-        sma50:
-          sma50Index >= 0 && sma50Index < sma50.length
-            ? sma50[sma50Index]
-            : null,
-        sma200: i < sma200.length ? sma200[i] : null,
-        adx: adxIndex >= 0 && adxIndex < adx.length ? adx[adxIndex]?.adx : null,
+        qqqClose: day[universe.signal].close, // signal ETF close, as strategy_engine.js expects
+        vixClose: day[universe.volatility].close,
+        volume: day[universe.signal].volume,
+        prevQqqHigh: prev ? prev.high : null, // for exit_rules.js prior high/low exits
+        prevQqqLow: prev ? prev.low : null,
       };
     })
-    .filter((d) => d.rsi !== null && d.sma50 !== null && d.adx !== null);
+  );
 
   spinner.succeed(
     `✅ Indicators calculated for ${dataWithIndicators.length} days.`
   );
-  return dataWithIndicators;
+  return { dataWithIndicators, indicatorColumns: columns };
 }
 
-async function analyzePerformanceWithAI(trades, metrics, justification) {
+async function analyzePerformanceWithAI(
+  trades,
+  metrics,
+  justification,
+  universeResults = []
+) {
   if (trades.length === 0)
     return "No trades were made. The AI-generated heuristics may have been too strict.";
   const spinner = ora(
@@ -453,6 +1766,16 @@ async function analyzePerformanceWithAI(trades, metrics, justification) {
 - CAGR: ${(metrics.cagr * 100).toFixed(2)}%
 - Max Drawdown: ${(metrics.maxDrawdown * 100).toFixed(2)}%
 - Total Trades: ${trades.length}
+${universeResults
+  .map(
+    (r) =>
+      `- ${r.universe.key} (${r.universe.signal} -> ${r.universe.long}/${
+        r.universe.short
+      }, ${(r.universe.weight * 100).toFixed(1)}% of capital): CAGR ${(
+        r.metrics.cagr * 100
+      ).toFixed(2)}%, Max Drawdown ${(r.metrics.maxDrawdown * 100).toFixed(2)}%`
+  )
+  .join("\n")}
 **Your Task:**
 1.  **Critique the Performance:** Based on the results, did the AI's heuristics lead to a viable strategy?
 2.  **Critique the Heuristics:** Was the AI's justification for its rules validated by the results? Suggest one specific modification to the JSON heuristics that might improve performance.
@@ -463,7 +1786,7 @@ async function analyzePerformanceWithAI(trades, metrics, justification) {
       messages: [{ role: "user", content: prompt }],
       model: CONFIG.aiModelName_Analysis,
     });
-    spinner.succeed("✅ AI analysis received.");
+    spinner.succeed(`✅ AI analysis received${aiSourceNote(completion)}.`);
     return completion.choices[0]?.message?.content || "No analysis returned.";
   } catch (error) {
     spinner.fail("❌ AI analysis failed.");
@@ -472,62 +1795,30 @@ async function analyzePerformanceWithAI(trades, metrics, justification) {
   }
 }
 
-function calculateMetrics(simulationLog, trades, initialCapital, riskFreeRate) {
-  if (simulationLog.length < 2)
-    return {
-      finalEquity: initialCapital,
-      cagr: 0,
-      maxDrawdown: 0,
-      sharpeRatio: 0,
-      sortinoRatio: 0,
-      calmarRatio: 0,
-      drawdowns: [],
-    };
-  const dailyReturns = [];
-  for (let i = 1; i < simulationLog.length; i++) {
-    dailyReturns.push(
-      simulationLog[i].equity / simulationLog[i - 1].equity - 1
-    );
-  }
-
-  const meanReturn =
-    dailyReturns.reduce((a, b) => a + b, 0) / dailyReturns.length;
-  const stdDev = Math.sqrt(
-    dailyReturns
-      .map((r) => Math.pow(r - meanReturn, 2))
-      .reduce((a, b) => a + b, 0) / dailyReturns.length
-  );
-  const annualisedStdDev = stdDev * Math.sqrt(252);
-  const sharpeRatio =
-    annualisedStdDev > 0
-      ? (meanReturn * 252 - riskFreeRate) / annualisedStdDev
-      : 0;
-
-  let peakEquity = initialCapital;
-  let maxDrawdown = 0;
-  const drawdowns = simulationLog.map((day) => {
-    peakEquity = Math.max(peakEquity, day.equity);
-    const drawdown = (day.equity - peakEquity) / peakEquity;
-    maxDrawdown = Math.min(maxDrawdown, drawdown);
-    return { date: day.date, equity: day.equity, peakEquity, drawdown };
-  });
-
-  const finalEquity = simulationLog[simulationLog.length - 1].equity;
-  const years =
-    (new Date(simulationLog[simulationLog.length - 1].date) -
-      new Date(simulationLog[0].date)) /
-    31536000000;
-  const cagr =
-    years > 0 ? Math.pow(finalEquity / initialCapital, 1 / years) - 1 : 0;
-
-  return { finalEquity, cagr, maxDrawdown, sharpeRatio, drawdowns };
-}
-
-async function generateAdvancedPdfReport(results) {
+async function generateAdvancedPdfReport(
+  results,
+  pdfPath = `${CONFIG.outputDir}/${CONFIG.pdfFilename}`
+) {
   const spinner = ora(
     "📑 Generating Advanced PDF Report with Charts..."
   ).start();
-  const { metrics, simulationLog, aiAnalysisReport, trades = [] } = results;
+  const {
+    metrics,
+    simulationLog,
+    aiAnalysisReport,
+    trades = [],
+    adjustments = [],
+    qualityReport = null,
+    syntheticReports = [],
+    indicatorSets = [],
+    universeResults = [],
+    execution = null,
+    sizing = null,
+    monteCarlo = null,
+    benchmarks = [],
+    filterStudy = null,
+    regimes = [],
+  } = results;
 
   try {
     const width = 1000,
@@ -553,6 +1844,14 @@ async function generateAdvancedPdfReport(results) {
             tension: 0.1,
             fill: true,
           },
+          ...benchmarks.map((b) => ({
+            label: b.label,
+            data: b.simulationLog.map((d) => d.equity),
+            borderColor: BENCHMARK_COLOURS[b.key],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+          })),
         ],
       },
       options: {
@@ -592,6 +1891,14 @@ async function generateAdvancedPdfReport(results) {
             borderWidth: 1,
             fill: true,
           },
+          ...benchmarks.map((b) => ({
+            label: b.label,
+            data: b.metrics.drawdowns.map((d) => d.drawdown),
+            borderColor: BENCHMARK_COLOURS[b.key],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+          })),
         ],
       },
       options: {
@@ -615,6 +1922,41 @@ async function generateAdvancedPdfReport(results) {
       },
     };
 
+    // Create rolling one-year Sharpe chart
+    const rollingSharpeConfig = {
+      type: "line",
+      data: {
+        labels: metrics.rollingSharpe.map((d) => d.date),
+        datasets: [
+          {
+            label: "Rolling 1Y Sharpe",
+            data: metrics.rollingSharpe.map((d) => d.sharpe),
+            borderColor: "#6F42C1",
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false,
+          },
+        ],
+      },
+      options: {
+        responsive: true,
+        scales: {
+          x: {
+            type: "category",
+            ticks: { autoSkip: true, maxTicksLimit: 20 },
+          },
+        },
+        plugins: {
+          title: {
+            display: true,
+            text: "Rolling 1-Year Sharpe Ratio",
+            font: { size: 18 },
+          },
+          legend: { display: false },
+        },
+      },
+    };
+
     // Generate chart images
     const equityCurveImage = await chartJSNodeCanvas.renderToBuffer(
       equityCurveConfig
@@ -630,6 +1972,34 @@ async function generateAdvancedPdfReport(results) {
     const drawdownBase64 = `data:image/png;base64,${drawdownImage.toString(
       "base64"
     )}`;
+    const rollingSharpeBase64 = metrics.rollingSharpe.length
+      ? `data:image/png;base64,${(
+          await chartJSNodeCanvas.renderToBuffer(rollingSharpeConfig)
+        ).toString("base64")}`
+      : null;
+
+    // Monte Carlo distributions of the block-bootstrapped daily returns
+    const monteCarloImages = [];
+    if (monteCarlo?.blockBootstrap) {
+      const { histograms } = monteCarlo.blockBootstrap;
+      for (const config of [
+        monteCarloHistogramConfig(
+          histograms.finalEquity,
+          "Final Equity Distribution",
+          (v) => `$${(v / 1000).toFixed(0)}k`
+        ),
+        monteCarloHistogramConfig(
+          histograms.maxDrawdown,
+          "Max Drawdown Distribution",
+          (v) => `${(v * 100).toFixed(1)}%`
+        ),
+      ]) {
+        const image = await chartJSNodeCanvas.renderToBuffer(config);
+        monteCarloImages.push(
+          `data:image/png;base64,${image.toString("base64")}`
+        );
+      }
+    }
 
     // Generate monthly returns heatmap data
     const monthlyReturns = calculateMonthlyReturns(simulationLog);
@@ -751,6 +2121,15 @@ async function generateAdvancedPdfReport(results) {
             <td>Sharpe Ratio</td>
             <td>${metrics.sharpeRatio.toFixed(2)}</td>
           </tr>
+          ${metricsSuiteRows(metrics)
+            .map(
+              ([label, value]) => `
+          <tr>
+            <td>${label}</td>
+            <td>${value}</td>
+          </tr>`
+            )
+            .join("")}
           <tr>
             <td>Win Rate</td>
             <td>${tradeAnalysis.winRate.toFixed(2)}%</td>
@@ -759,12 +2138,96 @@ async function generateAdvancedPdfReport(results) {
             <td>Profit/Loss Ratio</td>
             <td>${tradeAnalysis.profitLossRatio.toFixed(2)}</td>
           </tr>
+          <tr>
+            <td>Commissions / Slippage</td>
+            <td>$${tradeAnalysis.totalFees.toFixed(
+              2
+            )} / $${tradeAnalysis.totalSlippage.toFixed(2)}</td>
+          </tr>
         </table>
+        ${execution ? `<p>Execution: ${describeExecution(execution)}</p>` : ""}
+        ${
+          sizing
+            ? `<p>Position sizing: ${sizingSummary(
+                sizing,
+                trades
+              )}; average exposure ${(metrics.exposure * 100).toFixed(1)}%</p>`
+            : ""
+        }
 
         <div class="chart-container">
           <img src="${equityCurveBase64}" style="width:100%; max-width:1000px;">
         </div>
 
+        ${generateBenchmarkTableHtml(metrics, benchmarks)}
+
+        ${generateUniverseTableHtml(universeResults)}
+        ${generateExitTableHtml(tradeAnalysis.tradeDetails)}
+
+        <h3>Price Adjustments (${CONFIG.priceAdjustment})</h3>
+        <table class="summary-table">
+          <tr>
+            <th>Ticker</th>
+            <th>Method</th>
+            <th>Splits Detected</th>
+            <th>Unresolved</th>
+          </tr>
+          ${adjustments
+            .map(
+              (a) => `
+          <tr>
+            <td>${a.ticker}</td>
+            <td>${a.method}${
+                a.dividendAdjusted ? " (incl. dividends)" : ""
+              }</td>
+            <td>${
+              a.splits.map((sp) => `${sp.label} ${sp.date}`).join(", ") || "-"
+            }</td>
+            <td>${
+              a.unresolvedSplits
+                .map((sp) => `${sp.label} ${sp.date}`)
+                .join(", ") || "-"
+            }</td>
+          </tr>
+          `
+            )
+            .join("")}
+        </table>
+
+        ${qualityReport ? generateQualityReportHtml(qualityReport) : ""}
+
+        ${
+          syntheticReports.length
+            ? `<h3>Synthetic Leveraged History</h3>
+        <p>Pre-inception bars are modelled from the signal ETF's daily returns and spliced onto the real series.</p>
+        <table class="summary-table">
+          <tr><th>Ticker</th><th>Synthetic From</th><th>Real From</th><th>Correlation</th><th>Tracking Error</th><th>CAGR Synth / Real</th></tr>
+          ${syntheticReports
+            .map((r) => {
+              const v = r.validation;
+              return `<tr><td>${r.ticker} (${r.leverage}x ${
+                r.signalTicker
+              })</td><td>${r.syntheticFrom || "-"}</td><td>${
+                r.realFrom || "-"
+              }</td><td>${
+                v.sufficient ? v.correlation.toFixed(3) : "n/a"
+              }</td><td>${
+                v.sufficient ? `${(v.trackingError * 100).toFixed(2)}%` : "n/a"
+              }</td><td>${
+                v.sufficient
+                  ? `${(v.syntheticCagr * 100).toFixed(2)}% / ${(
+                      v.realCagr * 100
+                    ).toFixed(2)}%`
+                  : "n/a"
+              }</td></tr>`;
+            })
+            .join("")}
+        </table>`
+            : ""
+        }
+
+        ${indicatorSets.map(generateIndicatorTableHtml).join("")}
+
         <div class="page-break"></div>
         <h2>Detailed Analysis</h2>
         ${heatmapHtml}
@@ -772,6 +2235,13 @@ async function generateAdvancedPdfReport(results) {
         <div class="chart-container">
           <img src="${drawdownBase64}" style="width:100%; max-width:1000px;">
         </div>
+        ${
+          rollingSharpeBase64
+            ? `<div class="chart-container">
+          <img src="${rollingSharpeBase64}" style="width:100%; max-width:1000px;">
+        </div>`
+            : ""
+        }
 
         <div class="page-break"></div>
         <h2>Trade Analysis</h2>
@@ -827,6 +2297,37 @@ async function generateAdvancedPdfReport(results) {
             .join("")}
         </table>
 
+        ${
+          monteCarlo
+            ? `<div class="page-break"></div>
+        <h2>Monte Carlo Robustness</h2>
+        ${generateMonteCarloHtml(monteCarlo)}
+        ${monteCarloImages
+          .map(
+            (src) => `<div class="chart-container">
+          <img src="${src}" style="width:100%; max-width:1000px;">
+        </div>`
+          )
+          .join("")}`
+            : ""
+        }
+
+        ${
+          filterStudy
+            ? `<div class="page-break"></div>
+        <h2>Entry Filter Study</h2>
+        ${generateFilterStudyHtml(filterStudy)}`
+            : ""
+        }
+
+        ${
+          regimes.length
+            ? `<div class="page-break"></div>
+        <h2>Performance by Market Regime</h2>
+        ${generateRegimeHtml(regimes)}`
+            : ""
+        }
+
         <div class="page-break"></div>
         <h2>AI Analysis</h2>
         <pre style="white-space: pre-wrap; font-size: 14px; line-height: 1.6;">
@@ -840,16 +2341,14 @@ ${aiAnalysisReport}
     const page = await browser.newPage();
     await page.setContent(htmlContent, { waitUntil: "networkidle0" });
     await page.pdf({
-      path: `${CONFIG.outputDir}/${CONFIG.pdfFilename}`,
+      path: pdfPath,
       format: "A4",
       printBackground: true,
       margin: { top: "20mm", right: "20mm", bottom: "20mm", left: "20mm" },
     });
     await browser.close();
 
-    spinner.succeed(
-      `✅ Enhanced PDF report saved to '${CONFIG.outputDir}/${CONFIG.pdfFilename}'`
-    );
+    spinner.succeed(`✅ Enhanced PDF report saved to '${pdfPath}'`);
   } catch (error) {
     spinner.fail("❌ PDF generation failed.");
     console.error("PDF Generation Error:", error.message);
@@ -857,26 +2356,47 @@ ${aiAnalysisReport}
   }
 }
 
-async function generateExcelReport(results) {
+async function generateExcelReport(
+  results,
+  filePath = `${CONFIG.outputDir}/${CONFIG.excelFilename}`
+) {
   const spinner = ora("🧾 Generating Excel report...").start();
-  const { simulationLog, trades, metrics } = results;
+  const {
+    simulationLog,
+    trades,
+    metrics,
+    adjustments = [],
+    qualityReport = null,
+    syntheticReports = [],
+    indicatorSets = [],
+    universeResults = [],
+    execution = null,
+    sizing = null,
+    monteCarlo = null,
+    benchmarks = [],
+    filterStudy = null,
+    regimes = [],
+  } = results;
   const workbook = new ExcelJS.Workbook();
 
   // Tab 1: EquityCurve
   const equityCurveSheet = workbook.addWorksheet("EquityCurve");
-  const benchmarkData = calculateBenchmarkData(simulationLog);
 
   equityCurveSheet.columns = [
     { header: "Date", key: "date", width: 12 },
     { header: "Sys-Mantis Strategy", key: "equity", width: 15 },
-    { header: "QQQ Buy and Hold", key: "qqq", width: 15 },
+    ...benchmarks.map((b) => ({ header: b.label, key: b.key, width: 15 })),
+    { header: "Positions", key: "position", width: 30 },
   ];
 
   simulationLog.forEach((day, i) => {
     equityCurveSheet.addRow({
       date: day.date,
       equity: day.equity,
-      qqq: benchmarkData[i].qqqValue,
+      ...Object.fromEntries(
+        benchmarks.map((b) => [b.key, b.simulationLog[i].equity])
+      ),
+      position: day.position,
     });
   });
 
@@ -935,6 +2455,7 @@ async function generateExcelReport(results) {
 
   // Detailed trades table
   tradesSheet.addRow([
+    "Universe",
     "Symbol",
     "Start Date",
     "End Date",
@@ -942,14 +2463,17 @@ async function generateExcelReport(results) {
     "Buy Price",
     "Sell Price",
     "Share Size",
+    "Position Size",
     "Profit ($)",
     "Profit %",
     "Buy Info",
     "Sell Info",
+    "Exit Rule",
   ]);
 
   tradeAnalysis.tradeDetails.forEach((trade) => {
     tradesSheet.addRow([
+      trade.universe,
       trade.symbol,
       trade.startDate,
       trade.endDate,
@@ -957,10 +2481,14 @@ async function generateExcelReport(results) {
       trade.buyPrice.toFixed(2),
       trade.sellPrice.toFixed(2),
       trade.shares.toFixed(2),
+      isNum(trade.sizeFraction)
+        ? `${(trade.sizeFraction * 100).toFixed(1)}%`
+        : "",
       trade.profit.toFixed(2),
       `${trade.profitPercent.toFixed(2)}%`,
       trade.buyInfo,
       trade.sellInfo,
+      trade.exitRule || "",
     ]);
   });
 
@@ -979,6 +2507,7 @@ async function generateExcelReport(results) {
     ["CAGR", `${(metrics.cagr * 100).toFixed(2)}%`],
     ["Maximum Drawdown", `${(metrics.maxDrawdown * 100).toFixed(2)}%`],
     ["Sharpe Ratio", metrics.sharpeRatio.toFixed(2)],
+    ...metricsSuiteRows(metrics),
     ["Win Rate", `${tradeAnalysis.winRate.toFixed(2)}%`],
     ["Average Winning Trade", `$${tradeAnalysis.avgWinning.toFixed(2)}`],
     [
@@ -986,9 +2515,289 @@ async function generateExcelReport(results) {
       `$${Math.abs(tradeAnalysis.avgLosing).toFixed(2)}`,
     ],
     ["Profit/Loss Ratio", tradeAnalysis.profitLossRatio.toFixed(2)],
+    ["Execution", execution ? describeExecution(execution) : "n/a"],
+    ["Position Sizing", sizing ? sizingSummary(sizing, trades) : "n/a"],
+    ["Commissions", `$${tradeAnalysis.totalFees.toFixed(2)}`],
+    ["Slippage", `$${tradeAnalysis.totalSlippage.toFixed(2)}`],
   ]);
 
-  const filePath = `${CONFIG.outputDir}/${CONFIG.excelFilename}`;
+  // Tab 5: Price Adjustments
+  const adjustmentSheet = workbook.addWorksheet("PriceAdjustments");
+  adjustmentSheet.columns = [
+    { header: "Ticker", key: "ticker", width: 10 },
+    { header: "Mode", key: "mode", width: 14 },
+    { header: "Method", key: "method", width: 12 },
+    { header: "Dividends Adjusted", key: "dividendAdjusted", width: 18 },
+    { header: "Splits Detected", key: "splits", width: 40 },
+    { header: "Unresolved Splits", key: "unresolved", width: 40 },
+  ];
+  adjustments.forEach((a) => {
+    adjustmentSheet.addRow({
+      ticker: a.ticker,
+      mode: a.mode,
+      method: a.method,
+      dividendAdjusted: a.dividendAdjusted ? "Yes" : "No",
+      splits: a.splits.map((sp) => `${sp.label} ${sp.date}`).join(", "),
+      unresolved: a.unresolvedSplits
+        .map((sp) => `${sp.label} ${sp.date}`)
+        .join(", "),
+    });
+  });
+
+  // Tab 6: Data Quality
+  if (qualityReport) {
+    const qualitySheet = workbook.addWorksheet("DataQuality");
+    qualitySheet.addRows([
+      ["Status", qualityReport.status],
+      ["Mode", qualityReport.mode],
+      ["Total Issues", qualityReport.totalIssues],
+      ["Repaired Issues", qualityReport.repairedIssues],
+      [],
+      ["Ticker", "Bars", "First Date", "Last Date", "Issues", "Repaired"],
+      ...Object.entries(qualityReport.tickers).map(([ticker, info]) => [
+        ticker,
+        info.bars,
+        info.firstDate,
+        info.lastDate,
+        Object.entries(info.issueCounts)
+          .map(([type, n]) => `${type}=${n}`)
+          .join(", "),
+        info.repaired,
+      ]),
+      [],
+      ["Ticker", "Date", "Type", "Severity", "Detail", "Repaired"],
+      ...qualityReport.issues.map((i) => [
+        i.ticker,
+        i.date,
+        i.type,
+        i.severity,
+        i.detail,
+        i.repaired ? "Yes" : "No",
+      ]),
+    ]);
+  }
+
+  // Tab 7: Synthetic History
+  if (syntheticReports.length) {
+    const syntheticSheet = workbook.addWorksheet("SyntheticHistory");
+    syntheticSheet.addRows([
+      [
+        "Ticker",
+        "Leverage",
+        "Expense Ratio",
+        "Financing Spread",
+        "Synthetic Bars",
+        "Synthetic From",
+        "Real From",
+        "Overlap Days",
+        "Correlation",
+        "Beta",
+        "Tracking Error",
+        "Synthetic CAGR",
+        "Real CAGR",
+      ],
+      ...syntheticReports.map((r) => {
+        const v = r.validation;
+        return [
+          r.ticker,
+          r.leverage,
+          r.expenseRatio,
+          r.financingSpread,
+          r.syntheticBars,
+          r.syntheticFrom,
+          r.realFrom,
+          v.overlapDays,
+          v.sufficient ? v.correlation : "",
+          v.sufficient ? v.beta : "",
+          v.sufficient ? v.trackingError : "",
+          v.sufficient ? v.syntheticCagr : "",
+          v.sufficient ? v.realCagr : "",
+        ];
+      }),
+    ]);
+  }
+
+  // Tab 8: Indicators (every pipeline output per day, one sheet per universe)
+  indicatorSets.forEach(({ universe, columns, data }) => {
+    if (!columns.length) return;
+    const indicatorSheet = workbook.addWorksheet(
+      indicatorSets.length > 1 ? `Indicators ${universe}` : "Indicators"
+    );
+    indicatorSheet.addRows([
+      ["Date", ...columns.map((c) => c.key), "regime"],
+      ...data.map((day) => [
+        day.date,
+        ...columns.map((c) => day[c.key] ?? null),
+        day.regime ?? null,
+      ]),
+    ]);
+  });
+
+  // Tab 9: Universes (allocation and standalone performance of each sleeve)
+  if (universeResults.length) {
+    const universeSheet = workbook.addWorksheet("Universes");
+    universeSheet.addRows([
+      [
+        "Universe",
+        "Signal",
+        "Long",
+        "Short",
+        "Safe",
+        "Volatility",
+        "Weight",
+        "Start Capital",
+        "Final Equity",
+        "CAGR",
+        "Max Drawdown",
+        "Sharpe Ratio",
+        "Trades",
+      ],
+      ...universeResults.map(({ universe, capital, metrics: m, trades: t }) => [
+        universe.key,
+        universe.signal,
+        universe.long,
+        universe.short,
+        universe.safe,
+        universe.volatility,
+        universe.weight,
+        capital,
+        m.finalEquity,
+        m.cagr,
+        m.maxDrawdown,
+        m.sharpeRatio,
+        t.length,
+      ]),
+    ]);
+  }
+
+  // Tab 10: Benchmarks (the strategy and every benchmark side by side)
+  if (benchmarks.length) {
+    const benchmarkSheet = workbook.addWorksheet("Benchmarks");
+    benchmarkSheet.addRows([
+      ["Portfolio", ...BENCHMARK_METRICS.map(([label]) => label)],
+      ...[{ label: "Sys-Mantis Strategy", metrics }, ...benchmarks].map(
+        ({ label, metrics: m }) => [
+          label,
+          ...BENCHMARK_METRICS.map(([, key]) => m[key]),
+        ]
+      ),
+    ]);
+  }
+
+  // Tab 11: MonteCarlo (distribution of each statistic under both resampling methods)
+  if (monteCarlo) {
+    const { settings } = monteCarlo;
+    const monteCarloSheet = workbook.addWorksheet("MonteCarlo");
+    monteCarloSheet.addRows([
+      ["Simulations", settings.simulations],
+      ["Seed", settings.seed],
+      ["Block Size (days)", settings.blockSize],
+      ["Ruin Drawdown", -settings.ruinDrawdown],
+      [],
+      [
+        "Method",
+        "Statistic",
+        "Mean",
+        ...settings.percentiles.map((p) => `P${p}`),
+      ],
+    ]);
+    for (const [method, summary] of monteCarloMethods(monteCarlo)) {
+      for (const [statistic, key] of MONTE_CARLO_STATISTICS) {
+        monteCarloSheet.addRow([
+          method,
+          monteCarloLabel(statistic, key, summary),
+          summary[key].mean,
+          ...settings.percentiles.map((p) => summary[key].percentiles[p]),
+        ]);
+      }
+      monteCarloSheet.addRow([method, "Risk of Ruin", summary.riskOfRuin]);
+      monteCarloSheet.addRow([
+        method,
+        "Probability of Loss",
+        summary.probabilityOfLoss,
+      ]);
+    }
+  }
+
+  if (filterStudy) {
+    const { filters, horizons, signals, statistics } = filterStudy;
+
+    // Tab 12: FilterAblation (backtest per filter variant, then forward returns by filter)
+    const ablationSheet = workbook.addWorksheet("FilterAblation");
+    ablationSheet.addRows([
+      ["Variant", ...ABLATION_COLUMNS.map(([label]) => label)],
+      ...ablationRows(filterStudy).map((row) => [
+        row.label,
+        ...ABLATION_COLUMNS.map(([, key]) => row[key]),
+      ]),
+      [],
+      [
+        "Test",
+        "Signals",
+        "Pass Rate",
+        ...horizons.flatMap((h) => [`Passed ${h}d`, `Failed ${h}d`]),
+      ],
+      ...statistics.map((row) => [
+        row.label,
+        row.count,
+        row.passRate,
+        ...horizons.flatMap((h) => [row.passed[h], row.failed[h]]),
+      ]),
+    ]);
+
+    // Tab 13: Signals (every raw RSI(2) signal, taken or not)
+    const signalSheet = workbook.addWorksheet("Signals");
+    signalSheet.addRow([
+      "Universe",
+      "Date",
+      "Signal",
+      "Side",
+      "RSI",
+      "Target",
+      ...filters.map((f) => f.label),
+      "Checks Passed",
+      "Status",
+      "Failed Checks",
+      ...horizons.map((h) => `Forward ${h}d`),
+    ]);
+    signals.forEach((s) =>
+      signalSheet.addRow([
+        s.universe,
+        s.date,
+        s.signal,
+        s.side,
+        s.rsi,
+        s.target,
+        ...filters.map((f) =>
+          s.filters[f.key] === null ? "" : s.filters[f.key] ? "PASS" : "FAIL"
+        ),
+        `${s.passedChecks}/${s.enabledChecks}`,
+        s.status,
+        s.failedChecks.join(", "),
+        ...horizons.map((h) => s.forwardReturns[h]),
+      ])
+    );
+  }
+
+  // Tab 14: Regimes (each universe's performance split by market regime)
+  if (regimes.length) {
+    const regimeSheet = workbook.addWorksheet("Regimes");
+    regimeSheet.addRows([
+      [
+        "Universe",
+        "Dimension",
+        "State",
+        ...REGIME_COLUMNS.map(([label]) => label),
+      ],
+      ...regimes.map((row) => [
+        row.universe,
+        row.dimensionLabel,
+        row.state,
+        ...REGIME_COLUMNS.map(([, key]) => row[key]),
+      ]),
+    ]);
+  }
+
   await workbook.xlsx.writeFile(filePath);
   spinner.succeed(`✅ Excel report saved to '${filePath}'.`);
 }
@@ -1078,21 +2887,28 @@ function generateTradeAnalysis(trades) {
     totalTrades: trades.length,
     profitableTrades: 0,
     totalProfit: 0,
-    totalFees: trades.length * CONFIG.transactionCost,
+    totalFees: trades.reduce((sum, t) => sum + (t.commission || 0), 0),
+    totalSlippage: trades.reduce((sum, t) => sum + (t.slippage || 0), 0),
     winningTrades: [],
     losingTrades: [],
     tradeDetails: [],
   };
 
-  let lastTrade = null;
+  // Open trade per universe: trades from several universes are interleaved by date
+  const openTrades = {};
 
   trades.forEach((trade, index) => {
+    const universe = trade.universe || "";
+    const lastTrade = openTrades[universe];
     if (trade.action.startsWith("BUY")) {
-      lastTrade = {
+      openTrades[universe] = {
+        universe: trade.universe,
         symbol: trade.symbol,
+        side: trade.side,
         startDate: trade.date,
         buyPrice: trade.price,
         shares: trade.shares,
+        sizeFraction: trade.sizeFraction ?? null,
         buyInfo: trade.action,
       };
     } else if (trade.action.startsWith("SELL") && lastTrade) {
@@ -1103,7 +2919,7 @@ function generateTradeAnalysis(trades) {
         "days"
       );
       const isProfitable = profit > 0;
-      const isShort = lastTrade.symbol === CONFIG.shortLeveragedEtf;
+      const isShort = lastTrade.side === "short";
 
       const tradeDetail = {
         ...lastTrade,
@@ -1115,6 +2931,7 @@ function generateTradeAnalysis(trades) {
         isProfitable,
         isShort,
         sellInfo: trade.action,
+        exitRule: trade.exitRule || null,
       };
 
       analysis.tradeDetails.push(tradeDetail);
@@ -1127,7 +2944,7 @@ function generateTradeAnalysis(trades) {
       }
 
       analysis.totalProfit += profit;
-      lastTrade = null;
+      delete openTrades[universe];
     }
   });
 
@@ -1148,25 +2965,480 @@ function generateTradeAnalysis(trades) {
   return analysis;
 }
 
-function calculateBenchmarkData(simulationLog) {
-  const startQQQPrice = simulationLog[0].qqq_close;
-  const initialCapital = CONFIG.initialCapital;
-  const qqqShares = initialCapital / startQQQPrice;
+function generateQualityReportHtml(report) {
+  const maxListed = 25;
+  return `
+        <h3>Data Quality (${report.status}, ${report.mode} mode)</h3>
+        <p>${report.totalIssues} issue(s) found, ${
+    report.repairedIssues
+  } repaired.</p>
+        <table class="summary-table">
+          <tr><th>Ticker</th><th>Bars</th><th>Range</th><th>Issues</th></tr>
+          ${Object.entries(report.tickers)
+            .map(
+              ([ticker, info]) => `
+          <tr>
+            <td>${ticker}</td>
+            <td>${info.bars}</td>
+            <td>${info.firstDate} → ${info.lastDate}</td>
+            <td>${
+              Object.entries(info.issueCounts)
+                .map(([type, n]) => `${type}: ${n}`)
+                .join(", ") || "-"
+            }</td>
+          </tr>`
+            )
+            .join("")}
+        </table>
+        ${
+          report.issues.length
+            ? `<table class="trades-table">
+          <tr><th>Ticker</th><th>Date</th><th>Type</th><th>Detail</th><th>Repaired</th></tr>
+          ${report.issues
+            .slice(0, maxListed)
+            .map(
+              (i) =>
+                `<tr><td>${i.ticker}</td><td>${i.date}</td><td>${
+                  i.type
+                }</td><td>${i.detail}</td><td>${
+                  i.repaired ? "Yes" : "No"
+                }</td></tr>`
+            )
+            .join("")}
+        </table>${
+          report.issues.length > maxListed
+            ? `<p>... ${report.issues.length - maxListed} more issue(s) in ${
+                CONFIG.qualityReportFilename
+              }</p>`
+            : ""
+        }`
+            : ""
+        }`;
+}
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Sizing model with the average and range of the sizes it gave the leveraged entries
+function sizingSummary(sizing, trades = []) {
+  const sizes = trades
+    .filter((t) => t.action === "BUY" && isNum(t.sizeFraction))
+    .map((t) => t.sizeFraction);
+  const pct = (v) => `${(v * 100).toFixed(1)}%`;
+  return sizes.length
+    ? `${describeSizing(sizing)}; entries sized ${pct(
+        sizes.reduce((a, b) => a + b, 0) / sizes.length
+      )} on average (${pct(Math.min(...sizes))} to ${pct(Math.max(...sizes))})`
+    : describeSizing(sizing);
+}
+
+// [label, formatted value] of the risk, exposure and benchmark-relative metrics
+// (see calculateMetrics); benchmark statistics are against the signal ETFs
+function metricsSuiteRows(metrics) {
+  const pct = (v) => `${(v * 100).toFixed(2)}%`;
+  const sharpes = metrics.rollingSharpe
+    .map((d) => d.sharpe)
+    .sort((a, b) => a - b);
+  return [
+    ["Sortino Ratio", metrics.sortinoRatio.toFixed(2)],
+    ["Calmar Ratio", metrics.calmarRatio.toFixed(2)],
+    ["Ulcer Index", pct(metrics.ulcerIndex)],
+    ["Average Exposure", pct(metrics.exposure)],
+    ["Annual Turnover", `${metrics.annualTurnover.toFixed(1)}x`],
+    [
+      "Avg / Longest Drawdown",
+      `${metrics.avgDrawdownDays.toFixed(0)} / ${metrics.maxDrawdownDays} days`,
+    ],
+    ["Beta vs Signal ETF", metrics.beta.toFixed(2)],
+    ["Alpha vs Signal ETF", pct(metrics.alpha)],
+    ["Information Ratio", metrics.informationRatio.toFixed(2)],
+    [
+      "Rolling 1Y Sharpe (min / median / max)",
+      sharpes.length
+        ? `${sharpes[0].toFixed(2)} / ${sharpes[
+            Math.floor(sharpes.length / 2)
+          ].toFixed(2)} / ${sharpes[sharpes.length - 1].toFixed(2)}`
+        : "n/a",
+    ],
+  ];
+}
+
+const BENCHMARK_COLOURS = {
+  signal: "#28A745",
+  leveraged: "#FD7E14",
+  base_rsi: "#6C757D",
+  sixty_forty: "#17A2B8",
+  cash: "#343A40",
+};
 
-  return simulationLog.map((day) => ({
-    date: day.date,
-    qqqValue: qqqShares * day.qqq_close,
-    tqqqValue: null, // We'll skip TQQQ comparison if data isn't available
-  }));
+const BENCHMARK_METRICS = [
+  ["Final Equity", "finalEquity"],
+  ["CAGR", "cagr"],
+  ["Max Drawdown", "maxDrawdown"],
+  ["Sharpe", "sharpeRatio"],
+  ["Sortino", "sortinoRatio"],
+  ["Calmar", "calmarRatio"],
+  ["Exposure", "exposure"],
+  ["Beta", "beta"],
+  ["Alpha", "alpha"],
+];
+
+function generateBenchmarkTableHtml(metrics, benchmarks) {
+  if (benchmarks.length === 0) return "";
+  const pct = (v) => `${(v * 100).toFixed(2)}%`;
+  const format = {
+    finalEquity: (v) =>
+      v.toLocaleString("en-US", {
+        style: "currency",
+        currency: "USD",
+        maximumFractionDigits: 0,
+      }),
+    cagr: pct,
+    maxDrawdown: pct,
+    exposure: pct,
+    alpha: pct,
+  };
+  return `<h3>Benchmark Comparison</h3>
+        <table class="summary-table">
+          <tr><th>Portfolio</th>${BENCHMARK_METRICS.map(
+            ([label]) => `<th>${label}</th>`
+          ).join("")}</tr>
+          ${[{ label: "Sys-Mantis Strategy", metrics }, ...benchmarks]
+            .map(
+              ({ label, metrics: m }) =>
+                `<tr><td>${label}</td>${BENCHMARK_METRICS.map(
+                  ([, key]) =>
+                    `<td>${(format[key] || ((v) => v.toFixed(2)))(m[key])}</td>`
+                ).join("")}</tr>`
+            )
+            .join("")}
+        </table>`;
+}
+
+// Columns of the filter ablation table: [label, row key, format]
+const ABLATION_COLUMNS = [
+  ["Final Equity", "finalEquity", "usd"],
+  ["CAGR", "cagr", "pct"],
+  ["Max Drawdown", "maxDrawdown", "pct"],
+  ["Sharpe", "sharpe", "ratio"],
+  ["Trades", "trades", "count"],
+  ["Win Rate", "winRate", "pct"],
+  ["Avg Trade", "avgTradeReturn", "pct"],
+  ["Sharpe vs All", "sharpeDelta", "ratio"],
+  ["CAGR vs All", "cagrDelta", "pct"],
+];
+
+// One row per ablation variant, with the change against the strategy's own filters
+function ablationRows({ ablations }) {
+  const all = ablations.find((a) => a.key === "all").metrics;
+  return ablations.map(
+    ({ label, metrics: m, trades, winRate, avgTradeReturn }) => ({
+      label,
+      finalEquity: m.finalEquity,
+      cagr: m.cagr,
+      maxDrawdown: m.maxDrawdown,
+      sharpe: m.sharpeRatio,
+      trades,
+      winRate,
+      avgTradeReturn,
+      sharpeDelta: m.sharpeRatio - all.sharpeRatio,
+      cagrDelta: m.cagr - all.cagr,
+    })
+  );
+}
+
+function formatStudyValue(value, format) {
+  if (value === null || value === undefined) return "n/a";
+  if (format === "usd")
+    return value.toLocaleString("en-US", {
+      style: "currency",
+      currency: "USD",
+      maximumFractionDigits: 0,
+    });
+  if (format === "pct") return `${(value * 100).toFixed(2)}%`;
+  if (format === "count") return String(value);
+  return value.toFixed(2);
+}
+
+function generateFilterStudyHtml(filterStudy) {
+  const { signals, statistics, horizons } = filterStudy;
+  const passed = signals.filter((s) => s.passed).length;
+  const taken = signals.filter((s) => s.taken).length;
+  return `<p>${
+    signals.length
+  } raw RSI(2) signals: ${passed} passed every filter and ${taken} were taken (the others arrived while a trade was open). Forward returns are close-to-close returns of the leveraged ETF each signal points to, ${horizons.join(
+    ", "
+  )} trading days after the signal close.</p>
+        <h3>Filter Ablations</h3>
+        <table class="summary-table">
+          <tr><th>Variant</th>${ABLATION_COLUMNS.map(
+            ([label]) => `<th>${label}</th>`
+          ).join("")}</tr>
+          ${ablationRows(filterStudy)
+            .map(
+              (row) =>
+                `<tr><td>${row.label}</td>${ABLATION_COLUMNS.map(
+                  ([, key, format]) =>
+                    `<td>${formatStudyValue(row[key], format)}</td>`
+                ).join("")}</tr>`
+            )
+            .join("")}
+        </table>
+        <h3>Signal Forward Returns by Filter</h3>
+        <table class="summary-table">
+          <tr><th>Test</th><th>Signals</th><th>Pass Rate</th>${horizons
+            .map((h) => `<th>Passed ${h}d</th><th>Failed ${h}d</th>`)
+            .join("")}</tr>
+          ${statistics
+            .map(
+              (row) =>
+                `<tr><td>${row.label}</td><td>${
+                  row.count
+                }</td><td>${formatStudyValue(
+                  row.passRate,
+                  "pct"
+                )}</td>${horizons
+                  .map(
+                    (h) =>
+                      `<td>${formatStudyValue(
+                        row.passed[h],
+                        "pct"
+                      )}</td><td>${formatStudyValue(row.failed[h], "pct")}</td>`
+                  )
+                  .join("")}</tr>`
+            )
+            .join("")}
+        </table>`;
+}
+
+// Columns of the regime breakdown: [label, row key, format]
+const REGIME_COLUMNS = [
+  ["Days", "days", "count"],
+  ["Share of Days", "share", "pct"],
+  ["Exposure", "exposure", "pct"],
+  ["Return", "totalReturn", "pct"],
+  ["Annualized", "annualizedReturn", "pct"],
+  ["Volatility", "volatility", "pct"],
+  ["Signal ETF Return", "signalReturn", "pct"],
+  ["Trades", "trades", "count"],
+  ["Win Rate", "winRate", "pct"],
+  ["Avg Trade", "avgTradeReturn", "pct"],
+];
+
+// One table per universe with its trend, volatility and drawdown states (the combined
+// labels are only in the Excel report)
+function generateRegimeHtml(regimes) {
+  const universes = [...new Set(regimes.map((r) => r.universe))];
+  return `<p>Each day's return belongs to the regime of the previous close, when the position held over it was chosen; each trade belongs to the regime of its entry decision. Regimes change with hysteresis (see regime.js), so a state persists until its input is clearly past the next threshold.</p>
+        ${universes
+          .map(
+            (universe) => `<h3>${universe}</h3>
+        <table class="summary-table">
+          <tr><th>Dimension</th><th>State</th>${REGIME_COLUMNS.map(
+            ([label]) => `<th>${label}</th>`
+          ).join("")}</tr>
+          ${regimes
+            .filter((r) => r.universe === universe && r.dimension !== "regime")
+            .map(
+              (row) =>
+                `<tr><td>${row.dimensionLabel}</td><td>${
+                  row.state
+                }</td>${REGIME_COLUMNS.map(
+                  ([, key, format]) =>
+                    `<td>${formatStudyValue(row[key], format)}</td>`
+                ).join("")}</tr>`
+            )
+            .join("")}
+        </table>`
+          )
+          .join("")}`;
+}
+
+function generateUniverseTableHtml(universeResults) {
+  if (universeResults.length === 0) return "";
+  return `<h3>Universe Allocation</h3>
+        <table class="summary-table">
+          <tr><th>Universe</th><th>Instruments</th><th>Weight</th><th>Start Capital</th><th>Final Equity</th><th>CAGR</th><th>Max Drawdown</th><th>Sharpe</th><th>Trades</th></tr>
+          ${universeResults
+            .map(({ universe, capital, metrics, trades }) => {
+              const usd = (v) =>
+                v.toLocaleString("en-US", {
+                  style: "currency",
+                  currency: "USD",
+                  maximumFractionDigits: 0,
+                });
+              return `<tr><td>${universe.key} (${universe.name})</td><td>${
+                universe.signal
+              } → ${universe.long}/${universe.short}, safe ${
+                universe.safe
+              }, vol ${universe.volatility}</td><td>${(
+                universe.weight * 100
+              ).toFixed(1)}%</td><td>${usd(capital)}</td><td>${usd(
+                metrics.finalEquity
+              )}</td><td>${(metrics.cagr * 100).toFixed(2)}%</td><td>${(
+                metrics.maxDrawdown * 100
+              ).toFixed(2)}%</td><td>${metrics.sharpeRatio.toFixed(
+                2
+              )}</td><td>${trades.length}</td></tr>`;
+            })
+            .join("")}
+        </table>`;
+}
+
+// Which exit rule closed each leveraged trade and how those trades did
+function generateExitTableHtml(tradeDetails) {
+  const byRule = {};
+  tradeDetails
+    .filter((t) => t.exitRule)
+    .forEach((t) => {
+      if (!byRule[t.exitRule])
+        byRule[t.exitRule] = { count: 0, wins: 0, returns: 0 };
+      const stats = byRule[t.exitRule];
+      stats.count++;
+      if (t.isProfitable) stats.wins++;
+      stats.returns += t.profitPercent;
+    });
+  const rules = Object.entries(byRule).sort((a, b) => b[1].count - a[1].count);
+  if (rules.length === 0) return "";
+  return `<h3>Exits</h3>
+        <table class="summary-table">
+          <tr><th>Exit Rule</th><th>Trades</th><th>Win Rate</th><th>Avg Return</th></tr>
+          ${rules
+            .map(
+              ([rule, stats]) =>
+                `<tr><td>${rule}</td><td>${stats.count}</td><td>${(
+                  (stats.wins / stats.count) *
+                  100
+                ).toFixed(1)}%</td><td>${(stats.returns / stats.count).toFixed(
+                  2
+                )}%</td></tr>`
+            )
+            .join("")}
+        </table>`;
+}
+
+const MONTE_CARLO_STATISTICS = [
+  ["Final Equity", "finalEquity"],
+  ["CAGR", "cagr"],
+  ["Max Drawdown", "maxDrawdown"],
+  ["Time to Recovery", "timeToRecovery"],
+];
+
+// [label, summary] of each resampling method that had data
+function monteCarloMethods(monteCarlo) {
+  return [
+    ["Trade Resample", monteCarlo.tradeResample],
+    ["Block Bootstrap", monteCarlo.blockBootstrap],
+  ].filter(([, summary]) => summary);
+}
+
+// Recovery is counted in trades for the trade resample and in days for the bootstrap
+function monteCarloLabel(label, key, summary) {
+  return key === "timeToRecovery"
+    ? `${label} (${summary.recoveryUnit})`
+    : label;
+}
+
+function generateMonteCarloHtml(monteCarlo) {
+  const { settings } = monteCarlo;
+  const format = {
+    finalEquity: (v) =>
+      v.toLocaleString("en-US", {
+        style: "currency",
+        currency: "USD",
+        maximumFractionDigits: 0,
+      }),
+    cagr: (v) => `${(v * 100).toFixed(2)}%`,
+    maxDrawdown: (v) => `${(v * 100).toFixed(2)}%`,
+    timeToRecovery: (v) => v.toFixed(0),
+  };
+  return `<p>${settings.simulations} simulations (seed ${
+    settings.seed
+  }). Trade resample draws round-trip trade returns with replacement; block bootstrap rebuilds the daily returns from ${
+    settings.blockSize
+  }-day blocks. Risk of ruin is the share of paths with a drawdown of ${(
+    settings.ruinDrawdown * 100
+  ).toFixed(0)}% or more.</p>
+        ${monteCarloMethods(monteCarlo)
+          .map(
+            ([method, summary]) => `<h3>${method} (${
+              summary.sampleSize
+            } samples)</h3>
+        <table class="summary-table">
+          <tr><th>Statistic</th><th>Mean</th>${settings.percentiles
+            .map((p) => `<th>P${p}</th>`)
+            .join("")}</tr>
+          ${MONTE_CARLO_STATISTICS.map(
+            ([label, key]) =>
+              `<tr><td>${monteCarloLabel(label, key, summary)}</td><td>${format[
+                key
+              ](summary[key].mean)}</td>${settings.percentiles
+                .map(
+                  (p) => `<td>${format[key](summary[key].percentiles[p])}</td>`
+                )
+                .join("")}</tr>`
+          ).join("")}
+        </table>
+        <p>Risk of ruin: ${(summary.riskOfRuin * 100).toFixed(
+          1
+        )}%, probability of loss: ${(summary.probabilityOfLoss * 100).toFixed(
+              1
+            )}%</p>`
+          )
+          .join("")}`;
+}
+
+function monteCarloHistogramConfig(bins, title, formatValue) {
+  return {
+    type: "bar",
+    data: {
+      labels: bins.map((b) => formatValue((b.from + b.to) / 2)),
+      datasets: [
+        {
+          label: "Simulations",
+          data: bins.map((b) => b.count),
+          backgroundColor: "rgba(0, 123, 255, 0.6)",
+        },
+      ],
+    },
+    options: {
+      responsive: true,
+      plugins: {
+        title: { display: true, text: title, font: { size: 18 } },
+        legend: { display: false },
+      },
+    },
+  };
+}
+
+function generateIndicatorTableHtml({ universe, columns, data }) {
+  if (columns.length === 0) return "";
+  const latest = data[data.length - 1] || {};
+  return `<h3>${universe} Indicators (latest: ${latest.date || "-"})</h3>
+        <table class="summary-table">
+          <tr><th>Key</th><th>Definition</th><th>Latest Value</th></tr>
+          ${columns
+            .map(
+              (c) =>
+                `<tr><td>${c.key}</td><td>${describeColumn(c)}</td><td>${
+                  typeof latest[c.key] === "number"
+                    ? latest[c.key].toFixed(4)
+                    : "n/a"
+                }</td></tr>`
+            )
+            .join("")}
+        </table>`;
 }
 
 // Export the main functions
 module.exports = {
   runBacktest: main,
   CONFIG,
+  generateExcelReport,
+  generateAdvancedPdfReport,
+  metricsSuiteRows,
 };
 
 // Only run if called directly
 if (require.main === module) {
-  main();
+  main(process.argv.slice(2).find((arg) => !arg.startsWith("--")));
 }
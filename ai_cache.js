@@ -0,0 +1,211 @@
+// Filename: ai_cache.js
+// Reproducible chat completions. Wraps an OpenAI-style client (groq-sdk) so every response
+// is stored on disk under a key made from the model, the messages and the other request
+// parameters; later runs can replay the stored answer instead of asking again.
+//
+// Modes (AI_MODE):
+//   "live"    every request goes to the API and the response is recorded (default)
+//   "cache"   a recorded response for the same request is reused, otherwise the API is asked
+//   "replay"  only recorded responses are used; a request that was never recorded fails
+//   "stub"    no API and no cache: a fixed response supplied by the caller is returned
+//
+// The API client is created lazily, so replay and stub runs need no API key or network.
+//
+// To run:
+//   node ai_cache.js inspect [--dir ai_cache]
+//   node ai_cache.js clear [--dir ai_cache]
+
+const crypto = require("crypto");
+const fs = require("fs-extra");
+const path = require("path");
+
+const AI_MODES = ["live", "cache", "replay", "stub"];
+
+const AI_CACHE_CONFIG = {
+  mode: process.env.AI_MODE || "live",
+  cacheDir: process.env.AI_CACHE_DIR || "ai_cache",
+};
+
+// Same request -> same key, whatever the order of the parameter fields
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((k) => [k, canonical(value[k])])
+    );
+  }
+  return value;
+}
+
+function requestKey(params) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonical(params)))
+    .digest("hex");
+}
+
+// The part of a completion the callers read
+function toCompletion(content, extra = {}) {
+  return { choices: [{ message: { role: "assistant", content } }], ...extra };
+}
+
+class AiResponseCache {
+  constructor({ cacheDir = AI_CACHE_CONFIG.cacheDir } = {}) {
+    this.cacheDir = cacheDir;
+  }
+
+  filePath(key) {
+    return path.join(this.cacheDir, `${key}.json`);
+  }
+
+  async load(key) {
+    const file = this.filePath(key);
+    if (!(await fs.pathExists(file))) return null;
+    try {
+      return await fs.readJson(file);
+    } catch (error) {
+      console.error(
+        `⚠️  Ignoring unreadable AI cache file ${file}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  async save(entry) {
+    await fs.ensureDir(this.cacheDir);
+    const file = this.filePath(entry.key);
+    const tmp = `${file}.tmp`;
+    await fs.writeJson(tmp, entry, { spaces: 2 });
+    await fs.move(tmp, file, { overwrite: true });
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.cacheDir))) return [];
+    const files = (await fs.readdir(this.cacheDir)).filter((f) =>
+      f.endsWith(".json")
+    );
+    const entries = [];
+    for (const f of files) {
+      try {
+        entries.push({
+          file: f,
+          ...(await fs.readJson(path.join(this.cacheDir, f))),
+        });
+      } catch (error) {
+        entries.push({ file: f, error: error.message });
+      }
+    }
+    return entries;
+  }
+}
+
+class CachedAiClient {
+  // createClient() builds the API client on first use; stubResponse(params) returns the
+  // content for "stub" mode (a string or a promise of one)
+  constructor(createClient, options = {}) {
+    this.createClient = createClient;
+    this.client = null;
+    this.mode = options.mode || AI_CACHE_CONFIG.mode;
+    this.stubResponse = options.stubResponse;
+    this.cache = new AiResponseCache({ cacheDir: options.cacheDir });
+    if (!AI_MODES.includes(this.mode)) {
+      throw new Error(
+        `Unknown AI mode "${this.mode}" (expected ${AI_MODES.join(", ")})`
+      );
+    }
+    this.chat = { completions: { create: (params) => this.create(params) } };
+  }
+
+  async create(params) {
+    if (this.mode === "stub") {
+      if (typeof this.stubResponse !== "function") {
+        throw new Error(`No stub response for ${params.model} (AI_MODE=stub)`);
+      }
+      return toCompletion(await this.stubResponse(params), { stub: true });
+    }
+
+    const key = requestKey(params);
+    if (this.mode !== "live") {
+      const entry = await this.cache.load(key);
+      if (entry) return toCompletion(entry.content, { cached: true, key });
+      if (this.mode === "replay") {
+        throw new Error(
+          `No recorded AI response for ${params.model} (key ${key.slice(
+            0,
+            12
+          )}) in ${
+            this.cache.cacheDir
+          }; run once with AI_MODE=live or cache first`
+        );
+      }
+    }
+
+    if (!this.client) this.client = this.createClient();
+    const completion = await this.client.chat.completions.create(params);
+    const content = completion.choices[0]?.message?.content ?? "";
+    await this.cache.save({
+      key,
+      model: params.model,
+      createdAt: new Date().toISOString(),
+      request: params,
+      content,
+    });
+    return completion;
+  }
+}
+
+function withAiCache(createClient, options = {}) {
+  return new CachedAiClient(createClient, options);
+}
+
+// --- COMMAND LINE ---
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const dirIndex = rest.indexOf("--dir");
+  const cache = new AiResponseCache({
+    cacheDir: dirIndex >= 0 ? rest[dirIndex + 1] : AI_CACHE_CONFIG.cacheDir,
+  });
+
+  if (command === "inspect") {
+    const entries = await cache.list();
+    if (entries.length === 0) {
+      console.log(`📭 No recorded AI responses in ${cache.cacheDir}`);
+      return;
+    }
+    console.log(`📦 AI response cache: ${cache.cacheDir}`);
+    console.table(
+      entries.map((e) => ({
+        key: e.key ? e.key.slice(0, 12) : e.file,
+        model: e.model,
+        createdAt: e.createdAt,
+        chars: e.content?.length,
+        error: e.error,
+      }))
+    );
+  } else if (command === "clear") {
+    await fs.remove(cache.cacheDir);
+    console.log(`🧹 Removed all recorded AI responses in ${cache.cacheDir}`);
+  } else {
+    console.log("Usage: node ai_cache.js <inspect|clear> [--dir ai_cache]");
+  }
+}
+
+module.exports = {
+  AI_MODES,
+  AI_CACHE_CONFIG,
+  requestKey,
+  AiResponseCache,
+  CachedAiClient,
+  withAiCache,
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ AI cache command failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,544 @@
+// Filename: backtest_engine.js
+// Daily simulation core of the backtest: the RSI(2) strategy on one universe, several
+// universes combined into one portfolio, and the performance metrics of an equity curve.
+// It does no I/O and loads no report or AI dependencies, so grid search workers
+// (grid_search.js) can run it as cheaply as the main process.
+
+const { evaluate } = require("./strategy_engine");
+const {
+  exitRulesFor,
+  openPosition,
+  markPosition,
+  evaluateExit,
+} = require("./exit_rules");
+const {
+  fillsNextBar,
+  fillPrice,
+  exitFillPrice,
+  commissionFor,
+  sharesFor,
+} = require("./execution_model");
+const {
+  createSizingModel,
+  realizedVolatility,
+  positionFraction,
+} = require("./sizing");
+const { roundTripReturns } = require("./monte_carlo");
+
+const TRADING_DAYS = 252;
+// Below this annualised volatility returns are treated as constant (e.g. cash) and
+// risk-adjusted ratios as 0, instead of dividing rounding noise by rounding noise
+const MIN_VOLATILITY = 1e-9;
+
+// Orders are filled by the execution model (see execution_model.js): on the decision bar's
+// close or on the next bar. A trade opened on a bar is first checked for exits on the bar
+// after its fill. Entries are sized by the sizing model (sizing.js, all in by default); the
+// rest of the equity stays in cash until the exit.
+//
+// A run starts fully invested in the safe ETF, or from options.book: the book another run
+// ended with (the returned `book`), so consecutive date ranges trade as one strategy. Its
+// open trade, pending orders and cash carry over and the first bar is marked from the
+// previous run's close (walk_forward.js).
+// options: { capital, execution (execution_model.js), baseSignal (RSI thresholds), sizing,
+// book }
+function simulateStrategy(data, aiRules, universe, options) {
+  const { capital, execution, baseSignal, book } = options;
+  const sizing = options.sizing || createSizingModel();
+  let cash = capital,
+    equity = capital;
+  let currentPosition = "CASH",
+    shares = 0;
+  const trades = [],
+    simulationLog = [];
+  let openTrade = null;
+  let exposure = 0; // share of equity put in the leveraged ETF at entry
+  let pendingOrders = []; // decided on the previous bar, filled on this one
+  const exitRules = exitRulesFor(aiRules);
+
+  const strategyConfig = {
+    ...baseSignal,
+    longSymbol: universe.long,
+    shortSymbol: universe.short,
+  };
+  const safe = universe.safe;
+
+  if (book) {
+    ({ cash, shares, position: currentPosition, openTrade, exposure } = book);
+    pendingOrders = [...book.pendingOrders];
+  } else {
+    currentPosition = safe;
+    shares = sharesFor(execution, cash, data[0][safe].close);
+    cash = 0;
+  }
+  // Trades of earlier runs, so Kelly sizing sees round trips that span runs
+  const priorTrades = book ? book.trades : [];
+
+  // order: { type: "sell" | "buy", action, symbol (buys), side, entryBar, size (sized
+  // entries), exit fields }
+  const fillOrder = (day, order, fill = null) => {
+    const symbol = order.type === "sell" ? currentPosition : order.symbol;
+    const { price, slippage, gapped } =
+      fill ||
+      fillPrice(execution, { symbol, side: order.type, bar: day[symbol] });
+    let commission;
+    if (order.type === "sell") {
+      commission = commissionFor(execution, shares, price);
+      cash += shares * price - commission;
+    } else {
+      shares = sharesFor(
+        execution,
+        cash * (order.size ? order.size.fraction : 1),
+        price
+      );
+      commission = commissionFor(execution, shares, price);
+      cash -= shares * price + commission;
+      currentPosition = symbol;
+      exposure = order.size ? order.size.fraction : 0;
+    }
+    trades.push({
+      universe: universe.key,
+      date: day.date,
+      decisionDate: order.decisionDate,
+      action: order.action,
+      symbol,
+      ...(order.type === "buy" ? { side: order.side } : {}),
+      ...(order.size
+        ? { sizeFraction: order.size.fraction, sizing: order.size.detail }
+        : {}),
+      ...(order.exitRule
+        ? { exitRule: order.exitRule, exitReason: order.exitReason }
+        : {}),
+      ...(gapped ? { gapped } : {}), // stop filled at an open beyond its level
+      shares,
+      price,
+      commission,
+      slippage: slippage * shares,
+      equity,
+    });
+    if (order.type === "sell") shares = 0;
+    if (order.entryBar) {
+      openTrade = openPosition({
+        side: order.side,
+        symbol,
+        price,
+        bar: order.entryBar,
+      });
+    }
+  };
+  const submit = (day, orders) => {
+    if (fillsNextBar(execution)) pendingOrders = orders;
+    else orders.forEach((order) => fillOrder(day, order));
+  };
+
+  for (const [i, day] of data.entries()) {
+    const filled = pendingOrders;
+    pendingOrders = [];
+    filled.forEach((order) => fillOrder(day, order));
+    const openedToday = filled.some((order) => order.entryBar);
+
+    equity = cash + shares * day[currentPosition].close;
+    if (openTrade && !openedToday) {
+      const bar = day[currentPosition];
+      openTrade = { ...openTrade, daysHeld: openTrade.daysHeld + 1 };
+      // Intrabar stops see the bar's range, close-only stops just the close
+      const market =
+        execution.stopFills === "intrabar"
+          ? { price: bar.close, low: bar.low, high: bar.high }
+          : { price: bar.close };
+      const exit = evaluateExit(openTrade, market, day, exitRules);
+      if (exit.exit) {
+        const sellOrder = {
+          type: "sell",
+          action: `SELL (${exit.label})`,
+          decisionDate: day.date,
+          exitRule: exit.rule,
+          exitReason: exit.reason,
+        };
+        const safeOrder = {
+          type: "buy",
+          action: "BUY (Default)",
+          symbol: safe,
+          side: null,
+          decisionDate: day.date,
+        };
+        const stopFill = exitFillPrice(execution, {
+          symbol: currentPosition,
+          exit,
+          bar,
+        });
+        if (stopFill) {
+          fillOrder(day, sellOrder, stopFill);
+          submit(day, [safeOrder]);
+        } else {
+          submit(day, [sellOrder, safeOrder]);
+        }
+        openTrade = null;
+      } else {
+        openTrade = markPosition(openTrade, {
+          price: bar.close,
+          high: market.high,
+          bar: day,
+        });
+      }
+    } else if (!openTrade && pendingOrders.length === 0) {
+      const entry = evaluate(
+        { position: currentPosition, isLeveragedPosition: false },
+        day,
+        aiRules,
+        strategyConfig
+      );
+      const entrySignal = entry.decision === "BUY" ? entry.targetSymbol : null;
+      const size =
+        entrySignal &&
+        positionFraction(sizing, {
+          bar: day,
+          leverage: universe.leverage,
+          rules: aiRules,
+          realizedVolatility: realizedVolatility(
+            data
+              .slice(Math.max(0, i - sizing.volatilityLookback), i + 1)
+              .map((d) => d[entrySignal].close)
+          ),
+          tradeReturns: roundTripReturns([...priorTrades, ...trades]).map(
+            (t) => t.return
+          ),
+          confidence: entry.confidence,
+          signalStrength: entry.signalStrength,
+        });
+      if (entrySignal && size.fraction > 0) {
+        submit(day, [
+          { type: "sell", action: "SELL (Entry)", decisionDate: day.date },
+          {
+            type: "buy",
+            action: "BUY",
+            symbol: entrySignal,
+            side: entry.side,
+            decisionDate: day.date,
+            entryBar: day,
+            size,
+          },
+        ]);
+      }
+    }
+    simulationLog.push({
+      date: day.date,
+      equity,
+      position: currentPosition,
+      exposure: currentPosition === safe ? 0 : exposure, // sized share in a leveraged ETF
+      signal_close: day[universe.signal].close,
+    });
+  }
+  const last = data[data.length - 1];
+  return {
+    simulationLog,
+    trades,
+    book: {
+      cash,
+      shares,
+      position: currentPosition,
+      openTrade,
+      exposure,
+      pendingOrders,
+      equity,
+      signalClose: last ? last[universe.signal].close : null,
+      trades: [...priorTrades, ...trades],
+    },
+  };
+}
+
+// Runs every universe over `dates` (a Set) with its share of `capital` and combines them.
+// books: universe key -> the book a previous run ended with (see simulateStrategy); each
+// such universe continues from it and its capital is the book's equity instead.
+function simulateUniverses({
+  universes,
+  universeData,
+  dates,
+  aiRules,
+  execution,
+  sizing,
+  baseSignal,
+  capital,
+  riskFreeRate,
+  books = {},
+}) {
+  const universeResults = [];
+  for (const universe of universes) {
+    const book = books[universe.key];
+    const universeCapital = book ? book.equity : capital * universe.weight;
+    const data = universeData[universe.key].dataWithIndicators.filter((d) =>
+      dates.has(d.date)
+    );
+    const result = simulateStrategy(data, aiRules, universe, {
+      capital: universeCapital,
+      execution,
+      sizing,
+      baseSignal,
+      book,
+    });
+    universeResults.push({
+      universe,
+      capital: universeCapital,
+      // The benchmark continues from the previous run's close too
+      ...(book ? { benchmarkBase: book.signalClose } : {}),
+      ...result,
+      metrics: calculateMetrics(
+        result.simulationLog,
+        result.trades,
+        universeCapital,
+        riskFreeRate
+      ),
+    });
+  }
+
+  const simulationLog = combineSimulationLogs(universeResults);
+  const trades = universeResults
+    .flatMap((r) => r.trades)
+    .sort((a, b) => a.date.localeCompare(b.date));
+  const startCapital = universeResults.reduce((sum, r) => sum + r.capital, 0);
+  const metrics = calculateMetrics(
+    simulationLog,
+    trades,
+    startCapital,
+    riskFreeRate
+  );
+  return {
+    universeResults,
+    simulationLog,
+    trades,
+    metrics,
+    startCapital,
+    books: Object.fromEntries(
+      universeResults.map((r) => [r.universe.key, r.book])
+    ),
+  };
+}
+
+// Dates present in every universe's series
+function commonDateSet(series) {
+  const [first, ...rest] = series.map((s) => new Set(s.map((d) => d.date)));
+  return new Set(
+    [...first].filter((date) => rest.every((dates) => dates.has(date)))
+  );
+}
+
+// Sums per-universe equity into one portfolio curve (logs cover the same dates); the
+// benchmark holds each universe's signal ETF with the same capital split, bought at its
+// benchmarkBase (the previous run's close) when there is one, else on the first day
+function combineSimulationLogs(universeResults) {
+  const [first] = universeResults;
+  return first.simulationLog.map((day, i) => {
+    let equity = 0,
+      benchmarkEquity = 0,
+      exposedEquity = 0;
+    const positions = [];
+    for (const {
+      universe,
+      capital,
+      simulationLog,
+      benchmarkBase,
+    } of universeResults) {
+      const entry = simulationLog[i];
+      equity += entry.equity;
+      exposedEquity += entry.equity * entry.exposure;
+      benchmarkEquity +=
+        (capital * entry.signal_close) /
+        (benchmarkBase ?? simulationLog[0].signal_close);
+      positions.push(
+        universeResults.length > 1
+          ? `${universe.key}:${entry.position}`
+          : entry.position
+      );
+    }
+    return {
+      date: day.date,
+      equity,
+      position: positions.join(" "),
+      exposure: equity > 0 ? exposedEquity / equity : 0,
+      benchmarkEquity,
+    };
+  });
+}
+
+// Sample mean and population standard deviation
+function meanAndStdDev(values) {
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const stdDev = Math.sqrt(
+    values.map((v) => Math.pow(v - mean, 2)).reduce((a, b) => a + b, 0) /
+      values.length
+  );
+  return { mean, stdDev };
+}
+
+function annualisedSharpe(returns, riskFreeRate) {
+  const { mean, stdDev } = meanAndStdDev(returns);
+  const annualisedStdDev = stdDev * Math.sqrt(TRADING_DAYS);
+  return annualisedStdDev > MIN_VOLATILITY
+    ? (mean * TRADING_DAYS - riskFreeRate) / annualisedStdDev
+    : 0;
+}
+
+// Underwater periods in trading days; the last one may still be open
+function drawdownDurations(drawdowns) {
+  const durations = [];
+  let length = 0;
+  for (const day of drawdowns) {
+    if (day.drawdown < 0) {
+      length++;
+    } else if (length > 0) {
+      durations.push(length);
+      length = 0;
+    }
+  }
+  if (length > 0) durations.push(length);
+  return durations;
+}
+
+// Beta, Jensen's alpha (annualised) and information ratio against the benchmark returns
+function benchmarkRelative(returns, benchmarkReturns, riskFreeRate) {
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS;
+  const portfolio = meanAndStdDev(returns);
+  const benchmark = meanAndStdDev(benchmarkReturns);
+  const covariance =
+    returns.reduce(
+      (sum, r, i) =>
+        sum + (r - portfolio.mean) * (benchmarkReturns[i] - benchmark.mean),
+      0
+    ) / returns.length;
+  const beta =
+    benchmark.stdDev > 0 ? covariance / Math.pow(benchmark.stdDev, 2) : 0;
+  const alpha =
+    (portfolio.mean - dailyRiskFree - beta * (benchmark.mean - dailyRiskFree)) *
+    TRADING_DAYS;
+  const active = meanAndStdDev(returns.map((r, i) => r - benchmarkReturns[i]));
+  const informationRatio =
+    active.stdDev > 0
+      ? (active.mean / active.stdDev) * Math.sqrt(TRADING_DAYS)
+      : 0;
+  return { beta, alpha, informationRatio };
+}
+
+// Sharpe ratio of each trailing one-year window
+function rollingSharpe(simulationLog, returns, riskFreeRate) {
+  const series = [];
+  for (let i = TRADING_DAYS; i <= returns.length; i++) {
+    series.push({
+      date: simulationLog[i].date,
+      sharpe: annualisedSharpe(
+        returns.slice(i - TRADING_DAYS, i),
+        riskFreeRate
+      ),
+    });
+  }
+  return series;
+}
+
+// Metrics of an equity curve. The benchmark is the log's benchmarkEquity (the signal ETFs
+// with the same capital split) or, for a single universe's log, its signal ETF close.
+// Exposure is the average share of equity held in leveraged ETFs; annual turnover is half
+// the traded value per year over the average equity (one round trip = 1x).
+function calculateMetrics(simulationLog, trades, initialCapital, riskFreeRate) {
+  if (simulationLog.length < 2)
+    return {
+      finalEquity: initialCapital,
+      cagr: 0,
+      maxDrawdown: 0,
+      sharpeRatio: 0,
+      sortinoRatio: 0,
+      calmarRatio: 0,
+      ulcerIndex: 0,
+      exposure: 0,
+      annualTurnover: 0,
+      avgDrawdownDays: 0,
+      maxDrawdownDays: 0,
+      beta: 0,
+      alpha: 0,
+      informationRatio: 0,
+      rollingSharpe: [],
+      drawdowns: [],
+    };
+  const dailyReturns = [];
+  const benchmarkReturns = [];
+  const benchmarkOf = (day) => day.benchmarkEquity ?? day.signal_close;
+  for (let i = 1; i < simulationLog.length; i++) {
+    dailyReturns.push(
+      simulationLog[i].equity / simulationLog[i - 1].equity - 1
+    );
+    benchmarkReturns.push(
+      benchmarkOf(simulationLog[i]) / benchmarkOf(simulationLog[i - 1]) - 1
+    );
+  }
+
+  const sharpeRatio = annualisedSharpe(dailyReturns, riskFreeRate);
+  const { mean: meanReturn } = meanAndStdDev(dailyReturns);
+  const downsideDeviation =
+    Math.sqrt(
+      dailyReturns
+        .map((r) => Math.pow(Math.min(r, 0), 2))
+        .reduce((a, b) => a + b, 0) / dailyReturns.length
+    ) * Math.sqrt(TRADING_DAYS);
+  const sortinoRatio =
+    downsideDeviation > MIN_VOLATILITY
+      ? (meanReturn * TRADING_DAYS - riskFreeRate) / downsideDeviation
+      : 0;
+
+  let peakEquity = initialCapital;
+  let maxDrawdown = 0;
+  const drawdowns = simulationLog.map((day) => {
+    peakEquity = Math.max(peakEquity, day.equity);
+    const drawdown = (day.equity - peakEquity) / peakEquity;
+    maxDrawdown = Math.min(maxDrawdown, drawdown);
+    return { date: day.date, equity: day.equity, peakEquity, drawdown };
+  });
+  const ulcerIndex = Math.sqrt(
+    drawdowns.reduce((sum, d) => sum + d.drawdown * d.drawdown, 0) /
+      drawdowns.length
+  );
+  const durations = drawdownDurations(drawdowns);
+
+  const finalEquity = simulationLog[simulationLog.length - 1].equity;
+  const years =
+    (new Date(simulationLog[simulationLog.length - 1].date) -
+      new Date(simulationLog[0].date)) /
+    31536000000;
+  const cagr =
+    years > 0 ? Math.pow(finalEquity / initialCapital, 1 / years) - 1 : 0;
+  const calmarRatio = maxDrawdown < 0 ? cagr / Math.abs(maxDrawdown) : 0;
+
+  const averageEquity =
+    simulationLog.reduce((sum, day) => sum + day.equity, 0) /
+    simulationLog.length;
+  const tradedValue = trades.reduce((sum, t) => sum + t.shares * t.price, 0);
+  const annualTurnover =
+    years > 0 && averageEquity > 0
+      ? tradedValue / 2 / averageEquity / years
+      : 0;
+
+  return {
+    finalEquity,
+    cagr,
+    maxDrawdown,
+    sharpeRatio,
+    sortinoRatio,
+    calmarRatio,
+    ulcerIndex,
+    exposure:
+      simulationLog.reduce((sum, day) => sum + (day.exposure || 0), 0) /
+      simulationLog.length,
+    annualTurnover,
+    avgDrawdownDays: durations.length
+      ? durations.reduce((a, b) => a + b, 0) / durations.length
+      : 0,
+    maxDrawdownDays: durations.length ? Math.max(...durations) : 0,
+    ...benchmarkRelative(dailyReturns, benchmarkReturns, riskFreeRate),
+    rollingSharpe: rollingSharpe(simulationLog, dailyReturns, riskFreeRate),
+    drawdowns,
+  };
+}
+
+module.exports = {
+  simulateStrategy,
+  simulateUniverses,
+  commonDateSet,
+  combineSimulationLogs,
+  calculateMetrics,
+};
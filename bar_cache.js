@@ -0,0 +1,311 @@
+// Filename: bar_cache.js
+// On-disk OHLCV cache keyed by ticker and interval. Wraps any market data provider so
+// repeated runs only download the missing tail of each series.
+//
+// Modes (MARKET_DATA_CACHE): "on" (default), "off", "readonly" (never touch the network).
+//
+// To run:
+//   node bar_cache.js inspect [ticker] [--interval 1d]
+//   node bar_cache.js invalidate <ticker|all> [--interval 1d]
+//   node bar_cache.js rebuild <ticker...> [--interval 1d] [--start 2010-01-01]
+
+const fs = require("fs-extra");
+const path = require("path");
+const {
+  createMarketDataProvider,
+  isIntradayInterval,
+  formatBarDate,
+} = require("./market_data");
+
+const CACHE_CONFIG = {
+  mode: process.env.MARKET_DATA_CACHE || "on",
+  cacheDir: process.env.MARKET_DATA_CACHE_DIR || "data_cache",
+  // Re-fetch the last cached bar if it is older than this, so a partial "today" bar gets completed
+  tailTtlMinutes: parseInt(process.env.MARKET_DATA_CACHE_TTL || "15", 10),
+  defaultStartDate: "2010-01-01",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function cacheFileName(ticker, interval) {
+  const stem = ticker.replace(/\^/g, "").replace(/[^A-Za-z0-9.\-]/g, "_");
+  return `${stem}_${interval}.json`;
+}
+
+function toTime(value, inclusiveDay = false) {
+  const t = new Date(value).getTime();
+  const dateOnly =
+    typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+  return inclusiveDay && dateOnly ? t + DAY_MS - 1 : t;
+}
+
+class BarCache {
+  constructor({ cacheDir = CACHE_CONFIG.cacheDir } = {}) {
+    this.cacheDir = cacheDir;
+  }
+
+  filePath(ticker, interval) {
+    return path.join(this.cacheDir, cacheFileName(ticker, interval));
+  }
+
+  async load(ticker, interval) {
+    const file = this.filePath(ticker, interval);
+    if (!(await fs.pathExists(file))) return null;
+    try {
+      return await fs.readJson(file);
+    } catch (error) {
+      console.error(
+        `⚠️  Ignoring unreadable cache file ${file}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  async save(entry) {
+    await fs.ensureDir(this.cacheDir);
+    const file = this.filePath(entry.ticker, entry.interval);
+    // Write to a temp file first so an interrupted run never leaves a truncated cache
+    const tmp = `${file}.tmp`;
+    await fs.writeJson(tmp, entry);
+    await fs.move(tmp, file, { overwrite: true });
+  }
+
+  async remove(ticker, interval) {
+    const file = this.filePath(ticker, interval);
+    if (!(await fs.pathExists(file))) return false;
+    await fs.remove(file);
+    return true;
+  }
+
+  async list() {
+    if (!(await fs.pathExists(this.cacheDir))) return [];
+    const files = (await fs.readdir(this.cacheDir)).filter((f) =>
+      f.endsWith(".json")
+    );
+    const entries = [];
+    for (const f of files) {
+      try {
+        const { ticker, interval, provider, meta } = await fs.readJson(
+          path.join(this.cacheDir, f)
+        );
+        entries.push({ file: f, ticker, interval, provider, ...meta });
+      } catch (error) {
+        entries.push({ file: f, error: error.message });
+      }
+    }
+    return entries;
+  }
+}
+
+class CachedMarketDataProvider {
+  constructor(provider, options = {}) {
+    this.provider = provider;
+    this.name = `${provider.name}+cache`;
+    this.mode = options.mode || CACHE_CONFIG.mode;
+    this.cache = new BarCache({ cacheDir: options.cacheDir });
+    this.tailTtlMs =
+      (options.tailTtlMinutes ?? CACHE_CONFIG.tailTtlMinutes) * 60 * 1000;
+  }
+
+  async fetchBars(ticker, { startDate, endDate, interval = "1d" }) {
+    const end = endDate || formatBarDate(new Date(), interval);
+    let entry = await this.cache.load(ticker, interval);
+
+    if (this.mode === "readonly") {
+      if (!entry) {
+        throw new Error(
+          `No cached ${interval} bars for ${ticker} (cache is read-only)`
+        );
+      }
+      return this.slice(entry.bars, startDate, end);
+    }
+
+    // Without a start date any cached range will do
+    const coversStart =
+      entry &&
+      (!startDate || toTime(entry.meta.coveredFrom) <= toTime(startDate));
+
+    if (!coversStart) {
+      // Nothing cached, or the request reaches further back: download the full range
+      const bars = await this.provider.fetchBars(ticker, {
+        startDate,
+        endDate: end,
+        interval,
+      });
+      entry = this.buildEntry(ticker, interval, bars, startDate, end);
+      await this.cache.save(entry);
+    } else if (this.needsTail(entry, end)) {
+      // Re-fetch from the last cached bar so a partial bar gets replaced by the final one
+      const tailStart = entry.meta.lastDate || entry.meta.coveredFrom;
+      const tail = await this.provider.fetchBars(ticker, {
+        startDate: tailStart,
+        endDate: end,
+        interval,
+      });
+      const tailFrom = tail.length ? toTime(tail[0].date) : Infinity;
+      const kept = entry.bars.filter((b) => toTime(b.date) < tailFrom);
+      const coveredTo =
+        toTime(end, true) > toTime(entry.meta.coveredTo, true)
+          ? end
+          : entry.meta.coveredTo;
+      entry = this.buildEntry(
+        ticker,
+        interval,
+        kept.concat(tail),
+        entry.meta.coveredFrom,
+        coveredTo,
+        entry.meta.refreshCount
+      );
+      await this.cache.save(entry);
+    }
+
+    return this.slice(entry.bars, startDate, end);
+  }
+
+  needsTail(entry, end) {
+    if (toTime(end, true) > toTime(entry.meta.coveredTo, true)) return true;
+    // The request ends inside a recent (possibly partial) last bar: refresh it once it is older than the TTL
+    const lastBar = entry.meta.lastDate ? toTime(entry.meta.lastDate) : 0;
+    const isRecent = Date.now() - lastBar < 4 * DAY_MS;
+    const age = Date.now() - new Date(entry.meta.lastRefresh).getTime();
+    return isRecent && toTime(end, true) >= lastBar && age > this.tailTtlMs;
+  }
+
+  buildEntry(ticker, interval, bars, coveredFrom, coveredTo, refreshCount = 0) {
+    return {
+      ticker,
+      interval,
+      provider: this.provider.name,
+      meta: {
+        coveredFrom,
+        coveredTo,
+        firstDate: bars.length ? bars[0].date : null,
+        lastDate: bars.length ? bars[bars.length - 1].date : null,
+        barCount: bars.length,
+        lastRefresh: new Date().toISOString(),
+        refreshCount: refreshCount + 1,
+      },
+      bars,
+    };
+  }
+
+  slice(bars, startDate, endDate) {
+    const start = startDate ? toTime(startDate) : -Infinity;
+    const end = endDate ? toTime(endDate, true) : Infinity;
+    return bars.filter((b) => {
+      const t = toTime(b.date);
+      return t >= start && t <= end;
+    });
+  }
+}
+
+// Local files are already on disk, so only network providers are wrapped
+function withBarCache(provider, options = {}) {
+  const mode = options.mode || CACHE_CONFIG.mode;
+  if (mode === "off" || provider.name === "file") return provider;
+  return new CachedMarketDataProvider(provider, { ...options, mode });
+}
+
+// --- COMMAND LINE ---
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith("--")) flags[argv[i].slice(2)] = argv[++i];
+    else positional.push(argv[i]);
+  }
+  return { positional, flags };
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, flags } = parseArgs(rest);
+  const interval = flags.interval || "1d";
+  const cache = new BarCache({ cacheDir: flags.dir || CACHE_CONFIG.cacheDir });
+
+  if (command === "inspect") {
+    const entries = (await cache.list()).filter(
+      (e) => !positional[0] || e.ticker === positional[0]
+    );
+    if (entries.length === 0) {
+      console.log(`📭 No cached bars in ${cache.cacheDir}`);
+      return;
+    }
+    console.log(`📦 Bar cache: ${cache.cacheDir}`);
+    console.table(
+      entries.map((e) => ({
+        ticker: e.ticker,
+        interval: e.interval,
+        provider: e.provider,
+        bars: e.barCount,
+        first: e.firstDate,
+        last: e.lastDate,
+        lastRefresh: e.lastRefresh,
+        error: e.error,
+      }))
+    );
+  } else if (command === "invalidate") {
+    if (!positional[0]) throw new Error("Usage: invalidate <ticker|all>");
+    if (positional[0] === "all") {
+      await fs.remove(cache.cacheDir);
+      console.log(`🧹 Removed all cached bars in ${cache.cacheDir}`);
+      return;
+    }
+    for (const ticker of positional) {
+      const removed = await cache.remove(ticker, interval);
+      console.log(
+        removed
+          ? `🧹 Invalidated ${ticker} (${interval})`
+          : `⚠️  No cached ${interval} bars for ${ticker}`
+      );
+    }
+  } else if (command === "rebuild") {
+    if (!positional[0]) throw new Error("Usage: rebuild <ticker...>");
+    const provider = new CachedMarketDataProvider(createMarketDataProvider(), {
+      mode: "on",
+      cacheDir: cache.cacheDir,
+    });
+    for (const ticker of positional) {
+      const previous = await cache.load(ticker, interval);
+      const startDate =
+        flags.start ||
+        previous?.meta.coveredFrom ||
+        (isIntradayInterval(interval)
+          ? formatBarDate(Date.now() - 7 * DAY_MS, "1d")
+          : CACHE_CONFIG.defaultStartDate);
+      // Download before replacing, so a failed fetch leaves the existing cache intact
+      const endDate = formatBarDate(new Date(), interval);
+      const bars = await provider.provider.fetchBars(ticker, {
+        startDate,
+        endDate,
+        interval,
+      });
+      await cache.save(
+        provider.buildEntry(ticker, interval, bars, startDate, endDate)
+      );
+      console.log(
+        `🔁 Rebuilt ${ticker} (${interval}): ${bars.length} bars from ${startDate}`
+      );
+    }
+  } else {
+    console.log(
+      "Usage: node bar_cache.js <inspect|invalidate|rebuild> [ticker...] [--interval 1d] [--start YYYY-MM-DD] [--dir data_cache]"
+    );
+  }
+}
+
+module.exports = {
+  CACHE_CONFIG,
+  BarCache,
+  CachedMarketDataProvider,
+  withBarCache,
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Cache command failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,230 @@
+// Filename: benchmarks.js
+// Reference portfolios the backtest is compared against, each simulated over the strategy's
+// own dates with the same starting capital and universe weights (see universes.js):
+//
+//   signal       buy and hold of each universe's signal ETF (QQQ, SPY, IWM)
+//   leveraged    buy and hold of each universe's long leveraged ETF (TQQQ, UPRO, TNA)
+//   base_rsi     the RSI(2) strategy without any entry filters: same thresholds, exits,
+//                execution and sizing models, so the gap to the strategy is what the filters add
+//   sixty_forty  60% signal ETFs / 40% bond ETF (bondTicker), rebalanced monthly; held in
+//                cash until the first date with a bond close when the bond history starts
+//                after the strategy
+//   cash         the risk-free rate, compounded daily
+//
+// Every benchmark log carries the strategy's benchmarkEquity, so calculateMetrics reports
+// beta and alpha against the same signal ETFs as the strategy.
+
+const { simulateUniverses, calculateMetrics } = require("./backtest_engine");
+
+const BENCHMARK_KEYS = [
+  "signal",
+  "leveraged",
+  "base_rsi",
+  "sixty_forty",
+  "cash",
+];
+
+const TRADING_DAYS = 252;
+
+// "signal,cash" -> ["signal", "cash"]
+function parseBenchmarks(spec) {
+  const keys = String(spec || "")
+    .split(",")
+    .map((k) => k.trim())
+    .filter(Boolean);
+  const unknown = keys.filter((k) => !BENCHMARK_KEYS.includes(k));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown benchmark(s) ${unknown.join(
+        ", "
+      )} (expected ${BENCHMARK_KEYS.join(", ")})`
+    );
+  }
+  return [...new Set(keys)];
+}
+
+// Tickers a benchmark set needs beyond the universes' own
+function benchmarkTickers(keys, { bondTicker }) {
+  return keys.includes("sixty_forty") ? [bondTicker] : [];
+}
+
+// Entry filters removed, exits and sizing kept
+function unfilteredRules(rules) {
+  return {
+    exit_rules: rules.exit_rules,
+    risk_management: rules.risk_management,
+    justification: "Base RSI(2) signal without filters",
+  };
+}
+
+// Daily closes of each universe's `pick(universe)` ticker on the strategy's dates
+function universeCloses(universes, universeData, dates, pick) {
+  return universes.map((universe) => {
+    const byDate = new Map(
+      universeData[universe.key].dataWithIndicators.map((d) => [d.date, d])
+    );
+    const ticker = pick(universe);
+    return {
+      weight: universe.weight,
+      closes: dates.map((date) => byDate.get(date)[ticker].close),
+    };
+  });
+}
+
+// Capital split by weight and held without rebalancing
+function buyAndHold(series, capital, dates) {
+  return dates.map((date, i) => ({
+    date,
+    equity: series.reduce(
+      (sum, { weight, closes }) =>
+        sum + (capital * weight * closes[i]) / closes[0],
+      0
+    ),
+  }));
+}
+
+// Bond closes on the strategy's dates: the latest close on or before each date (never a
+// later one), null before the bond history starts
+function bondCloses(bondSeries, bondTicker, dates) {
+  const known = (bondSeries || []).filter(
+    (bar) => bar.date <= dates[dates.length - 1]
+  );
+  if (known.length === 0) {
+    throw new Error(`The 60/40 benchmark needs ${bondTicker} history`);
+  }
+  let next = 0;
+  let last = null;
+  return dates.map((date) => {
+    while (next < known.length && known[next].date <= date) {
+      last = known[next++].close;
+    }
+    return last;
+  });
+}
+
+// Bought at 60/40 on the first date with a bond close, in cash before it
+function sixtyForty(stocks, bonds, capital, dates) {
+  const stockValue = (i) =>
+    stocks.reduce(
+      (sum, { weight, closes }) => sum + (weight * closes[i]) / closes[0],
+      0
+    );
+  const start = bonds.findIndex((close) => close !== null);
+  let stockUnits = (capital * 0.6) / stockValue(start);
+  let bondUnits = (capital * 0.4) / bonds[start];
+  return dates.map((date, i) => {
+    if (i < start) return { date, equity: capital };
+    const equity = stockUnits * stockValue(i) + bondUnits * bonds[i];
+    // Back to 60/40 on the last trading day of each month
+    const next = dates[i + 1];
+    if (next && next.slice(0, 7) !== date.slice(0, 7)) {
+      stockUnits = (equity * 0.6) / stockValue(i);
+      bondUnits = (equity * 0.4) / bonds[i];
+    }
+    return { date, equity };
+  });
+}
+
+function cash(capital, dates, riskFreeRate) {
+  return dates.map((date, i) => ({
+    date,
+    equity: capital * Math.pow(1 + riskFreeRate / TRADING_DAYS, i),
+  }));
+}
+
+// strategy: { simulationLog, aiRules, execution, sizing, baseSignal } of the backtest being
+// compared.
+// Returns [{ key, label, simulationLog, trades, metrics }] in the order of `keys`.
+function computeBenchmarks({
+  keys,
+  strategy,
+  universes,
+  universeData,
+  bondSeries,
+  bondTicker,
+  capital,
+  riskFreeRate,
+}) {
+  const dates = strategy.simulationLog.map((d) => d.date);
+  const signals = universeCloses(
+    universes,
+    universeData,
+    dates,
+    (u) => u.signal
+  );
+  const names = (pick) => universes.map(pick).join("/");
+
+  const build = {
+    signal: () => ({
+      label: `${names((u) => u.signal)} Buy & Hold`,
+      simulationLog: buyAndHold(signals, capital, dates),
+      trades: [],
+      exposure: 0,
+    }),
+    leveraged: () => ({
+      label: `${names((u) => u.long)} Buy & Hold`,
+      simulationLog: buyAndHold(
+        universeCloses(universes, universeData, dates, (u) => u.long),
+        capital,
+        dates
+      ),
+      trades: [],
+      exposure: 1,
+    }),
+    base_rsi: () => {
+      const { simulationLog, trades } = simulateUniverses({
+        universes,
+        universeData,
+        dates: new Set(dates),
+        aiRules: unfilteredRules(strategy.aiRules),
+        execution: strategy.execution,
+        sizing: strategy.sizing,
+        baseSignal: strategy.baseSignal,
+        capital,
+        riskFreeRate,
+      });
+      return { label: "Base RSI(2), No Filters", simulationLog, trades };
+    },
+    sixty_forty: () => {
+      const bonds = bondCloses(bondSeries, bondTicker, dates);
+      const start = bonds.findIndex((close) => close !== null);
+      return {
+        label: `60/40 ${names((u) => u.signal)}/${bondTicker}${
+          start > 0 ? ` (from ${dates[start]})` : ""
+        }`,
+        simulationLog: sixtyForty(signals, bonds, capital, dates),
+        trades: [],
+        exposure: 0,
+      };
+    },
+    cash: () => ({
+      label: `Cash (${(riskFreeRate * 100).toFixed(1)}%)`,
+      simulationLog: cash(capital, dates, riskFreeRate),
+      trades: [],
+      exposure: 0,
+    }),
+  };
+
+  return keys.map((key) => {
+    const { label, simulationLog, trades, exposure } = build[key]();
+    const log = simulationLog.map((day, i) => ({
+      ...day,
+      exposure: day.exposure ?? exposure,
+      benchmarkEquity: strategy.simulationLog[i].benchmarkEquity,
+    }));
+    return {
+      key,
+      label,
+      simulationLog: log,
+      trades,
+      metrics: calculateMetrics(log, trades, capital, riskFreeRate),
+    };
+  });
+}
+
+module.exports = {
+  BENCHMARK_KEYS,
+  parseBenchmarks,
+  benchmarkTickers,
+  computeBenchmarks,
+};
@@ -0,0 +1,289 @@
+// Filename: data_quality.js
+// Validation stage between fetching and indicator calculation. Detects duplicate dates,
+// non-positive/NaN prices, implausible returns, stale repeated bars and sessions missing
+// from one ticker but present in the others.
+//
+// Modes:
+//   "fail"   - throw if any issue is found
+//   "warn"   - report issues and pass the data through unchanged
+//   "repair" - drop duplicates and invalid bars, replace isolated spikes and forward-fill
+//              missing sessions; issues that cannot be repaired are reported
+
+const fs = require("fs-extra");
+
+const QUALITY_MODES = ["fail", "warn", "repair"];
+
+const QUALITY_DEFAULTS = {
+  mode: "warn",
+  maxAbsReturn: 0.25, // a single-bar move larger than this is implausible
+  maxAbsReturnByTicker: { "^VIX": 1.0, TQQQ: 0.5, SQQQ: 0.5 },
+  staleRunLength: 3, // this many identical consecutive bars count as stale
+};
+
+const ISSUE_SEVERITY = {
+  duplicate_date: "warning",
+  invalid_price: "error",
+  outlier_return: "warning",
+  stale_bars: "warning",
+  missing_session: "warning",
+};
+
+function isValidPrice(v) {
+  return typeof v === "number" && Number.isFinite(v) && v > 0;
+}
+
+function isValidBar(bar) {
+  if (!isValidPrice(bar.close)) return false;
+  for (const key of ["open", "high", "low"]) {
+    if (bar[key] !== null && bar[key] !== undefined && !isValidPrice(bar[key]))
+      return false;
+  }
+  return !(bar.high && bar.low && bar.high < bar.low);
+}
+
+function sameBar(a, b) {
+  return (
+    a.open === b.open &&
+    a.high === b.high &&
+    a.low === b.low &&
+    a.close === b.close
+  );
+}
+
+function fillBar(date, previous) {
+  return {
+    date,
+    open: previous.close,
+    high: previous.close,
+    low: previous.close,
+    close: previous.close,
+    adjclose: previous.adjclose,
+    volume: 0,
+    repaired: true,
+  };
+}
+
+function validateTicker(ticker, bars, options, issues) {
+  const repair = options.mode === "repair";
+  const addIssue = (type, date, detail, repaired = false) =>
+    issues.push({
+      ticker,
+      date,
+      type,
+      severity: ISSUE_SEVERITY[type],
+      detail,
+      repaired,
+    });
+
+  // 1. Duplicate dates (keep the last bar for each date)
+  const byDate = new Map();
+  for (const bar of bars) {
+    if (byDate.has(bar.date))
+      addIssue(
+        "duplicate_date",
+        bar.date,
+        "Date appears more than once",
+        repair
+      );
+    byDate.set(bar.date, bar);
+  }
+  let cleaned = repair ? Array.from(byDate.values()) : bars.slice();
+
+  // 2. Zero, negative or missing prices
+  cleaned = cleaned.filter((bar) => {
+    if (isValidBar(bar)) return true;
+    addIssue(
+      "invalid_price",
+      bar.date,
+      `O/H/L/C = ${bar.open}/${bar.high}/${bar.low}/${bar.close}`,
+      repair
+    );
+    return !repair;
+  });
+
+  // 3. Implausible single-bar returns; an isolated spike that reverts is replaced
+  const maxMove = options.maxAbsReturnByTicker[ticker] ?? options.maxAbsReturn;
+  for (let i = 1; i < cleaned.length; i++) {
+    const prev = cleaned[i - 1];
+    const curr = cleaned[i];
+    if (!isValidPrice(prev.close) || !isValidPrice(curr.close)) continue;
+    const ret = curr.close / prev.close - 1;
+    if (Math.abs(ret) <= maxMove) continue;
+    const next = cleaned[i + 1];
+    const reverts =
+      next &&
+      isValidPrice(next.close) &&
+      Math.abs(next.close / prev.close - 1) <= maxMove;
+    const repaired = repair && Boolean(reverts);
+    addIssue(
+      "outlier_return",
+      curr.date,
+      `${(ret * 100).toFixed(1)}% move (limit ${(maxMove * 100).toFixed(0)}%)${
+        reverts ? ", reverts next bar" : ""
+      }`,
+      repaired
+    );
+    if (repaired) cleaned[i] = fillBar(curr.date, prev);
+  }
+
+  // 4. Stale runs of identical bars
+  let runStart = 0;
+  for (let i = 1; i <= cleaned.length; i++) {
+    if (i < cleaned.length && sameBar(cleaned[i], cleaned[i - 1])) continue;
+    const runLength = i - runStart;
+    if (runLength >= options.staleRunLength) {
+      addIssue(
+        "stale_bars",
+        cleaned[runStart].date,
+        `${runLength} identical bars through ${cleaned[i - 1].date}`
+      );
+    }
+    runStart = i;
+  }
+
+  return cleaned;
+}
+
+// Dates traded by any other ticker inside this ticker's own history are expected sessions
+function findMissingSessions(ticker, bars, referenceDates, options, issues) {
+  if (bars.length === 0) return bars;
+  const have = new Set(bars.map((b) => b.date));
+  const first = bars[0].date;
+  const last = bars[bars.length - 1].date;
+  const missing = referenceDates.filter(
+    (d) => d >= first && d <= last && !have.has(d)
+  );
+  const repair = options.mode === "repair";
+  missing.forEach((date) =>
+    issues.push({
+      ticker,
+      date,
+      type: "missing_session",
+      severity: ISSUE_SEVERITY.missing_session,
+      detail: "Session present in other tickers but not in this one",
+      repaired: repair,
+    })
+  );
+  if (!repair || missing.length === 0) return bars;
+
+  const byDate = new Map(bars.map((b) => [b.date, b]));
+  const filled = [];
+  let previous = null;
+  for (const date of referenceDates) {
+    if (date < first || date > last) continue;
+    const bar = byDate.get(date) || fillBar(date, previous);
+    filled.push(bar);
+    previous = bar;
+  }
+  return filled;
+}
+
+function validateMarketData(dataByTicker, options = {}) {
+  const opts = {
+    ...QUALITY_DEFAULTS,
+    ...options,
+    maxAbsReturnByTicker: {
+      ...QUALITY_DEFAULTS.maxAbsReturnByTicker,
+      ...(options.maxAbsReturnByTicker || {}),
+    },
+  };
+  if (!QUALITY_MODES.includes(opts.mode)) {
+    throw new Error(
+      `Unknown data quality mode "${opts.mode}" (expected ${QUALITY_MODES.join(
+        ", "
+      )})`
+    );
+  }
+
+  const issues = [];
+  const data = {};
+  for (const [ticker, bars] of Object.entries(dataByTicker)) {
+    data[ticker] = validateTicker(ticker, bars, opts, issues);
+  }
+
+  const referenceDates = Array.from(
+    new Set(Object.values(data).flatMap((bars) => bars.map((b) => b.date)))
+  ).sort();
+  for (const ticker of Object.keys(data)) {
+    data[ticker] = findMissingSessions(
+      ticker,
+      data[ticker],
+      referenceDates,
+      opts,
+      issues
+    );
+  }
+
+  const tickers = {};
+  for (const ticker of Object.keys(dataByTicker)) {
+    const tickerIssues = issues.filter((i) => i.ticker === ticker);
+    const counts = {};
+    tickerIssues.forEach((i) => (counts[i.type] = (counts[i.type] || 0) + 1));
+    tickers[ticker] = {
+      bars: data[ticker].length,
+      firstDate: data[ticker][0]?.date || null,
+      lastDate: data[ticker][data[ticker].length - 1]?.date || null,
+      issueCounts: counts,
+      repaired: tickerIssues.filter((i) => i.repaired).length,
+    };
+  }
+
+  const unresolved = issues.filter((i) => !i.repaired);
+  const report = {
+    generatedAt: new Date().toISOString(),
+    mode: opts.mode,
+    status: unresolved.some((i) => i.severity === "error")
+      ? "FAIL"
+      : unresolved.length > 0
+      ? "WARN"
+      : "PASS",
+    totalIssues: issues.length,
+    repairedIssues: issues.length - unresolved.length,
+    tickers,
+    issues,
+  };
+
+  if (opts.mode === "fail" && issues.length > 0) {
+    const error = new Error(
+      `Data quality check failed with ${issues.length} issue(s): ${issues
+        .slice(0, 5)
+        .map((i) => `${i.ticker} ${i.date} ${i.type}`)
+        .join("; ")}${issues.length > 5 ? "; ..." : ""}`
+    );
+    error.report = report;
+    throw error;
+  }
+
+  return { data, report };
+}
+
+function printQualityReport(report) {
+  const icon =
+    report.status === "PASS" ? "✅" : report.status === "WARN" ? "⚠️ " : "❌";
+  console.log(
+    `${icon} Data quality ${report.status} (${report.mode} mode): ${report.totalIssues} issue(s), ${report.repairedIssues} repaired`
+  );
+  for (const [ticker, info] of Object.entries(report.tickers)) {
+    const counts = Object.entries(info.issueCounts)
+      .map(([type, n]) => `${type}=${n}`)
+      .join(", ");
+    console.log(
+      `   └─ ${ticker}: ${info.bars} bars ${info.firstDate} → ${info.lastDate}${
+        counts ? ` | ${counts}` : ""
+      }`
+    );
+  }
+}
+
+async function saveQualityReport(report, filePath) {
+  await fs.writeJson(filePath, report, { spaces: 2 });
+  return filePath;
+}
+
+module.exports = {
+  QUALITY_MODES,
+  QUALITY_DEFAULTS,
+  validateMarketData,
+  printQualityReport,
+  saveQualityReport,
+};
@@ -0,0 +1,210 @@
+// Filename: execution_model.js
+// How simulated orders are filled: when (fill timing), at what cost (slippage) and for what
+// fee (commission schedule). Used by the backtest so results are not flattered by trading at
+// the same close that produced the signal.
+//
+//   fillTiming   "same_close"  fill at the close of the decision bar (the legacy behaviour)
+//                "next_open"   fill at the next bar's open
+//                "next_close"  fill at the next bar's close
+//                "vwap"        fill at the next bar's typical price (H + L + C) / 3, a VWAP proxy
+//   stopFills    "close"       exits are only checked on the close and filled like any order
+//                "intrabar"    stops and targets rest in the market: filled on the bar that
+//                              touches them at the level, or at the open when it gaps through
+//   slippage     { model: "bps", bps }                  a fixed cost per fill
+//                { model: "spread", spreadBps: { default, TQQQ, ... } }  half the quoted spread
+//   commission   { model: "fixed", perOrder }
+//                { model: "percent", rate, minimum }    rate x traded value
+//                { model: "per_share", perShare, minimum }
+//
+// Slippage always moves the price against the order: up for buys, down for sells.
+
+const FILL_TIMINGS = ["same_close", "next_open", "next_close", "vwap"];
+const STOP_FILLS = ["close", "intrabar"];
+
+const EXECUTION_DEFAULTS = {
+  fillTiming: "same_close",
+  stopFills: "close",
+  slippage: { model: "bps", bps: 0 },
+  commission: { model: "fixed", perOrder: 5.0 },
+};
+
+// Exits that are resting orders at a price level (see exit_rules.js)
+const STOP_EXITS = ["stop_loss", "trailing_stop"];
+const LIMIT_EXITS = ["profit_target"];
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function createExecutionModel(options = {}) {
+  const model = {
+    ...EXECUTION_DEFAULTS,
+    ...options,
+    slippage: { ...EXECUTION_DEFAULTS.slippage, ...(options.slippage || {}) },
+    commission: {
+      ...EXECUTION_DEFAULTS.commission,
+      ...(options.commission || {}),
+    },
+  };
+  if (!FILL_TIMINGS.includes(model.fillTiming)) {
+    throw new Error(
+      `Unknown fill timing "${model.fillTiming}" (expected ${FILL_TIMINGS.join(
+        ", "
+      )})`
+    );
+  }
+  if (!STOP_FILLS.includes(model.stopFills)) {
+    throw new Error(
+      `Unknown stop fill mode "${model.stopFills}" (expected ${STOP_FILLS.join(
+        ", "
+      )})`
+    );
+  }
+  if (!["bps", "spread"].includes(model.slippage.model)) {
+    throw new Error(`Unknown slippage model "${model.slippage.model}"`);
+  }
+  if (!["fixed", "percent", "per_share"].includes(model.commission.model)) {
+    throw new Error(`Unknown commission model "${model.commission.model}"`);
+  }
+  return model;
+}
+
+// Orders decided on bar i fill on bar i (same_close) or on bar i + 1
+function fillsNextBar(model) {
+  return model.fillTiming !== "same_close";
+}
+
+// Unslipped reference price of a bar for the model's fill timing
+function referencePrice(model, bar) {
+  const close = bar.close;
+  switch (model.fillTiming) {
+    case "next_open":
+      return isNum(bar.open) ? bar.open : close;
+    case "vwap":
+      return isNum(bar.high) && isNum(bar.low)
+        ? (bar.high + bar.low + close) / 3
+        : close;
+    default:
+      return close;
+  }
+}
+
+function slippageRate(model, symbol) {
+  const { slippage } = model;
+  if (slippage.model === "spread") {
+    const spreads = slippage.spreadBps || {};
+    const spread = spreads[symbol] ?? spreads.default ?? 0;
+    return spread / 2 / 10000;
+  }
+  return (slippage.bps || 0) / 10000;
+}
+
+function slip(model, symbol, side, price) {
+  const rate = slippageRate(model, symbol);
+  return side === "buy" ? price * (1 + rate) : price * (1 - rate);
+}
+
+function commissionFor(model, shares, price) {
+  const { commission } = model;
+  switch (commission.model) {
+    case "percent":
+      return Math.max(
+        commission.minimum || 0,
+        Math.abs(shares * price) * (commission.rate || 0)
+      );
+    case "per_share":
+      return Math.max(
+        commission.minimum || 0,
+        Math.abs(shares) * (commission.perShare || 0)
+      );
+    default:
+      return commission.perOrder || 0;
+  }
+}
+
+// { price, reference, slippage } for an order on `symbol` filled on `bar`
+function fillPrice(model, { symbol, side, bar }) {
+  const reference = referencePrice(model, bar);
+  const price = slip(model, symbol, side, reference);
+  return { price, reference, slippage: Math.abs(price - reference) };
+}
+
+// Fill of an exit_rules.js exit on the bar that triggered it when stops rest intrabar.
+// Stops fill at their level, or at the open when the bar gaps through it; targets fill at
+// their level, or at a better open. Returns null when the exit is filled like any order.
+function exitFillPrice(model, { symbol, exit, bar }) {
+  if (model.stopFills !== "intrabar" || !isNum(exit.level)) return null;
+  const open = isNum(bar.open) ? bar.open : bar.close;
+  if (STOP_EXITS.includes(exit.rule)) {
+    const reference = Math.min(open, exit.level);
+    const price = slip(model, symbol, "sell", reference);
+    return {
+      price,
+      reference,
+      slippage: reference - price,
+      gapped: open < exit.level,
+    };
+  }
+  if (LIMIT_EXITS.includes(exit.rule)) {
+    const reference = Math.max(open, exit.level);
+    return {
+      price: reference,
+      reference,
+      slippage: 0,
+      gapped: open > exit.level,
+    };
+  }
+  return null;
+}
+
+// Shares `cash` buys once the commission on the purchase is paid
+function sharesFor(model, cash, price) {
+  const { commission } = model;
+  const minimum = commission.minimum || 0;
+  if (commission.model === "percent") {
+    const rate = commission.rate || 0;
+    const shares = cash / (price * (1 + rate));
+    return shares * price * rate >= minimum ? shares : (cash - minimum) / price;
+  }
+  if (commission.model === "per_share") {
+    const perShare = commission.perShare || 0;
+    const shares = cash / (price + perShare);
+    return shares * perShare >= minimum ? shares : (cash - minimum) / price;
+  }
+  return (cash - (commission.perOrder || 0)) / price;
+}
+
+function describeExecution(model) {
+  const timing = {
+    same_close: "same-bar close",
+    next_open: "next open",
+    next_close: "next close",
+    vwap: "next-bar VWAP proxy",
+  }[model.fillTiming];
+  const { slippage, commission } = model;
+  const slippageText =
+    slippage.model === "spread"
+      ? `half spread (default ${slippage.spreadBps?.default ?? 0} bps)`
+      : `${slippage.bps || 0} bps`;
+  const commissionText =
+    commission.model === "percent"
+      ? `${((commission.rate || 0) * 10000).toFixed(1)} bps of value (min $${
+          commission.minimum || 0
+        })`
+      : commission.model === "per_share"
+      ? `$${commission.perShare || 0}/share (min $${commission.minimum || 0})`
+      : `$${commission.perOrder || 0}/order`;
+  return `fills at ${timing}, ${
+    model.stopFills === "intrabar" ? "intrabar" : "close-only"
+  } stops, slippage ${slippageText}, commission ${commissionText}`;
+}
+
+module.exports = {
+  EXECUTION_DEFAULTS,
+  FILL_TIMINGS,
+  createExecutionModel,
+  fillsNextBar,
+  fillPrice,
+  exitFillPrice,
+  commissionFor,
+  sharesFor,
+  describeExecution,
+};
@@ -0,0 +1,228 @@
+// Filename: exit_rules.js
+// Exit logic for open leveraged positions, shared by the backtest and the live monitor so a
+// trade leaves the same way in simulation and in production.
+//
+// Exits come from rules.exit_rules (see trading_rules.js), checked in this order:
+//   stop_loss_percent        held ETF falls this far below the entry price
+//   atr_stop_multiple        signal ETF moves k x ATR (at entry) against the trade
+//   trailing_stop_percent    held ETF falls this far below its highest price since entry
+//   trailing_atr_multiple    signal ETF gives back k x ATR from its best close since entry
+//   profit_target_percent    held ETF rises this far above the entry price
+//   rsi_exit_level           RSI normalises: above the level after a long, below 100 - level
+//                            after a short (50 -> "RSI(2) back over 50")
+//   exit_on_close_above_prior_high  signal close above the prior bar's high (below the
+//                            prior low for shorts)
+//   max_hold_days            time stop
+// ATR exits are measured on the signal ETF because atr14 is computed there.
+//
+// A position is { side, symbol, entryPrice, entrySignalPrice, entryAtr, peakPrice,
+// signalPeak, daysHeld }; the caller owns it and refreshes it with markPosition().
+
+const EXIT_DEFAULTS = {
+  stop_loss_percent: 0.1,
+  atr_stop_multiple: null,
+  trailing_stop_percent: null,
+  trailing_atr_multiple: null,
+  profit_target_percent: null,
+  rsi_exit_level: null,
+  exit_on_close_above_prior_high: false,
+  max_hold_days: 10,
+};
+
+// Trade log labels, e.g. "SELL (STOP LOSS)"
+const EXIT_LABELS = {
+  stop_loss: "STOP LOSS",
+  atr_stop: "ATR STOP",
+  trailing_stop: "TRAILING STOP",
+  trailing_atr_stop: "TRAILING ATR STOP",
+  profit_target: "PROFIT TARGET",
+  rsi_exit: "RSI EXIT",
+  prior_high_exit: "PRIOR HIGH EXIT",
+  time_stop: "TIME STOP",
+};
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const pct = (v) => `${(v * 100).toFixed(2)}%`;
+
+function exitRulesFor(rules) {
+  return { ...EXIT_DEFAULTS, ...((rules && rules.exit_rules) || {}) };
+}
+
+// bar: the entry bar of indicators ({ qqqClose, atr14, ... })
+function openPosition({ side, symbol, price, bar = {} }) {
+  return {
+    side,
+    symbol,
+    entryPrice: price,
+    entrySignalPrice: isNum(bar.qqqClose) ? bar.qqqClose : null,
+    entryAtr: isNum(bar.atr14) ? bar.atr14 : null,
+    peakPrice: price,
+    signalPeak: isNum(bar.qqqClose) ? bar.qqqClose : null,
+    daysHeld: 0,
+  };
+}
+
+// Returns the position with its extremes updated by the latest held price (and its
+// high, when intraday extremes are known) and signal close
+function markPosition(position, { price, high, bar = {} }) {
+  const best = Math.max(
+    ...[position.peakPrice, price, high].filter((v) => isNum(v))
+  );
+  let signalPeak = position.signalPeak;
+  if (isNum(bar.qqqClose)) {
+    signalPeak = !isNum(signalPeak)
+      ? bar.qqqClose
+      : position.side === "short"
+      ? Math.min(signalPeak, bar.qqqClose)
+      : Math.max(signalPeak, bar.qqqClose);
+  }
+  return { ...position, peakPrice: best, signalPeak };
+}
+
+// market: { price, low, high } of the held ETF (low/high: extremes since entry, optional)
+// bar: the current indicator bar ({ qqqClose, rsi, prevQqqHigh, prevQqqLow, ... })
+// Returns { exit: false } or { exit: true, rule, label, reason, level }
+function evaluateExit(position, market, bar, rules) {
+  const r = { ...EXIT_DEFAULTS, ...rules };
+  const short = position.side === "short";
+  const { price } = market;
+  const low = isNum(market.low) ? Math.min(market.low, price) : price;
+  const high = isNum(market.high) ? Math.max(market.high, price) : price;
+  const signal = bar.qqqClose;
+  const exit = (rule, reason, level = null) => ({
+    exit: true,
+    rule,
+    label: EXIT_LABELS[rule],
+    reason,
+    level,
+  });
+
+  if (isNum(r.stop_loss_percent)) {
+    const level = position.entryPrice * (1 - r.stop_loss_percent);
+    if (low <= level) {
+      return exit(
+        "stop_loss",
+        `Stop loss: ${pct(
+          low / position.entryPrice - 1
+        )} from entry (limit -${pct(r.stop_loss_percent)}, now ${pct(
+          price / position.entryPrice - 1
+        )})`,
+        level
+      );
+    }
+  }
+
+  if (
+    isNum(r.atr_stop_multiple) &&
+    isNum(position.entryAtr) &&
+    isNum(position.entrySignalPrice) &&
+    isNum(signal)
+  ) {
+    const distance = r.atr_stop_multiple * position.entryAtr;
+    const level = short
+      ? position.entrySignalPrice + distance
+      : position.entrySignalPrice - distance;
+    if (short ? signal >= level : signal <= level) {
+      return exit(
+        "atr_stop",
+        `ATR stop: signal ${signal.toFixed(2)} ${
+          short ? ">=" : "<="
+        } ${level.toFixed(2)} (entry ${position.entrySignalPrice.toFixed(2)} ${
+          short ? "+" : "-"
+        } ${r.atr_stop_multiple} x ATR ${position.entryAtr.toFixed(2)})`
+      );
+    }
+  }
+
+  if (isNum(r.trailing_stop_percent) && isNum(position.peakPrice)) {
+    const level = position.peakPrice * (1 - r.trailing_stop_percent);
+    if (low <= level) {
+      return exit(
+        "trailing_stop",
+        `Trailing stop: ${pct(
+          low / position.peakPrice - 1
+        )} from the ${position.peakPrice.toFixed(2)} peak (limit -${pct(
+          r.trailing_stop_percent
+        )}, now ${pct(price / position.peakPrice - 1)})`,
+        level
+      );
+    }
+  }
+
+  if (
+    isNum(r.trailing_atr_multiple) &&
+    isNum(position.entryAtr) &&
+    isNum(position.signalPeak) &&
+    isNum(signal)
+  ) {
+    const distance = r.trailing_atr_multiple * position.entryAtr;
+    const level = short
+      ? position.signalPeak + distance
+      : position.signalPeak - distance;
+    if (short ? signal >= level : signal <= level) {
+      return exit(
+        "trailing_atr_stop",
+        `Trailing ATR stop: signal ${signal.toFixed(2)} gave back ${
+          r.trailing_atr_multiple
+        } x ATR from ${position.signalPeak.toFixed(2)}`
+      );
+    }
+  }
+
+  if (isNum(r.profit_target_percent)) {
+    const level = position.entryPrice * (1 + r.profit_target_percent);
+    if (high >= level) {
+      return exit(
+        "profit_target",
+        `Profit target: ${pct(
+          high / position.entryPrice - 1
+        )} from entry (target ${pct(r.profit_target_percent)}, now ${pct(
+          price / position.entryPrice - 1
+        )})`,
+        level
+      );
+    }
+  }
+
+  if (isNum(r.rsi_exit_level) && isNum(bar.rsi)) {
+    const level = short ? 100 - r.rsi_exit_level : r.rsi_exit_level;
+    if (short ? bar.rsi < level : bar.rsi > level) {
+      return exit(
+        "rsi_exit",
+        `RSI exit: RSI ${bar.rsi.toFixed(2)} back ${
+          short ? "below" : "above"
+        } ${level}`
+      );
+    }
+  }
+
+  if (r.exit_on_close_above_prior_high && isNum(signal)) {
+    const prior = short ? bar.prevQqqLow : bar.prevQqqHigh;
+    if (isNum(prior) && (short ? signal < prior : signal > prior)) {
+      return exit(
+        "prior_high_exit",
+        `Signal close ${signal.toFixed(2)} ${
+          short ? "below the prior low" : "above the prior high"
+        } ${prior.toFixed(2)}`
+      );
+    }
+  }
+
+  if (isNum(r.max_hold_days) && position.daysHeld >= r.max_hold_days) {
+    return exit(
+      "time_stop",
+      `Maximum hold period reached (${position.daysHeld}/${r.max_hold_days} days)`
+    );
+  }
+
+  return { exit: false };
+}
+
+module.exports = {
+  EXIT_DEFAULTS,
+  EXIT_LABELS,
+  exitRulesFor,
+  openPosition,
+  markPosition,
+  evaluateExit,
+};
@@ -0,0 +1,346 @@
+// Filename: filter_ablation.js
+// Which entry filters earn their keep. Two views of one backtest:
+//
+//   signal log  every raw RSI(2) signal (signal ETF oversold or overbought), with the pass/fail
+//               result of each filter, whether the strategy took it (it may already have been
+//               in a trade), and the forward returns of the leveraged ETF it would have bought
+//   ablations   the backtest re-run with each enabled filter removed, with each filter alone
+//               and with no filters, so a filter's contribution shows up in the metrics
+//
+// A filter groups the checks of strategy_engine.js that one rule setting enables, e.g. "sma50"
+// covers price above SMA50 for longs and below it for shorts. The AI's extra_conditions count
+// as a single filter, as does the regime filter.
+
+const { evaluate } = require("./strategy_engine");
+const { simulateUniverses } = require("./backtest_engine");
+const { roundTripReturns } = require("./monte_carlo");
+
+const ABLATION_DEFAULTS = {
+  horizons: [1, 5, 10], // trading days after the signal close
+};
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// A bullish/bearish confirmation pair switched on and off together
+function confirmationFilter(key, label, bullish, bearish, checks) {
+  return {
+    key,
+    label,
+    checks,
+    enabled: (rules) =>
+      Boolean(
+        rules.bullish_confirmation?.[bullish] ||
+          rules.bearish_confirmation?.[bearish]
+      ),
+    remove: (rules) => ({
+      ...rules,
+      bullish_confirmation: { ...rules.bullish_confirmation, [bullish]: false },
+      bearish_confirmation: { ...rules.bearish_confirmation, [bearish]: false },
+    }),
+  };
+}
+
+function thresholdFilter(key, label, setting) {
+  return {
+    key,
+    label,
+    checks: [key],
+    enabled: (rules) => isNum(rules[setting]),
+    remove: (rules) => ({ ...rules, [setting]: null }),
+  };
+}
+
+const FILTERS = [
+  thresholdFilter("adx", "ADX", "min_adx_threshold"),
+  thresholdFilter("vix", "VIX", "max_vix_threshold"),
+  thresholdFilter("volume", "Volume", "min_volume_threshold"),
+  confirmationFilter(
+    "sma50",
+    "SMA50 Trend",
+    "require_price_above_sma50",
+    "require_price_below_sma50",
+    ["price_above_sma50", "price_below_sma50"]
+  ),
+  confirmationFilter(
+    "sma200",
+    "SMA200 Trend",
+    "require_price_above_sma200",
+    "require_price_below_sma200",
+    ["price_above_sma200", "price_below_sma200"]
+  ),
+  confirmationFilter(
+    "rising_sma",
+    "Rising/Falling SMA50",
+    "require_rising_sma",
+    "require_falling_sma",
+    ["rising_sma50", "falling_sma50"]
+  ),
+  {
+    key: "regime",
+    label: "Market Regime",
+    checks: ["regime_trend", "regime_volatility", "regime_drawdown"],
+    enabled: (rules) =>
+      ["long", "short"].some(
+        (side) => Object.keys(rules.regime_filter?.[side] || {}).length > 0
+      ),
+    remove: (rules) => ({ ...rules, regime_filter: undefined }),
+  },
+  {
+    key: "extra",
+    label: "Extra Conditions",
+    checks: null, // every check no other filter claims
+    enabled: (rules) => (rules.extra_conditions || []).length > 0,
+    remove: (rules) => ({ ...rules, extra_conditions: [] }),
+  },
+];
+
+function enabledFilters(rules) {
+  return FILTERS.filter((f) => f.enabled(rules));
+}
+
+function filterOf(checkName) {
+  return (
+    FILTERS.find((f) => f.checks && f.checks.includes(checkName)) ||
+    FILTERS.find((f) => !f.checks)
+  ).key;
+}
+
+function removeFilters(rules, filters) {
+  return filters.reduce((r, f) => f.remove(r), rules);
+}
+
+// The universe's simulated days, as in simulateUniverses
+function simulatedDays(universeData, universe, dates) {
+  return universeData[universe.key].dataWithIndicators.filter((d) =>
+    dates.has(d.date)
+  );
+}
+
+// One entry per raw signal: { universe, date, signal, side, rsi, target, filters: { key:
+// passed, or null when the filter has no check on that side }, passed, taken, status,
+// failedChecks, forwardReturns: { horizon: return or null past the end } }
+function buildSignalLog({
+  universes,
+  universeData,
+  dates,
+  aiRules,
+  baseSignal,
+  trades,
+  horizons = ABLATION_DEFAULTS.horizons,
+}) {
+  const filters = enabledFilters(aiRules);
+  const signals = [];
+  for (const universe of universes) {
+    const data = simulatedDays(universeData, universe, dates);
+    const entryDates = new Set(
+      trades
+        .filter((t) => t.universe === universe.key && t.action === "BUY")
+        .map((t) => t.decisionDate)
+    );
+    data.forEach((day, i) => {
+      // Evaluated as if flat, so signals during a trade are judged too
+      const entry = evaluate(
+        { position: universe.safe, isLeveragedPosition: false },
+        day,
+        aiRules,
+        {
+          ...baseSignal,
+          longSymbol: universe.long,
+          shortSymbol: universe.short,
+        }
+      );
+      if (!entry.signal) return;
+
+      const target = entry.side === "long" ? universe.long : universe.short;
+      const passed = entry.decision === "BUY";
+      const taken = entryDates.has(day.date);
+      signals.push({
+        universe: universe.key,
+        date: day.date,
+        signal: entry.signal,
+        side: entry.side,
+        rsi: day.rsi,
+        target,
+        filters: Object.fromEntries(
+          filters.map((f) => {
+            const checks = entry.checks.filter(
+              (c) => filterOf(c.name) === f.key
+            );
+            return [
+              f.key,
+              checks.length ? checks.every((c) => c.passed) : null,
+            ];
+          })
+        ),
+        passedChecks: entry.passedChecks,
+        enabledChecks: entry.enabledChecks,
+        passed,
+        taken,
+        status: taken ? "taken" : passed ? "in trade" : "rejected",
+        failedChecks: entry.checks.filter((c) => !c.passed).map((c) => c.name),
+        forwardReturns: Object.fromEntries(
+          horizons.map((h) => [
+            h,
+            data[i + h]
+              ? data[i + h][target].close / day[target].close - 1
+              : null,
+          ])
+        ),
+      });
+    });
+  }
+  return signals.sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function mean(values) {
+  const known = values.filter(isNum);
+  return known.length ? known.reduce((a, b) => a + b, 0) / known.length : null;
+}
+
+// Each row splits a set of signals by one test: every filter together, each filter alone (on
+// the signals it checks) and, among signals passing every filter, whether they were taken.
+// Rows: { label, count, passRate, passed: { horizon: mean }, failed: { horizon: mean } }
+function signalStatistics(signals, filters, horizons) {
+  const returns = (subset) =>
+    Object.fromEntries(
+      horizons.map((h) => [h, mean(subset.map((s) => s.forwardReturns[h]))])
+    );
+  const split = (label, checked, test) => {
+    const passed = checked.filter(test);
+    return {
+      label,
+      count: checked.length,
+      passRate: checked.length ? passed.length / checked.length : null,
+      passed: returns(passed),
+      failed: returns(checked.filter((s) => !test(s))),
+    };
+  };
+  return [
+    split("All Filters", signals, (s) => s.passed),
+    ...filters.map((f) =>
+      split(
+        f.label,
+        signals.filter((s) => s.filters[f.key] !== null),
+        (s) => s.filters[f.key]
+      )
+    ),
+    split(
+      "Taken (of signals passing all filters)",
+      signals.filter((s) => s.passed),
+      (s) => s.taken
+    ),
+  ];
+}
+
+// Rule variants to compare: all filters, none, each one removed and (with several) each alone
+function ablationVariants(rules) {
+  const filters = enabledFilters(rules);
+  return [
+    { key: "all", label: "All Filters", rules },
+    { key: "none", label: "No Filters", rules: removeFilters(rules, filters) },
+    ...filters.map((f) => ({
+      key: `without_${f.key}`,
+      label: `Without ${f.label}`,
+      rules: f.remove(rules),
+    })),
+    ...(filters.length > 1
+      ? filters.map((f) => ({
+          key: `only_${f.key}`,
+          label: `Only ${f.label}`,
+          rules: removeFilters(
+            rules,
+            filters.filter((other) => other !== f)
+          ),
+        }))
+      : []),
+  ];
+}
+
+// Re-runs the backtest for every variant.
+// Returns [{ key, label, metrics, trades (entries), winRate, avgTradeReturn }].
+function runAblations({
+  universes,
+  universeData,
+  dates,
+  aiRules,
+  execution,
+  sizing,
+  baseSignal,
+  capital,
+  riskFreeRate,
+}) {
+  return ablationVariants(aiRules).map(({ key, label, rules }) => {
+    const { trades, metrics } = simulateUniverses({
+      universes,
+      universeData,
+      dates,
+      aiRules: rules,
+      execution,
+      sizing,
+      baseSignal,
+      capital,
+      riskFreeRate,
+    });
+    const roundTrips = roundTripReturns(trades).map((t) => t.return);
+    return {
+      key,
+      label,
+      metrics,
+      trades: trades.filter((t) => t.action === "BUY").length,
+      winRate: roundTrips.length
+        ? roundTrips.filter((r) => r > 0).length / roundTrips.length
+        : null,
+      avgTradeReturn: mean(roundTrips),
+    };
+  });
+}
+
+// strategy: { aiRules, execution, sizing, baseSignal, trades } of the backtest being studied.
+// Returns { horizons, filters: [{ key, label }], signals, statistics, ablations }.
+function runFilterStudy({
+  strategy,
+  universes,
+  universeData,
+  dates,
+  capital,
+  riskFreeRate,
+  options = {},
+}) {
+  const { horizons } = { ...ABLATION_DEFAULTS, ...options };
+  const filters = enabledFilters(strategy.aiRules);
+  const signals = buildSignalLog({
+    universes,
+    universeData,
+    dates,
+    aiRules: strategy.aiRules,
+    baseSignal: strategy.baseSignal,
+    trades: strategy.trades,
+    horizons,
+  });
+  return {
+    horizons,
+    filters: filters.map(({ key, label }) => ({ key, label })),
+    signals,
+    statistics: signalStatistics(signals, filters, horizons),
+    ablations: runAblations({
+      universes,
+      universeData,
+      dates,
+      aiRules: strategy.aiRules,
+      execution: strategy.execution,
+      sizing: strategy.sizing,
+      baseSignal: strategy.baseSignal,
+      capital,
+      riskFreeRate,
+    }),
+  };
+}
+
+module.exports = {
+  ABLATION_DEFAULTS,
+  FILTERS,
+  enabledFilters,
+  buildSignalLog,
+  runAblations,
+  runFilterStudy,
+};
@@ -0,0 +1,227 @@
+// Filename: grid_search.js
+// Parameter sweeps over the aligned backtest dataset, simulated in parallel worker threads.
+//
+// A search space maps parameter names (see walk_forward.js applyParameters) to candidates:
+//   { "rsiOversold": [5, 10, 15], "rsiOverbought": { "min": 80, "max": 98, "step": 2 } }
+// "grid" runs every combination; "random" draws `samples` distinct combinations with a
+// seeded generator (random.js), which covers large spaces at a fraction of the cost.
+//
+// Each worker loads only backtest_engine.js and receives the dataset once; the main
+// thread hands out parameter sets and collects the metrics.
+
+const os = require("os");
+const {
+  Worker,
+  isMainThread,
+  parentPort,
+  workerData,
+} = require("worker_threads");
+const fs = require("fs-extra");
+const { parameterGrid, applyParameters } = require("./walk_forward");
+const { createRng, pick } = require("./random");
+const { simulateUniverses } = require("./backtest_engine");
+
+const GRID_SEARCH_DEFAULTS = {
+  method: "grid", // "grid" or "random"
+  samples: 200,
+  seed: 42,
+  workers: Math.max(1, os.cpus().length - 1),
+  rankBy: "sharpe", // "sharpe", "cagr", "maxDrawdown" or "trades"
+};
+
+const DEFAULT_SEARCH_SPACE = {
+  rsiOversold: { min: 2, max: 20, step: 2 },
+  rsiOverbought: { min: 80, max: 98, step: 2 },
+};
+
+// Higher is better for every ranking (max drawdown is negative, so closest to 0 wins)
+const RANK_METRICS = {
+  cagr: (r) => r.cagr,
+  sharpe: (r) => r.sharpeRatio,
+  maxDrawdown: (r) => r.maxDrawdown,
+  trades: (r) => r.trades,
+};
+
+const round = (v) => Math.round(v * 1e6) / 1e6;
+
+// { key: [values] | { min, max, step } } -> { key: [values] }
+function expandSpace(space) {
+  return Object.fromEntries(
+    Object.entries(space).map(([key, spec]) => {
+      if (Array.isArray(spec)) return [key, spec];
+      const { min, max, step } = spec || {};
+      if (![min, max, step].every((v) => typeof v === "number") || step <= 0) {
+        throw new Error(
+          `Search parameter ${key} needs a list of values or { min, max, step }`
+        );
+      }
+      const values = [];
+      for (let v = min; v <= max + step / 1e6; v += step) values.push(round(v));
+      return [key, values];
+    })
+  );
+}
+
+// Every combination, or `samples` distinct random ones
+function searchCombinations(space, options = {}) {
+  const { method, samples, seed } = { ...GRID_SEARCH_DEFAULTS, ...options };
+  const expanded = expandSpace(space);
+  if (method === "grid") return parameterGrid(expanded);
+  if (method !== "random") {
+    throw new Error(
+      `Unknown search method "${method}" (expected grid or random)`
+    );
+  }
+  const total = Object.values(expanded).reduce((n, v) => n * v.length, 1);
+  const target = Math.min(samples, total);
+  const rng = createRng(seed);
+  const seen = new Set();
+  const combos = [];
+  while (combos.length < target) {
+    const combo = Object.fromEntries(
+      Object.entries(expanded).map(([key, values]) => [key, pick(rng, values)])
+    );
+    const id = JSON.stringify(combo);
+    if (!seen.has(id)) {
+      seen.add(id);
+      combos.push(combo);
+    }
+  }
+  return combos;
+}
+
+// Adds cagrRank, sharpeRank, maxDrawdownRank and tradesRank (1 = best) and sorts by rankBy
+function rankResults(results, rankBy = GRID_SEARCH_DEFAULTS.rankBy) {
+  if (!RANK_METRICS[rankBy]) {
+    throw new Error(
+      `Unknown ranking "${rankBy}" (expected ${Object.keys(RANK_METRICS).join(
+        ", "
+      )})`
+    );
+  }
+  const ranked = results.map((r) => ({ ...r }));
+  for (const [name, value] of Object.entries(RANK_METRICS)) {
+    [...ranked]
+      .sort((a, b) => value(b) - value(a))
+      .forEach((r, i) => {
+        r[`${name}Rank`] = i + 1;
+      });
+  }
+  return ranked.sort((a, b) => a[`${rankBy}Rank`] - b[`${rankBy}Rank`]);
+}
+
+// Metric by (x, y) parameter values, taking the best run over every other parameter
+function heatmapGrid(results, xKey, yKey, metric) {
+  const value = RANK_METRICS[metric] || ((r) => r[metric]);
+  const xValues = [...new Set(results.map((r) => r.params[xKey]))].sort(
+    (a, b) => a - b
+  );
+  const yValues = [...new Set(results.map((r) => r.params[yKey]))].sort(
+    (a, b) => a - b
+  );
+  const cells = yValues.map(() => xValues.map(() => null));
+  for (const r of results) {
+    const x = xValues.indexOf(r.params[xKey]);
+    const y = yValues.indexOf(r.params[yKey]);
+    const v = value(r);
+    if (cells[y][x] === null || v > cells[y][x]) cells[y][x] = v;
+  }
+  return { xKey, yKey, metric, xValues, yValues, cells };
+}
+
+// One simulation in a worker; only summary numbers travel back to the main thread
+function runCombination(shared, params) {
+  const applied = applyParameters(shared.aiRules, shared.baseSignal, params);
+  const { trades, metrics } = simulateUniverses({
+    universes: shared.universes,
+    universeData: shared.universeData,
+    dates: shared.dates,
+    aiRules: applied.rules,
+    baseSignal: applied.baseSignal,
+    execution: shared.execution,
+    sizing: shared.sizing,
+    capital: shared.capital,
+    riskFreeRate: shared.riskFreeRate,
+  });
+  return {
+    params,
+    finalEquity: metrics.finalEquity,
+    cagr: metrics.cagr,
+    maxDrawdown: metrics.maxDrawdown,
+    sharpeRatio: metrics.sharpeRatio,
+    trades: trades.filter((t) => t.action === "BUY").length,
+  };
+}
+
+// shared: { universes, universeData, dates (Set), aiRules, baseSignal, execution, sizing,
+// capital, riskFreeRate }. onResult(result, done, total) reports progress.
+function runGridSearch({ combos, shared, workers, onResult = () => {} }) {
+  const workerCount = Math.max(1, Math.min(workers, combos.length));
+  const results = [];
+  let next = 0;
+
+  return new Promise((resolve, reject) => {
+    const pool = [];
+    let running = workerCount;
+    const fail = (error) => {
+      pool.forEach((w) => w.terminate());
+      reject(error);
+    };
+    for (let i = 0; i < workerCount; i++) {
+      const worker = new Worker(__filename, { workerData: shared });
+      pool.push(worker);
+      const dispatch = () => {
+        if (next < combos.length) {
+          worker.postMessage({ params: combos[next++] });
+        } else {
+          worker.postMessage({ done: true });
+        }
+      };
+      worker.on("message", (message) => {
+        results.push(message);
+        onResult(message, results.length, combos.length);
+        dispatch();
+      });
+      worker.on("error", fail);
+      worker.on("exit", (code) => {
+        if (code !== 0) {
+          fail(new Error(`Grid search worker stopped with exit code ${code}`));
+          return;
+        }
+        running--;
+        if (running === 0) resolve(results);
+      });
+      dispatch();
+    }
+  });
+}
+
+async function loadSearchSpace(filePath) {
+  const space = await fs.readJson(filePath);
+  if (!space || typeof space !== "object" || Array.isArray(space)) {
+    throw new Error(`Search space file ${filePath} must contain an object`);
+  }
+  expandSpace(space);
+  return space;
+}
+
+if (!isMainThread && parentPort) {
+  parentPort.on("message", ({ params, done }) => {
+    if (done) {
+      parentPort.close();
+      return;
+    }
+    parentPort.postMessage(runCombination(workerData, params));
+  });
+}
+
+module.exports = {
+  GRID_SEARCH_DEFAULTS,
+  DEFAULT_SEARCH_SPACE,
+  expandSpace,
+  searchCombinations,
+  rankResults,
+  heatmapGrid,
+  runGridSearch,
+  loadSearchSpace,
+};
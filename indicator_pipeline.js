@@ -0,0 +1,386 @@
+// Filename: indicator_pipeline.js
+// Declarative indicator pipeline over date-aligned rows ({ date, QQQ: bar, "^VIX": bar, ... }).
+// Each spec names an indicator, its input series, parameters and the row key(s) to write:
+//
+//   { indicator: "SMA", input: "QQQ", params: { period: 50 }, output: "sma50" }
+//   { indicator: "SMA", input: "QQQ", params: { period: 50 }, output: "prevSma50", lag: 1 }
+//   { indicator: "RATIO", input: ["^VIX", "^VIX3M"], output: "vixTermRatio", optional: true }
+//
+// Outputs are front-padded so value i always belongs to row i (no hand-computed offsets).
+// Multi-value indicators write one key per field: output "bb" -> bbMiddle, bbUpper, bbLower,
+// bbPercentB. Rows where a required (non-optional) output is still warming up are dropped.
+
+const fs = require("fs-extra");
+const {
+  SMA,
+  EMA,
+  RSI,
+  ADX,
+  ATR,
+  BollingerBands,
+  MACD,
+  ROC,
+} = require("technicalindicators");
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Pads a tail-aligned output array to the input length
+function padFront(values, length) {
+  const padded = new Array(Math.max(0, length - values.length)).fill(null);
+  return padded.concat(values.map((v) => (v === undefined ? null : v)));
+}
+
+function seriesOf(rows, input, field = "close") {
+  return rows.map((row) => {
+    const v = row[input]?.[field];
+    return isNum(v) ? v : null;
+  });
+}
+
+// technicalindicators does not accept gaps; only leading nulls are tolerated
+function dense(values, label) {
+  const first = values.findIndex((v) => v !== null);
+  if (first < 0) return { start: values.length, values: [] };
+  const rest = values.slice(first);
+  if (rest.some((v) => v === null)) {
+    throw new Error(`Indicator input ${label} has gaps after ${first} rows`);
+  }
+  return { start: first, values: rest };
+}
+
+function percentRank(values, period) {
+  return values.map((v, i) => {
+    if (i < period || v === null) return null;
+    const window = values.slice(i - period, i);
+    if (window.some((w) => w === null)) return null;
+    return (window.filter((w) => w < v).length / period) * 100;
+  });
+}
+
+// Connors RSI = mean of RSI(close), RSI(up/down streak) and percent rank of the 1-bar return
+function connorsRsi(
+  closes,
+  { rsiPeriod = 3, streakPeriod = 2, rankPeriod = 100 }
+) {
+  const streaks = [0];
+  for (let i = 1; i < closes.length; i++) {
+    const prev = streaks[i - 1];
+    if (closes[i] > closes[i - 1]) streaks.push(prev > 0 ? prev + 1 : 1);
+    else if (closes[i] < closes[i - 1]) streaks.push(prev < 0 ? prev - 1 : -1);
+    else streaks.push(0);
+  }
+  const priceRsi = padFront(
+    RSI.calculate({ period: rsiPeriod, values: closes }),
+    closes.length
+  );
+  const streakRsi = padFront(
+    RSI.calculate({ period: streakPeriod, values: streaks }),
+    closes.length
+  );
+  const returns = closes.map((c, i) =>
+    i === 0 ? null : c / closes[i - 1] - 1
+  );
+  const rank = percentRank(returns, rankPeriod);
+  return closes.map((_, i) =>
+    [priceRsi[i], streakRsi[i], rank[i]].every(isNum)
+      ? (priceRsi[i] + streakRsi[i] + rank[i]) / 3
+      : null
+  );
+}
+
+// fields: multi-value output field -> key suffix ("" is the primary value written to `output`)
+const INDICATORS = {
+  SMA: {
+    compute: (s, p) => SMA.calculate({ period: p.period, values: s.close }),
+  },
+  EMA: {
+    compute: (s, p) => EMA.calculate({ period: p.period, values: s.close }),
+  },
+  RSI: {
+    compute: (s, p) => RSI.calculate({ period: p.period, values: s.close }),
+  },
+  ROC: {
+    compute: (s, p) => ROC.calculate({ period: p.period, values: s.close }),
+  },
+  ATR: {
+    ohlc: true,
+    compute: (s, p) =>
+      ATR.calculate({
+        period: p.period,
+        high: s.high,
+        low: s.low,
+        close: s.close,
+      }),
+  },
+  ADX: {
+    ohlc: true,
+    fields: { adx: "", pdi: "PlusDi", mdi: "MinusDi" },
+    compute: (s, p) =>
+      ADX.calculate({
+        period: p.period,
+        high: s.high,
+        low: s.low,
+        close: s.close,
+      }),
+  },
+  BB: {
+    fields: {
+      middle: "Middle",
+      upper: "Upper",
+      lower: "Lower",
+      pb: "PercentB",
+    },
+    compute: (s, p) =>
+      BollingerBands.calculate({
+        period: p.period ?? 20,
+        stdDev: p.stdDev ?? 2,
+        values: s.close,
+      }),
+  },
+  MACD: {
+    fields: { MACD: "", signal: "Signal", histogram: "Histogram" },
+    compute: (s, p) =>
+      MACD.calculate({
+        values: s.close,
+        fastPeriod: p.fastPeriod ?? 12,
+        slowPeriod: p.slowPeriod ?? 26,
+        signalPeriod: p.signalPeriod ?? 9,
+        SimpleMAOscillator: false,
+        SimpleMASignal: false,
+      }),
+  },
+  CRSI: {
+    compute: (s, p) => connorsRsi(s.close, p),
+  },
+  // Ratio of two inputs' closes, e.g. ^VIX / ^VIX3M (> 1 is backwardation)
+  RATIO: {
+    pair: true,
+  },
+};
+
+function outputKeys(spec) {
+  const def = INDICATORS[spec.indicator];
+  if (!def.fields) return { value: spec.output };
+  if (typeof spec.output === "object") return spec.output;
+  const keys = {};
+  for (const [field, suffix] of Object.entries(def.fields)) {
+    keys[field] = `${spec.output}${suffix}`;
+  }
+  return keys;
+}
+
+function validateSpec(spec) {
+  const label = spec.output ? JSON.stringify(spec.output) : spec.indicator;
+  if (!INDICATORS[spec.indicator]) {
+    throw new Error(
+      `Unknown indicator "${
+        spec.indicator
+      }" for ${label} (expected ${Object.keys(INDICATORS).join(", ")})`
+    );
+  }
+  if (!spec.output)
+    throw new Error(`Indicator ${spec.indicator} needs an output key`);
+  if (INDICATORS[spec.indicator].pair) {
+    if (!Array.isArray(spec.input) || spec.input.length !== 2)
+      throw new Error(`${label}: RATIO needs input: [numerator, denominator]`);
+  } else if (typeof spec.input !== "string") {
+    throw new Error(`${label}: input must be a ticker name`);
+  }
+}
+
+// Returns { key: values[] } for one spec, every array as long as rows
+function computeSpec(rows, spec) {
+  const def = INDICATORS[spec.indicator];
+  const params = spec.params || {};
+  const n = rows.length;
+
+  if (def.pair) {
+    const [a, b] = spec.input.map((t) => seriesOf(rows, t, spec.field));
+    return {
+      [spec.output]: a.map((v, i) =>
+        isNum(v) && isNum(b[i]) && b[i] !== 0 ? v / b[i] : null
+      ),
+    };
+  }
+
+  const fields = def.ohlc ? ["high", "low", "close"] : ["close"];
+  const raw = {};
+  fields.forEach((f) => {
+    raw[f] = seriesOf(
+      rows,
+      spec.input,
+      f === "close" ? spec.field || "close" : f
+    );
+  });
+  const { start, values: closes } = dense(raw.close, `${spec.input}.close`);
+  const series = { close: closes };
+  if (def.ohlc) {
+    series.high = raw.high.slice(start).map((v, i) => v ?? closes[i]);
+    series.low = raw.low.slice(start).map((v, i) => v ?? closes[i]);
+  }
+
+  const computed = closes.length ? def.compute(series, params) : [];
+  const aligned = padFront(computed, n - start);
+  const lead = new Array(start).fill(null);
+  const keys = outputKeys(spec);
+  const out = {};
+  for (const [field, key] of Object.entries(keys)) {
+    const values = lead.concat(
+      aligned.map((v) =>
+        v === null ? null : def.fields ? (isNum(v[field]) ? v[field] : null) : v
+      )
+    );
+    out[key] = values;
+  }
+  return out;
+}
+
+function shift(values, lag) {
+  if (!lag) return values;
+  return new Array(lag).fill(null).concat(values.slice(0, values.length - lag));
+}
+
+// Tickers a set of specs reads from (so callers can fetch e.g. ^VIX3M only when needed)
+function pipelineInputs(specs) {
+  return [
+    ...new Set(
+      specs.flatMap((s) => (Array.isArray(s.input) ? s.input : [s.input]))
+    ),
+  ];
+}
+
+// Returns { rows, columns, dropped }; columns describe every output key for reports
+function runIndicatorPipeline(rows, specs, { dropWarmup = true } = {}) {
+  specs.forEach(validateSpec);
+  const columns = [];
+  const results = {};
+  for (const spec of specs) {
+    const outputs = computeSpec(rows, spec);
+    for (const [key, values] of Object.entries(outputs)) {
+      if (results[key])
+        throw new Error(`Indicator output "${key}" is defined twice`);
+      results[key] = shift(values, spec.lag || 0);
+      columns.push({
+        key,
+        indicator: spec.indicator,
+        input: Array.isArray(spec.input) ? spec.input.join("/") : spec.input,
+        params: spec.params || {},
+        lag: spec.lag || 0,
+        optional: Boolean(spec.optional),
+      });
+    }
+  }
+
+  const required = columns.filter((c) => !c.optional).map((c) => c.key);
+  const withIndicators = rows.map((row, i) => {
+    const values = {};
+    for (const key of Object.keys(results)) values[key] = results[key][i];
+    return { ...row, ...values };
+  });
+  const kept = dropWarmup
+    ? withIndicators.filter((row) => required.every((key) => isNum(row[key])))
+    : withIndicators;
+  return { rows: kept, columns, dropped: withIndicators.length - kept.length };
+}
+
+// "SMA(QQQ; period=50) lag 1" - the definition behind an output key
+function describeColumn(column) {
+  const params = Object.entries(column.params)
+    .map(([k, v]) => `${k}=${v}`)
+    .join(", ");
+  return `${column.indicator}(${column.input}${params ? `; ${params}` : ""})${
+    column.lag ? ` lag ${column.lag}` : ""
+  }${column.optional ? " [optional]" : ""}`;
+}
+
+// A JSON file holding an array of specs (INDICATOR_SPEC), appended to the defaults
+async function loadIndicatorSpecs(filePath) {
+  const specs = await fs.readJson(filePath);
+  if (!Array.isArray(specs)) {
+    throw new Error(`Indicator spec file ${filePath} must contain an array`);
+  }
+  specs.forEach(validateSpec);
+  return specs;
+}
+
+// The pipeline the backtest, monitor and quick check run unless configured otherwise
+function defaultIndicatorSpecs({ signalTicker = "QQQ", rsiPeriod = 2 } = {}) {
+  return [
+    {
+      indicator: "RSI",
+      input: signalTicker,
+      params: { period: rsiPeriod },
+      output: "rsi",
+    },
+    {
+      indicator: "SMA",
+      input: signalTicker,
+      params: { period: 50 },
+      output: "sma50",
+    },
+    {
+      indicator: "SMA",
+      input: signalTicker,
+      params: { period: 50 },
+      output: "prevSma50",
+      lag: 1,
+    },
+    {
+      indicator: "SMA",
+      input: signalTicker,
+      params: { period: 200 },
+      output: "sma200",
+    },
+    {
+      indicator: "ADX",
+      input: signalTicker,
+      params: { period: 14 },
+      output: "adx",
+    },
+    {
+      indicator: "ATR",
+      input: signalTicker,
+      params: { period: 14 },
+      output: "atr14",
+      optional: true,
+    },
+    {
+      indicator: "BB",
+      input: signalTicker,
+      params: { period: 20, stdDev: 2 },
+      output: "bb",
+      optional: true,
+    },
+    {
+      indicator: "MACD",
+      input: signalTicker,
+      params: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+      output: "macd",
+      optional: true,
+    },
+    {
+      indicator: "CRSI",
+      input: signalTicker,
+      params: { rsiPeriod: 3, streakPeriod: 2, rankPeriod: 100 },
+      output: "crsi",
+      optional: true,
+    },
+    {
+      indicator: "ROC",
+      input: signalTicker,
+      params: { period: 10 },
+      output: "roc10",
+      optional: true,
+    },
+  ];
+}
+
+module.exports = {
+  INDICATORS,
+  defaultIndicatorSpecs,
+  runIndicatorPipeline,
+  pipelineInputs,
+  loadIndicatorSpecs,
+  describeColumn,
+  connorsRsi,
+};
@@ -0,0 +1,296 @@
+// Filename: market_data.js
+// Market data provider layer shared by the backtest, the monitor and the quick check.
+// Providers expose a single method: fetchBars(ticker, { startDate, endDate, interval })
+// and resolve to OHLCV bars sorted by date: { date, open, high, low, close, adjclose, volume }.
+//
+// Select a provider with MARKET_DATA_PROVIDER=yahoo|file (default: yahoo).
+// The file provider reads <MARKET_DATA_DIR>/<TICKER>_<interval>.csv|json, falling back
+// to <TICKER>.csv|json for daily bars. "^" is stripped from tickers, so ^VIX -> VIX_1d.csv.
+
+const yahooFinance = require("yahoo-finance2").default;
+const fs = require("fs-extra");
+const path = require("path");
+
+const DATA_CONFIG = {
+  provider: process.env.MARKET_DATA_PROVIDER || "yahoo",
+  dataDir: process.env.MARKET_DATA_DIR || "market_data",
+};
+
+const DAILY_INTERVALS = ["1d", "5d", "1wk", "1mo", "3mo"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- DATE HELPERS ---
+
+function isIntradayInterval(interval) {
+  return !DAILY_INTERVALS.includes(interval);
+}
+
+function toDateKey(date) {
+  return new Date(date).toISOString().split("T")[0];
+}
+
+// Daily bars are keyed by "YYYY-MM-DD", intraday bars by full ISO timestamp
+function formatBarDate(date, interval = "1d") {
+  const iso = new Date(date).toISOString();
+  return isIntradayInterval(interval) ? iso : iso.split("T")[0];
+}
+
+function isDateOnly(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Date-only range ends are inclusive of the whole day
+function toRangeBounds(startDate, endDate) {
+  const start = startDate ? new Date(startDate).getTime() : -Infinity;
+  let end = endDate ? new Date(endDate).getTime() : Infinity;
+  if (isDateOnly(endDate)) end += DAY_MS - 1;
+  return { start, end };
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const n = typeof value === "number" ? value : parseFloat(value);
+  return Number.isNaN(n) ? null : n;
+}
+
+function normalizeBar(raw, interval = "1d") {
+  return {
+    date: formatBarDate(raw.date, interval),
+    open: toNumber(raw.open),
+    high: toNumber(raw.high),
+    low: toNumber(raw.low),
+    close: toNumber(raw.close),
+    adjclose: toNumber(raw.adjclose ?? raw.adjClose),
+    volume: toNumber(raw.volume),
+  };
+}
+
+function sortBars(bars) {
+  return bars.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+// --- INTRADAY HELPERS ---
+
+// Trading-session date ("YYYY-MM-DD") of an instant, in exchange time
+function toSessionDateKey(date, timeZone = "America/New_York") {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+}
+
+// Collapses a run of bars into a single OHLCV bar dated `date`
+function aggregateBars(bars, date) {
+  const valid = bars.filter((b) => b.close !== null && b.close !== undefined);
+  if (valid.length === 0) return null;
+  return {
+    date,
+    open: valid[0].open ?? valid[0].close,
+    high: Math.max(...valid.map((b) => b.high ?? b.close)),
+    low: Math.min(...valid.map((b) => b.low ?? b.close)),
+    close: valid[valid.length - 1].close,
+    adjclose: null,
+    volume: valid.reduce((sum, b) => sum + (b.volume || 0), 0),
+    partial: true,
+    barCount: valid.length,
+    lastBarTime: valid[valid.length - 1].date,
+  };
+}
+
+// Replaces (or appends) the daily bar of the latest intraday session with a
+// "today so far" bar built from that session's intraday bars
+function synthesizeDailyBars(dailyBars, intradayBars, timeZone) {
+  if (!intradayBars || intradayBars.length === 0) return dailyBars;
+  const sessionKey = toSessionDateKey(
+    intradayBars[intradayBars.length - 1].date,
+    timeZone
+  );
+  const sessionBars = intradayBars.filter(
+    (b) => toSessionDateKey(b.date, timeZone) === sessionKey
+  );
+  const todayBar = aggregateBars(sessionBars, sessionKey);
+  if (!todayBar) return dailyBars;
+  return dailyBars.filter((b) => b.date < sessionKey).concat(todayBar);
+}
+
+// --- PROVIDERS ---
+
+class YahooFinanceProvider {
+  constructor() {
+    this.name = "yahoo";
+  }
+
+  async fetchBars(ticker, { startDate, endDate, interval = "1d" }) {
+    // Using chart() instead of deprecated historical()
+    const result = await yahooFinance.chart(ticker, {
+      period1: startDate,
+      period2: endDate,
+      interval,
+    });
+    const quotes = result.quotes || [];
+    return sortBars(quotes.map((q) => normalizeBar(q, interval)));
+  }
+}
+
+class FileDataProvider {
+  constructor({ dataDir = DATA_CONFIG.dataDir } = {}) {
+    this.name = "file";
+    this.dataDir = dataDir;
+  }
+
+  candidatePaths(ticker, interval) {
+    const stem = ticker.replace(/\^/g, "").replace(/[^A-Za-z0-9.\-]/g, "_");
+    const stems = [`${stem}_${interval}`];
+    if (!isIntradayInterval(interval)) stems.push(stem);
+    return stems.flatMap((s) =>
+      [".csv", ".json"].map((ext) => path.join(this.dataDir, s + ext))
+    );
+  }
+
+  async fetchBars(ticker, { startDate, endDate, interval = "1d" }) {
+    const candidates = this.candidatePaths(ticker, interval);
+    let filePath = null;
+    for (const candidate of candidates) {
+      if (await fs.pathExists(candidate)) {
+        filePath = candidate;
+        break;
+      }
+    }
+    if (!filePath) {
+      throw new Error(
+        `No ${interval} data file for ${ticker} (looked for ${candidates
+          .map((c) => path.basename(c))
+          .join(", ")} in ${this.dataDir})`
+      );
+    }
+
+    const rawBars = filePath.endsWith(".json")
+      ? await this.readJsonBars(filePath)
+      : await this.readCsvBars(filePath);
+
+    const { start, end } = toRangeBounds(startDate, endDate);
+    return sortBars(
+      rawBars
+        .filter((d) => d.date && !Number.isNaN(new Date(d.date).getTime()))
+        .map((d) => normalizeBar(d, interval))
+        .filter((d) => {
+          const t = new Date(d.date).getTime();
+          return t >= start && t <= end;
+        })
+    );
+  }
+
+  // Accepts a plain array of bars or a saved yahoo chart() response ({ quotes: [...] })
+  async readJsonBars(filePath) {
+    const json = await fs.readJson(filePath);
+    const bars = Array.isArray(json) ? json : json.quotes || json.bars || [];
+    return bars.map((d) => ({ ...d, date: d.date ?? d.timestamp }));
+  }
+
+  async readCsvBars(filePath) {
+    const txt = await fs.readFile(filePath, "utf8");
+    const lines = txt.split(/\r?\n/).filter((l) => l.trim());
+    if (lines.length === 0) return [];
+
+    // Map vendor header variants ("Adj Close", "adj_close", "Timestamp") onto bar keys
+    const columnAliases = {
+      date: "date",
+      datetime: "date",
+      timestamp: "date",
+      time: "date",
+      open: "open",
+      high: "high",
+      low: "low",
+      close: "close",
+      adjclose: "adjclose",
+      volume: "volume",
+    };
+    const header = lines
+      .shift()
+      .split(",")
+      .map((h) => columnAliases[h.trim().toLowerCase().replace(/[\s_]/g, "")]);
+
+    if (!header.includes("date") || !header.includes("close")) {
+      throw new Error(
+        `CSV ${filePath} must have at least Date and Close columns`
+      );
+    }
+
+    return lines.map((line) => {
+      const parts = line.split(",");
+      const bar = {};
+      header.forEach((key, i) => {
+        if (key) bar[key] = parts[i]?.trim();
+      });
+      return bar;
+    });
+  }
+}
+
+// Serves bars already in memory ({ ticker: bars }), e.g. history preloaded for a replay
+class MemoryDataProvider {
+  constructor(barsByTicker = {}, { interval = "1d" } = {}) {
+    this.name = "memory";
+    this.bars = barsByTicker;
+    this.interval = interval;
+  }
+
+  async fetchBars(ticker, { startDate, endDate, interval = "1d" }) {
+    if (interval !== this.interval || !this.bars[ticker]) {
+      throw new Error(`No ${interval} bars in memory for ${ticker}`);
+    }
+    const { start, end } = toRangeBounds(startDate, endDate);
+    return this.bars[ticker].filter((d) => {
+      const t = new Date(d.date).getTime();
+      return t >= start && t <= end;
+    });
+  }
+}
+
+function createMarketDataProvider(options = {}) {
+  const name = (options.provider || DATA_CONFIG.provider).toLowerCase();
+  switch (name) {
+    case "yahoo":
+      return new YahooFinanceProvider();
+    case "file":
+    case "csv":
+    case "json":
+      return new FileDataProvider({
+        dataDir: options.dataDir || DATA_CONFIG.dataDir,
+      });
+    default:
+      throw new Error(
+        `Unknown market data provider "${name}" (expected "yahoo" or "file")`
+      );
+  }
+}
+
+async function fetchBarsForTickers(provider, tickers, range) {
+  const data = {};
+  for (const ticker of tickers) {
+    try {
+      data[ticker] = await provider.fetchBars(ticker, range);
+    } catch (error) {
+      console.error(`Failed to fetch data for ${ticker}:`, error.message);
+      throw new Error(`Data fetch failed for ${ticker}`);
+    }
+  }
+  return data;
+}
+
+module.exports = {
+  DATA_CONFIG,
+  YahooFinanceProvider,
+  FileDataProvider,
+  MemoryDataProvider,
+  createMarketDataProvider,
+  fetchBarsForTickers,
+  isIntradayInterval,
+  formatBarDate,
+  toDateKey,
+  toSessionDateKey,
+  aggregateBars,
+  synthesizeDailyBars,
+};
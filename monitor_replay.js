@@ -0,0 +1,271 @@
+// Filename: monitor_replay.js
+// Event-driven replay of the live monitor (trading_monitor.js) over historical daily bars.
+// Each past session, the monitor's own fetchRealTimeData, calculateCurrentIndicators,
+// makeRealTimeDecision and updatePortfolioState run with an injected clock set one minute
+// before that session's close, reading from an in-memory provider, so they only see the
+// bars that existed at that time. The history goes through the backtest's price adjustment
+// and data quality checks, and the fills and daily equity through its metrics and report
+// generators (advanced_backtest.js), so a replay can be compared line for line with a
+// backtest of the same rules over the same range. The monitor fills at the decision close
+// with a flat commission, so that holds for the backtest's default execution model; the
+// replay warns when the backtest is configured to fill differently.
+//
+// Unlike a live run: daily bars only (no intraday candles or stops), adjusted prices, no
+// per-decision report, AI analysis or Telegram alert, and the saved monitor state is neither
+// read nor written.
+// Books start fully invested in each universe's safe ETF, as in the backtest.
+
+const fs = require("fs-extra");
+const ora = require("ora");
+const { MemoryDataProvider, fetchBarsForTickers } = require("./market_data");
+const { getSession } = require("./trading_calendar");
+const { universeTickers } = require("./universes");
+const {
+  combineSimulationLogs,
+  calculateMetrics,
+} = require("./backtest_engine");
+const {
+  createExecutionModel,
+  describeExecution,
+} = require("./execution_model");
+const { adjustPrices, describeAdjustment } = require("./price_adjustment");
+const { validateMarketData, printQualityReport } = require("./data_quality");
+const { runMonteCarlo } = require("./monte_carlo");
+const { describeSizing } = require("./sizing");
+const {
+  CONFIG: BACKTEST_CONFIG,
+  generateExcelReport,
+  generateAdvancedPdfReport,
+  metricsSuiteRows,
+} = require("./advanced_backtest");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateKey = (date) => new Date(date).toISOString().split("T")[0];
+
+// Last minute of the regular session; dates the calendar does not know (e.g. synthetic
+// data) fall back to 20:00 UTC
+function sessionClock(date) {
+  const session = getSession(date);
+  return session
+    ? new Date(session.close.getTime() - 60 * 1000)
+    : new Date(`${date}T20:00:00Z`);
+}
+
+// Fully invested in the safe ETF before the first decision (commission paid, no trade)
+function seedSafePosition(book, universe, indicators, clock, config) {
+  book.positionShares =
+    (book.currentEquity - config.transactionCost) / indicators.safeClose;
+  book.position = universe.safe;
+  book.entryPrice = indicators.safeClose;
+  book.entryTime = clock.toISOString();
+  book.currentEquity = book.positionShares * indicators.safeClose;
+  book.cash = 0;
+}
+
+// True when the execution model fills as the monitor does: at the decision close, without
+// slippage, for a flat commission per order
+function fillsLikeMonitor(execution, config) {
+  const { slippage, commission } = execution;
+  return (
+    execution.fillTiming === "same_close" &&
+    execution.stopFills === "close" &&
+    slippage.model === "bps" &&
+    !slippage.bps &&
+    commission.model === "fixed" &&
+    commission.perOrder === config.transactionCost
+  );
+}
+
+// The backtest's price stage (advanced_backtest.js prepareMarketData): adjusted, then
+// quality-checked
+function prepareHistory(rawHistory, tickers) {
+  const { data: adjusted, adjustments } = adjustPrices(rawHistory, {
+    mode: BACKTEST_CONFIG.priceAdjustment,
+    exclude: tickers.filter((t) => t.startsWith("^")), // indices are not adjusted
+  });
+  console.log(`🔧 Price adjustment: ${BACKTEST_CONFIG.priceAdjustment}`);
+  adjustments.forEach((a) => console.log(`   └─ ${describeAdjustment(a)}`));
+  try {
+    const { data, report } = validateMarketData(
+      adjusted,
+      BACKTEST_CONFIG.dataQuality
+    );
+    printQualityReport(report);
+    return data;
+  } catch (error) {
+    if (error.report) printQualityReport(error.report);
+    throw error;
+  }
+}
+
+// system: an initialized RealTimeTradingSystem with persistState off.
+// Returns { universeResults, simulationLog, trades, metrics, monteCarlo }.
+async function runMonitorReplay(system, { startDate, endDate, config }) {
+  const end = endDate || toDateKey(new Date());
+  const start =
+    startDate ||
+    toDateKey(new Date(end).getTime() - config.replay.defaultDays * DAY_MS);
+  const universes = system.universes;
+  console.log(
+    `\n🔁 Replaying the monitor from ${start} to ${end} (rules ${
+      system.rulesVersion() || config.rulesSource
+    })`
+  );
+
+  // Enough history before the first session for the monitor's lookback window
+  const loadSpinner = ora("📡 Loading history for the replay...").start();
+  const tickers = [...new Set(universes.flatMap(universeTickers))];
+  const rawHistory = await fetchBarsForTickers(system.dataProvider, tickers, {
+    startDate: toDateKey(
+      new Date(start).getTime() - (config.lookbackPeriod + 7) * DAY_MS
+    ),
+    endDate: end,
+    interval: "1d",
+  });
+  loadSpinner.succeed(`✅ History loaded for ${tickers.length} tickers`);
+  const history = prepareHistory(rawHistory, tickers);
+  const sessions = system
+    .alignData(history)
+    .map((d) => d.date)
+    .filter((date) => date >= start && date <= end);
+  if (sessions.length < 2) {
+    throw new Error(
+      `Need at least 2 sessions with data for every ticker between ${start} and ${end}, found ${sessions.length}`
+    );
+  }
+  console.log(
+    `📅 ${sessions.length} sessions to replay (${sessions[0]} to ${
+      sessions[sessions.length - 1]
+    })`
+  );
+
+  const execution = createExecutionModel(BACKTEST_CONFIG.execution);
+  if (!fillsLikeMonitor(execution, config)) {
+    console.warn(
+      `⚠️  The backtest's execution (${describeExecution(
+        execution
+      )}) differs from the monitor's fills (decision close, $${
+        config.transactionCost
+      }/order): the replay will not match that backtest`
+    );
+  }
+
+  // Daily bars only: intraday history is not replayed
+  system.intradayInterval = "1d";
+  system.dataProvider = new MemoryDataProvider(history);
+  system.quiet = true;
+  system.tradeLog = [];
+  const logs = Object.fromEntries(universes.map((u) => [u.key, []]));
+
+  const spinner = ora("🔁 Replaying sessions...").start();
+  for (const [i, date] of sessions.entries()) {
+    const clock = sessionClock(date);
+    system.now = () => new Date(clock);
+    spinner.text = `🔁 Replaying session ${i + 1}/${sessions.length} (${date})`;
+
+    for (const universe of universes) {
+      const book = system.bookFor(universe);
+      const rawData = await system.fetchRealTimeData(universe);
+      const { currentIndicators } = await system.calculateCurrentIndicators(
+        rawData,
+        universe
+      );
+      if (i === 0) {
+        seedSafePosition(book, universe, currentIndicators, clock, config);
+      }
+      const decision = await system.makeRealTimeDecision(
+        currentIndicators,
+        universe
+      );
+      await system.updatePortfolioState(decision, universe);
+
+      const price = system.priceOf(book.position, currentIndicators, universe);
+      logs[universe.key].push({
+        date,
+        equity: book.positionShares * price + (book.cash || 0),
+        position: book.position,
+        exposure: book.isLeveragedPosition ? book.sizeFraction ?? 1 : 0,
+        signal_close: currentIndicators.qqqClose,
+      });
+    }
+  }
+  spinner.succeed(`✅ Replayed ${sessions.length} sessions`);
+
+  const universeResults = universes.map((universe) => {
+    const capital = config.initialCapital * universe.weight;
+    const simulationLog = logs[universe.key];
+    const trades = system.tradeLog.filter((t) => t.universe === universe.key);
+    return {
+      universe,
+      capital,
+      simulationLog,
+      trades,
+      metrics: calculateMetrics(
+        simulationLog,
+        trades,
+        capital,
+        config.riskFreeRate
+      ),
+    };
+  });
+  const simulationLog = combineSimulationLogs(universeResults);
+  const trades = system.tradeLog;
+  const metrics = calculateMetrics(
+    simulationLog,
+    trades,
+    config.initialCapital,
+    config.riskFreeRate
+  );
+  const monteCarlo = runMonteCarlo({
+    simulationLog,
+    trades,
+    initialCapital: config.initialCapital,
+    weights: Object.fromEntries(universes.map((u) => [u.key, u.weight])),
+    options: BACKTEST_CONFIG.monteCarlo,
+  });
+
+  const results = {
+    simulationLog,
+    trades,
+    metrics,
+    aiAnalysisReport: [
+      `Replay of the live monitor's decision loop from ${sessions[0]} to ${
+        sessions[sessions.length - 1]
+      } (${
+        sessions.length
+      } sessions, daily bars, decisions one minute before each close).`,
+      `Rules: ${system.rulesVersion() || config.rulesSource}.`,
+      "No AI review is requested for replays.",
+    ].join("\n"),
+    universeResults,
+    execution,
+    monteCarlo,
+    sizing: system.sizing,
+  };
+  const { outputDir, excelFilename, pdfFilename } = config.replay;
+  await fs.ensureDir(outputDir);
+  await generateExcelReport(results, `${outputDir}/${excelFilename}`);
+  await generateAdvancedPdfReport(results, `${outputDir}/${pdfFilename}`);
+
+  console.log("\n--- ✨ Replay Summary ---");
+  console.log(
+    `   Final Portfolio Value: ${metrics.finalEquity.toLocaleString("en-US", {
+      style: "currency",
+      currency: "USD",
+    })}`
+  );
+  console.log(`   CAGR: ${(metrics.cagr * 100).toFixed(2)}%`);
+  console.log(`   Max Drawdown: ${(metrics.maxDrawdown * 100).toFixed(2)}%`);
+  console.log(`   Sharpe Ratio: ${metrics.sharpeRatio.toFixed(2)}`);
+  console.log(`   Trades: ${trades.length}`);
+  console.log(`   Position Sizing: ${describeSizing(system.sizing)}`);
+  metricsSuiteRows(metrics).forEach(([label, value]) =>
+    console.log(`   ${label}: ${value}`)
+  );
+  console.log("------------------------\n");
+
+  return { universeResults, simulationLog, trades, metrics, monteCarlo };
+}
+
+module.exports = { runMonitorReplay };
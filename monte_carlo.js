@@ -0,0 +1,236 @@
+// Filename: monte_carlo.js
+// Monte Carlo robustness analysis of a backtest. A single equity curve is one ordering of
+// luck; resampling it shows the range of outcomes the same edge could have produced.
+//
+// Two resamplers, both seeded (random.js) so a report can be reproduced:
+//   trade resample   - draws round-trip trade returns with replacement and compounds them,
+//                      each scaled by its universe's capital weight and the share of the
+//                      universe's equity the entry put in (sizing.js). This isolates the
+//                      leveraged trades' edge from the days spent in the safe ETF.
+//   block bootstrap  - rebuilds the daily return series from random blocks of consecutive
+//                      days (circular), keeping volatility clustering and streaks intact.
+//
+// Each path yields final equity, CAGR, max drawdown and the longest time to recovery (steps
+// from a peak back to it, or to the end when it never recovers: trades for the trade
+// resample, trading days for the bootstrap). Risk of ruin is the
+// share of paths whose drawdown reaches ruinDrawdown.
+
+const { createRng, randomInt } = require("./random");
+
+const MONTE_CARLO_DEFAULTS = {
+  simulations: 1000,
+  blockSize: 20, // trading days per bootstrap block
+  seed: 42,
+  ruinDrawdown: 0.5, // a 50% drawdown counts as ruin
+  percentiles: [5, 25, 50, 75, 95],
+  histogramBins: 20,
+};
+
+const TRADING_DAYS = 252;
+
+// Net return of every leveraged round trip (BUY ... SELL in the same universe), dated by its
+// exit, with the decision date of its entry and its size fraction (1 for unsized entries)
+function roundTripReturns(trades) {
+  const open = {};
+  const returns = [];
+  for (const trade of trades) {
+    const universe = trade.universe || "";
+    if (trade.action === "BUY") {
+      open[universe] = trade;
+    } else if (trade.action.startsWith("SELL") && open[universe]) {
+      const buy = open[universe];
+      const cost = buy.shares * buy.price + (buy.commission || 0);
+      const proceeds = buy.shares * trade.price - (trade.commission || 0);
+      returns.push({
+        universe,
+        date: trade.date,
+        entryDate: buy.decisionDate || buy.date,
+        sizeFraction: buy.sizeFraction ?? 1,
+        return: proceeds / cost - 1,
+      });
+      delete open[universe];
+    }
+  }
+  return returns;
+}
+
+function dailyReturns(simulationLog) {
+  const returns = [];
+  for (let i = 1; i < simulationLog.length; i++) {
+    returns.push(simulationLog[i].equity / simulationLog[i - 1].equity - 1);
+  }
+  return returns;
+}
+
+// Final equity, max drawdown and longest drawdown duration of one compounded path
+function pathStats(returns, initialCapital) {
+  let equity = initialCapital;
+  let peak = initialCapital;
+  let maxDrawdown = 0;
+  let underwater = 0;
+  let longestUnderwater = 0;
+  for (const r of returns) {
+    equity *= 1 + r;
+    if (equity >= peak) {
+      peak = equity;
+      underwater = 0;
+    } else {
+      underwater++;
+      longestUnderwater = Math.max(longestUnderwater, underwater);
+      maxDrawdown = Math.min(maxDrawdown, equity / peak - 1);
+    }
+  }
+  return {
+    finalEquity: equity,
+    maxDrawdown,
+    timeToRecovery: longestUnderwater,
+  };
+}
+
+// Linear interpolation between closest ranks
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function histogram(values, bins) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const width = (max - min) / bins || 1;
+  const counts = new Array(bins).fill(0);
+  values.forEach((v) => {
+    counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  });
+  return counts.map((count, i) => ({
+    from: min + i * width,
+    to: min + (i + 1) * width,
+    count,
+  }));
+}
+
+// Distribution summary of the simulated paths
+function summarise(
+  paths,
+  { initialCapital, years, settings, sampleSize, recoveryUnit }
+) {
+  const describe = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+      mean: values.reduce((a, b) => a + b, 0) / values.length,
+      percentiles: Object.fromEntries(
+        settings.percentiles.map((p) => [p, percentile(sorted, p)])
+      ),
+    };
+  };
+  const finalEquity = paths.map((p) => p.finalEquity);
+  const cagr =
+    years > 0
+      ? finalEquity.map(
+          (e) => Math.pow(Math.max(e, 0) / initialCapital, 1 / years) - 1
+        )
+      : finalEquity.map(() => 0);
+  const maxDrawdown = paths.map((p) => p.maxDrawdown);
+  return {
+    simulations: paths.length,
+    sampleSize,
+    recoveryUnit,
+    finalEquity: describe(finalEquity),
+    cagr: describe(cagr),
+    maxDrawdown: describe(maxDrawdown),
+    timeToRecovery: describe(paths.map((p) => p.timeToRecovery)),
+    riskOfRuin:
+      paths.filter((p) => p.maxDrawdown <= -settings.ruinDrawdown).length /
+      paths.length,
+    probabilityOfLoss:
+      finalEquity.filter((e) => e < initialCapital).length / paths.length,
+    histograms: {
+      finalEquity: histogram(finalEquity, settings.histogramBins),
+      maxDrawdown: histogram(maxDrawdown, settings.histogramBins),
+    },
+  };
+}
+
+// weights: universe key -> share of capital. A trade return is scaled by it and by the
+// trade's size fraction, the rest of the universe's equity waiting in cash meanwhile.
+function resampleTrades(trades, { initialCapital, years, weights, settings }) {
+  const returns = roundTripReturns(trades).map(
+    (t) => t.return * t.sizeFraction * (weights[t.universe] ?? 1)
+  );
+  if (returns.length === 0) return null;
+  const rng = createRng(settings.seed);
+  const paths = [];
+  for (let s = 0; s < settings.simulations; s++) {
+    const sample = returns.map(() => returns[randomInt(rng, returns.length)]);
+    paths.push(pathStats(sample, initialCapital));
+  }
+  return summarise(paths, {
+    initialCapital,
+    years,
+    settings,
+    sampleSize: returns.length,
+    recoveryUnit: "trades",
+  });
+}
+
+function blockBootstrap(simulationLog, { initialCapital, years, settings }) {
+  const returns = dailyReturns(simulationLog);
+  if (returns.length === 0) return null;
+  const blockSize = Math.max(1, Math.min(settings.blockSize, returns.length));
+  // A different stream from the trade resample, still fixed by the seed
+  const rng = createRng(settings.seed + 1);
+  const paths = [];
+  for (let s = 0; s < settings.simulations; s++) {
+    const sample = [];
+    while (sample.length < returns.length) {
+      const start = randomInt(rng, returns.length);
+      for (let i = 0; i < blockSize && sample.length < returns.length; i++) {
+        sample.push(returns[(start + i) % returns.length]);
+      }
+    }
+    paths.push(pathStats(sample, initialCapital));
+  }
+  return summarise(paths, {
+    initialCapital,
+    years,
+    settings,
+    sampleSize: returns.length,
+    recoveryUnit: "days",
+  });
+}
+
+// Returns { settings, tradeResample, blockBootstrap } (either may be null without data)
+function runMonteCarlo({
+  simulationLog,
+  trades,
+  initialCapital,
+  weights = {},
+  options = {},
+}) {
+  const settings = { ...MONTE_CARLO_DEFAULTS, ...options };
+  const years =
+    simulationLog.length > 1 ? (simulationLog.length - 1) / TRADING_DAYS : 0;
+  return {
+    settings,
+    tradeResample: resampleTrades(trades, {
+      initialCapital,
+      years,
+      weights,
+      settings,
+    }),
+    blockBootstrap: blockBootstrap(simulationLog, {
+      initialCapital,
+      years,
+      settings,
+    }),
+  };
+}
+
+module.exports = {
+  MONTE_CARLO_DEFAULTS,
+  percentile,
+  roundTripReturns,
+  runMonteCarlo,
+};
@@ -0,0 +1,192 @@
+// Filename: price_adjustment.js
+// Split- and dividend-adjustment pipeline applied to raw OHLCV bars before alignment.
+//
+// Modes:
+//   "total_return" - rescale open/high/low/close by adjclose/close (splits + dividends),
+//                    falling back to detected splits when a series has no adjclose
+//   "split_only"   - back-adjust detected splits and reverse splits only
+//   "raw"          - leave prices untouched
+// Volume is never rescaled.
+
+const ADJUSTMENT_MODES = ["total_return", "split_only", "raw"];
+
+// Ratios we treat as share splits (2:1 ... 25:1) and their reverse splits
+const SPLIT_FACTORS = [2, 3, 4, 5, 8, 10, 15, 20, 25];
+const SPLIT_TOLERANCE = 0.06;
+
+function hasAdjClose(bars) {
+  const withAdj = bars.filter((b) => b.adjclose > 0 && b.close > 0);
+  return bars.length > 0 && withAdj.length / bars.length > 0.95;
+}
+
+function nearestSplitFactor(ratio) {
+  // ratio = close[t] / close[t-1]; a 2:1 split halves the price (ratio 0.5)
+  for (const factor of SPLIT_FACTORS) {
+    if (Math.abs(ratio * factor - 1) < SPLIT_TOLERANCE)
+      return { priceRatio: 1 / factor, label: `${factor}:1`, type: "split" };
+    if (Math.abs(ratio / factor - 1) < SPLIT_TOLERANCE)
+      return {
+        priceRatio: factor,
+        label: `1:${factor}`,
+        type: "reverse_split",
+      };
+  }
+  return null;
+}
+
+// Flags day-over-day close jumps that match a split ratio. When adjclose is present the
+// adjusted series must stay calm across the jump, otherwise it is a genuine price move.
+function detectSplits(bars) {
+  const splits = [];
+  const useAdj = hasAdjClose(bars);
+  for (let i = 1; i < bars.length; i++) {
+    const prev = bars[i - 1];
+    const curr = bars[i];
+    if (!(prev.close > 0 && curr.close > 0)) continue;
+    const ratio = curr.close / prev.close;
+    if (ratio > 0.55 && ratio < 1.8) continue;
+    const match = nearestSplitFactor(ratio);
+    if (!match) continue;
+    const adjRatio = useAdj ? curr.adjclose / prev.adjclose : null;
+    if (adjRatio !== null && Math.abs(adjRatio - 1) > 0.35) continue;
+    splits.push({
+      date: curr.date,
+      ...match,
+      observedRatio: ratio,
+    });
+  }
+  return splits;
+}
+
+function scaleBar(bar, factor) {
+  return {
+    ...bar,
+    open: bar.open !== null ? bar.open * factor : bar.open,
+    high: bar.high !== null ? bar.high * factor : bar.high,
+    low: bar.low !== null ? bar.low * factor : bar.low,
+    close: bar.close !== null ? bar.close * factor : bar.close,
+    rawClose: bar.close,
+    adjustmentFactor: factor,
+  };
+}
+
+function adjustWithAdjClose(bars) {
+  return bars.map((bar) =>
+    bar.adjclose > 0 && bar.close > 0
+      ? scaleBar(bar, bar.adjclose / bar.close)
+      : scaleBar(bar, 1)
+  );
+}
+
+// Back-adjusts every bar before each split by that split's price ratio
+function adjustForSplits(bars, splits) {
+  const splitRatios = new Map(splits.map((s) => [s.date, s.priceRatio]));
+  const adjusted = new Array(bars.length);
+  let factor = 1;
+  for (let i = bars.length - 1; i >= 0; i--) {
+    adjusted[i] = scaleBar(bars[i], factor);
+    if (splitRatios.has(bars[i].date)) factor *= splitRatios.get(bars[i].date);
+  }
+  return adjusted;
+}
+
+function adjustSeries(ticker, bars, mode) {
+  const splits = detectSplits(bars);
+  const info = {
+    ticker,
+    mode,
+    method: "none",
+    dividendAdjusted: false,
+    splits,
+    unresolvedSplits: [],
+  };
+
+  if (mode === "raw") {
+    info.method = "raw";
+    info.unresolvedSplits = splits;
+    return { bars, info };
+  }
+
+  let adjusted;
+  if (mode === "total_return" && hasAdjClose(bars)) {
+    adjusted = adjustWithAdjClose(bars);
+    info.method = "adjclose";
+    info.dividendAdjusted = true;
+    // A split the vendor's adjclose did not account for still shows up after adjusting
+    info.unresolvedSplits = detectSplits(
+      adjusted.map((b) => ({ ...b, adjclose: null }))
+    );
+  } else if (splits.length > 0) {
+    adjusted = adjustForSplits(bars, splits);
+    info.method = "splits";
+  } else {
+    adjusted = bars.map((bar) => scaleBar(bar, 1));
+  }
+
+  const factors = adjusted.map((b) => b.adjustmentFactor);
+  info.minFactor = factors.length ? Math.min(...factors) : 1;
+  info.maxFactor = factors.length ? Math.max(...factors) : 1;
+  return { bars: adjusted, info };
+}
+
+// Adjusts every ticker in a { ticker: bars[] } map. Tickers listed in `exclude`
+// (e.g. volatility indices) are passed through unchanged.
+function adjustPrices(
+  dataByTicker,
+  { mode = "total_return", exclude = [] } = {}
+) {
+  if (!ADJUSTMENT_MODES.includes(mode)) {
+    throw new Error(
+      `Unknown price adjustment mode "${mode}" (expected ${ADJUSTMENT_MODES.join(
+        ", "
+      )})`
+    );
+  }
+  const data = {};
+  const adjustments = [];
+  for (const [ticker, bars] of Object.entries(dataByTicker)) {
+    if (exclude.includes(ticker)) {
+      data[ticker] = bars;
+      adjustments.push({
+        ticker,
+        mode: "raw",
+        method: "excluded",
+        dividendAdjusted: false,
+        splits: [],
+        unresolvedSplits: [],
+      });
+      continue;
+    }
+    const { bars: adjusted, info } = adjustSeries(ticker, bars, mode);
+    data[ticker] = adjusted;
+    adjustments.push(info);
+  }
+  return { data, adjustments };
+}
+
+function describeAdjustment(info) {
+  const splitText = info.splits.length
+    ? info.splits.map((s) => `${s.label} on ${s.date}`).join(", ")
+    : "none detected";
+  const methodText = {
+    adjclose: "adjusted close (splits + dividends)",
+    splits: "detected splits only",
+    none: "no adjustment needed",
+    raw: "raw prices (not adjusted)",
+    excluded: "not adjusted (index)",
+  }[info.method];
+  return `${info.ticker}: ${methodText}; splits: ${splitText}${
+    info.unresolvedSplits.length
+      ? `; ⚠️ unresolved: ${info.unresolvedSplits
+          .map((s) => `${s.label} on ${s.date}`)
+          .join(", ")}`
+      : ""
+  }`;
+}
+
+module.exports = {
+  ADJUSTMENT_MODES,
+  detectSplits,
+  adjustPrices,
+  describeAdjustment,
+};
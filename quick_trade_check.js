@@ -1,5 +1,3 @@
-const yahooFinance = require("yahoo-finance2").default;
-const { SMA, RSI, ADX } = require("technicalindicators");
 const Groq = require("groq-sdk");
 const dotenv = require("dotenv");
 const fs = require("fs-extra");
@@ -8,21 +6,68 @@ const TelegramBot = require("node-telegram-bot-api");
 const moment = require("moment");
 const { ChartJSNodeCanvas } = require("chartjs-node-canvas");
 const puppeteer = require("puppeteer");
+const {
+  createMarketDataProvider,
+  fetchBarsForTickers,
+} = require("./market_data");
+const { withBarCache } = require("./bar_cache");
+const { evaluate, DEFAULT_RULES } = require("./strategy_engine");
+const { resolveRules } = require("./trading_rules");
+const {
+  defaultIndicatorSpecs,
+  runIndicatorPipeline,
+} = require("./indicator_pipeline");
+const { UNIVERSES } = require("./universes");
+const { classifyRegimes, regimeFields } = require("./regime");
+const {
+  createSizingModel,
+  realizedVolatility,
+  positionFraction,
+  describeSizing,
+} = require("./sizing");
 
 dotenv.config();
 
+// Built-in universe to check (see universes.js): NDX, SPX or RUT
+const UNIVERSE = UNIVERSES[process.env.UNIVERSE || "NDX"];
+if (!UNIVERSE) {
+  throw new Error(
+    `Unknown UNIVERSE "${process.env.UNIVERSE}" (expected ${Object.keys(
+      UNIVERSES
+    ).join(", ")})`
+  );
+}
+
 const CONFIG = {
-  signalEtf: "QQQ",
-  volatilityTicker: "^VIX",
-  longEtf: "TQQQ",
-  shortEtf: "SQQQ",
-  lookbackPeriod: 252,
+  signalEtf: UNIVERSE.signal,
+  volatilityTicker: UNIVERSE.volatility,
+  longEtf: UNIVERSE.long,
+  shortEtf: UNIVERSE.short,
+  lookbackPeriod: 420, // calendar days: SMA200 warm-up and the 252-bar drawdown window
   baseSignal: { rsiPeriod: 2, rsiOversold: 10, rsiOverbought: 90 },
+  indicators: defaultIndicatorSpecs({
+    signalTicker: UNIVERSE.signal,
+    rsiPeriod: 2,
+  }),
+  rules: DEFAULT_RULES, // Entry confirmations, evaluated by strategy_engine.js
+  // Saved rule set to use instead ("pinned", "latest", a version or a file); "ai" is not available here
+  rulesSource: process.env.TRADING_RULES || null,
+  rulesDir: process.env.TRADING_RULES_DIR || "rules",
   initialCapital: 100000, // Added initial capital
   riskPerTrade: 0.02, // 2% risk per trade
   maxPositionSize: 0.25, // Maximum 25% of capital per position
   stopLossPercent: 0.05, // 5% stop loss
+  // Entry sizing (see sizing.js); fixed_fractional risks riskPerTrade (scaled by the AI's
+  // risk level and size adjustment) to stopLossPercent, capped at maxPositionSize
+  sizingModel: process.env.POSITION_SIZING || "fixed_fractional",
+  targetVolatility: Number(process.env.SIZING_TARGET_VOL || 0.4),
+  volatilitySource: process.env.SIZING_VOL_SOURCE || "atr", // "atr" or "realized"
+  kellyFraction: Number(process.env.SIZING_KELLY_FRACTION || 0.5),
   aiModelName: process.env.AI_MODEL_NAME_1 || "openai/gpt-oss-120b",
+  dataProvider: process.env.MARKET_DATA_PROVIDER || "yahoo", // "yahoo" or "file"
+  marketDataDir: process.env.MARKET_DATA_DIR || "market_data",
+  dataCache: process.env.MARKET_DATA_CACHE || "on", // "on", "off" or "readonly"
+  dataCacheDir: process.env.MARKET_DATA_CACHE_DIR || "data_cache",
   pdfRetentionDays: parseInt(process.env.PDF_RETENTION_DAYS || "30", 10), // retention in days
 };
 
@@ -140,7 +185,11 @@ async function sendTelegramUpdate(finalDecision, aiAnalysis, pdfPath = null) {
     msg += `*Reason:* ${m.reason || "N/A"}\n`;
     if (m.decision === "BUY") {
       msg += `*Shares:* ${formatNum(m.shares, 0)}\n`;
-      msg += `*Position Value:* $${formatNum(m.positionValue)}\n`;
+      msg += `*Position Value:* $${formatNum(m.positionValue)} (${formatNum(
+        (m.exposure || 0) * 100,
+        1
+      )}% of capital)\n`;
+      msg += `*Position Sizing:* ${m.sizing || "N/A"}\n`;
       msg += `*Stop Loss:* $${formatNum(m.stopLossPrice)}\n`;
     }
     if (aiAnalysis) {
@@ -288,27 +337,6 @@ Example:
   }
 }
 
-function calculatePositionSize(
-  price,
-  stopLossPercent,
-  availableCapital,
-  riskAmount,
-  aiAdjustment = 1
-) {
-  const stopLossAmount = price * stopLossPercent;
-  const adjustedRiskAmount = riskAmount * aiAdjustment;
-  const maxShares = Math.floor(adjustedRiskAmount / stopLossAmount);
-  const positionValue = maxShares * price;
-
-  // Ensure position size doesn't exceed max allowed
-  const maxAllowedValue = availableCapital * CONFIG.maxPositionSize;
-  if (positionValue > maxAllowedValue) {
-    return Math.floor(maxAllowedValue / price);
-  }
-
-  return maxShares;
-}
-
 async function readMarketCsv() {
   if (!(await fs.pathExists(MARKET_DATA_LOG_FILE))) return [];
   const txt = await fs.readFile(MARKET_DATA_LOG_FILE, "utf8");
@@ -492,7 +520,7 @@ async function generateTradePdf(finalDecision) {
   const tradesTable =
     trades.length > 0
       ? `<table border="1" cellpadding="6" cellspacing="0" style="border-collapse:collapse;width:100%">
-      <thead><tr><th>Timestamp</th><th>Symbol</th><th>Shares</th><th>Entry Price</th><th>Technical Reason</th><th>AI Justification</th><th>Risk</th><th>Outcome</th></tr></thead>
+      <thead><tr><th>Timestamp</th><th>Symbol</th><th>Shares</th><th>Size</th><th>Entry Price</th><th>Technical Reason</th><th>AI Justification</th><th>Risk</th><th>Outcome</th></tr></thead>
       <tbody>
         ${trades
           .map(
@@ -501,6 +529,11 @@ async function generateTradePdf(finalDecision) {
             <td>${t.timestamp}</td>
             <td>${t.targetEtf}</td>
             <td>${t.shares ?? ""}</td>
+            <td>${
+              typeof t.sizeFraction === "number"
+                ? `${(t.sizeFraction * 100).toFixed(1)}%`
+                : ""
+            }</td>
             <td>$${t.entryPrice ?? ""}</td>
             <td>${t.technicalReason ?? ""}</td>
             <td>${t.aiJustification ?? ""}</td>
@@ -550,6 +583,13 @@ async function generateTradePdf(finalDecision) {
     finalDecision.targetEtf
   } — Shares: ${finalDecision.shares || "N/A"} — Entry Price: $${
     finalDecision.metrics?.currentPrice ?? "N/A"
+  }</p>
+      <p><strong>Position Sizing:</strong> ${
+        finalDecision.sizing
+      } — Exposure: ${((finalDecision.exposure || 0) * 100).toFixed(
+    1
+  )}% of capital${
+    finalDecision.size ? ` (${finalDecision.size.detail})` : ""
   }</p>
     </div>
 
@@ -631,68 +671,90 @@ async function getQuickTradeDecision() {
       CONFIG.longEtf,
       CONFIG.shortEtf,
     ];
-    const data = {};
-
-    for (const ticker of tickers) {
-      const result = await yahooFinance.chart(ticker, {
-        period1: startDate.toISOString().split("T")[0],
-        period2: endDate.toISOString().split("T")[0],
-        interval: "1d",
-      });
-      data[ticker] = result.quotes;
-    }
+    const provider = withBarCache(
+      createMarketDataProvider({
+        provider: CONFIG.dataProvider,
+        dataDir: CONFIG.marketDataDir,
+      }),
+      { mode: CONFIG.dataCache, cacheDir: CONFIG.dataCacheDir }
+    );
+    const data = await fetchBarsForTickers(provider, tickers, {
+      startDate: startDate.toISOString().split("T")[0],
+      endDate: endDate.toISOString().split("T")[0],
+      interval: "1d",
+    });
 
-    // Calculate indicators
+    // Calculate indicators (warm-up rows kept for the regime drawdown window)
     const qqqData = data[CONFIG.signalEtf];
-    const qqqCloses = qqqData.map((d) => d.close);
     const vixClose =
       data[CONFIG.volatilityTicker][data[CONFIG.volatilityTicker].length - 1]
         .close;
-
-    const rsi = RSI.calculate({
-      period: CONFIG.baseSignal.rsiPeriod,
-      values: qqqCloses,
-    });
-    const sma50 = SMA.calculate({ period: 50, values: qqqCloses });
-    const sma200 = SMA.calculate({ period: 200, values: qqqCloses });
-    const adx = ADX.calculate({
-      period: 14,
-      high: qqqData.map((d) => d.high),
-      low: qqqData.map((d) => d.low),
-      close: qqqCloses,
-    });
+    const { rows } = runIndicatorPipeline(
+      qqqData.map((d) => ({ date: d.date, [CONFIG.signalEtf]: d })),
+      CONFIG.indicators,
+      { dropWarmup: false }
+    );
+    const {
+      date,
+      [CONFIG.signalEtf]: latestBar,
+      ...indicators
+    } = rows[rows.length - 1];
+
+    // Regime states need the whole window for their hysteresis (regime.js)
+    const vixByDate = new Map(
+      data[CONFIG.volatilityTicker].map((d) => [d.date, d.close])
+    );
+    const regimes = classifyRegimes(
+      rows.map((row) => ({
+        ...row,
+        qqqClose: row[CONFIG.signalEtf].close,
+        vixClose: vixByDate.get(row.date) ?? null,
+      }))
+    );
+    const regime = regimeFields(regimes[regimes.length - 1]);
 
     // Get latest values
-    const currentRsi = rsi[rsi.length - 1];
-    const currentAdx = adx[adx.length - 1]?.adx || 0;
-    const currentPrice = qqqCloses[qqqCloses.length - 1];
-    const currentSma50 = sma50[sma50.length - 1];
-    const currentSma200 = sma200[sma200.length - 1];
+    const currentRsi = indicators.rsi;
+    const currentAdx = indicators.adx || 0;
+    const currentPrice = latestBar.close;
+    const currentSma50 = indicators.sma50;
+    const currentSma200 = indicators.sma200;
     const tqqqPrice =
       data[CONFIG.longEtf][data[CONFIG.longEtf].length - 1].close;
     const sqqqPrice =
       data[CONFIG.shortEtf][data[CONFIG.shortEtf].length - 1].close;
 
-    // Make decision
-    let decision = "HOLD";
-    let reason = "";
-    let targetEtf = CONFIG.signalEtf;
-
-    if (currentRsi < CONFIG.baseSignal.rsiOversold) {
-      decision = "BUY";
-      targetEtf = CONFIG.longEtf;
-      reason = `RSI(${currentRsi.toFixed(
-        2
-      )}) deeply oversold, strong reversal potential`;
-    } else if (currentRsi > CONFIG.baseSignal.rsiOverbought) {
-      decision = "BUY";
-      targetEtf = CONFIG.shortEtf;
-      reason = `RSI(${currentRsi.toFixed(
-        2
-      )}) heavily overbought, expecting pullback`;
-    } else {
-      reason = `RSI(${currentRsi.toFixed(2)}) in neutral zone, no clear signal`;
-    }
+    const rules =
+      CONFIG.rulesSource && CONFIG.rulesSource !== "ai"
+        ? (
+            await resolveRules({
+              source: CONFIG.rulesSource,
+              dir: CONFIG.rulesDir,
+            })
+          ).rules
+        : CONFIG.rules;
+
+    // Make decision (same entry rules as the backtest and the monitor)
+    const entry = evaluate(
+      { position: CONFIG.signalEtf, isLeveragedPosition: false },
+      {
+        ...indicators,
+        ...regime,
+        adx: currentAdx,
+        vixClose,
+        qqqClose: currentPrice,
+        volume: latestBar.volume,
+      },
+      rules,
+      {
+        ...CONFIG.baseSignal,
+        longSymbol: CONFIG.longEtf,
+        shortSymbol: CONFIG.shortEtf,
+      }
+    );
+    let decision = entry.decision;
+    let reason = entry.reason;
+    const targetEtf = entry.targetSymbol;
 
     const technicalDecision = { decision, targetEtf, reason };
 
@@ -720,18 +782,42 @@ async function getQuickTradeDecision() {
     }
 
     const aiAdjustment = aiAnalysis ? aiAnalysis.positionSizeAdjustment : 1;
+    const sizing = createSizingModel({
+      model: CONFIG.sizingModel,
+      maxFraction: CONFIG.maxPositionSize,
+      riskPerTrade: (riskAmount / CONFIG.initialCapital) * aiAdjustment,
+      stopPercent: CONFIG.stopLossPercent,
+      targetVolatility: CONFIG.targetVolatility,
+      volatilitySource: CONFIG.volatilitySource,
+      kellyFraction: CONFIG.kellyFraction,
+    });
+    let size = null;
     let shares = 0;
     let positionValue = 0;
 
     if (decision === "BUY" && (!aiAnalysis || aiAnalysis.agreement)) {
-      shares = calculatePositionSize(
-        currentPrice,
-        CONFIG.stopLossPercent,
-        CONFIG.initialCapital,
-        riskAmount,
-        aiAdjustment
+      // The trade history records no exit prices, so Kelly stays at its initial size
+      size = positionFraction(sizing, {
+        bar: { ...indicators, qqqClose: currentPrice },
+        leverage: UNIVERSE.leverage,
+        rules,
+        realizedVolatility: realizedVolatility(
+          data[targetEtf]
+            .slice(-(sizing.volatilityLookback + 1))
+            .map((d) => d.close)
+        ),
+        tradeReturns: [],
+        confidence: aiAnalysis ? aiAdjustment : entry.confidence,
+        signalStrength: aiAnalysis ? undefined : entry.signalStrength,
+      });
+      shares = Math.floor(
+        (size.fraction * CONFIG.initialCapital) / currentPrice
       );
       positionValue = shares * currentPrice;
+      if (size.fraction <= 0) {
+        decision = "HOLD";
+        reason = `${reason}; entry skipped, position size 0 (${size.detail})`;
+      }
     } else if (decision === "BUY" && aiAnalysis && !aiAnalysis.agreement) {
       decision = "HOLD";
       reason = `AI Override: ${aiAnalysis.explanation}`;
@@ -744,6 +830,9 @@ async function getQuickTradeDecision() {
       reason,
       shares,
       positionValue,
+      sizing: describeSizing(sizing),
+      size,
+      exposure: positionValue / CONFIG.initialCapital,
       metrics: {
         currentPrice,
         currentRsi,
@@ -794,6 +883,10 @@ async function getQuickTradeDecision() {
 
     if (decision === "BUY") {
       console.log("Position Sizing:");
+      console.log(`- Model: ${describeSizing(sizing)}`);
+      console.log(
+        `- Size: ${formatNum(size.fraction * 100, 1)}% (${size.detail})`
+      );
       console.log(`- Recommended Shares: ${formatNum(shares, 0)}`);
       console.log(`- Position Value: $${formatNum(positionValue)}`);
       console.log(
@@ -817,7 +910,8 @@ async function getQuickTradeDecision() {
     console.log(`- ADX: ${formatNum(currentAdx)}`);
     console.log(`- VIX: ${formatNum(vixClose)}`);
     console.log(`- SMA50: $${formatNum(currentSma50)}`);
-    console.log(`- SMA200: $${formatNum(currentSma200)}\n`);
+    console.log(`- SMA200: $${formatNum(currentSma200)}`);
+    console.log(`- Regime: ${regime.regime}\n`);
 
     // Append market data log
     await appendMarketDataLog({
@@ -833,6 +927,7 @@ async function getQuickTradeDecision() {
         timestamp: finalDecision.timestamp,
         targetEtf: finalDecision.targetEtf,
         shares: finalDecision.shares,
+        sizeFraction: finalDecision.exposure,
         entryPrice: currentPrice,
         technicalReason: reason,
         aiJustification: aiAnalysis?.explanation || "",
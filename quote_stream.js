@@ -0,0 +1,228 @@
+// Filename: quote_stream.js
+// WebSocket quote feed client. Subscribes to tickers, builds OHLCV bars from the quotes and
+// emits "barClose" once per interval so the monitor can re-evaluate on each completed bar.
+//
+// Wire protocol (JSON text frames):
+//   client -> server  { type: "subscribe", tickers: ["QQQ", "^VIX"] }
+//   server -> client  { type: "quote", ticker, price, size, time }   time: ISO timestamp
+//                     { type: "clock", time }   feed time advanced with no quote (closes bars)
+//                     { type: "end" }           replay finished
+//                     { type: "error", message }
+// replay_server.js speaks this protocol; a vendor feed can be adapted to it.
+
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+const { getSession, sessionDateKey } = require("./trading_calendar");
+
+const INTERVAL_MS = {
+  "1m": 60 * 1000,
+  "2m": 2 * 60 * 1000,
+  "5m": 5 * 60 * 1000,
+  "15m": 15 * 60 * 1000,
+  "30m": 30 * 60 * 1000,
+  "60m": 60 * 60 * 1000,
+  "1h": 60 * 60 * 1000,
+  "90m": 90 * 60 * 1000,
+};
+
+function intervalToMs(interval) {
+  const ms = INTERVAL_MS[interval];
+  if (!ms) {
+    throw new Error(
+      `Unsupported stream interval "${interval}" (expected ${Object.keys(
+        INTERVAL_MS
+      ).join(", ")})`
+    );
+  }
+  return ms;
+}
+
+// Buckets are aligned to the session open (9:30, 10:30, ... for 1h) like vendor intraday bars
+function bucketStart(time, intervalMs) {
+  const t = new Date(time).getTime();
+  const session = getSession(sessionDateKey(t));
+  const origin =
+    session && t >= session.open.getTime() ? session.open.getTime() : 0;
+  return origin + Math.floor((t - origin) / intervalMs) * intervalMs;
+}
+
+// Builds one open bar per ticker for the current bucket. When the feed clock moves past the
+// bucket end, every open bar is closed and emitted together.
+class BarBuilder extends EventEmitter {
+  constructor({ interval = "5m" } = {}) {
+    super();
+    this.interval = interval;
+    this.intervalMs = intervalToMs(interval);
+    this.bucket = null;
+    this.openBars = {};
+    this.lastTime = null;
+  }
+
+  addQuote({ ticker, price, size = 0, time }) {
+    if (typeof price !== "number" || !Number.isFinite(price) || price <= 0)
+      return;
+    this.advance(time);
+    const bucket = bucketStart(time, this.intervalMs);
+    if (this.bucket === null) this.bucket = bucket;
+    const bar = this.openBars[ticker];
+    if (!bar) {
+      this.openBars[ticker] = {
+        date: new Date(bucket).toISOString(),
+        open: price,
+        high: price,
+        low: price,
+        close: price,
+        adjclose: null,
+        volume: size || 0,
+        quoteCount: 1,
+      };
+    } else {
+      bar.high = Math.max(bar.high, price);
+      bar.low = Math.min(bar.low, price);
+      bar.close = price;
+      bar.volume += size || 0;
+      bar.quoteCount++;
+    }
+    this.emit("quote", { ticker, price, size, time });
+  }
+
+  // Moves the feed clock; closes the open bucket once `time` reaches its end
+  advance(time) {
+    const t = new Date(time).getTime();
+    this.lastTime = t;
+    if (this.bucket === null) return;
+    const bucket = bucketStart(t, this.intervalMs);
+    if (bucket > this.bucket || t >= this.bucket + this.intervalMs) {
+      this.flush();
+      this.bucket = bucket;
+    }
+  }
+
+  flush() {
+    const bars = this.openBars;
+    const tickers = Object.keys(bars);
+    this.openBars = {};
+    if (tickers.length === 0) return;
+    const start = this.bucket;
+    tickers.forEach((ticker) => this.emit("bar", ticker, bars[ticker]));
+    this.emit("barClose", {
+      time: new Date(start + this.intervalMs).toISOString(),
+      interval: this.interval,
+      bars,
+    });
+    this.bucket = null;
+  }
+}
+
+class QuoteStreamClient extends EventEmitter {
+  constructor({
+    url,
+    tickers,
+    interval = "5m",
+    reconnectDelayMs = 5000,
+    maxBarsPerTicker = 2000,
+  }) {
+    super();
+    this.url = url;
+    this.tickers = tickers;
+    this.reconnectDelayMs = reconnectDelayMs;
+    this.maxBarsPerTicker = maxBarsPerTicker;
+    this.builder = new BarBuilder({ interval });
+    this.bars = {};
+    this.socket = null;
+    this.closed = false;
+    this.ended = false;
+
+    this.builder.on("quote", (quote) => this.emit("quote", quote));
+    this.builder.on("bar", (ticker, bar) => {
+      const series = (this.bars[ticker] = this.bars[ticker] || []);
+      series.push(bar);
+      if (series.length > this.maxBarsPerTicker) series.shift();
+      this.emit("bar", ticker, bar);
+    });
+    this.builder.on("barClose", (event) => this.emit("barClose", event));
+  }
+
+  // Feed time of the latest quote or clock message (null before the first one)
+  get clock() {
+    return this.builder.lastTime === null
+      ? null
+      : new Date(this.builder.lastTime);
+  }
+
+  connect() {
+    this.closed = false;
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      this.socket = socket;
+      let opened = false;
+
+      socket.on("open", () => {
+        opened = true;
+        socket.send(
+          JSON.stringify({ type: "subscribe", tickers: this.tickers })
+        );
+        this.emit("status", `connected to ${this.url}`);
+        resolve(this);
+      });
+      socket.on("message", (data) => this.handleMessage(data));
+      socket.on("error", (error) => {
+        if (!opened) reject(error);
+        else this.emit("error", error);
+      });
+      socket.on("close", () => {
+        this.socket = null;
+        if (!opened || this.closed || this.ended) return;
+        this.emit(
+          "status",
+          `disconnected, reconnecting in ${this.reconnectDelayMs}ms`
+        );
+        setTimeout(() => {
+          if (this.closed) return;
+          this.connect().catch((error) => this.emit("error", error));
+        }, this.reconnectDelayMs);
+      });
+    });
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.emit("error", new Error(`Malformed stream message: ${data}`));
+      return;
+    }
+    switch (message.type) {
+      case "quote":
+        this.builder.addQuote(message);
+        break;
+      case "clock":
+        this.builder.advance(message.time);
+        break;
+      case "end":
+        this.builder.flush();
+        this.ended = true;
+        this.emit("end");
+        break;
+      case "error":
+        this.emit("error", new Error(message.message));
+        break;
+      default:
+        break;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    if (this.socket) this.socket.close();
+  }
+}
+
+module.exports = {
+  INTERVAL_MS,
+  intervalToMs,
+  bucketStart,
+  BarBuilder,
+  QuoteStreamClient,
+};
@@ -0,0 +1,26 @@
+// Filename: random.js
+// Seeded pseudo-random numbers so searches and simulations that sample can be repeated
+// exactly: the same seed gives the same sequence on every machine.
+
+// mulberry32: small, fast and good enough for sampling (not for cryptography)
+function createRng(seed = 1) {
+  let state = Number(seed) >>> 0;
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Integer in [0, n)
+function randomInt(rng, n) {
+  return Math.floor(rng() * n);
+}
+
+function pick(rng, values) {
+  return values[randomInt(rng, values.length)];
+}
+
+module.exports = { createRng, randomInt, pick };
@@ -0,0 +1,250 @@
+// Filename: regime.js
+// Market regime of every bar of a universe, from its signal ETF and volatility index:
+//
+//   trend       range while ADX shows no trend, otherwise bull or bear by the signal close
+//               vs its SMA200
+//   volatility  low, normal or high by the VIX (the universe's volatility index)
+//   drawdown    shallow, correction or deep by the signal close below its rolling high
+//
+// Each input is classified between ordered thresholds with hysteresis: a bar only leaves
+// its previous state once the input is past the threshold by the dimension's band, so a
+// VIX hovering around 30 does not flip the regime every day. The ADX defaults (22.5 +/- 2.5)
+// reproduce the old "trending above 25, sideways below 20" cut-offs. A bar with a missing
+// input (e.g. no SMA200 yet) has no state for that dimension and the next one starts afresh.
+//
+// The states are written onto the bars (regimeTrend, regimeVolatility, regimeDrawdown and
+// the combined regime label), where rules.regime_filter in strategy_engine.js reads them.
+
+const { roundTripReturns } = require("./monte_carlo");
+
+const TRADING_DAYS = 252;
+
+const REGIME_DEFAULTS = {
+  adx: { thresholds: [22.5], band: 2.5 }, // ranging | trending
+  sma200Distance: { thresholds: [0], band: 0.01 }, // bear | bull (close / SMA200 - 1)
+  vix: { thresholds: [15, 30], band: 1.5, states: ["low", "normal", "high"] },
+  drawdown: {
+    thresholds: [0.1, 0.2],
+    band: 0.02,
+    lookback: 252, // bars of the rolling high
+    states: ["shallow", "correction", "deep"],
+  },
+};
+
+const REGIME_DIMENSIONS = [
+  {
+    key: "trend",
+    field: "regimeTrend",
+    label: "Trend",
+    states: ["bull", "range", "bear"],
+  },
+  {
+    key: "volatility",
+    field: "regimeVolatility",
+    label: "Volatility",
+    states: REGIME_DEFAULTS.vix.states,
+  },
+  {
+    key: "drawdown",
+    field: "regimeDrawdown",
+    label: "Drawdown",
+    states: REGIME_DEFAULTS.drawdown.states,
+  },
+];
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// Number of thresholds the value is above, moving from the previous level only once the
+// value is past a threshold by the band
+function hysteresisLevel(value, previous, { thresholds, band }) {
+  if (!isNum(value)) return null;
+  if (previous === null) return thresholds.filter((t) => value >= t).length;
+  let level = previous;
+  while (level < thresholds.length && value >= thresholds[level] + band)
+    level++;
+  while (level > 0 && value < thresholds[level - 1] - band) level--;
+  return level;
+}
+
+// Returns one { trend, volatility, drawdown, label } per bar (states null while unknown).
+// Bars need qqqClose (signal ETF close), sma200, adx and vixClose.
+function classifyRegimes(bars, options = {}) {
+  const settings = { ...REGIME_DEFAULTS, ...options };
+  const levels = { adx: null, sma200Distance: null, vix: null, drawdown: null };
+  const next = (key, value) => {
+    levels[key] = hysteresisLevel(value, levels[key], settings[key]);
+    return levels[key];
+  };
+
+  return bars.map((bar, i) => {
+    const window = bars
+      .slice(Math.max(0, i - settings.drawdown.lookback + 1), i + 1)
+      .map((b) => b.qqqClose)
+      .filter(isNum);
+    const high = window.length ? Math.max(...window) : null;
+
+    const trending = next("adx", bar.adx);
+    const above = next(
+      "sma200Distance",
+      isNum(bar.qqqClose) && isNum(bar.sma200)
+        ? bar.qqqClose / bar.sma200 - 1
+        : null
+    );
+    const volatility = next("vix", bar.vixClose);
+    const drawdown = next(
+      "drawdown",
+      isNum(bar.qqqClose) && high ? 1 - bar.qqqClose / high : null
+    );
+
+    const state = {
+      trend:
+        trending === 0
+          ? "range"
+          : trending === null || above === null
+          ? null
+          : above
+          ? "bull"
+          : "bear",
+      volatility: volatility === null ? null : settings.vix.states[volatility],
+      drawdown: drawdown === null ? null : settings.drawdown.states[drawdown],
+    };
+    return {
+      ...state,
+      label: REGIME_DIMENSIONS.map((d) => state[d.key] || "n/a").join("/"),
+    };
+  });
+}
+
+// The bar fields of one classified regime
+function regimeFields(regime) {
+  return {
+    regimeTrend: regime.trend,
+    regimeVolatility: regime.volatility,
+    regimeDrawdown: regime.drawdown,
+    regime: regime.label,
+  };
+}
+
+// The bars with their regime fields added
+function withRegimes(bars, options) {
+  const regimes = classifyRegimes(bars, options);
+  return bars.map((bar, i) => ({ ...bar, ...regimeFields(regimes[i]) }));
+}
+
+const DESCRIPTIONS = {
+  trend: {
+    bull: "trending up (above SMA200)",
+    bear: "trending down (below SMA200)",
+    range: "range-bound (weak ADX)",
+  },
+  volatility: {
+    low: "complacent volatility",
+    normal: "normal volatility",
+    high: "high fear/volatility",
+  },
+  drawdown: {
+    shallow: "near its highs",
+    correction: "in a correction",
+    deep: "in a deep drawdown",
+  },
+};
+
+// One sentence for reports, e.g. "Trending up (above SMA200), normal volatility, near its highs"
+function describeRegime(regime) {
+  const text = REGIME_DIMENSIONS.map(
+    (d) => DESCRIPTIONS[d.key][regime[d.key]] || `${d.key} unknown`
+  ).join(", ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Performance of one universe's backtest split by the regime of each day. A day's return
+// (close to close) belongs to the regime of the previous close, when the position held over
+// it was chosen; a round trip belongs to the regime of its entry decision.
+function universeRegimeRows({ universe, simulationLog, trades }, regimeOf) {
+  const roundTrips = roundTripReturns(trades);
+  const rows = [];
+  for (const dimension of [
+    ...REGIME_DIMENSIONS,
+    { key: "regime", field: "regime", label: "Combined" },
+  ]) {
+    const days = {};
+    for (let i = 1; i < simulationLog.length; i++) {
+      const prev = simulationLog[i - 1];
+      const state = regimeOf(prev.date)?.[dimension.field] || "n/a";
+      (days[state] = days[state] || []).push({
+        strategy: simulationLog[i].equity / prev.equity - 1,
+        signal: simulationLog[i].signal_close / prev.signal_close - 1,
+        exposure: prev.exposure,
+      });
+    }
+    const tripsIn = (state) =>
+      roundTrips.filter(
+        (t) => (regimeOf(t.entryDate)?.[dimension.field] || "n/a") === state
+      );
+    const order =
+      dimension.states ||
+      Object.keys(days)
+        .filter((s) => s !== "n/a")
+        .sort();
+    for (const state of [...order, "n/a"].filter((s) => days[s])) {
+      const stateDays = days[state];
+      const compound = (key) =>
+        stateDays.reduce((acc, d) => acc * (1 + d[key]), 1) - 1;
+      const mean =
+        stateDays.reduce((a, d) => a + d.strategy, 0) / stateDays.length;
+      const variance =
+        stateDays.reduce((a, d) => a + (d.strategy - mean) ** 2, 0) /
+        stateDays.length;
+      const totalReturn = compound("strategy");
+      const trips = tripsIn(state);
+      rows.push({
+        universe: universe.key,
+        dimension: dimension.key,
+        dimensionLabel: dimension.label,
+        state,
+        days: stateDays.length,
+        share: stateDays.length / (simulationLog.length - 1),
+        exposure:
+          stateDays.reduce((a, d) => a + d.exposure, 0) / stateDays.length,
+        totalReturn,
+        annualizedReturn:
+          Math.pow(1 + totalReturn, TRADING_DAYS / stateDays.length) - 1,
+        volatility: Math.sqrt(variance * TRADING_DAYS),
+        signalSymbol: universe.signal,
+        signalReturn: compound("signal"),
+        trades: trips.length,
+        winRate: trips.length
+          ? trips.filter((t) => t.return > 0).length / trips.length
+          : null,
+        avgTradeReturn: trips.length
+          ? trips.reduce((a, t) => a + t.return, 0) / trips.length
+          : null,
+      });
+    }
+  }
+  return rows;
+}
+
+// universeResults: the backtest's per-universe results; universeData: the prepared bars
+// (with regime fields). Returns one row per universe x dimension x state.
+function regimeBreakdown(universeResults, universeData) {
+  return universeResults.flatMap((result) => {
+    const byDate = new Map(
+      universeData[result.universe.key].dataWithIndicators.map((d) => [
+        d.date,
+        d,
+      ])
+    );
+    return universeRegimeRows(result, (date) => byDate.get(date));
+  });
+}
+
+module.exports = {
+  REGIME_DEFAULTS,
+  REGIME_DIMENSIONS,
+  classifyRegimes,
+  regimeFields,
+  withRegimes,
+  describeRegime,
+  regimeBreakdown,
+};
@@ -0,0 +1,199 @@
+// Filename: replay_server.js
+// Local WebSocket server that replays historical bars from market data files as a quote
+// stream (protocol in quote_stream.js), so the monitor's stream mode can be exercised
+// end-to-end without a vendor feed.
+//
+// Each bar becomes four quotes inside its interval (open, low/high, high/low, close) with the
+// bar volume split between them, followed by a clock message at the bar end.
+//
+// To run: node replay_server.js --tickers QQQ,TQQQ,SQQQ,^VIX --interval 5m \
+//           --start 2024-03-04 --end 2024-03-08 --speed 60 [--port 8765] [--dir market_data] [--loop]
+//   --speed 60 plays one minute of market time per second; --speed 0 plays as fast as possible
+
+const { WebSocketServer } = require("ws");
+const { FileDataProvider, fetchBarsForTickers } = require("./market_data");
+const { intervalToMs } = require("./quote_stream");
+
+const REPLAY_DEFAULTS = {
+  port: Number(process.env.REPLAY_PORT) || 8765,
+  dataDir: process.env.MARKET_DATA_DIR || "market_data",
+  tickers: ["QQQ", "TQQQ", "SQQQ", "^VIX"],
+  interval: "5m",
+  speed: 60,
+  maxDelayMs: 2000, // caps the wait across overnight and weekend gaps
+  loop: false,
+};
+
+// Turns bars into a time-ordered list of quote and clock events
+function buildReplayEvents(dataByTicker, interval) {
+  const intervalMs = intervalToMs(interval);
+  const events = [];
+  for (const [ticker, bars] of Object.entries(dataByTicker)) {
+    for (const bar of bars) {
+      if (!(bar.close > 0)) continue;
+      const start = new Date(bar.date).getTime();
+      const rising = bar.close >= (bar.open ?? bar.close);
+      const path = [
+        bar.open ?? bar.close,
+        rising ? bar.low ?? bar.close : bar.high ?? bar.close,
+        rising ? bar.high ?? bar.close : bar.low ?? bar.close,
+        bar.close,
+      ];
+      const size = Math.round((bar.volume || 0) / path.length);
+      path.forEach((price, i) =>
+        events.push({
+          time: start + Math.floor((intervalMs * i) / path.length),
+          message: { type: "quote", ticker, price, size },
+        })
+      );
+    }
+  }
+
+  // A clock message at each bar end lets clients close bars without waiting for the next quote
+  const clocks = [];
+  const seen = new Set();
+  for (const [, bars] of Object.entries(dataByTicker)) {
+    for (const bar of bars) {
+      const end = new Date(bar.date).getTime() + intervalMs;
+      if (!seen.has(end)) {
+        seen.add(end);
+        clocks.push({ time: end, message: { type: "clock" } });
+      }
+    }
+  }
+  return events
+    .concat(clocks)
+    .sort((a, b) => a.time - b.time || (a.message.type === "clock" ? -1 : 1));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function startReplayServer(options = {}) {
+  const opts = { ...REPLAY_DEFAULTS, ...options };
+  const provider = new FileDataProvider({ dataDir: opts.dataDir });
+  const data = await fetchBarsForTickers(provider, opts.tickers, {
+    startDate: opts.startDate,
+    endDate: opts.endDate,
+    interval: opts.interval,
+  });
+  const events = buildReplayEvents(data, opts.interval);
+  if (events.length === 0) {
+    throw new Error(
+      `No ${opts.interval} bars to replay for ${opts.tickers.join(", ")}`
+    );
+  }
+
+  const wss = new WebSocketServer({ port: opts.port });
+  const subscriptions = new Map();
+  let playing = null;
+  let stopped = false;
+
+  const broadcast = (message) => {
+    for (const [socket, tickers] of subscriptions) {
+      if (socket.readyState !== socket.OPEN) continue;
+      if (message.ticker && !tickers.has(message.ticker)) continue;
+      socket.send(JSON.stringify(message));
+    }
+  };
+
+  const play = async () => {
+    do {
+      for (let i = 0; i < events.length && !stopped; i++) {
+        const { time, message } = events[i];
+        broadcast({ ...message, time: new Date(time).toISOString() });
+        const next = events[i + 1];
+        if (next && opts.speed > 0 && next.time > time) {
+          await sleep(
+            Math.min((next.time - time) / opts.speed, opts.maxDelayMs)
+          );
+        } else if (i % 500 === 0) {
+          await sleep(0); // let the socket flush when replaying flat out
+        }
+      }
+    } while (opts.loop && !stopped);
+    broadcast({ type: "end" });
+  };
+
+  wss.on("connection", (socket) => {
+    subscriptions.set(socket, new Set());
+    socket.on("message", (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (error) {
+        socket.send(
+          JSON.stringify({ type: "error", message: "Malformed message" })
+        );
+        return;
+      }
+      if (message.type !== "subscribe") return;
+      const unknown = (message.tickers || []).filter((t) => !data[t]);
+      if (unknown.length > 0) {
+        socket.send(
+          JSON.stringify({
+            type: "error",
+            message: `Not in replay: ${unknown.join(", ")}`,
+          })
+        );
+      }
+      const tickers = subscriptions.get(socket);
+      (message.tickers || []).forEach((t) => tickers.add(t));
+      // Playback starts with the first subscription and is shared by every client
+      if (!playing) playing = play();
+    });
+    socket.on("close", () => subscriptions.delete(socket));
+  });
+
+  await new Promise((resolve) => wss.once("listening", resolve));
+
+  return {
+    url: `ws://localhost:${wss.address().port}`,
+    eventCount: events.length,
+    firstTime: new Date(events[0].time).toISOString(),
+    lastTime: new Date(events[events.length - 1].time).toISOString(),
+    done: () => playing || Promise.resolve(),
+    close: () =>
+      new Promise((resolve) => {
+        stopped = true;
+        for (const socket of subscriptions.keys()) socket.terminate();
+        wss.close(() => resolve());
+      }),
+  };
+}
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === "--loop") options.loop = true;
+    else if (arg === "--port") options.port = Number(argv[++i]);
+    else if (arg === "--dir") options.dataDir = argv[++i];
+    else if (arg === "--tickers") options.tickers = argv[++i].split(",");
+    else if (arg === "--interval") options.interval = argv[++i];
+    else if (arg === "--start") options.startDate = argv[++i];
+    else if (arg === "--end") options.endDate = argv[++i];
+    else if (arg === "--speed") options.speed = Number(argv[++i]);
+    else if (arg === "--max-delay") options.maxDelayMs = Number(argv[++i]);
+  }
+  return options;
+}
+
+module.exports = { REPLAY_DEFAULTS, buildReplayEvents, startReplayServer };
+
+if (require.main === module) {
+  startReplayServer(parseArgs(process.argv.slice(2)))
+    .then((server) => {
+      console.log(
+        `📼 Replay server on ${server.url}: ${server.eventCount} events ${server.firstTime} → ${server.lastTime}`
+      );
+      console.log("   Waiting for a subscriber... (Ctrl+C to stop)");
+      process.on("SIGINT", async () => {
+        await server.close();
+        process.exit(0);
+      });
+    })
+    .catch((error) => {
+      console.error("❌ Replay server failed:", error.message);
+      process.exit(1);
+    });
+}
@@ -0,0 +1,205 @@
+// Filename: signal_research.js
+// Evidence for the entry thresholds: what happened after every RSI(2) oversold or overbought
+// close of a universe's signal ETF, with no strategy, filters or exits in between. For each
+// event the forward returns of the signal ETF and both leveraged ETFs (QQQ, TQQQ and SQQQ for
+// NDX) are measured 1 to maxHorizon trading days after the signal close, then summarised per
+// bucket of RSI level, VIX regime, ADX level and trend (signal close vs SMA200).
+//
+// Buckets are half-open ranges between a dimension's edges: VIX edges [15, 20, 30] give
+// <15, 15-20, 20-30 and >=30. Events whose input is missing (e.g. no SMA200 yet) fall in n/a.
+
+const { percentile } = require("./monte_carlo");
+
+const RESEARCH_DEFAULTS = {
+  maxHorizon: 20, // trading days
+  rsiEdges: { oversold: [2, 5], overbought: [95, 98] },
+  vixEdges: [15, 20, 30],
+  adxEdges: [20, 30],
+  percentiles: [10, 25, 50, 75, 90],
+};
+
+const DIMENSIONS = [
+  { key: "all", label: "All Events" },
+  { key: "rsi", label: "RSI(2) Level" },
+  { key: "vix", label: "VIX Regime" },
+  { key: "adx", label: "ADX Level" },
+  { key: "trend", label: "Trend vs SMA200" },
+];
+
+const TREND_BUCKETS = ["Above SMA200", "Below SMA200"];
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+function bucketLabels(edges) {
+  return [
+    `<${edges[0]}`,
+    ...edges.slice(1).map((edge, i) => `${edges[i]}-${edge}`),
+    `>=${edges[edges.length - 1]}`,
+  ];
+}
+
+function bucketOf(value, edges) {
+  if (!isNum(value)) return "n/a";
+  const i = edges.findIndex((edge) => value < edge);
+  return bucketLabels(edges)[i === -1 ? edges.length : i];
+}
+
+// Bucket labels of one dimension in display order
+function bucketOrder(dimension, signal, settings) {
+  switch (dimension) {
+    case "all":
+      return ["All"];
+    case "rsi":
+      return bucketLabels(settings.rsiEdges[signal]);
+    case "vix":
+      return bucketLabels(settings.vixEdges);
+    case "adx":
+      return bucketLabels(settings.adxEdges);
+    default:
+      return TREND_BUCKETS;
+  }
+}
+
+// Every oversold/overbought close of the signal ETF with its buckets and forward returns
+// ({ ticker: [return after 1 day, ..., after maxHorizon days] }, null past the end of data)
+function collectEvents(data, instruments, baseSignal, settings) {
+  const events = [];
+  data.forEach((day, i) => {
+    if (!isNum(day.rsi)) return;
+    const signal =
+      day.rsi < baseSignal.rsiOversold
+        ? "oversold"
+        : day.rsi > baseSignal.rsiOverbought
+        ? "overbought"
+        : null;
+    if (!signal) return;
+
+    events.push({
+      date: day.date,
+      signal,
+      rsi: day.rsi,
+      vix: day.vixClose,
+      adx: day.adx,
+      buckets: {
+        all: "All",
+        rsi: bucketOf(day.rsi, settings.rsiEdges[signal]),
+        vix: bucketOf(day.vixClose, settings.vixEdges),
+        adx: bucketOf(day.adx, settings.adxEdges),
+        trend: !isNum(day.sma200)
+          ? "n/a"
+          : day.qqqClose > day.sma200
+          ? TREND_BUCKETS[0]
+          : TREND_BUCKETS[1],
+      },
+      forward: Object.fromEntries(
+        instruments.map((ticker) => [
+          ticker,
+          Array.from({ length: settings.maxHorizon }, (_, h) =>
+            data[i + h + 1]
+              ? data[i + h + 1][ticker].close / day[ticker].close - 1
+              : null
+          ),
+        ])
+      ),
+    });
+  });
+  return events;
+}
+
+// { count, mean, median, stdDev, winRate, percentiles: { p: value } } of the known values
+function distribution(values, percentiles) {
+  const known = values.filter(isNum).sort((a, b) => a - b);
+  if (known.length === 0) {
+    return {
+      count: 0,
+      mean: null,
+      median: null,
+      stdDev: null,
+      winRate: null,
+      percentiles: Object.fromEntries(percentiles.map((p) => [p, null])),
+    };
+  }
+  const mean = known.reduce((a, b) => a + b, 0) / known.length;
+  return {
+    count: known.length,
+    mean,
+    median: percentile(known, 50),
+    stdDev: Math.sqrt(
+      known.reduce((sum, v) => sum + (v - mean) * (v - mean), 0) / known.length
+    ),
+    winRate: known.filter((v) => v > 0).length / known.length,
+    percentiles: Object.fromEntries(
+      percentiles.map((p) => [p, percentile(known, p)])
+    ),
+  };
+}
+
+// One row per signal x dimension x bucket x instrument x horizon that has events
+function summariseEvents(events, instruments, settings) {
+  const rows = [];
+  for (const signal of ["oversold", "overbought"]) {
+    const signalEvents = events.filter((e) => e.signal === signal);
+    for (const { key: dimension } of DIMENSIONS) {
+      const buckets = bucketOrder(dimension, signal, settings);
+      const present = new Set(signalEvents.map((e) => e.buckets[dimension]));
+      for (const bucket of [...buckets, "n/a"].filter((b) => present.has(b))) {
+        const bucketEvents = signalEvents.filter(
+          (e) => e.buckets[dimension] === bucket
+        );
+        for (const ticker of instruments) {
+          for (let h = 1; h <= settings.maxHorizon; h++) {
+            rows.push({
+              signal,
+              dimension,
+              bucket,
+              events: bucketEvents.length,
+              instrument: ticker,
+              horizon: h,
+              ...distribution(
+                bucketEvents.map((e) => e.forward[ticker][h - 1]),
+                settings.percentiles
+              ),
+            });
+          }
+        }
+      }
+    }
+  }
+  return rows;
+}
+
+// universeData: { key: { dataWithIndicators } } as prepared for the backtest.
+// Returns { settings, universes: [{ universe, instruments, events, distributions }] }.
+function runSignalResearch({
+  universes,
+  universeData,
+  baseSignal,
+  options = {},
+}) {
+  const settings = { ...RESEARCH_DEFAULTS, ...options };
+  return {
+    settings,
+    universes: universes.map((universe) => {
+      const instruments = [universe.signal, universe.long, universe.short];
+      const events = collectEvents(
+        universeData[universe.key].dataWithIndicators,
+        instruments,
+        baseSignal,
+        settings
+      );
+      return {
+        universe,
+        instruments,
+        events,
+        distributions: summariseEvents(events, instruments, settings),
+      };
+    }),
+  };
+}
+
+module.exports = {
+  RESEARCH_DEFAULTS,
+  DIMENSIONS,
+  bucketOrder,
+  runSignalResearch,
+};
@@ -0,0 +1,282 @@
+// Filename: sizing.js
+// How much of a universe's equity a leveraged entry gets. Shared by the backtest
+// (backtest_engine.js), the live monitor and the quick check, so every one of them sizes a
+// trade the same way. The part of the equity that is not invested waits in cash until the
+// trade exits and the whole book goes back to the safe ETF.
+//
+//   model   "all_in"             every dollar (the legacy behaviour)
+//           "fixed_fractional"   lose riskPerTrade of equity if the stop is hit: riskPerTrade /
+//                                stop distance, the stop being stopPercent or else the tighter
+//                                of the rules' stop loss and ATR stop (see exit_rules.js)
+//           "volatility_target"  targetVolatility / the ETF's expected annualised volatility:
+//                                the signal ETF's ATR x leverage ("atr") or the realised
+//                                volatility of the ETF's last volatilityLookback closes
+//                                ("realized")
+//           "kelly"              kellyFraction x the Kelly fraction W - (1 - W) / payoff of the
+//                                universe's last kellyLookback round trips; kellyInitialFraction
+//                                until kellyMinTrades have closed and kellyFloor without an
+//                                edge, so the trades that follow a losing streak keep the
+//                                statistics moving
+//           "ai_confidence"      the decision's confidence: the AI's size adjustment where an AI
+//                                reviews the trade (quick check), otherwise the share of the
+//                                confirmation checks that passed (strategy_engine.js) scaled
+//                                by the signal strength, from confidenceFloor at the RSI
+//                                threshold to 1 at its extreme. With every check required the
+//                                share is always 1, so the signal strength does the sizing.
+//
+// Every size is capped by maxFraction and rules.risk_management.max_position_size. A model
+// that lacks its input (no stop, no ATR yet) falls back to the cap; a size of 0 (e.g. a
+// zero confidence) skips the entry.
+
+const { exitRulesFor } = require("./exit_rules");
+
+const SIZING_MODELS = [
+  "all_in",
+  "fixed_fractional",
+  "volatility_target",
+  "kelly",
+  "ai_confidence",
+];
+const VOLATILITY_SOURCES = ["atr", "realized"];
+
+const SIZING_DEFAULTS = {
+  model: "all_in",
+  maxFraction: 1,
+  riskPerTrade: 0.02,
+  stopPercent: null,
+  targetVolatility: 0.4, // annualised
+  volatilitySource: "atr",
+  volatilityLookback: 20, // closes
+  kellyFraction: 0.5,
+  kellyLookback: 30, // round trips
+  kellyMinTrades: 10,
+  kellyInitialFraction: 0.5,
+  kellyFloor: 0.1, // size while the Kelly fraction is 0 or below
+  confidenceFloor: 0.5, // share of the confidence given at the RSI threshold
+};
+
+const TRADING_DAYS = 252;
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const pct = (v) => `${(v * 100).toFixed(1)}%`;
+
+function createSizingModel(options = {}) {
+  const model = { ...SIZING_DEFAULTS, ...options };
+  if (!SIZING_MODELS.includes(model.model)) {
+    throw new Error(
+      `Unknown sizing model "${model.model}" (expected ${SIZING_MODELS.join(
+        ", "
+      )})`
+    );
+  }
+  if (!VOLATILITY_SOURCES.includes(model.volatilitySource)) {
+    throw new Error(
+      `Unknown volatility source "${
+        model.volatilitySource
+      }" (expected ${VOLATILITY_SOURCES.join(", ")})`
+    );
+  }
+  if (!(model.maxFraction > 0 && model.maxFraction <= 1)) {
+    throw new Error(
+      `Sizing maxFraction must be above 0 and at most 1, got ${model.maxFraction}`
+    );
+  }
+  if (!(model.confidenceFloor >= 0 && model.confidenceFloor <= 1)) {
+    throw new Error(
+      `Sizing confidenceFloor must be between 0 and 1, got ${model.confidenceFloor}`
+    );
+  }
+  // A Kelly size of 0 would stop the trading that could restore the edge
+  if (!(model.kellyFloor > 0)) {
+    throw new Error(
+      `Sizing kellyFloor must be above 0, got ${model.kellyFloor}`
+    );
+  }
+  return model;
+}
+
+// Annualised volatility of close-to-close returns, null with fewer than 2 returns
+function realizedVolatility(closes) {
+  const returns = closes
+    .slice(1)
+    .map((close, i) => close / closes[i] - 1)
+    .filter(isNum);
+  if (returns.length < 2) return null;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance =
+    returns.reduce((sum, r) => sum + (r - mean) * (r - mean), 0) /
+    (returns.length - 1);
+  return Math.sqrt(variance * TRADING_DAYS);
+}
+
+// Move of the held ETF that would stop the trade out, as a fraction of the entry price
+function stopDistance(model, { rules, bar, leverage }) {
+  if (isNum(model.stopPercent)) return model.stopPercent;
+  const exits = exitRulesFor(rules);
+  const distances = [];
+  if (isNum(exits.stop_loss_percent)) distances.push(exits.stop_loss_percent);
+  if (
+    isNum(exits.atr_stop_multiple) &&
+    isNum(bar.atr14) &&
+    isNum(bar.qqqClose)
+  ) {
+    distances.push(
+      ((exits.atr_stop_multiple * bar.atr14) / bar.qqqClose) * leverage
+    );
+  }
+  const positive = distances.filter((d) => d > 0);
+  return positive.length ? Math.min(...positive) : null;
+}
+
+// W - (1 - W) / (average win / average loss); 1 without losses, 0 without wins
+function kellyOf(returns) {
+  const wins = returns.filter((r) => r > 0);
+  const losses = returns.filter((r) => r <= 0);
+  if (losses.length === 0) return 1;
+  if (wins.length === 0) return 0;
+  const winRate = wins.length / returns.length;
+  const avgWin = wins.reduce((a, b) => a + b, 0) / wins.length;
+  const avgLoss = -losses.reduce((a, b) => a + b, 0) / losses.length;
+  return avgLoss > 0 ? winRate - (1 - winRate) / (avgWin / avgLoss) : winRate;
+}
+
+// Unclipped size and how it was reached
+function rawFraction(model, context) {
+  const {
+    bar = {},
+    leverage = 1,
+    tradeReturns = [],
+    confidence,
+    signalStrength,
+  } = context;
+  switch (model.model) {
+    case "fixed_fractional": {
+      const stop = stopDistance(model, { ...context, bar, leverage });
+      return stop
+        ? {
+            fraction: model.riskPerTrade / stop,
+            detail: `risk ${pct(model.riskPerTrade)} to a ${pct(stop)} stop`,
+          }
+        : { fraction: 1, detail: "no stop to size against" };
+    }
+    case "volatility_target": {
+      const volatility =
+        model.volatilitySource === "atr"
+          ? isNum(bar.atr14) && isNum(bar.qqqClose)
+            ? (bar.atr14 / bar.qqqClose) * leverage * Math.sqrt(TRADING_DAYS)
+            : null
+          : context.realizedVolatility;
+      return isNum(volatility) && volatility > 0
+        ? {
+            fraction: model.targetVolatility / volatility,
+            detail: `target ${pct(model.targetVolatility)} / ${
+              model.volatilitySource === "atr" ? "ATR" : "realised"
+            } volatility ${pct(volatility)}`,
+          }
+        : { fraction: 1, detail: "volatility not available" };
+    }
+    case "kelly": {
+      const recent = tradeReturns.slice(-model.kellyLookback);
+      if (recent.length < model.kellyMinTrades) {
+        return {
+          fraction: model.kellyInitialFraction,
+          detail: `${recent.length}/${model.kellyMinTrades} trades closed, initial size`,
+        };
+      }
+      const kelly = kellyOf(recent);
+      if (kelly <= 0) {
+        return {
+          fraction: model.kellyFloor,
+          detail: `no Kelly edge over ${recent.length} trades, floor size`,
+        };
+      }
+      return {
+        fraction: model.kellyFraction * kelly,
+        detail: `${model.kellyFraction} x Kelly ${pct(kelly)} over ${
+          recent.length
+        } trades`,
+      };
+    }
+    case "ai_confidence": {
+      if (!isNum(confidence)) {
+        return { fraction: 1, detail: "no confidence available" };
+      }
+      if (!isNum(signalStrength)) {
+        return {
+          fraction: confidence,
+          detail: `confidence ${pct(confidence)}`,
+        };
+      }
+      const strength =
+        model.confidenceFloor +
+        (1 - model.confidenceFloor) * Math.max(0, signalStrength);
+      return {
+        fraction: confidence * strength,
+        detail: `confidence ${pct(confidence)} x signal strength ${pct(
+          strength
+        )}`,
+      };
+    }
+    default:
+      return { fraction: 1, detail: "all in" };
+  }
+}
+
+// context: { bar (indicators of the decision bar: atr14, qqqClose), leverage, rules,
+// realizedVolatility (of the ETF to buy), tradeReturns (closed round trips, oldest first),
+// confidence, signalStrength (strategy_engine.js; omitted where an AI gives the confidence)
+// }. Returns { model, fraction, detail }.
+function positionFraction(model, context = {}) {
+  const { fraction, detail } = rawFraction(model, context);
+  const ruleCap = context.rules?.risk_management?.max_position_size;
+  const cap = Math.min(model.maxFraction, isNum(ruleCap) ? ruleCap : 1);
+  return {
+    model: model.model,
+    fraction: Math.max(0, Math.min(fraction, cap)),
+    detail,
+  };
+}
+
+function describeSizing(model) {
+  switch (model.model) {
+    case "fixed_fractional":
+      return `fixed fractional, ${pct(
+        model.riskPerTrade
+      )} of equity at risk to ${
+        isNum(model.stopPercent)
+          ? `a ${pct(model.stopPercent)} stop`
+          : "the rules' stop"
+      } (max ${pct(model.maxFraction)})`;
+    case "volatility_target":
+      return `volatility target ${pct(model.targetVolatility)} on ${
+        model.volatilitySource === "atr"
+          ? "ATR"
+          : `${model.volatilityLookback}-day realised volatility`
+      } (max ${pct(model.maxFraction)})`;
+    case "kelly":
+      return `${model.kellyFraction} x Kelly over the last ${
+        model.kellyLookback
+      } trades (${pct(model.kellyInitialFraction)} until ${
+        model.kellyMinTrades
+      } trades, ${pct(model.kellyFloor)} without an edge, max ${pct(
+        model.maxFraction
+      )})`;
+    case "ai_confidence":
+      return `scaled by decision confidence and signal strength (${pct(
+        model.confidenceFloor
+      )} at the RSI threshold, max ${pct(model.maxFraction)})`;
+    default:
+      return model.maxFraction < 1
+        ? `all in, capped at ${pct(model.maxFraction)}`
+        : "all in";
+  }
+}
+
+module.exports = {
+  SIZING_MODELS,
+  SIZING_DEFAULTS,
+  createSizingModel,
+  realizedVolatility,
+  positionFraction,
+  describeSizing,
+};
@@ -0,0 +1,258 @@
+// Filename: strategy_engine.js
+// RSI(2) mean-reversion entry logic shared by the backtest, the live monitor and the quick
+// check, so the rules that are backtested are exactly the rules that are traded.
+//
+// evaluate(state, bar, rules) is pure: it reads the position state, one bar of indicators
+// ({ rsi, adx, vixClose, qqqClose, sma50, sma200, prevSma50, volume }) and a rules object,
+// and returns the entry decision with every confirmation check it ran. qqqClose is the
+// close of the universe's signal ETF (QQQ, SPY or IWM; see universes.js).
+//
+// rules.extra_conditions add checks on any other indicator in the bar (see indicator_pipeline.js).
+// rules.regime_filter.long/short list the allowed states of each regime dimension (trend,
+// volatility, drawdown; see regime.js), e.g. { long: { trend: ["bull", "range"] } }.
+// Only checks enabled by the rules are counted. By default every enabled check must pass;
+// rules.min_checks relaxes that to "at least N of the enabled checks".
+//
+// confidence is the share of the enabled checks that passed; signalStrength is how far RSI
+// went past its threshold, from 0 at the threshold to 1 at RSI 0 (oversold) or 100
+// (overbought).
+
+const STRATEGY_DEFAULTS = {
+  rsiOversold: 10,
+  rsiOverbought: 90,
+  longSymbol: "TQQQ",
+  shortSymbol: "SQQQ",
+};
+
+// Used when no AI or file rules are available (e.g. the quick check)
+const DEFAULT_RULES = {
+  min_adx_threshold: 20,
+  max_vix_threshold: 35,
+  bullish_confirmation: {
+    require_price_above_sma50: true,
+    require_price_above_sma200: false,
+  },
+  bearish_confirmation: {
+    require_price_below_sma50: true,
+    require_price_below_sma200: false,
+  },
+};
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+const OPERATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+};
+
+// A check with a missing input (e.g. no SMA200 yet) counts as failed
+function compare(name, value, op, threshold) {
+  const available = isNum(value) && isNum(threshold);
+  return {
+    name,
+    value: isNum(value) ? value : null,
+    threshold: isNum(threshold) ? threshold : null,
+    passed: available && OPERATORS[op](value, threshold),
+  };
+}
+
+// The bar's regime state must be one of the allowed states (missing counts as failed)
+function allowed(name, state, states) {
+  return {
+    name,
+    value: state ?? null,
+    threshold: states.join("|"),
+    passed: states.includes(state),
+  };
+}
+
+const REGIME_FIELDS = {
+  trend: "regimeTrend",
+  volatility: "regimeVolatility",
+  drawdown: "regimeDrawdown",
+};
+
+// Confirmation checks for one side ("long" after oversold, "short" after overbought)
+function buildChecks(side, bar, rules) {
+  const long = side === "long";
+  const above = long ? ">" : "<";
+  const confirmation =
+    (long ? rules.bullish_confirmation : rules.bearish_confirmation) || {};
+  const checks = [];
+
+  if (isNum(rules.min_adx_threshold))
+    checks.push(compare("adx", bar.adx, ">", rules.min_adx_threshold));
+  if (isNum(rules.max_vix_threshold))
+    checks.push(compare("vix", bar.vixClose, "<", rules.max_vix_threshold));
+  if (isNum(rules.min_volume_threshold))
+    checks.push(compare("volume", bar.volume, ">", rules.min_volume_threshold));
+
+  if (
+    long
+      ? confirmation.require_price_above_sma50
+      : confirmation.require_price_below_sma50
+  )
+    checks.push(
+      compare(
+        long ? "price_above_sma50" : "price_below_sma50",
+        bar.qqqClose,
+        above,
+        bar.sma50
+      )
+    );
+  if (
+    long
+      ? confirmation.require_price_above_sma200
+      : confirmation.require_price_below_sma200
+  )
+    checks.push(
+      compare(
+        long ? "price_above_sma200" : "price_below_sma200",
+        bar.qqqClose,
+        above,
+        bar.sma200
+      )
+    );
+  if (long ? confirmation.require_rising_sma : confirmation.require_falling_sma)
+    checks.push(
+      compare(
+        long ? "rising_sma50" : "falling_sma50",
+        bar.sma50,
+        above,
+        bar.prevSma50
+      )
+    );
+
+  const regimes = rules.regime_filter?.[side] || {};
+  for (const [dimension, field] of Object.entries(REGIME_FIELDS)) {
+    if (Array.isArray(regimes[dimension]))
+      checks.push(
+        allowed(`regime_${dimension}`, bar[field], regimes[dimension])
+      );
+  }
+
+  for (const condition of rules.extra_conditions || []) {
+    if (condition.side && condition.side !== "both" && condition.side !== side)
+      continue;
+    const threshold =
+      condition.compare_to !== undefined
+        ? bar[condition.compare_to]
+        : condition.value;
+    checks.push(
+      compare(
+        `${condition.indicator} ${condition.op} ${
+          condition.compare_to ?? condition.value
+        }`,
+        bar[condition.indicator],
+        condition.op,
+        threshold
+      )
+    );
+  }
+
+  return checks;
+}
+
+function requiredChecks(rules, enabled) {
+  if (isNum(rules.min_checks)) {
+    return Math.max(0, Math.min(Math.floor(rules.min_checks), enabled));
+  }
+  return enabled;
+}
+
+// state: { position, isLeveragedPosition }
+// config: signal thresholds and the symbols to enter (defaults to STRATEGY_DEFAULTS)
+function evaluate(state, bar, rules, config = {}) {
+  const cfg = { ...STRATEGY_DEFAULTS, ...config };
+  const hold = (reason, extra = {}) => ({
+    decision: "HOLD",
+    targetSymbol: state.position,
+    side: null,
+    signal: null,
+    reason,
+    confidence: 0.5,
+    signalStrength: 0,
+    checks: [],
+    passedChecks: 0,
+    enabledChecks: 0,
+    requiredChecks: 0,
+    ...extra,
+  });
+
+  if (state.isLeveragedPosition) {
+    return hold(`Already in ${state.position}`);
+  }
+  if (!isNum(bar.rsi)) {
+    return hold("RSI not available");
+  }
+
+  const signal =
+    bar.rsi < cfg.rsiOversold
+      ? "oversold"
+      : bar.rsi > cfg.rsiOverbought
+      ? "overbought"
+      : null;
+  if (!signal) {
+    return hold(`RSI(${bar.rsi.toFixed(2)}) in neutral zone, no clear signal`);
+  }
+
+  const side = signal === "oversold" ? "long" : "short";
+  const signalStrength = Math.min(
+    1,
+    side === "long"
+      ? (cfg.rsiOversold - bar.rsi) / cfg.rsiOversold
+      : (bar.rsi - cfg.rsiOverbought) / (100 - cfg.rsiOverbought)
+  );
+  const checks = buildChecks(side, bar, rules || {});
+  const passedChecks = checks.filter((c) => c.passed).length;
+  const required = requiredChecks(rules || {}, checks.length);
+  const confidence = checks.length ? passedChecks / checks.length : 1;
+  const summary = `${passedChecks}/${checks.length} ${
+    side === "long" ? "bullish" : "bearish"
+  } confirmations`;
+  const label = signal === "oversold" ? "Oversold" : "Overbought";
+
+  if (passedChecks < required) {
+    const failed = checks
+      .filter((c) => !c.passed)
+      .map((c) => c.name)
+      .join(", ");
+    return hold(
+      `${label} RSI(${bar.rsi.toFixed(
+        2
+      )}) rejected: ${summary} (need ${required}; failed ${failed})`,
+      {
+        signal,
+        side,
+        confidence,
+        signalStrength,
+        checks,
+        passedChecks,
+        enabledChecks: checks.length,
+        requiredChecks: required,
+      }
+    );
+  }
+
+  return {
+    decision: "BUY",
+    targetSymbol: side === "long" ? cfg.longSymbol : cfg.shortSymbol,
+    side,
+    signal,
+    reason: `${label} RSI(${bar.rsi.toFixed(2)}) with ${summary}`,
+    confidence,
+    signalStrength,
+    checks,
+    passedChecks,
+    enabledChecks: checks.length,
+    requiredChecks: required,
+  };
+}
+
+module.exports = {
+  STRATEGY_DEFAULTS,
+  DEFAULT_RULES,
+  evaluate,
+};
@@ -0,0 +1,212 @@
+// Filename: synthetic_etf.js
+// Builds synthetic daily leveraged ETF history from the signal ETF so backtests can start
+// before TQQQ/SQQQ existed (e.g. through 2000-2002 and 2008).
+//
+// A fund targeting L x the daily return of the underlying is modelled as L parts underlying
+// and (1 - L) parts cash, less the expense ratio and a swap financing spread on |L|:
+//   r_fund = L * r + (1 - L) * rf / 252 - expenseRatio / 252 - |L| * financingSpread / 252
+// For L = 3 the (1 - L) term is a borrowing cost, for L = -3 it is interest on collateral.
+
+const SYNTHETIC_DEFAULTS = {
+  expenseRatio: 0.0095,
+  financingSpread: 0.005,
+  riskFreeRate: 0.02,
+  startPrice: 100,
+};
+
+const TRADING_DAYS = 252;
+
+function dailyDrag(leverage, { expenseRatio, financingSpread, riskFreeRate }) {
+  return (
+    ((1 - leverage) * riskFreeRate -
+      expenseRatio -
+      Math.abs(leverage) * financingSpread) /
+    TRADING_DAYS
+  );
+}
+
+// OHLC are derived from the underlying's moves relative to its previous close,
+// with high and low swapped for inverse funds
+function buildSyntheticSeries(signalBars, options = {}) {
+  const opts = { ...SYNTHETIC_DEFAULTS, ...options };
+  const leverage = opts.leverage;
+  if (typeof leverage !== "number" || leverage === 0) {
+    throw new Error("Synthetic series needs a non-zero numeric leverage");
+  }
+  const drag = dailyDrag(leverage, opts);
+  const levered = (move) => 1 + leverage * move + drag;
+
+  const bars = [];
+  let prevClose = opts.startPrice;
+  for (let i = 0; i < signalBars.length; i++) {
+    const u = signalBars[i];
+    if (i === 0) {
+      bars.push({
+        date: u.date,
+        open: prevClose,
+        high: prevClose,
+        low: prevClose,
+        close: prevClose,
+        adjclose: prevClose,
+        volume: null,
+        synthetic: true,
+      });
+      continue;
+    }
+    const uPrev = signalBars[i - 1].close;
+    const move = (price) => (price ?? u.close) / uPrev - 1;
+    const close = Math.max(prevClose * levered(move(u.close)), 0.0001);
+    const extremes = [move(u.high), move(u.low)].map((m) =>
+      Math.max(prevClose * levered(m), 0.0001)
+    );
+    const open = Math.max(prevClose * levered(move(u.open)), 0.0001);
+    bars.push({
+      date: u.date,
+      open,
+      high: Math.max(...extremes, open, close),
+      low: Math.min(...extremes, open, close),
+      close,
+      adjclose: close,
+      volume: null,
+      synthetic: true,
+    });
+    prevClose = close;
+  }
+  return bars;
+}
+
+function dailyReturns(bars) {
+  const returns = new Map();
+  for (let i = 1; i < bars.length; i++) {
+    returns.set(bars[i].date, bars[i].close / bars[i - 1].close - 1);
+  }
+  return returns;
+}
+
+// Compares synthetic and real daily returns over their overlapping dates
+function validateSynthetic(syntheticBars, realBars) {
+  const synth = dailyReturns(syntheticBars);
+  const real = dailyReturns(realBars);
+  const pairs = [];
+  for (const [date, r] of real) {
+    if (synth.has(date) && Number.isFinite(r)) pairs.push([synth.get(date), r]);
+  }
+  if (pairs.length < 20) {
+    return { overlapDays: pairs.length, sufficient: false };
+  }
+
+  const n = pairs.length;
+  const mean = (xs) => xs.reduce((a, b) => a + b, 0) / xs.length;
+  const s = pairs.map((p) => p[0]);
+  const r = pairs.map((p) => p[1]);
+  const ms = mean(s);
+  const mr = mean(r);
+  let cov = 0,
+    vs = 0,
+    vr = 0;
+  pairs.forEach(([a, b]) => {
+    cov += (a - ms) * (b - mr);
+    vs += (a - ms) ** 2;
+    vr += (b - mr) ** 2;
+  });
+  const diffs = pairs.map(([a, b]) => a - b);
+  const md = mean(diffs);
+  const trackingError =
+    Math.sqrt(diffs.reduce((acc, d) => acc + (d - md) ** 2, 0) / n) *
+    Math.sqrt(TRADING_DAYS);
+  const growth = (xs) => xs.reduce((acc, x) => acc * (1 + x), 1);
+  const years = n / TRADING_DAYS;
+
+  return {
+    overlapDays: n,
+    sufficient: true,
+    correlation: vs > 0 && vr > 0 ? cov / Math.sqrt(vs * vr) : 0,
+    beta: vs > 0 ? cov / vs : 0,
+    trackingError,
+    syntheticCagr: Math.pow(growth(s), 1 / years) - 1,
+    realCagr: Math.pow(growth(r), 1 / years) - 1,
+    syntheticTotalReturn: growth(s) - 1,
+    realTotalReturn: growth(r) - 1,
+  };
+}
+
+// Prepends rescaled synthetic bars to the real series, so the first real close is unchanged
+function spliceSynthetic(realBars, syntheticBars) {
+  if (realBars.length === 0) return syntheticBars;
+  const firstReal = realBars[0];
+  const anchor = syntheticBars.find((b) => b.date === firstReal.date);
+  if (!anchor) return realBars;
+  const scale = firstReal.close / anchor.close;
+  const prefix = syntheticBars
+    .filter((b) => b.date < firstReal.date)
+    .map((b) => ({
+      ...b,
+      open: b.open * scale,
+      high: b.high * scale,
+      low: b.low * scale,
+      close: b.close * scale,
+      adjclose: b.adjclose * scale,
+    }));
+  return prefix.concat(realBars);
+}
+
+// Extends each target ticker in a { ticker: bars[] } map with synthetic pre-inception history.
+// targets: [{ ticker: "TQQQ", leverage: 3 }, { ticker: "SQQQ", leverage: -3 }]
+function extendWithSyntheticHistory(dataByTicker, options) {
+  const { signalTicker, targets, ...modelOptions } = options;
+  const signalBars = dataByTicker[signalTicker];
+  if (!signalBars || signalBars.length === 0) {
+    throw new Error(`Synthetic history needs ${signalTicker} data`);
+  }
+
+  const data = { ...dataByTicker };
+  const reports = [];
+  for (const { ticker, leverage } of targets) {
+    const realBars = dataByTicker[ticker] || [];
+    const synthetic = buildSyntheticSeries(signalBars, {
+      ...modelOptions,
+      leverage,
+    });
+    const spliced = spliceSynthetic(realBars, synthetic);
+    const syntheticCount = spliced.filter((b) => b.synthetic).length;
+    data[ticker] = spliced;
+    reports.push({
+      ticker,
+      leverage,
+      expenseRatio:
+        modelOptions.expenseRatio ?? SYNTHETIC_DEFAULTS.expenseRatio,
+      financingSpread:
+        modelOptions.financingSpread ?? SYNTHETIC_DEFAULTS.financingSpread,
+      syntheticBars: syntheticCount,
+      syntheticFrom: syntheticCount ? spliced[0].date : null,
+      realFrom: realBars[0]?.date || null,
+      validation: validateSynthetic(synthetic, realBars),
+    });
+  }
+  return { data, reports };
+}
+
+function describeSyntheticReport(report) {
+  const v = report.validation;
+  const fit = v.sufficient
+    ? `corr ${v.correlation.toFixed(3)}, beta ${v.beta.toFixed(
+        2
+      )}, tracking error ${(v.trackingError * 100).toFixed(2)}%, CAGR synth ${(
+        v.syntheticCagr * 100
+      ).toFixed(2)}% vs real ${(v.realCagr * 100).toFixed(2)}% over ${
+        v.overlapDays
+      } days`
+    : `only ${v.overlapDays} overlapping days, not validated`;
+  return `${report.ticker} (${report.leverage}x): ${
+    report.syntheticBars
+  } synthetic bars from ${report.syntheticFrom || "-"}; ${fit}`;
+}
+
+module.exports = {
+  SYNTHETIC_DEFAULTS,
+  buildSyntheticSeries,
+  validateSynthetic,
+  spliceSynthetic,
+  extendWithSyntheticHistory,
+  describeSyntheticReport,
+};
@@ -0,0 +1,80 @@
+// Filename: test/bar_cache.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { withBarCache } = require("../bar_cache");
+
+const bar = (date, close) => ({
+  date,
+  open: close,
+  high: close,
+  low: close,
+  close,
+  volume: 1000,
+});
+
+// A provider serving `bars` that records every request
+function fakeProvider(bars) {
+  return {
+    name: "fake",
+    bars,
+    calls: [],
+    async fetchBars(ticker, { startDate, endDate }) {
+      this.calls.push({ startDate, endDate });
+      return this.bars.filter(
+        (b) => (!startDate || b.date >= startDate) && b.date <= endDate
+      );
+    },
+  };
+}
+
+test("the cache downloads only the tail and replaces the last cached bar", async () => {
+  const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), "bars-"));
+  const provider = fakeProvider([
+    bar("2022-01-03", 100),
+    bar("2022-01-04", 101),
+    bar("2022-01-05", 101.5), // partial bar at the time of the first run
+  ]);
+  const cached = withBarCache(provider, { mode: "on", cacheDir });
+  try {
+    await cached.fetchBars("QQQ", {
+      startDate: "2022-01-03",
+      endDate: "2022-01-05",
+    });
+
+    provider.bars = [
+      bar("2022-01-03", 100),
+      bar("2022-01-04", 101),
+      bar("2022-01-05", 102),
+      bar("2022-01-06", 103),
+    ];
+    const bars = await cached.fetchBars("QQQ", {
+      startDate: "2022-01-03",
+      endDate: "2022-01-06",
+    });
+
+    assert.deepStrictEqual(provider.calls[1], {
+      startDate: "2022-01-05",
+      endDate: "2022-01-06",
+    });
+    assert.deepStrictEqual(
+      bars.map((b) => [b.date, b.close]),
+      [
+        ["2022-01-03", 100],
+        ["2022-01-04", 101],
+        ["2022-01-05", 102],
+        ["2022-01-06", 103],
+      ]
+    );
+
+    // A request without a start date is served from the cache
+    await cached.fetchBars("QQQ", { endDate: "2022-01-06" });
+    assert.strictEqual(provider.calls.length, 2);
+  } finally {
+    await fs.remove(cacheDir);
+  }
+});
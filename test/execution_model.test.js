@@ -0,0 +1,71 @@
+// Filename: test/execution_model.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  createExecutionModel,
+  fillsNextBar,
+  fillPrice,
+  exitFillPrice,
+  commissionFor,
+  sharesFor,
+} = require("../execution_model");
+
+const BAR = { open: 100, high: 104, low: 95, close: 102 };
+
+test("the defaults fill at the decision close without slippage", () => {
+  const model = createExecutionModel();
+  assert.strictEqual(fillsNextBar(model), false);
+  assert.strictEqual(
+    fillPrice(model, { symbol: "TQQQ", side: "buy", bar: BAR }).price,
+    102
+  );
+  assert.strictEqual(commissionFor(model, 100, 102), 5);
+});
+
+test("slippage moves next-open fills against the order", () => {
+  const model = createExecutionModel({
+    fillTiming: "next_open",
+    slippage: { model: "bps", bps: 10 },
+  });
+  assert.strictEqual(fillsNextBar(model), true);
+  const buy = fillPrice(model, { symbol: "TQQQ", side: "buy", bar: BAR });
+  const sell = fillPrice(model, { symbol: "TQQQ", side: "sell", bar: BAR });
+  assert.strictEqual(buy.reference, 100);
+  assert.ok(Math.abs(buy.price - 100.1) < 1e-9);
+  assert.ok(Math.abs(sell.price - 99.9) < 1e-9);
+});
+
+test("percent commissions apply their minimum and leave room in sharesFor", () => {
+  const model = createExecutionModel({
+    commission: { model: "percent", rate: 0.001, minimum: 1 },
+  });
+  assert.strictEqual(commissionFor(model, 1, 100), 1);
+  const shares = sharesFor(model, 10000, 100);
+  const spent = shares * 100 + commissionFor(model, shares, 100);
+  assert.ok(Math.abs(spent - 10000) < 1e-6);
+});
+
+test("intrabar targets fill at their level, or at a better open", () => {
+  const model = createExecutionModel({ stopFills: "intrabar" });
+  const exit = { rule: "profit_target", level: 103 };
+  assert.strictEqual(
+    exitFillPrice(model, { symbol: "TQQQ", exit, bar: BAR }).price,
+    103
+  );
+  const gapUp = { open: 106, high: 108, low: 105, close: 107 };
+  assert.strictEqual(
+    exitFillPrice(model, { symbol: "TQQQ", exit, bar: gapUp }).price,
+    106
+  );
+  // Close-only stops are filled like any order
+  assert.strictEqual(
+    exitFillPrice(createExecutionModel(), { symbol: "TQQQ", exit, bar: BAR }),
+    null
+  );
+});
+
+test("createExecutionModel rejects an unknown fill timing", () => {
+  assert.throws(() => createExecutionModel({ fillTiming: "next_week" }));
+});
@@ -0,0 +1,61 @@
+// Filename: test/exit_rules.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { openPosition, evaluateExit } = require("../exit_rules");
+const { createExecutionModel, exitFillPrice } = require("../execution_model");
+
+const TRAILING = { stop_loss_percent: null, trailing_stop_percent: 0.1 };
+const intrabar = createExecutionModel({ stopFills: "intrabar" });
+
+// A long TQQQ position bought at 100 whose peak is still the entry price
+const position = openPosition({ side: "long", symbol: "TQQQ", price: 100 });
+
+function trailingExit(bar) {
+  const market = { price: bar.close, low: bar.low, high: bar.high };
+  const exit = evaluateExit(position, market, {}, TRAILING);
+  const fill = exit.exit
+    ? exitFillPrice(intrabar, { symbol: "TQQQ", exit, bar })
+    : null;
+  return { exit, fill };
+}
+
+test("an intrabar trailing stop fills at its level when the close is below it", () => {
+  const { exit, fill } = trailingExit({
+    open: 95,
+    high: 96,
+    low: 80,
+    close: 85,
+  });
+  assert.strictEqual(exit.rule, "trailing_stop");
+  assert.strictEqual(exit.level, 90);
+  assert.strictEqual(fill.price, 90);
+  assert.strictEqual(fill.gapped, false);
+});
+
+test("an intrabar trailing stop triggers on the low when the close recovers", () => {
+  const { exit, fill } = trailingExit({
+    open: 95,
+    high: 96,
+    low: 80,
+    close: 92,
+  });
+  assert.strictEqual(exit.rule, "trailing_stop");
+  assert.strictEqual(fill.price, 90);
+});
+
+test("an intrabar trailing stop fills at the open when the bar gaps through it", () => {
+  const { fill } = trailingExit({ open: 85, high: 88, low: 80, close: 86 });
+  assert.strictEqual(fill.price, 85);
+  assert.strictEqual(fill.gapped, true);
+});
+
+test("close-only exits ignore the bar's low", () => {
+  const market = { price: 92 };
+  assert.strictEqual(evaluateExit(position, market, {}, TRAILING).exit, false);
+  assert.strictEqual(
+    evaluateExit(position, { price: 89 }, {}, TRAILING).rule,
+    "trailing_stop"
+  );
+});
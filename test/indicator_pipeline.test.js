@@ -0,0 +1,57 @@
+// Filename: test/indicator_pipeline.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { runIndicatorPipeline } = require("../indicator_pipeline");
+
+// One row per day; VIX3M only starts on the third row
+const ROWS = [1, 2, 3, 4, 5, 6].map((close, i) => ({
+  date: `2022-01-0${i + 3}`,
+  QQQ: { close },
+  "^VIX3M": i < 2 ? undefined : { close: 10 },
+}));
+
+const SPECS = [
+  { indicator: "SMA", input: "QQQ", params: { period: 3 }, output: "sma3" },
+  {
+    indicator: "SMA",
+    input: "QQQ",
+    params: { period: 3 },
+    output: "prevSma3",
+    lag: 1,
+  },
+  {
+    indicator: "SMA",
+    input: "^VIX3M",
+    params: { period: 2 },
+    output: "vix3mSma2",
+    optional: true,
+  },
+];
+
+test("each output value belongs to its own row, lagged outputs to the row before", () => {
+  const { rows } = runIndicatorPipeline(ROWS, SPECS, { dropWarmup: false });
+  assert.deepStrictEqual(
+    rows.map((r) => r.sma3),
+    [null, null, 2, 3, 4, 5]
+  );
+  assert.deepStrictEqual(
+    rows.map((r) => r.prevSma3),
+    [null, null, null, 2, 3, 4]
+  );
+  // A series that starts later is aligned from its first row
+  assert.deepStrictEqual(
+    rows.map((r) => r.vix3mSma2),
+    [null, null, null, 10, 10, 10]
+  );
+});
+
+test("warm-up rows of required outputs are dropped, optional ones kept", () => {
+  const { rows, dropped } = runIndicatorPipeline(ROWS, SPECS);
+  assert.strictEqual(dropped, 3);
+  assert.deepStrictEqual(
+    rows.map((r) => r.date),
+    ["2022-01-06", "2022-01-07", "2022-01-08"]
+  );
+});
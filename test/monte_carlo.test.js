@@ -0,0 +1,62 @@
+// Filename: test/monte_carlo.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { roundTripReturns, runMonteCarlo } = require("../monte_carlo");
+
+// Round trips of the given returns on a 100-share entry at $100, each entry sized by fraction
+function tradesOf(returns, sizeFraction) {
+  return returns.flatMap((r, i) => [
+    {
+      universe: "NDX",
+      date: `2020-01-${String(2 * i + 1).padStart(2, "0")}`,
+      action: "BUY",
+      shares: 100,
+      price: 100,
+      commission: 0,
+      ...(sizeFraction === undefined ? {} : { sizeFraction }),
+    },
+    {
+      universe: "NDX",
+      date: `2020-01-${String(2 * i + 2).padStart(2, "0")}`,
+      action: "SELL (Exit)",
+      shares: 100,
+      price: 100 * (1 + r),
+      commission: 0,
+    },
+  ]);
+}
+
+const RETURNS = [0.2, -0.15, 0.1, -0.2, 0.05, -0.1, 0.15, -0.12];
+
+function tradeResampleDrawdown(trades) {
+  return runMonteCarlo({
+    simulationLog: [{ equity: 100000 }, { equity: 100000 }],
+    trades,
+    initialCapital: 100000,
+    weights: { NDX: 1 },
+    options: { simulations: 200 },
+  }).tradeResample.maxDrawdown.percentiles[5];
+}
+
+test("roundTripReturns carries the entry's size fraction, 1 when unsized", () => {
+  assert.deepStrictEqual(
+    roundTripReturns(tradesOf([0.1], 0.25)).map((t) => t.sizeFraction),
+    [0.25]
+  );
+  assert.deepStrictEqual(
+    roundTripReturns(tradesOf([0.1])).map((t) => t.sizeFraction),
+    [1]
+  );
+});
+
+test("trade resample drawdown shrinks with the size fraction", () => {
+  const allIn = tradeResampleDrawdown(tradesOf(RETURNS));
+  const half = tradeResampleDrawdown(tradesOf(RETURNS, 0.5));
+  const tenth = tradeResampleDrawdown(tradesOf(RETURNS, 0.1));
+  assert.ok(allIn < half, `${allIn} should be deeper than ${half}`);
+  assert.ok(half < tenth, `${half} should be deeper than ${tenth}`);
+  // Same draws, each return a tenth as large
+  assert.ok(tenth > allIn / 5, `${tenth} vs all in ${allIn}`);
+});
@@ -0,0 +1,48 @@
+// Filename: test/regime.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { classifyRegimes } = require("../regime");
+
+const bars = (field, values) =>
+  values.map((v) => ({ qqqClose: 100, sma200: 90, adx: 30, [field]: v }));
+
+test("volatility states change only once VIX is past a threshold by the band", () => {
+  // Thresholds 15 and 30, band 1.5
+  const states = classifyRegimes(
+    bars("vixClose", [14, 16, 17, 14.9, 13, 31, 29])
+  ).map((r) => r.volatility);
+  assert.deepStrictEqual(states, [
+    "low",
+    "low",
+    "normal",
+    "normal",
+    "low",
+    "normal",
+    "normal",
+  ]);
+});
+
+test("the first bar takes its state without the band", () => {
+  const states = classifyRegimes(bars("vixClose", [31, 29.5, 28])).map(
+    (r) => r.volatility
+  );
+  assert.deepStrictEqual(states, ["high", "high", "normal"]);
+});
+
+test("the trend needs ADX and SMA200; drawdown uses the rolling high", () => {
+  const regimes = classifyRegimes([
+    { qqqClose: 100, sma200: null, adx: 30, vixClose: 20 },
+    { qqqClose: 85, sma200: 90, adx: 30, vixClose: 20 },
+    { qqqClose: 95, sma200: 90, adx: 10, vixClose: 20 },
+  ]);
+  assert.deepStrictEqual(
+    regimes.map((r) => [r.trend, r.drawdown]),
+    [
+      [null, "shallow"],
+      ["bear", "correction"],
+      ["range", "shallow"],
+    ]
+  );
+});
@@ -0,0 +1,52 @@
+// Filename: test/sizing.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { createSizingModel, positionFraction } = require("../sizing");
+
+test("kelly sizes at the floor after a losing streak instead of skipping", () => {
+  const model = createSizingModel({ model: "kelly", kellyMinTrades: 10 });
+  const losses = Array(10).fill(-0.05);
+  const size = positionFraction(model, { tradeReturns: losses });
+  assert.strictEqual(size.fraction, model.kellyFloor);
+  assert.ok(size.fraction > 0);
+});
+
+test("kelly recovers as winning trades enter the rolling window", () => {
+  const model = createSizingModel({
+    model: "kelly",
+    kellyMinTrades: 10,
+    kellyLookback: 10,
+  });
+  // Every entry is taken, so each closed trade updates the statistics
+  let tradeReturns = Array(10).fill(-0.05);
+  const sizes = [];
+  for (let i = 0; i < 10; i++) {
+    sizes.push(positionFraction(model, { tradeReturns }).fraction);
+    tradeReturns = [...tradeReturns, 0.08];
+  }
+  assert.ok(sizes.every((s) => s > 0));
+  assert.strictEqual(sizes[0], model.kellyFloor);
+  assert.ok(sizes[sizes.length - 1] > model.kellyFloor);
+});
+
+test("createSizingModel rejects a Kelly floor of 0", () => {
+  assert.throws(() => createSizingModel({ model: "kelly", kellyFloor: 0 }));
+});
+
+test("ai_confidence varies with signal strength when every check passes", () => {
+  const model = createSizingModel({ model: "ai_confidence" });
+  const atThreshold = positionFraction(model, {
+    confidence: 1,
+    signalStrength: 0,
+  });
+  const extreme = positionFraction(model, { confidence: 1, signalStrength: 1 });
+  assert.strictEqual(atThreshold.fraction, model.confidenceFloor);
+  assert.strictEqual(extreme.fraction, 1);
+  // An AI's confidence (no signal strength) is used as given
+  assert.strictEqual(
+    positionFraction(model, { confidence: 0.75 }).fraction,
+    0.75
+  );
+});
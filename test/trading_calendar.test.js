@@ -0,0 +1,41 @@
+// Filename: test/trading_calendar.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  isTradingDay,
+  getSession,
+  tradingDaysBetween,
+} = require("../trading_calendar");
+
+test("holidays and weekends are not sessions", () => {
+  assert.strictEqual(isTradingDay("2022-07-04"), false); // Independence Day
+  assert.strictEqual(isTradingDay("2022-04-15"), false); // Good Friday
+  assert.strictEqual(isTradingDay("2022-07-02"), false); // Saturday
+  assert.strictEqual(isTradingDay("2022-07-05"), true);
+});
+
+test("sessions open at 09:30 New York time across DST and close early before holidays", () => {
+  assert.strictEqual(
+    getSession("2022-03-11").open.toISOString(),
+    "2022-03-11T14:30:00.000Z"
+  );
+  assert.strictEqual(
+    getSession("2022-03-14").open.toISOString(),
+    "2022-03-14T13:30:00.000Z"
+  );
+  const blackFriday = getSession("2022-11-25");
+  assert.strictEqual(blackFriday.isHalfDay, true);
+  assert.strictEqual(
+    blackFriday.close.toISOString(),
+    "2022-11-25T18:00:00.000Z"
+  );
+});
+
+test("tradingDaysBetween counts the sessions after the start up to the end", () => {
+  assert.strictEqual(tradingDaysBetween("2022-07-01", "2022-07-01"), 0);
+  // Over the Independence Day weekend
+  assert.strictEqual(tradingDaysBetween("2022-07-01", "2022-07-05"), 1);
+  assert.strictEqual(tradingDaysBetween("2022-06-27", "2022-07-06"), 6);
+});
@@ -0,0 +1,46 @@
+// Filename: test/trading_rules.test.js
+// Run: node --test test/
+
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs-extra");
+const os = require("os");
+const path = require("path");
+const { resolveRules, listRuleSets } = require("../trading_rules");
+const { DEFAULT_RULES } = require("../strategy_engine");
+
+const RULES = { ...DEFAULT_RULES, exit_rules: { max_hold_days: 5 } };
+
+test("AI rules are saved only when they differ from the latest version", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rules-"));
+  const resolve = (rules) =>
+    resolveRules({ source: "ai", dir, fetchAiRules: async () => rules });
+  try {
+    assert.strictEqual((await resolve(RULES)).version, 1);
+    assert.strictEqual((await resolve({ ...RULES })).version, 1);
+    assert.strictEqual(
+      (await resolve({ ...RULES, min_adx_threshold: 30 })).version,
+      2
+    );
+    assert.strictEqual((await listRuleSets(dir)).length, 2);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test("AI rules record the AI mode they came from", async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "rules-"));
+  try {
+    const set = await resolveRules({
+      source: "ai",
+      dir,
+      fetchAiRules: async () => RULES,
+      model: "llama3-70b-8192",
+      aiMode: "stub",
+    });
+    assert.strictEqual(set.source, "ai_stub");
+    assert.strictEqual(set.model, null);
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,276 @@
+// Filename: trading_calendar.js
+// NYSE trading calendar: holidays, early closes, DST-safe session open/close instants and
+// session arithmetic. Dates are exchange-local "YYYY-MM-DD" keys.
+//
+// To run: node trading_calendar.js [YYYY]   (prints the year's holidays and early closes)
+
+const EXCHANGE = {
+  timeZone: "America/New_York",
+  open: "09:30",
+  close: "16:00",
+  earlyClose: "13:00",
+};
+
+// One-off closures not covered by the holiday rules
+const SPECIAL_CLOSURES = {
+  "2001-09-11": "September 11 attacks",
+  "2001-09-12": "September 11 attacks",
+  "2001-09-13": "September 11 attacks",
+  "2001-09-14": "September 11 attacks",
+  "2004-06-11": "Reagan national day of mourning",
+  "2007-01-02": "Ford national day of mourning",
+  "2012-10-29": "Hurricane Sandy",
+  "2012-10-30": "Hurricane Sandy",
+  "2018-12-05": "Bush national day of mourning",
+  "2025-01-09": "Carter national day of mourning",
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// --- DATE KEY HELPERS ---
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function makeKey(year, month, day) {
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+function keyToUtc(key) {
+  const [y, m, d] = key.split("-").map(Number);
+  return Date.UTC(y, m - 1, d);
+}
+
+function utcToKey(ms) {
+  return new Date(ms).toISOString().split("T")[0];
+}
+
+function addDays(key, days) {
+  return utcToKey(keyToUtc(key) + days * DAY_MS);
+}
+
+function weekday(key) {
+  return new Date(keyToUtc(key)).getUTCDay();
+}
+
+function isWeekend(key) {
+  const day = weekday(key);
+  return day === 0 || day === 6;
+}
+
+// n-th (1-based) given weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, dayOfWeek, n) {
+  if (n > 0) {
+    const first = weekday(makeKey(year, month, 1));
+    const day = 1 + ((dayOfWeek - first + 7) % 7) + (n - 1) * 7;
+    return makeKey(year, month, day);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(makeKey(year, month, lastDay));
+  return makeKey(year, month, lastDay - ((last - dayOfWeek + 7) % 7));
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return makeKey(year, month, day);
+}
+
+// Saturday holidays move to Friday, Sunday holidays to Monday
+function observed(key) {
+  const day = weekday(key);
+  if (day === 6) return addDays(key, -1);
+  if (day === 0) return addDays(key, 1);
+  return key;
+}
+
+// --- HOLIDAYS AND EARLY CLOSES ---
+
+const holidayCache = new Map();
+
+function getHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+  const holidays = new Map();
+  // NYSE does not observe New Year's Day on the preceding Friday
+  const newYear = makeKey(year, 1, 1);
+  if (weekday(newYear) !== 6) holidays.set(observed(newYear), "New Year's Day");
+  if (year >= 1998)
+    holidays.set(nthWeekday(year, 1, 1, 3), "Martin Luther King Jr. Day");
+  holidays.set(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  holidays.set(addDays(easterSunday(year), -2), "Good Friday");
+  holidays.set(nthWeekday(year, 5, 1, -1), "Memorial Day");
+  if (year >= 2022) holidays.set(observed(makeKey(year, 6, 19)), "Juneteenth");
+  holidays.set(observed(makeKey(year, 7, 4)), "Independence Day");
+  holidays.set(nthWeekday(year, 9, 1, 1), "Labor Day");
+  holidays.set(nthWeekday(year, 11, 4, 4), "Thanksgiving Day");
+  holidays.set(observed(makeKey(year, 12, 25)), "Christmas Day");
+  for (const [key, name] of Object.entries(SPECIAL_CLOSURES)) {
+    if (key.startsWith(`${year}-`)) holidays.set(key, name);
+  }
+  holidayCache.set(year, holidays);
+  return holidays;
+}
+
+function getEarlyCloses(year) {
+  const early = new Map();
+  const holidays = getHolidays(year);
+  const candidates = [
+    [makeKey(year, 7, 3), "Day before Independence Day"],
+    [addDays(nthWeekday(year, 11, 4, 4), 1), "Day after Thanksgiving"],
+    [makeKey(year, 12, 24), "Christmas Eve"],
+  ];
+  for (const [key, name] of candidates) {
+    if (!isWeekend(key) && !holidays.has(key)) early.set(key, name);
+  }
+  return early;
+}
+
+function holidayName(key) {
+  return getHolidays(Number(key.slice(0, 4))).get(key) || null;
+}
+
+function isTradingDay(key) {
+  return !isWeekend(key) && !holidayName(key);
+}
+
+// --- TIME ZONE CONVERSION ---
+
+// Offset (ms) of the exchange time zone from UTC at a given instant
+function zoneOffset(ms, timeZone = EXCHANGE.timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(ms));
+  const get = (type) => Number(parts.find((p) => p.type === type).value);
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  return asUtc - Math.floor(ms / 1000) * 1000;
+}
+
+// Exchange wall-clock time on a date -> Date instant, correct across DST changes
+function zonedTime(key, hhmm, timeZone = EXCHANGE.timeZone) {
+  const [h, m] = hhmm.split(":").map(Number);
+  const wallAsUtc = keyToUtc(key) + (h * 60 + m) * 60 * 1000;
+  let instant = wallAsUtc - zoneOffset(wallAsUtc, timeZone);
+  instant = wallAsUtc - zoneOffset(instant, timeZone);
+  return new Date(instant);
+}
+
+function sessionDateKey(instant = new Date(), timeZone = EXCHANGE.timeZone) {
+  return new Intl.DateTimeFormat("en-CA", {
+    timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(instant));
+}
+
+// --- SESSIONS ---
+
+function getSession(key) {
+  if (!isTradingDay(key)) return null;
+  const earlyClose = getEarlyCloses(Number(key.slice(0, 4))).get(key);
+  return {
+    date: key,
+    open: zonedTime(key, EXCHANGE.open),
+    close: zonedTime(key, earlyClose ? EXCHANGE.earlyClose : EXCHANGE.close),
+    isHalfDay: Boolean(earlyClose),
+    note: earlyClose || null,
+  };
+}
+
+function isMarketOpen(instant = new Date()) {
+  const session = getSession(sessionDateKey(instant));
+  if (!session) return false;
+  const t = new Date(instant).getTime();
+  return t >= session.open.getTime() && t < session.close.getTime();
+}
+
+function toKey(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? value
+    : sessionDateKey(value);
+}
+
+// First session strictly after / before the given date or instant
+function nextSession(from = new Date()) {
+  let key = addDays(toKey(from), 1);
+  while (!isTradingDay(key)) key = addDays(key, 1);
+  return getSession(key);
+}
+
+function previousSession(from = new Date()) {
+  let key = addDays(toKey(from), -1);
+  while (!isTradingDay(key)) key = addDays(key, -1);
+  return getSession(key);
+}
+
+// Session keys in [start, end]
+function tradingSessions(start, end) {
+  const sessions = [];
+  for (let key = toKey(start); key <= toKey(end); key = addDays(key, 1)) {
+    if (isTradingDay(key)) sessions.push(key);
+  }
+  return sessions;
+}
+
+// Sessions elapsed after `start` up to and including `end` (0 on the same day)
+function tradingDaysBetween(start, end) {
+  const startKey = toKey(start);
+  const endKey = toKey(end);
+  if (endKey <= startKey) return 0;
+  return tradingSessions(addDays(startKey, 1), endKey).length;
+}
+
+module.exports = {
+  EXCHANGE,
+  getHolidays,
+  getEarlyCloses,
+  holidayName,
+  isTradingDay,
+  getSession,
+  isMarketOpen,
+  sessionDateKey,
+  nextSession,
+  previousSession,
+  tradingSessions,
+  tradingDaysBetween,
+  zonedTime,
+};
+
+if (require.main === module) {
+  const year = Number(process.argv[2]) || new Date().getFullYear();
+  console.log(`📅 NYSE calendar ${year}`);
+  for (const [key, name] of getHolidays(year)) {
+    if (key.startsWith(`${year}-`)) console.log(`   ${key}  closed  ${name}`);
+  }
+  for (const [key, name] of getEarlyCloses(year)) {
+    console.log(`   ${key}  13:00   ${name}`);
+  }
+}
@@ -1,9 +1,9 @@
 // Filename: realtime_trading_decisions.js
 // To run: node realtime_trading_decisions.js
+//         node realtime_trading_decisions.js replay 2023-01-01 2023-12-31   (past sessions, see monitor_replay.js)
 // Prerequisites: npm install ora@5 yahoo-finance2 technicalindicators exceljs dotenv fs-extra groq-sdk node-telegram-bot-api puppeteer chart.js chartjs-node-canvas cron
 
-const yahooFinance = require("yahoo-finance2").default;
-const { SMA, RSI, ADX } = require("technicalindicators");
+const { RSI } = require("technicalindicators");
 const ExcelJS = require("exceljs");
 const dotenv = require("dotenv");
 const fs = require("fs-extra");
@@ -13,51 +13,201 @@ const { ChartJSNodeCanvas } = require("chartjs-node-canvas");
 const TelegramBot = require("node-telegram-bot-api");
 const ora = require("ora");
 const cron = require("cron");
+const {
+  createMarketDataProvider,
+  fetchBarsForTickers,
+  synthesizeDailyBars,
+} = require("./market_data");
+const { withBarCache } = require("./bar_cache");
+const {
+  isMarketOpen,
+  isTradingDay,
+  getSession,
+  holidayName,
+  nextSession,
+  previousSession,
+  sessionDateKey,
+  tradingDaysBetween,
+} = require("./trading_calendar");
+const { QuoteStreamClient } = require("./quote_stream");
+const { evaluate, DEFAULT_RULES } = require("./strategy_engine");
+const {
+  EXIT_LABELS,
+  exitRulesFor,
+  openPosition,
+  markPosition,
+  evaluateExit,
+} = require("./exit_rules");
+const { resolveRules } = require("./trading_rules");
+const { withAiCache } = require("./ai_cache");
+const {
+  loadUniverses,
+  parseAllocation,
+  universeTickers,
+  describeUniverse,
+} = require("./universes");
+const {
+  defaultIndicatorSpecs,
+  runIndicatorPipeline,
+} = require("./indicator_pipeline");
+const { runMonitorReplay } = require("./monitor_replay");
+const { classifyRegimes, regimeFields, describeRegime } = require("./regime");
+const {
+  createSizingModel,
+  realizedVolatility,
+  positionFraction,
+  describeSizing,
+} = require("./sizing");
 
 dotenv.config();
 
 // --- CONFIGURATION ---
 const CONFIG = {
-  signalEtf: "QQQ",
-  volatilityTicker: "^VIX",
-  longEtf: "TQQQ",
-  shortEtf: "SQQQ",
-  safeEtf: "QQQ",
-  longLeveragedEtf: "TQQQ",
-  shortLeveragedEtf: "SQQQ",
-  lookbackPeriod: 252, // Days of historical data to analyze
+  // Universes and capital allocation (see universes.js), e.g. UNIVERSES="NDX:0.5,SPX,RUT"
+  universes: process.env.UNIVERSES || "NDX",
+  // Calendar days of daily history: enough for SMA200 to warm up and the regime drawdown
+  // window (252 bars, regime.js) to fill
+  lookbackPeriod: 420,
+  // Intraday bars drive the "today so far" candle and intraday stop/target checks ("1d" disables)
+  intradayInterval: process.env.MONITOR_INTERVAL || "1h",
+  intradayLookbackDays: { "1m": 5, "5m": 30, "15m": 30, "1h": 60 }, // within Yahoo's intraday limits
+  dataProvider: process.env.MARKET_DATA_PROVIDER || "yahoo", // "yahoo" or "file"
+  marketDataDir: process.env.MARKET_DATA_DIR || "market_data",
+  dataCache: process.env.MARKET_DATA_CACHE || "on", // "on", "off" or "readonly"
+  dataCacheDir: process.env.MARKET_DATA_CACHE_DIR || "data_cache",
+  // Stream mode: quote feed over WebSocket, re-evaluated on each intradayInterval bar close
+  quoteStreamUrl: process.env.QUOTE_STREAM_URL || "ws://localhost:8765",
   initialCapital: 100000,
   transactionCost: 5.0,
   riskFreeRate: 0.02,
   baseSignal: { rsiPeriod: 2, rsiOversold: 10, rsiOverbought: 90 },
-  riskManagement: { stopLossPercent: 0.1, maxHoldPeriod: 10 },
+  // Size of each leveraged entry, same models as the backtest (see sizing.js)
+  sizing: {
+    model: process.env.POSITION_SIZING || "all_in", // "all_in", "fixed_fractional", "volatility_target", "kelly" or "ai_confidence"
+    maxFraction: Number(process.env.SIZING_MAX_FRACTION || 1),
+    riskPerTrade: Number(process.env.SIZING_RISK_PER_TRADE || 0.02),
+    targetVolatility: Number(process.env.SIZING_TARGET_VOL || 0.4),
+    volatilitySource: process.env.SIZING_VOL_SOURCE || "atr", // "atr" or "realized"
+    kellyFraction: Number(process.env.SIZING_KELLY_FRACTION || 0.5),
+    kellyFloor: Number(process.env.SIZING_KELLY_FLOOR || 0.1),
+    confidenceFloor: Number(process.env.SIZING_CONFIDENCE_FLOOR || 0.5),
+  },
+  rulesSource: process.env.TRADING_RULES || "ai", // "ai", "pinned", "latest", a version or a file
+  rulesDir: process.env.TRADING_RULES_DIR || "rules",
+  // AI responses (see ai_cache.js): "live", "cache", "replay" or "stub"
+  ai: {
+    mode: process.env.AI_MODE || "live",
+    cacheDir: process.env.AI_CACHE_DIR || "ai_cache",
+    stubRulesFile: process.env.AI_STUB_RULES || null,
+  },
   aiModelName_Report: process.env.AI_MODEL_NAME_1 || "llama3-70b-8192",
   aiModelName_Analysis: process.env.AI_MODEL_NAME_2 || "llama3-8b-8192",
   outputDir: "realtime_decisions",
-  // Trading schedule (market hours: 9:30 AM - 4:00 PM EST)
-  tradingSchedule: "0 30 9,10,11,12,13,14,15,16 * * 1-5", // Every hour during market hours, weekdays only
+  // Trading schedule (exchange time). Ticks outside an NYSE session (holidays, after a
+  // 13:00 early close) are skipped using trading_calendar.js
+  tradingSchedule: "0 35 9-15 * * 1-5", // Hourly from 9:35 AM, weekdays only
+  preCloseMinutes: 10, // Extra run this many minutes before each session close (0 disables)
   timezone: "America/New_York",
+  // Replay mode (see monitor_replay.js): the decision loop run over past sessions
+  replay: {
+    defaultDays: 365, // calendar days replayed when no start date is given
+    outputDir: "realtime_decisions/replay",
+    excelFilename: "replay_performance.xlsx",
+    pdfFilename: "replay_report.pdf",
+  },
 };
 
 // --- AI CLIENT SETUP ---
-const groqReportClient = new Groq({ apiKey: process.env.GROQ_API_KEY_1 });
-const groqAnalysisClient = new Groq({ apiKey: process.env.GROQ_API_KEY_2 });
+// The API clients are created on first use, so replays and stub runs need no API key
+const groqReportClient = withAiCache(
+  () => new Groq({ apiKey: process.env.GROQ_API_KEY_1 }),
+  { ...CONFIG.ai, stubResponse: stubRulesResponse }
+);
+const groqAnalysisClient = withAiCache(
+  () => new Groq({ apiKey: process.env.GROQ_API_KEY_2 }),
+  {
+    ...CONFIG.ai,
+    stubResponse: () =>
+      "Stub analysis (AI_MODE=stub): no AI review was requested for this decision.",
+  }
+);
+
+// Rules returned in stub mode, in the same fenced JSON the strategist prompt asks for
+async function stubRulesResponse() {
+  const rules = CONFIG.ai.stubRulesFile
+    ? await fs.readJson(CONFIG.ai.stubRulesFile)
+    : {
+        ...DEFAULT_RULES,
+        exit_rules: {},
+        justification: "Stub rules (AI_MODE=stub): the strategy defaults.",
+      };
+  return `\`\`\`json\n${JSON.stringify(rules, null, 2)}\n\`\`\``;
+}
 
 // --- TELEGRAM BOT SETUP ---
 const telegramBot = process.env.TELEGRAM_API_TOKEN
   ? new TelegramBot(process.env.TELEGRAM_API_TOKEN, { polling: false })
   : null;
 
-// Global state to track current position and AI rules
+// Same pipeline as the backtest, plus yesterday's SMA200 for the trend report
+function indicatorSpecs(signalTicker) {
+  return [
+    ...defaultIndicatorSpecs({
+      signalTicker,
+      rsiPeriod: CONFIG.baseSignal.rsiPeriod,
+    }),
+    {
+      indicator: "SMA",
+      input: signalTicker,
+      params: { period: 200 },
+      output: "prevSma200",
+      lag: 1,
+      optional: true,
+    },
+  ];
+}
+
+// Position book for one universe, starting from its share of the capital
+function newBook(capital) {
+  return {
+    position: "CASH",
+    currentEquity: capital,
+    positionShares: 0,
+    cash: 0, // equity left out of a sized leveraged entry
+    sizeFraction: null, // share of equity put in the open leveraged trade
+    tradeReturns: [], // closed round trips, for Kelly sizing
+    entryPrice: 0,
+    daysInPosition: 0,
+    isLeveragedPosition: false,
+    exitPosition: null, // exit_rules.js position while in a leveraged trade
+    entryTime: null,
+    lastUpdate: null,
+  };
+}
+
+// Books saved before entry times were kept: the close of the session daysInPosition
+// sessions before the last update, so the held-days count carries on from the saved one
+function backfillEntryTime(book, now) {
+  const from = new Date(book.lastUpdate || now);
+  let key = sessionDateKey(from);
+  if (!isTradingDay(key)) key = previousSession(key).date;
+  for (let i = 0; i < (book.daysInPosition || 0); i++) {
+    key = previousSession(key).date;
+  }
+  return getSession(key).close.toISOString();
+}
+
+// Share of a book's equity in its leveraged ETF (books saved before sizing were all in)
+function bookExposure(book) {
+  return book.isLeveragedPosition ? book.sizeFraction ?? 1 : 0;
+}
+
+// Global state: shared AI rules plus one position book per universe
 let currentState = {
-  position: "CASH",
   aiRules: null,
+  rulesVersion: null,
   lastUpdate: null,
-  currentEquity: CONFIG.initialCapital,
-  positionShares: 0,
-  entryPrice: 0,
-  daysInPosition: 0,
-  isLeveragedPosition: false,
+  books: {},
 };
 
 // --- MAIN FUNCTIONS ---
@@ -65,7 +215,28 @@ let currentState = {
 class RealTimeTradingSystem {
   constructor() {
     this.isRunning = false;
+    this.universes = [];
     this.cronJob = null;
+    this.stream = null;
+    this.evaluating = false;
+    this.pendingEvaluation = false;
+    // Clock hook: wall time normally, feed time in stream mode
+    this.now = () => new Date();
+    this.preCloseJob = null;
+    // Intraday bar size, daily bars only ("1d") in replay mode
+    this.intradayInterval = CONFIG.intradayInterval;
+    // Replay mode: no state file, silent spinners and a log of every simulated fill
+    this.persistState = true;
+    this.quiet = false;
+    this.tradeLog = null;
+    this.sizing = createSizingModel(CONFIG.sizing);
+    this.dataProvider = withBarCache(
+      createMarketDataProvider({
+        provider: CONFIG.dataProvider,
+        dataDir: CONFIG.marketDataDir,
+      }),
+      { mode: CONFIG.dataCache, cacheDir: CONFIG.dataCacheDir }
+    );
   }
 
   async initialize() {
@@ -74,12 +245,32 @@ class RealTimeTradingSystem {
     try {
       await fs.ensureDir(CONFIG.outputDir);
 
-      // Get initial AI heuristics
-      currentState.aiRules = await this.getAIHeuristics();
-
       // Load any existing state
       await this.loadState();
 
+      this.universes = parseAllocation(CONFIG.universes, await loadUniverses());
+      for (const universe of this.universes) {
+        if (!currentState.books[universe.key]) {
+          currentState.books[universe.key] = newBook(
+            CONFIG.initialCapital * universe.weight
+          );
+        }
+        console.log(`🌐 ${describeUniverse(universe)}`);
+      }
+      console.log(`📐 Position sizing: ${describeSizing(this.sizing)}`);
+
+      // Get initial AI heuristics (or a saved rule set, see trading_rules.js);
+      // these replace any rules saved with the previous state
+      const ruleSet = await resolveRules({
+        source: CONFIG.rulesSource,
+        dir: CONFIG.rulesDir,
+        fetchAiRules: () => this.getAIHeuristics(),
+        model: CONFIG.aiModelName_Report,
+        aiMode: CONFIG.ai.mode,
+      });
+      currentState.aiRules = ruleSet.rules;
+      currentState.rulesVersion = ruleSet.version;
+
       console.log("✅ System initialized successfully");
       return true;
     } catch (error) {
@@ -89,15 +280,18 @@ class RealTimeTradingSystem {
   }
 
   async getAIHeuristics() {
-    const spinner = ora("🧠 Getting AI trading heuristics...").start();
+    const spinner = this.startSpinner("🧠 Getting AI trading heuristics...");
 
     const prompt = `
 You are a Senior Quantitative Strategist providing real-time trading rules for an active trading system.
 
-**Base Strategy:** RSI(2) mean reversion on QQQ with leveraged ETF positions (TQQQ/SQQQ).
-- Long TQQQ when QQQ RSI(2) < 10 (oversold)
-- Long SQQQ when QQQ RSI(2) > 90 (overbought)
-- Default position: QQQ (safe haven)
+**Base Strategy:** RSI(2) mean reversion on index ETFs with 3x leveraged ETF positions (${this.universes
+      .map((u) => `${u.signal}: ${u.long}/${u.short}`)
+      .join(", ")}).
+- Long the 3x bull ETF when the index ETF's RSI(2) < 10 (oversold)
+- Long the 3x bear ETF when the index ETF's RSI(2) > 90 (overbought)
+- Default position: the index ETF (safe haven)
+- The same rules apply to every universe
 
 **Current Market Context:** Real-time trading decisions needed.
 
@@ -119,9 +313,17 @@ Provide trading rules as JSON with the exact structure below:
     "require_falling_sma": true
   },
   "risk_management": {
-    "max_position_size": 1.0,
-    "intraday_stop_loss": 0.05,
-    "profit_target": 0.08
+    "max_position_size": 1.0
+  },
+  "exit_rules": {
+    "stop_loss_percent": 0.05,
+    "atr_stop_multiple": null,
+    "trailing_stop_percent": null,
+    "trailing_atr_multiple": null,
+    "profit_target_percent": 0.08,
+    "rsi_exit_level": 50,
+    "exit_on_close_above_prior_high": false,
+    "max_hold_days": 10
   },
   "market_hours_only": true,
   "justification": "Conservative approach focusing on liquid markets with trend confirmation to reduce whipsaws in volatile conditions."
@@ -148,88 +350,146 @@ Provide trading rules as JSON with the exact structure below:
     }
   }
 
-  async fetchRealTimeData() {
-    const spinner = ora("📡 Fetching real-time market data...").start();
+  startSpinner(text) {
+    return ora({ text, isSilent: this.quiet }).start();
+  }
+
+  // Version of the rule set in use (see trading_rules.js)
+  rulesVersion() {
+    return currentState.rulesVersion;
+  }
+
+  bookFor(universe) {
+    return currentState.books[universe.key];
+  }
+
+  async fetchRealTimeData(universe) {
+    const spinner = this.startSpinner(
+      `📡 Fetching real-time market data (${universe.key})...`
+    );
 
     try {
-      const endDate = new Date();
-      const startDate = new Date();
+      const endDate = this.now();
+      const startDate = this.now();
       startDate.setDate(startDate.getDate() - CONFIG.lookbackPeriod);
 
-      const tickers = [
-        CONFIG.signalEtf,
-        CONFIG.volatilityTicker,
-        CONFIG.longLeveragedEtf,
-        CONFIG.shortLeveragedEtf,
-        CONFIG.safeEtf,
-      ];
-
-      const data = {};
-
-      for (const ticker of tickers) {
-        const result = await yahooFinance.chart(ticker, {
-          period1: startDate.toISOString().split("T")[0],
-          period2: endDate.toISOString().split("T")[0],
-          interval: "1d",
-        });
+      const tickers = universeTickers(universe);
 
-        data[ticker] = result.quotes
-          .map((d) => ({
-            ...d,
-            date: new Date(d.date).toISOString().split("T")[0],
-          }))
-          .sort((a, b) => new Date(a.date) - new Date(b.date));
+      const daily = await fetchBarsForTickers(this.dataProvider, tickers, {
+        startDate: startDate.toISOString().split("T")[0],
+        endDate: endDate.toISOString().split("T")[0],
+        interval: "1d",
+      });
+
+      const interval = this.intradayInterval;
+      if (interval === "1d") {
+        spinner.succeed("✅ Real-time data fetched (daily bars only)");
+        return { daily, intraday: null };
+      }
+      if (!CONFIG.intradayLookbackDays[interval]) {
+        throw new Error(
+          `Unsupported intraday interval "${interval}" (use ${Object.keys(
+            CONFIG.intradayLookbackDays
+          ).join(", ")} or 1d)`
+        );
+      }
+
+      const intradayStart = this.now();
+      intradayStart.setDate(
+        intradayStart.getDate() - CONFIG.intradayLookbackDays[interval]
+      );
+      let intraday = await fetchBarsForTickers(this.dataProvider, tickers, {
+        startDate: intradayStart,
+        endDate,
+        interval,
+      });
+      if (this.stream) intraday = this.mergeStreamBars(intraday, endDate);
+
+      // Replace each ticker's latest daily candle with one built from today's intraday bars
+      for (const ticker of Object.keys(daily)) {
+        daily[ticker] = synthesizeDailyBars(
+          daily[ticker],
+          intraday[ticker],
+          CONFIG.timezone
+        );
       }
 
-      spinner.succeed("✅ Real-time data fetched");
-      return data;
+      spinner.succeed(`✅ Real-time data fetched (daily + ${interval} bars)`);
+      return { daily, intraday };
     } catch (error) {
       spinner.fail("❌ Failed to fetch real-time data");
       throw error;
     }
   }
 
-  async calculateCurrentIndicators(rawData) {
-    const spinner = ora("📊 Calculating current market indicators...").start();
+  // Overlays bars built from the quote stream on the fetched history, up to the feed clock
+  mergeStreamBars(intraday, until) {
+    const merged = {};
+    for (const ticker of Object.keys(intraday)) {
+      const byDate = new Map(intraday[ticker].map((b) => [b.date, b]));
+      (this.stream.bars[ticker] || []).forEach((b) => byDate.set(b.date, b));
+      merged[ticker] = Array.from(byDate.values())
+        .filter((b) => new Date(b.date) < until)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+    }
+    return merged;
+  }
+
+  async calculateCurrentIndicators({ daily, intraday }, universe) {
+    const spinner = this.startSpinner(
+      "📊 Calculating current market indicators..."
+    );
 
     try {
-      const alignedData = this.alignData(rawData);
-      const qqqData = alignedData.map((d) => d[CONFIG.signalEtf]);
-      const qqqCloses = qqqData.map((d) => d.close);
-
-      // Calculate indicators
-      const rsi = RSI.calculate({
-        period: CONFIG.baseSignal.rsiPeriod,
-        values: qqqCloses,
-      });
+      const alignedData = this.alignData(daily);
 
-      const sma50 = SMA.calculate({ period: 50, values: qqqCloses });
-      const sma200 = SMA.calculate({ period: 200, values: qqqCloses });
+      // Keep warm-up rows: the regime drawdown window reaches back before SMA200 is ready
+      const { rows, columns } = runIndicatorPipeline(
+        alignedData,
+        indicatorSpecs(universe.signal),
+        { dropWarmup: false }
+      );
 
-      const adx = ADX.calculate({
-        period: 14,
-        high: qqqData.map((d) => d.high),
-        low: qqqData.map((d) => d.low),
-        close: qqqData.map((d) => d.close),
-      });
+      // Regime states need the whole window for their hysteresis (regime.js)
+      const regimes = classifyRegimes(
+        rows.map((row) => ({
+          ...row,
+          qqqClose: row[universe.signal].close,
+          vixClose: row[universe.volatility].close,
+        }))
+      );
 
-      // Get the latest values
-      const latestData = alignedData[alignedData.length - 1];
+      // Get the latest values (every pipeline output, so rules can reference any of them)
+      const latestData = rows[rows.length - 1];
+      const previousBar = rows.length > 1 ? rows[rows.length - 2] : null;
       const currentIndicators = {
+        ...Object.fromEntries(columns.map((c) => [c.key, latestData[c.key]])),
+        ...regimeFields(regimes[regimes.length - 1]),
         date: latestData.date,
-        qqqClose: latestData[CONFIG.signalEtf].close,
-        vixClose: latestData[CONFIG.volatilityTicker].close,
-        tqqqClose: latestData[CONFIG.longLeveragedEtf].close,
-        sqqqClose: latestData[CONFIG.shortLeveragedEtf].close,
-        volume: latestData[CONFIG.signalEtf].volume,
-        rsi: rsi[rsi.length - 1],
-        sma50: sma50[sma50.length - 1],
-        sma200: sma200[sma200.length - 1],
-        adx: adx[adx.length - 1]?.adx,
-        prevSma50: sma50[sma50.length - 2],
-        prevSma200: sma200[sma200.length - 2],
+        universe: universe.key,
+        signalEtf: universe.signal,
+        qqqClose: latestData[universe.signal].close, // signal ETF close (QQQ for NDX)
+        vixClose: latestData[universe.volatility].close,
+        longClose: latestData[universe.long].close,
+        shortClose: latestData[universe.short].close,
+        safeClose: latestData[universe.safe].close,
+        volume: latestData[universe.signal].volume,
+        isPartialBar: Boolean(latestData[universe.signal].partial),
+        asOf: latestData[universe.signal].lastBarTime || latestData.date,
+        prevQqqHigh: previousBar ? previousBar[universe.signal].high : null,
+        prevQqqLow: previousBar ? previousBar[universe.signal].low : null,
+        // Realised volatility of each leveraged ETF for volatility-target sizing
+        longVolatility: this.recentVolatility(alignedData, universe.long),
+        shortVolatility: this.recentVolatility(alignedData, universe.short),
       };
 
+      if (intraday) {
+        Object.assign(
+          currentIndicators,
+          this.calculateIntradayIndicators(intraday, universe)
+        );
+      }
+
       spinner.succeed("✅ Current indicators calculated");
       return { currentIndicators, historicalData: alignedData };
     } catch (error) {
@@ -238,6 +498,47 @@ Provide trading rules as JSON with the exact structure below:
     }
   }
 
+  recentVolatility(alignedData, ticker) {
+    return realizedVolatility(
+      alignedData
+        .slice(-(this.sizing.volatilityLookback + 1))
+        .map((d) => d[ticker].close)
+    );
+  }
+
+  calculateIntradayIndicators(intraday, universe) {
+    const signalBars = intraday[universe.signal] || [];
+    const book = this.bookFor(universe);
+    const intradayRsi = RSI.calculate({
+      period: CONFIG.baseSignal.rsiPeriod,
+      values: signalBars.map((d) => d.close).filter((c) => c !== null),
+    });
+
+    const result = {
+      intradayInterval: this.intradayInterval,
+      intradayRsi: intradayRsi[intradayRsi.length - 1] ?? null,
+    };
+
+    // High/low of the held leveraged ETF since entry, so stops see intraday extremes.
+    // Without a known entry time the bars could predate the entry, so none are used.
+    if (book.isLeveragedPosition && book.entryTime && intraday[book.position]) {
+      const since = new Date(book.entryTime).getTime();
+      const barsSinceEntry = intraday[book.position].filter(
+        (d) => d.close !== null && new Date(d.date).getTime() >= since
+      );
+      if (barsSinceEntry.length > 0) {
+        result.positionHigh = Math.max(
+          ...barsSinceEntry.map((d) => d.high ?? d.close)
+        );
+        result.positionLow = Math.min(
+          ...barsSinceEntry.map((d) => d.low ?? d.close)
+        );
+      }
+    }
+
+    return result;
+  }
+
   alignData(dataByTicker) {
     const allDates = new Set(
       Object.values(dataByTicker).flatMap((d) => d.map((v) => v.date))
@@ -271,184 +572,117 @@ Provide trading rules as JSON with the exact structure below:
     return alignedData;
   }
 
-  async makeRealTimeDecision(indicators) {
-    const spinner = ora("🎯 Analyzing current market conditions...").start();
+  async makeRealTimeDecision(indicators, universe) {
+    const spinner = this.startSpinner(
+      `🎯 Analyzing current market conditions (${universe.key})...`
+    );
+    const book = this.bookFor(universe);
 
     try {
-      const {
-        rsi,
-        adx,
-        vixClose,
-        qqqClose,
-        sma50,
-        sma200,
-        prevSma50,
-        volume,
-        tqqqClose,
-        sqqqClose,
-      } = indicators;
-
       // Check if we're in market hours (if configured)
-      if (currentState.aiRules.market_hours_only && !this.isMarketHours()) {
+      if (
+        currentState.aiRules.market_hours_only &&
+        !this.isMarketHours(this.now())
+      ) {
         spinner.succeed("⏰ Outside market hours - HOLD current position");
         return {
           decision: "HOLD",
           reason: "Outside market hours",
-          targetSymbol: currentState.position,
+          targetSymbol: book.position,
           confidence: 1.0,
           indicators,
         };
       }
 
-      // Risk management checks for existing positions
-      if (currentState.isLeveragedPosition) {
-        const currentPrice =
-          currentState.position === CONFIG.longLeveragedEtf
-            ? tqqqClose
-            : sqqqClose;
-
-        const pnlPercent =
-          (currentPrice - currentState.entryPrice) / currentState.entryPrice;
-
-        // Check stop loss
-        if (
-          pnlPercent <= -currentState.aiRules.risk_management.intraday_stop_loss
-        ) {
-          spinner.succeed("🛑 SELL signal - Stop loss triggered");
-          return {
-            decision: "SELL",
-            reason: `Stop loss triggered: ${(pnlPercent * 100).toFixed(
-              2
-            )}% loss`,
-            targetSymbol: CONFIG.safeEtf,
-            confidence: 1.0,
-            indicators,
-          };
-        }
-
-        // Check profit target
-        if (pnlPercent >= currentState.aiRules.risk_management.profit_target) {
-          spinner.succeed("💰 SELL signal - Profit target reached");
-          return {
-            decision: "SELL",
-            reason: `Profit target reached: ${(pnlPercent * 100).toFixed(
-              2
-            )}% gain`,
-            targetSymbol: CONFIG.safeEtf,
-            confidence: 1.0,
-            indicators,
-          };
-        }
+      // Exit rules for existing positions (same rules as the backtest, see exit_rules.js)
+      if (book.isLeveragedPosition) {
+        const currentPrice = this.priceOf(book.position, indicators, universe);
+        // The stored extremes, as the backtest checks a bar before marking it; a HOLD marks
+        // the position in updatePortfolioState. Sessions held count this one, as the backtest
+        // increments daysHeld before checking exits
+        const position = {
+          ...this.exitPositionFor(book, universe),
+          daysHeld: book.entryTime
+            ? tradingDaysBetween(book.entryTime, this.now())
+            : book.daysInPosition,
+        };
+        // Intraday extremes since entry, so stops and targets see more than the latest price
+        const exit = evaluateExit(
+          position,
+          {
+            price: currentPrice,
+            low: indicators.positionLow,
+            high: indicators.positionHigh,
+          },
+          indicators,
+          exitRulesFor(currentState.aiRules)
+        );
 
-        // Check maximum hold period
-        if (
-          currentState.daysInPosition >= CONFIG.riskManagement.maxHoldPeriod
-        ) {
-          spinner.succeed("⏱️ SELL signal - Maximum hold period reached");
+        if (exit.exit) {
+          spinner.succeed(`🛑 SELL signal - ${exit.label}`);
           return {
             decision: "SELL",
-            reason: "Maximum hold period reached",
-            targetSymbol: CONFIG.safeEtf,
-            confidence: 0.8,
+            reason: exit.reason,
+            exitRule: exit.rule,
+            targetSymbol: universe.safe,
+            confidence: exit.rule === "time_stop" ? 0.8 : 1.0,
             indicators,
           };
         }
       }
 
-      let decision = "HOLD";
-      let reason = "No clear signal detected";
-      let targetSymbol = currentState.position;
-      let confidence = 0.5;
-
-      // Check for entry signals
-      const isOversold = rsi < CONFIG.baseSignal.rsiOversold;
-      const isOverbought = rsi > CONFIG.baseSignal.rsiOverbought;
-
-      if (isOversold && !currentState.isLeveragedPosition) {
-        // Check bullish confirmation criteria
-        const adxCheck = adx > currentState.aiRules.min_adx_threshold;
-        const vixCheck = vixClose < currentState.aiRules.max_vix_threshold;
-        const volumeCheck = volume > currentState.aiRules.min_volume_threshold;
-        const sma50Check = currentState.aiRules.bullish_confirmation
-          .require_price_above_sma50
-          ? qqqClose > sma50
-          : true;
-        const sma200Check = currentState.aiRules.bullish_confirmation
-          .require_price_above_sma200
-          ? qqqClose > sma200
-          : true;
-        const risingMaCheck = currentState.aiRules.bullish_confirmation
-          .require_rising_sma
-          ? sma50 > prevSma50
-          : true;
-
-        const bullishChecks = [
-          adxCheck,
-          vixCheck,
-          volumeCheck,
-          sma50Check,
-          sma200Check,
-          risingMaCheck,
-        ];
-        const passedChecks = bullishChecks.filter(Boolean).length;
-        confidence = passedChecks / bullishChecks.length;
-
-        if (passedChecks >= 4) {
-          // Require at least 4 out of 6 checks to pass
-          decision = "BUY";
-          targetSymbol = CONFIG.longLeveragedEtf;
-          reason = `Oversold RSI(${rsi.toFixed(
-            2
-          )}) with ${passedChecks}/6 bullish confirmations`;
-        }
-      } else if (isOverbought && !currentState.isLeveragedPosition) {
-        // Check bearish confirmation criteria
-        const adxCheck = adx > currentState.aiRules.min_adx_threshold;
-        const vixCheck = vixClose < currentState.aiRules.max_vix_threshold;
-        const volumeCheck = volume > currentState.aiRules.min_volume_threshold;
-        const sma50Check = currentState.aiRules.bearish_confirmation
-          .require_price_below_sma50
-          ? qqqClose < sma50
-          : true;
-        const sma200Check = currentState.aiRules.bearish_confirmation
-          .require_price_below_sma200
-          ? qqqClose < sma200
-          : true;
-        const fallingMaCheck = currentState.aiRules.bearish_confirmation
-          .require_falling_sma
-          ? sma50 < prevSma50
-          : true;
-
-        const bearishChecks = [
-          adxCheck,
-          vixCheck,
-          volumeCheck,
-          sma50Check,
-          sma200Check,
-          fallingMaCheck,
-        ];
-        const passedChecks = bearishChecks.filter(Boolean).length;
-        confidence = passedChecks / bearishChecks.length;
-
-        if (passedChecks >= 4) {
-          // Require at least 4 out of 6 checks to pass
-          decision = "BUY";
-          targetSymbol = CONFIG.shortLeveragedEtf;
-          reason = `Overbought RSI(${rsi.toFixed(
-            2
-          )}) with ${passedChecks}/6 bearish confirmations`;
-        }
+      // Entry signal and confirmations (same engine as the backtest)
+      const entry = evaluate(book, indicators, currentState.aiRules, {
+        ...CONFIG.baseSignal,
+        longSymbol: universe.long,
+        shortSymbol: universe.short,
+      });
+      const { decision, reason, targetSymbol, confidence } = entry;
+
+      // Size of a new leveraged entry (see sizing.js); a size of 0 skips it
+      const size =
+        decision === "BUY"
+          ? positionFraction(this.sizing, {
+              bar: indicators,
+              leverage: universe.leverage,
+              rules: currentState.aiRules,
+              realizedVolatility:
+                entry.side === "short"
+                  ? indicators.shortVolatility
+                  : indicators.longVolatility,
+              tradeReturns: book.tradeReturns || [],
+              confidence,
+              signalStrength: entry.signalStrength,
+            })
+          : null;
+      if (size && size.fraction <= 0) {
+        spinner.succeed(`🟡 ${universe.key} decision: HOLD (sized to zero)`);
+        return {
+          decision: "HOLD",
+          reason: `${reason}; entry skipped, position size 0 (${size.detail})`,
+          targetSymbol: book.position,
+          side: entry.side,
+          confidence,
+          checks: entry.checks,
+          size,
+          indicators,
+        };
       }
 
       const decisionEmoji =
         decision === "BUY" ? "🟢" : decision === "SELL" ? "🔴" : "🟡";
-      spinner.succeed(`${decisionEmoji} Decision: ${decision} ${targetSymbol}`);
+      spinner.succeed(
+        `${decisionEmoji} ${universe.key} decision: ${decision} ${targetSymbol}`
+      );
 
       return {
         decision,
         reason,
         targetSymbol,
+        side: entry.side,
         confidence,
+        checks: entry.checks,
+        ...(size ? { size } : {}),
         indicators,
       };
     } catch (error) {
@@ -457,23 +691,34 @@ Provide trading rules as JSON with the exact structure below:
     }
   }
 
-  isMarketHours() {
-    const now = new Date();
-    const easternTime = new Date(
-      now.toLocaleString("en-US", { timeZone: "America/New_York" })
-    );
-    const hour = easternTime.getHours();
-    const day = easternTime.getDay();
+  // The open trade as exit_rules.js sees it; books saved before exit rules only have
+  // the entry price
+  exitPositionFor(book, universe) {
+    if (book.exitPosition) return book.exitPosition;
+    return openPosition({
+      side: book.position === universe.short ? "short" : "long",
+      symbol: book.position,
+      price: book.entryPrice,
+    });
+  }
 
-    // Monday = 1, Friday = 5
-    const isWeekday = day >= 1 && day <= 5;
-    const isDuringMarketHours = hour >= 9 && hour <= 16; // 9 AM to 4 PM EST
+  // Latest close of one of the universe's ETFs
+  priceOf(symbol, indicators, universe) {
+    if (symbol === universe.long) return indicators.longClose;
+    if (symbol === universe.short) return indicators.shortClose;
+    if (symbol === universe.safe) return indicators.safeClose;
+    return indicators.qqqClose;
+  }
 
-    return isWeekday && isDuringMarketHours;
+  // Regular NYSE session only: 9:30 to 16:00 (13:00 on early-close days), no holidays
+  isMarketHours(now = new Date()) {
+    return isMarketOpen(now);
   }
 
-  async generateDetailedReport(decision, analysis) {
-    const spinner = ora("📋 Generating detailed analysis report...").start();
+  async generateDetailedReport(decision, analysis, universe) {
+    const spinner = this.startSpinner(
+      "📋 Generating detailed analysis report..."
+    );
 
     try {
       const timestamp = new Date().toISOString();
@@ -482,14 +727,19 @@ Provide trading rules as JSON with the exact structure below:
       // Get AI analysis of the decision
       const aiAnalysis = await this.getAIAnalysis(decision, indicators, reason);
 
+      const book = this.bookFor(universe);
       const reportData = {
         timestamp,
+        universe: universe.key,
         decision: decision.decision,
         targetSymbol: decision.targetSymbol,
         reason,
         confidence,
-        currentPosition: currentState.position,
-        currentEquity: currentState.currentEquity,
+        currentPosition: book.position,
+        currentEquity: book.currentEquity,
+        currentExposure: bookExposure(book),
+        sizing: describeSizing(this.sizing),
+        size: decision.size || null,
         indicators,
         aiAnalysis,
         marketConditions: this.assessMarketConditions(indicators),
@@ -514,7 +764,7 @@ You are a Senior Trading Analyst providing real-time market analysis.
 **Current Trading Decision:** ${decision.decision} ${decision.targetSymbol}
 **Reasoning:** ${reason}
 **Current Market Data:**
-- QQQ Price: $${indicators.qqqClose.toFixed(2)}
+- ${indicators.signalEtf} Price: $${indicators.qqqClose.toFixed(2)}
 - RSI(2): ${indicators.rsi.toFixed(2)}
 - ADX: ${indicators.adx.toFixed(2)}
 - VIX: ${indicators.vixClose.toFixed(2)}
@@ -543,34 +793,24 @@ Keep it professional and actionable.`;
     }
   }
 
+  // The regime classified in calculateCurrentIndicators (regime.js), as the rules see it
   assessMarketConditions(indicators) {
-    const { rsi, adx, vixClose, qqqClose, sma50, sma200 } = indicators;
-
-    let condition = "NEUTRAL";
-    let description = "";
-
-    if (vixClose > 30) {
-      condition = "HIGH_VOLATILITY";
-      description = "High fear/volatility environment";
-    } else if (vixClose < 15) {
-      condition = "LOW_VOLATILITY";
-      description = "Complacent market conditions";
-    } else if (adx > 25) {
-      condition = "TRENDING";
-      description = "Strong trending market";
-    } else if (adx < 20) {
-      condition = "SIDEWAYS";
-      description = "Choppy, sideways market";
-    }
-
-    const trend = qqqClose > sma200 ? "BULLISH" : "BEARISH";
-    const shortTrend = qqqClose > sma50 ? "BULLISH" : "BEARISH";
+    const { adx, vixClose, qqqClose, sma50, regimeTrend } = indicators;
+    const regime = {
+      trend: regimeTrend,
+      volatility: indicators.regimeVolatility,
+      drawdown: indicators.regimeDrawdown,
+    };
 
     return {
-      condition,
-      description,
-      longTermTrend: trend,
-      shortTermTrend: shortTrend,
+      condition: indicators.regime,
+      description: describeRegime(regime),
+      regime,
+      longTermTrend:
+        { bull: "BULLISH", bear: "BEARISH", range: "RANGE-BOUND" }[
+          regimeTrend
+        ] || "UNKNOWN",
+      shortTermTrend: qqqClose > sma50 ? "BULLISH" : "BEARISH",
       trendStrength: adx,
       fearLevel: vixClose,
     };
@@ -610,7 +850,7 @@ Keep it professional and actionable.`;
   }
 
   async createPDFReport(data) {
-    const spinner = ora("📄 Creating PDF report...").start();
+    const spinner = this.startSpinner("📄 Creating PDF report...");
 
     try {
       const {
@@ -678,7 +918,16 @@ Keep it professional and actionable.`;
           <p><strong>Confidence Level:</strong> ${(confidence * 100).toFixed(
             1
           )}%</p>
-          <p><strong>Current Position:</strong> ${data.currentPosition}</p>
+          <p><strong>Current Position:</strong> ${data.currentPosition} (${(
+        data.currentExposure * 100
+      ).toFixed(1)}% exposure)</p>
+          <p><strong>Position Sizing:</strong> ${data.sizing}${
+        data.size
+          ? ` - entry size ${(data.size.fraction * 100).toFixed(1)}% (${
+              data.size.detail
+            })`
+          : ""
+      }</p>
         </div>
 
         <div class="section">
@@ -686,7 +935,7 @@ Keep it professional and actionable.`;
           <div class="metrics-grid">
             <div class="metric-card">
               <div class="metric-value">$${indicators.qqqClose.toFixed(2)}</div>
-              <div>QQQ Price</div>
+              <div>${indicators.signalEtf} Price</div>
             </div>
             <div class="metric-card">
               <div class="metric-value">${indicators.rsi.toFixed(1)}</div>
@@ -715,7 +964,7 @@ Keep it professional and actionable.`;
 
         <div class="section">
           <h2>🌡️ Market Conditions</h2>
-          <p><strong>Condition:</strong> ${marketConditions.condition} - ${
+          <p><strong>Regime:</strong> ${marketConditions.condition} - ${
         marketConditions.description
       }</p>
           <p><strong>Long-term Trend:</strong> ${
@@ -765,7 +1014,9 @@ Keep it professional and actionable.`;
       const page = await browser.newPage();
       await page.setContent(htmlContent, { waitUntil: "networkidle0" });
 
-      const pdfPath = `${CONFIG.outputDir}/trading_decision_${Date.now()}.pdf`;
+      const pdfPath = `${CONFIG.outputDir}/trading_decision_${
+        data.universe
+      }_${Date.now()}.pdf`;
       await page.pdf({
         path: pdfPath,
         format: "A4",
@@ -837,27 +1088,33 @@ Keep it professional and actionable.`;
     return await chartJSNodeCanvas.renderToBuffer(configuration);
   }
 
-  async sendTelegramAlert(decision, reportPath) {
+  async sendTelegramAlert(decision, reportPath, universe) {
     if (!telegramBot || !process.env.TELEGRAM_CHAT_ID) {
       console.log("⚠️  Telegram not configured, skipping notification");
       return;
     }
 
-    const spinner = ora("📱 Sending Telegram alert...").start();
+    const spinner = this.startSpinner("📱 Sending Telegram alert...");
 
     try {
       const { decision: action, targetSymbol, reason, confidence } = decision;
+      const book = this.bookFor(universe);
       const emoji = action === "BUY" ? "🟢" : action === "SELL" ? "🔴" : "🟡";
 
       const message = `
-${emoji} *TRADING ALERT*
+${emoji} *TRADING ALERT* (${universe.key})
 
 *Decision:* ${action} ${targetSymbol}
-*Confidence:* ${(confidence * 100).toFixed(1)}%
+*Confidence:* ${(confidence * 100).toFixed(1)}%${
+        decision.size
+          ? `\n*Position Size:* ${(decision.size.fraction * 100).toFixed(1)}%`
+          : ""
+      }
 *Reason:* ${reason}
 
-*Current Position:* ${currentState.position}
-*Portfolio Value:* ${currentState.currentEquity.toLocaleString()}
+*Current Position:* ${book.position}
+*Universe Value:* ${book.currentEquity.toLocaleString()}
+*Portfolio Value:* ${this.totalEquity().toLocaleString()}
 
 *Time:* ${new Date().toLocaleString()}
 
@@ -886,73 +1143,154 @@ ${emoji} *TRADING ALERT*
     }
   }
 
-  async updatePortfolioState(decision) {
+  async updatePortfolioState(decision, universe) {
     const { decision: action, targetSymbol, indicators } = decision;
+    const book = this.bookFor(universe);
 
-    if (action === "BUY" && targetSymbol !== currentState.position) {
+    if (action === "BUY" && targetSymbol !== book.position) {
       // Execute buy decision
-      const currentPrice =
-        targetSymbol === CONFIG.longLeveragedEtf
-          ? indicators.tqqqClose
-          : targetSymbol === CONFIG.shortLeveragedEtf
-          ? indicators.sqqqClose
-          : indicators.qqqClose;
+      const currentPrice = this.priceOf(targetSymbol, indicators, universe);
 
       // Simulate position update (in real implementation, this would interface with broker API)
-      if (currentState.positionShares > 0) {
+      if (book.positionShares > 0) {
         // Sell current position first
-        const sellPrice =
-          currentState.position === CONFIG.longLeveragedEtf
-            ? indicators.tqqqClose
-            : currentState.position === CONFIG.shortLeveragedEtf
-            ? indicators.sqqqClose
-            : indicators.qqqClose;
-
-        currentState.currentEquity =
-          currentState.positionShares * sellPrice - CONFIG.transactionCost;
+        const sellPrice = this.priceOf(book.position, indicators, universe);
+        this.recordFill(universe, book, decision, {
+          action: "SELL (Entry)",
+          price: sellPrice,
+        });
+        book.currentEquity =
+          book.positionShares * sellPrice -
+          CONFIG.transactionCost +
+          (book.cash || 0);
       }
 
-      // Buy new position
-      currentState.positionShares =
-        (currentState.currentEquity - CONFIG.transactionCost) / currentPrice;
-      currentState.position = targetSymbol;
-      currentState.entryPrice = currentPrice;
-      currentState.daysInPosition = 0;
-      currentState.isLeveragedPosition =
-        targetSymbol === CONFIG.longLeveragedEtf ||
-        targetSymbol === CONFIG.shortLeveragedEtf;
+      // Buy new position with the sized share of the equity, the rest waits in cash
+      const fraction = decision.size ? decision.size.fraction : 1;
+      book.positionShares =
+        (book.currentEquity * fraction - CONFIG.transactionCost) / currentPrice;
+      book.cash = book.currentEquity * (1 - fraction);
+      book.sizeFraction = decision.size ? fraction : null;
+      this.recordFill(universe, book, decision, {
+        action: "BUY",
+        symbol: targetSymbol,
+        side: decision.side,
+        shares: book.positionShares,
+        price: currentPrice,
+        ...(decision.size
+          ? { sizeFraction: fraction, sizing: decision.size.detail }
+          : {}),
+      });
+      book.position = targetSymbol;
+      book.entryPrice = currentPrice;
+      book.entryTime = this.now().toISOString();
+      book.daysInPosition = 0;
+      book.isLeveragedPosition =
+        targetSymbol === universe.long || targetSymbol === universe.short;
+      book.exitPosition = book.isLeveragedPosition
+        ? openPosition({
+            side: decision.side,
+            symbol: targetSymbol,
+            price: currentPrice,
+            bar: indicators,
+          })
+        : null;
     } else if (action === "SELL") {
       // Execute sell decision - move to safe position
-      const sellPrice =
-        currentState.position === CONFIG.longLeveragedEtf
-          ? indicators.tqqqClose
-          : currentState.position === CONFIG.shortLeveragedEtf
-          ? indicators.sqqqClose
-          : indicators.qqqClose;
-
-      currentState.currentEquity =
-        currentState.positionShares * sellPrice - CONFIG.transactionCost;
+      const sellPrice = this.priceOf(book.position, indicators, universe);
+      this.recordFill(universe, book, decision, {
+        action: `SELL (${EXIT_LABELS[decision.exitRule] || "EXIT"})`,
+        price: sellPrice,
+        exitRule: decision.exitRule,
+        exitReason: decision.reason,
+      });
+      const proceeds = book.positionShares * sellPrice - CONFIG.transactionCost;
+      if (book.isLeveragedPosition) {
+        // Round-trip return, as monte_carlo.js roundTripReturns measures it
+        const cost =
+          book.positionShares * book.entryPrice + CONFIG.transactionCost;
+        book.tradeReturns = [
+          ...(book.tradeReturns || []),
+          proceeds / cost - 1,
+        ].slice(-this.sizing.kellyLookback);
+      }
+      book.currentEquity = proceeds + (book.cash || 0);
+      book.cash = 0;
+      book.sizeFraction = null;
 
       // Move to safe ETF
-      const safePrice = indicators.qqqClose;
-      currentState.positionShares =
-        (currentState.currentEquity - CONFIG.transactionCost) / safePrice;
-      currentState.position = CONFIG.safeEtf;
-      currentState.entryPrice = safePrice;
-      currentState.daysInPosition = 0;
-      currentState.isLeveragedPosition = false;
+      const safePrice = indicators.safeClose;
+      book.positionShares =
+        (book.currentEquity - CONFIG.transactionCost) / safePrice;
+      this.recordFill(universe, book, decision, {
+        action: "BUY (Default)",
+        symbol: universe.safe,
+        side: null,
+        shares: book.positionShares,
+        price: safePrice,
+      });
+      book.position = universe.safe;
+      book.entryPrice = safePrice;
+      book.entryTime = this.now().toISOString();
+      book.daysInPosition = 0;
+      book.isLeveragedPosition = false;
+      book.exitPosition = null;
+    } else if (book.positionShares > 0) {
+      // Mark to market so the portfolio total reflects the latest prices
+      book.currentEquity =
+        book.positionShares *
+          this.priceOf(book.position, indicators, universe) +
+        (book.cash || 0);
     }
 
-    // Update days in position for existing positions
+    // Update days in position for existing positions: trading sessions since entry, never
+    // counted per run (the monitor runs several times a session)
     if (action === "HOLD") {
-      currentState.daysInPosition++;
+      if (book.entryTime) {
+        book.daysInPosition = tradingDaysBetween(book.entryTime, this.now());
+      }
+      if (book.isLeveragedPosition) {
+        // Trailing stops follow the best prices seen while the trade is open
+        book.exitPosition = markPosition(
+          {
+            ...this.exitPositionFor(book, universe),
+            daysHeld: book.daysInPosition,
+          },
+          {
+            price: this.priceOf(book.position, indicators, universe),
+            high: indicators.positionHigh,
+            bar: indicators,
+          }
+        );
+      }
     }
 
-    currentState.lastUpdate = new Date().toISOString();
+    book.lastUpdate = this.now().toISOString();
+    currentState.lastUpdate = book.lastUpdate;
     await this.saveState();
   }
 
+  // Simulated fill in the backtest's trade format, kept while replaying (tradeLog set).
+  // Sells default to the book's whole position.
+  recordFill(universe, book, decision, fill) {
+    if (!this.tradeLog) return;
+    const { exitRule, exitReason, ...order } = fill;
+    this.tradeLog.push({
+      universe: universe.key,
+      date: decision.indicators.date,
+      decisionDate: decision.indicators.date,
+      symbol: book.position,
+      shares: book.positionShares,
+      ...order,
+      ...(exitRule ? { exitRule, exitReason } : {}),
+      commission: CONFIG.transactionCost,
+      slippage: 0,
+      equity: book.currentEquity,
+    });
+  }
+
   async saveState() {
+    if (!this.persistState) return;
     const statePath = `${CONFIG.outputDir}/current_state.json`;
     try {
       await fs.writeJson(statePath, currentState, { spaces: 2 });
@@ -962,10 +1300,21 @@ ${emoji} *TRADING ALERT*
   }
 
   async loadState() {
+    if (!this.persistState) return;
     const statePath = `${CONFIG.outputDir}/current_state.json`;
     try {
       if (await fs.pathExists(statePath)) {
         const savedState = await fs.readJson(statePath);
+        // State saved before universes were added holds a single QQQ book
+        if (!savedState.books && savedState.position) {
+          const { aiRules, rulesVersion, lastUpdate, ...book } = savedState;
+          savedState.books = { NDX: { ...newBook(0), ...book } };
+        }
+        for (const book of Object.values(savedState.books || {})) {
+          if (!book.entryTime && book.position && book.position !== "CASH") {
+            book.entryTime = backfillEntryTime(book, this.now());
+          }
+        }
         Object.assign(currentState, savedState);
         console.log("📁 Previous state loaded successfully");
       }
@@ -974,20 +1323,36 @@ ${emoji} *TRADING ALERT*
     }
   }
 
+  // One analysis cycle over every universe, then the combined portfolio summary
   async runRealTimeAnalysis() {
-    console.log("\n🔄 Starting real-time analysis cycle...");
+    for (const universe of this.universes) {
+      await this.runUniverseAnalysis(universe);
+    }
+    await this.logPortfolioSummary();
+  }
+
+  async runUniverseAnalysis(universe) {
+    console.log(
+      `\n🔄 Starting real-time analysis cycle (${describeUniverse(
+        universe
+      )})...`
+    );
 
     try {
       // 1. Fetch current market data
-      const rawData = await this.fetchRealTimeData();
+      const rawData = await this.fetchRealTimeData(universe);
 
       // 2. Calculate current indicators
       const { currentIndicators } = await this.calculateCurrentIndicators(
-        rawData
+        rawData,
+        universe
       );
 
       // 3. Make trading decision
-      const decision = await this.makeRealTimeDecision(currentIndicators);
+      const decision = await this.makeRealTimeDecision(
+        currentIndicators,
+        universe
+      );
 
       // 4. Generate detailed report
       const { reportData, pdfPath } = await this.generateDetailedReport(
@@ -996,17 +1361,18 @@ ${emoji} *TRADING ALERT*
           indicators: currentIndicators,
           reason: decision.reason,
           confidence: decision.confidence,
-        }
+        },
+        universe
       );
 
       // 5. Update portfolio state
-      await this.updatePortfolioState(decision);
+      await this.updatePortfolioState(decision, universe);
 
       // 6. Send notifications
-      await this.sendTelegramAlert(decision, pdfPath);
+      await this.sendTelegramAlert(decision, pdfPath, universe);
 
       // 7. Log summary
-      this.logDecisionSummary(decision, currentIndicators);
+      this.logDecisionSummary(decision, currentIndicators, universe);
 
       console.log("✅ Analysis cycle completed successfully\n");
     } catch (error) {
@@ -1017,7 +1383,7 @@ ${emoji} *TRADING ALERT*
         try {
           await telegramBot.sendMessage(
             process.env.TELEGRAM_CHAT_ID,
-            `🚨 *TRADING SYSTEM ERROR*\n\nError: ${
+            `🚨 *TRADING SYSTEM ERROR* (${universe.key})\n\nError: ${
               error.message
             }\nTime: ${new Date().toLocaleString()}`,
             { parse_mode: "Markdown" }
@@ -1032,24 +1398,111 @@ ${emoji} *TRADING ALERT*
     }
   }
 
-  logDecisionSummary(decision, indicators) {
-    console.log("--- 📊 DECISION SUMMARY ---");
+  logDecisionSummary(decision, indicators, universe) {
+    const book = this.bookFor(universe);
+    console.log(`--- 📊 DECISION SUMMARY (${universe.key}) ---`);
     console.log(`Time: ${new Date().toLocaleString()}`);
     console.log(`Decision: ${decision.decision} ${decision.targetSymbol}`);
     console.log(`Reason: ${decision.reason}`);
+    if (decision.exitRule) console.log(`Exit Rule: ${decision.exitRule}`);
     console.log(`Confidence: ${(decision.confidence * 100).toFixed(1)}%`);
-    console.log(`Current Position: ${currentState.position}`);
+    if (decision.size) {
+      console.log(
+        `Position Size: ${(decision.size.fraction * 100).toFixed(1)}% (${
+          decision.size.detail
+        })`
+      );
+    }
     console.log(
-      `Portfolio Value: ${currentState.currentEquity.toLocaleString()}`
+      `Current Position: ${book.position} (${(bookExposure(book) * 100).toFixed(
+        1
+      )}% exposure)`
     );
+    console.log(`Universe Value: ${book.currentEquity.toLocaleString()}`);
     console.log(
-      `QQQ: ${indicators.qqqClose.toFixed(2)} | RSI: ${indicators.rsi.toFixed(
+      `${indicators.signalEtf}: ${indicators.qqqClose.toFixed(
+        2
+      )} | RSI: ${indicators.rsi.toFixed(
         1
-      )} | VIX: ${indicators.vixClose.toFixed(1)}`
+      )} | VIX: ${indicators.vixClose.toFixed(1)} | Regime: ${
+        indicators.regime
+      }`
     );
+    if (indicators.intradayInterval) {
+      console.log(
+        `Intraday (${indicators.intradayInterval}): RSI ${
+          indicators.intradayRsi?.toFixed(1) ?? "N/A"
+        } | Bars as of ${indicators.asOf}${
+          indicators.isPartialBar ? " (today so far)" : ""
+        }`
+      );
+    }
     console.log("-------------------------\n");
   }
 
+  totalEquity() {
+    return this.universes.reduce(
+      (sum, u) => sum + (this.bookFor(u)?.currentEquity || 0),
+      0
+    );
+  }
+
+  // Combined view across universes, also saved as portfolio_summary.json
+  async logPortfolioSummary() {
+    const total = this.totalEquity();
+    const summary = {
+      timestamp: this.now().toISOString(),
+      totalEquity: total,
+      sizing: describeSizing(this.sizing),
+      initialCapital: CONFIG.initialCapital,
+      universes: this.universes.map((u) => {
+        const book = this.bookFor(u);
+        return {
+          universe: u.key,
+          weight: u.weight,
+          position: book.position,
+          equity: book.currentEquity,
+          share: total > 0 ? book.currentEquity / total : 0,
+          exposure: bookExposure(book),
+          daysInPosition: book.daysInPosition,
+        };
+      }),
+    };
+
+    if (this.universes.length > 1) {
+      console.log("--- 💼 PORTFOLIO SUMMARY ---");
+      summary.universes.forEach((u) =>
+        console.log(
+          `${u.universe}: ${u.position} ${u.equity.toLocaleString()} (${(
+            u.share * 100
+          ).toFixed(1)}%, target ${(u.weight * 100).toFixed(1)}%, exposure ${(
+            u.exposure * 100
+          ).toFixed(1)}%)`
+        )
+      );
+      console.log(
+        `Total: ${total.toLocaleString()} (${(
+          (total / CONFIG.initialCapital - 1) *
+          100
+        ).toFixed(2)}%)`
+      );
+      console.log("---------------------------\n");
+    }
+
+    try {
+      await fs.writeJson(
+        `${CONFIG.outputDir}/portfolio_summary.json`,
+        summary,
+        {
+          spaces: 2,
+        }
+      );
+    } catch (error) {
+      console.error("Failed to save portfolio summary:", error.message);
+    }
+    return summary;
+  }
+
   startScheduledTrading() {
     console.log(
       `🕒 Starting scheduled trading system (${CONFIG.tradingSchedule})`
@@ -1057,14 +1510,115 @@ ${emoji} *TRADING ALERT*
 
     this.cronJob = new cron.CronJob(
       CONFIG.tradingSchedule,
-      () => this.runRealTimeAnalysis(),
+      () => this.runScheduledAnalysis(),
       null,
       true,
       CONFIG.timezone
     );
 
+    // Checked every minute so the run tracks early closes as well as 16:00
+    if (CONFIG.preCloseMinutes > 0) {
+      this.preCloseJob = new cron.CronJob(
+        "0 * 9-16 * * 1-5",
+        () => {
+          const session = getSession(sessionDateKey(new Date()));
+          if (!session) return;
+          const minutesToClose = Math.round(
+            (session.close.getTime() - Date.now()) / 60000
+          );
+          if (minutesToClose === CONFIG.preCloseMinutes) {
+            this.runScheduledAnalysis();
+          }
+        },
+        null,
+        true,
+        CONFIG.timezone
+      );
+    }
+
     console.log("✅ Scheduled trading system is now active");
     console.log("📅 Next run:", this.cronJob.nextDate().toString());
+    const today = getSession(sessionDateKey(new Date()));
+    const upcoming = today && today.close > new Date() ? today : nextSession();
+    console.log(
+      `🏛️  Next session: ${upcoming.date} ${upcoming.open.toLocaleTimeString(
+        "en-US",
+        {
+          timeZone: CONFIG.timezone,
+        }
+      )} - ${upcoming.close.toLocaleTimeString("en-US", {
+        timeZone: CONFIG.timezone,
+      })} ET${upcoming.isHalfDay ? ` (early close: ${upcoming.note})` : ""}`
+    );
+  }
+
+  async runScheduledAnalysis() {
+    const now = new Date();
+    if (!isMarketOpen(now)) {
+      const closedFor = holidayName(sessionDateKey(now));
+      console.log(
+        `⏰ Market closed${
+          closedFor ? ` (${closedFor})` : ""
+        } - skipping scheduled run; next session ${nextSession(now).date}`
+      );
+      return;
+    }
+    await this.runRealTimeAnalysis();
+  }
+
+  async startStreamTrading() {
+    const interval = this.intradayInterval;
+    if (interval === "1d") {
+      throw new Error("Stream mode needs an intraday MONITOR_INTERVAL");
+    }
+    const tickers = [...new Set(this.universes.flatMap(universeTickers))];
+    this.stream = new QuoteStreamClient({
+      url: CONFIG.quoteStreamUrl,
+      tickers,
+      interval,
+    });
+    this.now = () => this.stream.clock || new Date();
+
+    this.stream.on("status", (status) => console.log(`📶 Stream ${status}`));
+    this.stream.on("error", (error) =>
+      console.error("❌ Stream error:", error.message)
+    );
+    this.stream.on("barClose", (event) => this.onStreamBarClose(event));
+
+    const finished = new Promise((resolve) => this.stream.once("end", resolve));
+    console.log(
+      `📡 Starting stream trading (${CONFIG.quoteStreamUrl}, ${interval} bars)`
+    );
+    await this.stream.connect();
+    await finished;
+    // Let an evaluation triggered by the final bar complete
+    while (this.evaluating) {
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    console.log("🏁 Quote stream ended");
+    this.stop();
+  }
+
+  // Evaluations never overlap; bars closing mid-evaluation collapse into one follow-up run
+  async onStreamBarClose(event) {
+    const barStart = new Date(event.time).getTime() - 1;
+    if (!isMarketOpen(barStart)) return;
+    if (this.evaluating) {
+      this.pendingEvaluation = true;
+      return;
+    }
+    this.evaluating = true;
+    try {
+      do {
+        this.pendingEvaluation = false;
+        console.log(
+          `\n🕯️  ${event.interval} bar closed at ${this.now().toISOString()}`
+        );
+        await this.runRealTimeAnalysis();
+      } while (this.pendingEvaluation);
+    } finally {
+      this.evaluating = false;
+    }
   }
 
   async startManualTrading() {
@@ -1090,6 +1644,12 @@ ${emoji} *TRADING ALERT*
   }
 
   stop() {
+    if (this.preCloseJob) {
+      this.preCloseJob.stop();
+    }
+    if (this.stream) {
+      this.stream.close();
+    }
     if (this.cronJob) {
       this.cronJob.stop();
       console.log("🛑 Scheduled trading stopped");
@@ -1106,16 +1666,19 @@ async function main() {
   const tradingSystem = new RealTimeTradingSystem();
 
   try {
+    // Check command line arguments for mode selection
+    const args = process.argv.slice(2);
+    const mode = args[0] || "manual";
+
+    // A replay starts from fresh books and leaves the live state file alone
+    if (mode === "replay") tradingSystem.persistState = false;
+
     // Initialize the system
     const initialized = await tradingSystem.initialize();
     if (!initialized) {
       process.exit(1);
     }
 
-    // Check command line arguments for mode selection
-    const args = process.argv.slice(2);
-    const mode = args[0] || "manual";
-
     if (mode === "scheduled") {
       // Start scheduled mode
       tradingSystem.startScheduledTrading();
@@ -1129,6 +1692,21 @@ async function main() {
 
       // Run initial analysis
       await tradingSystem.runRealTimeAnalysis();
+    } else if (mode === "stream") {
+      // Evaluate on every bar close from the quote stream (see replay_server.js)
+      process.on("SIGINT", () => {
+        console.log("\n🛑 Shutting down stream trading system...");
+        tradingSystem.stop();
+        process.exit(0);
+      });
+      await tradingSystem.startStreamTrading();
+    } else if (mode === "replay") {
+      // Decision loop over past sessions, reported like a backtest (see monitor_replay.js)
+      await runMonitorReplay(tradingSystem, {
+        startDate: args[1],
+        endDate: args[2],
+        config: CONFIG,
+      });
     } else if (mode === "once") {
       // Run analysis once and exit
       await tradingSystem.runRealTimeAnalysis();
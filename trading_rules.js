@@ -0,0 +1,579 @@
+// Filename: trading_rules.js
+// Schema, validation and versioned storage for the trading rules object consumed by
+// strategy_engine.js (the JSON the AI strategist returns, or a hand-authored equivalent).
+//
+// Rule sets are stored as <rulesDir>/v0001.json, v0002.json, ... with provenance metadata;
+// <rulesDir>/pinned.json names the approved version. TRADING_RULES selects the source:
+//   "ai"      - ask the AI strategist, validate and save the answer as a new version unless
+//               it matches the latest one (default)
+//   "pinned"  - the pinned version
+//   "latest"  - the newest saved version
+//   "3", "v3" - a specific version
+//   a path    - any rules JSON file (a bare rules object or a saved rule set)
+//
+// To run:
+//   node trading_rules.js list
+//   node trading_rules.js show <version|pinned|latest|file>
+//   node trading_rules.js validate <file>
+//   node trading_rules.js import <file> [--note "text"]
+//   node trading_rules.js pin <version>
+//   node trading_rules.js unpin
+
+const fs = require("fs-extra");
+const path = require("path");
+const { isDeepStrictEqual } = require("util");
+const { REGIME_DIMENSIONS } = require("./regime");
+
+const RULES_CONFIG = {
+  source: process.env.TRADING_RULES || "ai",
+  rulesDir: process.env.TRADING_RULES_DIR || "rules",
+};
+
+const confirmationFields = (direction, above) => ({
+  [`require_price_${direction}_sma50`]: { type: "boolean", default: true },
+  [`require_price_${direction}_sma200`]: { type: "boolean", default: false },
+  [`require_${above}_sma`]: { type: "boolean", default: false },
+});
+
+// Allowed states per regime dimension for one side, e.g. { "trend": ["bull", "range"] }
+const regimeStates = () => ({
+  type: "object",
+  optional: true,
+  fields: Object.fromEntries(
+    REGIME_DIMENSIONS.map((d) => [
+      d.key,
+      {
+        type: "array",
+        optional: true,
+        items: { type: "string", enum: d.states },
+      },
+    ])
+  ),
+});
+
+// type, range, required/default for every field; unknown fields are dropped with a warning
+const RULES_SCHEMA = {
+  min_adx_threshold: { type: "number", min: 0, max: 100, required: true },
+  max_vix_threshold: { type: "number", min: 5, max: 150, required: true },
+  min_volume_threshold: { type: "number", min: 0, optional: true },
+  min_checks: { type: "integer", min: 0, optional: true }, // capped by countEnabledChecks
+  bullish_confirmation: {
+    type: "object",
+    default: {},
+    fields: confirmationFields("above", "rising"),
+  },
+  bearish_confirmation: {
+    type: "object",
+    default: {},
+    fields: confirmationFields("below", "falling"),
+  },
+  risk_management: {
+    type: "object",
+    default: {},
+    fields: {
+      max_position_size: { type: "number", min: 0, max: 1, default: 1 },
+    },
+  },
+  // Exits for open leveraged positions, evaluated by exit_rules.js in the backtest and live
+  exit_rules: {
+    type: "object",
+    default: {},
+    fields: {
+      stop_loss_percent: { type: "number", min: 0, max: 1, default: 0.1 },
+      atr_stop_multiple: { type: "number", min: 0, max: 20, optional: true },
+      trailing_stop_percent: { type: "number", min: 0, max: 1, optional: true },
+      trailing_atr_multiple: {
+        type: "number",
+        min: 0,
+        max: 20,
+        optional: true,
+      },
+      profit_target_percent: {
+        type: "number",
+        min: 0,
+        max: 10,
+        optional: true,
+      },
+      rsi_exit_level: { type: "number", min: 0, max: 100, optional: true },
+      exit_on_close_above_prior_high: { type: "boolean", default: false },
+      max_hold_days: { type: "integer", min: 1, max: 250, default: 10 },
+    },
+  },
+  // Extra confirmations on any indicator pipeline output, e.g.
+  // { "indicator": "bbPercentB", "op": "<", "value": 0.1, "side": "long" }
+  extra_conditions: {
+    type: "array",
+    default: [],
+    items: {
+      type: "object",
+      fields: {
+        indicator: { type: "string", required: true },
+        op: { type: "string", enum: ["<", "<=", ">", ">="], required: true },
+        value: { type: "number", optional: true },
+        compare_to: { type: "string", optional: true },
+        side: {
+          type: "string",
+          enum: ["long", "short", "both"],
+          default: "both",
+        },
+      },
+    },
+  },
+  // Entries only in the listed market regimes (regime.js)
+  regime_filter: {
+    type: "object",
+    optional: true,
+    fields: { long: regimeStates(), short: regimeStates() },
+  },
+  market_hours_only: { type: "boolean", default: true },
+  justification: { type: "string", default: "" },
+};
+
+// Numbers and booleans sent as strings ("20", "true") are accepted with a warning
+function coerce(value, type, where, warnings) {
+  if ((type === "number" || type === "integer") && typeof value === "string") {
+    const n = Number(value.trim());
+    if (value.trim() !== "" && Number.isFinite(n)) {
+      warnings.push(`${where}: converted string "${value}" to number`);
+      return n;
+    }
+  }
+  if (type === "boolean" && typeof value === "string") {
+    const lower = value.trim().toLowerCase();
+    if (lower === "true" || lower === "false") {
+      warnings.push(`${where}: converted string "${value}" to boolean`);
+      return lower === "true";
+    }
+  }
+  return value;
+}
+
+function checkField(value, spec, where, errors, warnings) {
+  const v = coerce(value, spec.type, where, warnings);
+  switch (spec.type) {
+    case "number":
+    case "integer":
+      if (typeof v !== "number" || !Number.isFinite(v)) {
+        errors.push(
+          `${where}: expected a number, got ${JSON.stringify(value)}`
+        );
+        return undefined;
+      }
+      if (spec.type === "integer" && !Number.isInteger(v)) {
+        errors.push(`${where}: expected an integer, got ${v}`);
+        return undefined;
+      }
+      if (spec.min !== undefined && v < spec.min) {
+        errors.push(`${where}: ${v} is below the minimum of ${spec.min}`);
+        return undefined;
+      }
+      if (spec.max !== undefined && v > spec.max) {
+        errors.push(`${where}: ${v} is above the maximum of ${spec.max}`);
+        return undefined;
+      }
+      return v;
+    case "boolean":
+      if (typeof v !== "boolean") {
+        errors.push(
+          `${where}: expected true or false, got ${JSON.stringify(value)}`
+        );
+        return undefined;
+      }
+      return v;
+    case "string":
+      if (typeof v !== "string") {
+        errors.push(
+          `${where}: expected a string, got ${JSON.stringify(value)}`
+        );
+        return undefined;
+      }
+      if (spec.enum && !spec.enum.includes(v)) {
+        errors.push(
+          `${where}: "${v}" is not one of ${spec.enum
+            .map((e) => `"${e}"`)
+            .join(", ")}`
+        );
+        return undefined;
+      }
+      return v;
+    case "array":
+      if (!Array.isArray(v)) {
+        errors.push(`${where}: expected a list, got ${JSON.stringify(value)}`);
+        return undefined;
+      }
+      return v
+        .map((item, i) =>
+          checkField(item, spec.items, `${where}[${i}]`, errors, warnings)
+        )
+        .filter((item) => item !== undefined);
+    case "object":
+      if (!v || typeof v !== "object" || Array.isArray(v)) {
+        errors.push(
+          `${where}: expected an object, got ${JSON.stringify(value)}`
+        );
+        return undefined;
+      }
+      return validateObject(v, spec.fields, where, errors, warnings);
+    default:
+      throw new Error(`Unknown schema type "${spec.type}" at ${where}`);
+  }
+}
+
+function validateObject(input, fields, prefix, errors, warnings) {
+  const out = {};
+  for (const [key, spec] of Object.entries(fields)) {
+    const where = prefix ? `${prefix}.${key}` : key;
+    const value = input[key];
+    if (value === undefined || value === null) {
+      if (spec.required) errors.push(`${where}: required field is missing`);
+      else if (spec.default !== undefined)
+        out[key] =
+          spec.type === "object"
+            ? validateObject({}, spec.fields, where, errors, warnings)
+            : spec.type === "array"
+            ? [...spec.default]
+            : spec.default;
+      continue;
+    }
+    const checked = checkField(value, spec, where, errors, warnings);
+    if (checked !== undefined) out[key] = checked;
+  }
+  for (const key of Object.keys(input)) {
+    if (!fields[key]) {
+      warnings.push(
+        `${prefix ? `${prefix}.${key}` : key}: unknown field ignored`
+      );
+    }
+  }
+  return out;
+}
+
+// risk_management.intraday_stop_loss / profit_target predate exit_rules; rule sets that
+// still carry them (older saved versions, AI answers) keep their meaning
+function withLegacyExits(input, warnings) {
+  const risk = input.risk_management;
+  if (!risk || typeof risk !== "object") return input;
+  const { intraday_stop_loss, profit_target, ...rest } = risk;
+  if (intraday_stop_loss === undefined && profit_target === undefined) {
+    return input;
+  }
+  const exits = { ...(input.exit_rules || {}) };
+  if (intraday_stop_loss !== undefined && exits.stop_loss_percent === undefined)
+    exits.stop_loss_percent = intraday_stop_loss;
+  if (profit_target !== undefined && exits.profit_target_percent === undefined)
+    exits.profit_target_percent = profit_target;
+  warnings.push(
+    "risk_management.intraday_stop_loss/profit_target are deprecated; moved to exit_rules"
+  );
+  return { ...input, risk_management: rest, exit_rules: exits };
+}
+
+// Returns { valid, rules, errors, warnings }; rules has every default filled in
+function validateRules(input) {
+  const errors = [];
+  const warnings = [];
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return {
+      valid: false,
+      rules: null,
+      errors: ["rules: expected a JSON object"],
+      warnings,
+    };
+  }
+  const rules = validateObject(
+    withLegacyExits(input, warnings),
+    RULES_SCHEMA,
+    "",
+    errors,
+    warnings
+  );
+  (rules.extra_conditions || []).forEach((c, i) => {
+    if ((c.value === undefined) === (c.compare_to === undefined)) {
+      errors.push(
+        `extra_conditions[${i}]: set exactly one of "value" or "compare_to"`
+      );
+    }
+  });
+  if (
+    rules.min_checks !== undefined &&
+    rules.min_checks > countEnabledChecks(rules)
+  ) {
+    warnings.push(
+      `min_checks: ${rules.min_checks} exceeds the ${countEnabledChecks(
+        rules
+      )} enabled checks, so every enabled check is required`
+    );
+  }
+  return { valid: errors.length === 0, rules, errors, warnings };
+}
+
+function countEnabledChecks(rules) {
+  const bullish = Object.values(rules.bullish_confirmation || {}).filter(
+    Boolean
+  ).length;
+  const bearish = Object.values(rules.bearish_confirmation || {}).filter(
+    Boolean
+  ).length;
+  const regimes = ["long", "short"].map(
+    (side) => Object.keys(rules.regime_filter?.[side] || {}).length
+  );
+  return (
+    ["min_adx_threshold", "max_vix_threshold", "min_volume_threshold"].filter(
+      (k) => rules[k] !== undefined
+    ).length +
+    Math.max(bullish, bearish) +
+    Math.max(...regimes) +
+    (rules.extra_conditions || []).length
+  );
+}
+
+// Throws with every problem listed (and attached as error.errors)
+function assertValidRules(input, source = "rules") {
+  const result = validateRules(input);
+  if (!result.valid) {
+    const error = new Error(
+      `Invalid trading rules from ${source}:\n  - ${result.errors.join(
+        "\n  - "
+      )}`
+    );
+    error.errors = result.errors;
+    throw error;
+  }
+  result.warnings.forEach((w) => console.warn(`⚠️  Rules (${source}): ${w}`));
+  return result.rules;
+}
+
+// --- VERSIONED RULE FILES ---
+
+const versionFile = (dir, version) =>
+  path.join(dir, `v${String(version).padStart(4, "0")}.json`);
+const pinFile = (dir) => path.join(dir, "pinned.json");
+
+async function listRuleSets(dir = RULES_CONFIG.rulesDir) {
+  if (!(await fs.pathExists(dir))) return [];
+  const pinned = await getPinnedVersion(dir);
+  const files = (await fs.readdir(dir)).filter((f) => /^v\d+\.json$/.test(f));
+  const sets = [];
+  for (const file of files) {
+    const set = await fs.readJson(path.join(dir, file));
+    sets.push({
+      version: set.version,
+      file: path.join(dir, file),
+      createdAt: set.createdAt,
+      source: set.source,
+      model: set.model || null,
+      note: set.note || "",
+      pinned: set.version === pinned,
+    });
+  }
+  return sets.sort((a, b) => a.version - b.version);
+}
+
+async function getPinnedVersion(dir = RULES_CONFIG.rulesDir) {
+  if (!(await fs.pathExists(pinFile(dir)))) return null;
+  return (await fs.readJson(pinFile(dir))).version ?? null;
+}
+
+// Validates and stores rules as the next version; returns the saved rule set
+async function saveRuleSet(rules, options = {}) {
+  const dir = options.dir || RULES_CONFIG.rulesDir;
+  const validated = assertValidRules(rules, options.source || "save");
+  await fs.ensureDir(dir);
+  const existing = await listRuleSets(dir);
+  const version = existing.length
+    ? existing[existing.length - 1].version + 1
+    : 1;
+  const set = {
+    version,
+    createdAt: new Date().toISOString(),
+    source: options.source || "manual",
+    model: options.model || null,
+    note: options.note || "",
+    rules: validated,
+  };
+  await fs.writeJson(versionFile(dir, version), set, { spaces: 2 });
+  return { ...set, file: versionFile(dir, version) };
+}
+
+function parseVersion(ref) {
+  const match = /^v?(\d+)$/.exec(String(ref).trim());
+  return match ? parseInt(match[1], 10) : null;
+}
+
+// ref: version number, "v3", "pinned", "latest" or a path to a rules JSON file
+async function loadRuleSet(ref, options = {}) {
+  const dir = options.dir || RULES_CONFIG.rulesDir;
+  let version = parseVersion(ref);
+  if (ref === "pinned") {
+    version = await getPinnedVersion(dir);
+    if (version === null)
+      throw new Error(`No pinned rule set in ${dir} (use: pin <version>)`);
+  } else if (ref === "latest") {
+    const sets = await listRuleSets(dir);
+    if (sets.length === 0) throw new Error(`No saved rule sets in ${dir}`);
+    version = sets[sets.length - 1].version;
+  }
+
+  const file = version !== null ? versionFile(dir, version) : ref;
+  if (!(await fs.pathExists(file))) {
+    throw new Error(
+      version !== null
+        ? `Rule set v${version} not found in ${dir}`
+        : `Rules file not found: ${file}`
+    );
+  }
+  const json = await fs.readJson(file);
+  // A saved rule set wraps the rules with metadata; a plain file is the rules object itself
+  const isSet = json && typeof json === "object" && json.rules;
+  return {
+    version: isSet ? json.version ?? null : null,
+    createdAt: isSet ? json.createdAt : null,
+    source: isSet ? json.source : "file",
+    model: isSet ? json.model || null : null,
+    note: isSet ? json.note || "" : "",
+    file,
+    rules: assertValidRules(isSet ? json.rules : json, file),
+  };
+}
+
+async function pinRuleSet(version, dir = RULES_CONFIG.rulesDir) {
+  const v = parseVersion(version);
+  if (v === null || !(await fs.pathExists(versionFile(dir, v)))) {
+    throw new Error(`Rule set ${version} not found in ${dir}`);
+  }
+  await fs.writeJson(
+    pinFile(dir),
+    { version: v, pinnedAt: new Date().toISOString() },
+    { spaces: 2 }
+  );
+  return v;
+}
+
+async function unpinRuleSet(dir = RULES_CONFIG.rulesDir) {
+  await fs.remove(pinFile(dir));
+}
+
+// Resolves the rules for a run. fetchAiRules() is only called for source "ai"; its answer is
+// validated and saved as a new version, or the latest version is reused when its rules are the
+// same. aiMode is the AI_MODE the answer came from (see ai_cache.js): a "live" answer is
+// saved with source "ai", others as "ai_stub", "ai_replay" or "ai_cache". Returns the rule set
+// (with .rules) used.
+async function resolveRules({
+  source = RULES_CONFIG.source,
+  dir = RULES_CONFIG.rulesDir,
+  fetchAiRules,
+  model,
+  aiMode = "live",
+} = {}) {
+  if (source !== "ai") {
+    const set = await loadRuleSet(source, { dir });
+    console.log(
+      `📜 Using ${
+        set.version !== null ? `rule set v${set.version}` : set.file
+      } (${set.source}${set.note ? `: ${set.note}` : ""})`
+    );
+    return set;
+  }
+  if (typeof fetchAiRules !== "function") {
+    throw new Error(
+      'TRADING_RULES="ai" is not supported here; use pinned, latest, a version or a file'
+    );
+  }
+  const rules = assertValidRules(await fetchAiRules(), "ai");
+  const sets = await listRuleSets(dir);
+  if (sets.length) {
+    const latest = await loadRuleSet(sets[sets.length - 1].version, { dir });
+    if (isDeepStrictEqual(latest.rules, rules)) {
+      console.log(
+        `📜 AI rules unchanged, using rule set v${latest.version} (${latest.file})`
+      );
+      return latest;
+    }
+  }
+  const set = await saveRuleSet(rules, {
+    dir,
+    source: aiMode === "live" ? "ai" : `ai_${aiMode}`,
+    // A stub answer comes from no model
+    model: aiMode === "stub" ? null : model,
+  });
+  console.log(`📜 AI rules saved as v${set.version} (${set.file})`);
+  return set;
+}
+
+// --- COMMAND LINE ---
+
+async function main() {
+  const [command, arg, ...rest] = process.argv.slice(2);
+  const noteIndex = rest.indexOf("--note");
+  const note = noteIndex >= 0 ? rest[noteIndex + 1] : "";
+  const dir = RULES_CONFIG.rulesDir;
+
+  if (command === "list") {
+    const sets = await listRuleSets(dir);
+    if (sets.length === 0) {
+      console.log(`📭 No saved rule sets in ${dir}`);
+      return;
+    }
+    console.table(
+      sets.map((s) => ({
+        version: `v${s.version}`,
+        pinned: s.pinned ? "📌" : "",
+        source: s.source,
+        model: s.model || "",
+        created: s.createdAt,
+        note: s.note,
+      }))
+    );
+  } else if (command === "show") {
+    const set = await loadRuleSet(arg || "latest", { dir });
+    console.log(JSON.stringify(set, null, 2));
+  } else if (command === "validate") {
+    if (!arg) throw new Error("Usage: validate <file>");
+    const json = await fs.readJson(arg);
+    const result = validateRules(json.rules || json);
+    result.warnings.forEach((w) => console.log(`⚠️  ${w}`));
+    result.errors.forEach((e) => console.log(`❌ ${e}`));
+    console.log(result.valid ? "✅ Rules are valid" : "❌ Rules are invalid");
+    if (!result.valid) process.exitCode = 1;
+  } else if (command === "import") {
+    if (!arg) throw new Error("Usage: import <file> [--note text]");
+    const json = await fs.readJson(arg);
+    const set = await saveRuleSet(json.rules || json, {
+      dir,
+      source: "manual",
+      note: note || `imported from ${path.basename(arg)}`,
+    });
+    console.log(`💾 Saved ${arg} as v${set.version}`);
+  } else if (command === "pin") {
+    const version = await pinRuleSet(arg, dir);
+    console.log(`📌 Pinned rule set v${version}`);
+  } else if (command === "unpin") {
+    await unpinRuleSet(dir);
+    console.log("📌 Removed pin");
+  } else {
+    console.log(
+      "Usage: node trading_rules.js <list|show|validate|import|pin|unpin> [version|file] [--note text]"
+    );
+  }
+}
+
+module.exports = {
+  RULES_CONFIG,
+  RULES_SCHEMA,
+  validateRules,
+  assertValidRules,
+  listRuleSets,
+  saveRuleSet,
+  loadRuleSet,
+  pinRuleSet,
+  unpinRuleSet,
+  getPinnedVersion,
+  resolveRules,
+};
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error("❌ Rules command failed:", error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,162 @@
+// Filename: universes.js
+// Tradable universes: a signal index ETF, its 3x long and short ETFs, the safe asset held
+// between trades and the volatility index used by the VIX filter.
+//
+// Runs select universes with an allocation spec (UNIVERSES, default "NDX"):
+//   "NDX"                 -> 100% NDX
+//   "NDX,SPX,RUT"         -> one third each
+//   "NDX:0.5,SPX,RUT"     -> 50% NDX, the remaining 50% split between SPX and RUT
+// UNIVERSE_FILE may point to a JSON object of extra or overriding definitions keyed by name.
+//
+// To run: node universes.js ["NDX:0.5,SPX,RUT"]
+
+const fs = require("fs-extra");
+
+const UNIVERSES = {
+  NDX: {
+    name: "Nasdaq-100",
+    signal: "QQQ",
+    long: "TQQQ",
+    short: "SQQQ",
+    safe: "QQQ",
+    volatility: "^VIX",
+    leverage: 3,
+    signalInception: "1999-03-10",
+  },
+  SPX: {
+    name: "S&P 500",
+    signal: "SPY",
+    long: "UPRO",
+    short: "SPXU",
+    safe: "SPY",
+    volatility: "^VIX",
+    leverage: 3,
+    signalInception: "1993-01-29",
+  },
+  RUT: {
+    name: "Russell 2000",
+    signal: "IWM",
+    long: "TNA",
+    short: "TZA",
+    safe: "IWM",
+    volatility: "^VIX", // ^RVX tracks small caps directly but has a shorter history
+    leverage: 3,
+    signalInception: "2000-05-26",
+  },
+};
+
+const REQUIRED_FIELDS = ["signal", "long", "short", "safe", "volatility"];
+
+function validateUniverse(key, universe) {
+  const missing = REQUIRED_FIELDS.filter(
+    (f) => typeof universe[f] !== "string" || !universe[f]
+  );
+  if (missing.length > 0) {
+    throw new Error(`Universe ${key} is missing ${missing.join(", ")}`);
+  }
+  return { key, name: key, leverage: 3, ...universe };
+}
+
+// Built-in definitions merged with an optional JSON file of overrides
+async function loadUniverses(filePath = process.env.UNIVERSE_FILE) {
+  const extra = filePath ? await fs.readJson(filePath) : {};
+  const merged = { ...UNIVERSES };
+  for (const [key, def] of Object.entries(extra)) {
+    merged[key] = { ...(UNIVERSES[key] || {}), ...def };
+  }
+  return Object.fromEntries(
+    Object.entries(merged).map(([key, def]) => [
+      key,
+      validateUniverse(key, def),
+    ])
+  );
+}
+
+// "NDX:0.5,SPX,RUT" -> [{ ...universe, weight }], weights summing to 1
+function parseAllocation(spec, universes = UNIVERSES) {
+  const entries = String(spec || "NDX")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [key, weight] = part.split(":").map((s) => s.trim());
+      if (!universes[key]) {
+        throw new Error(
+          `Unknown universe "${key}" (expected ${Object.keys(universes).join(
+            ", "
+          )})`
+        );
+      }
+      const parsed = weight === undefined ? null : Number(weight);
+      if (parsed !== null && !(parsed > 0 && parsed <= 1)) {
+        throw new Error(`Universe ${key}: weight must be in (0, 1]`);
+      }
+      return { key, weight: parsed };
+    });
+
+  const keys = entries.map((e) => e.key);
+  const duplicate = keys.find((k, i) => keys.indexOf(k) !== i);
+  if (duplicate) throw new Error(`Universe ${duplicate} is listed twice`);
+
+  const assigned = entries
+    .filter((e) => e.weight !== null)
+    .reduce((sum, e) => sum + e.weight, 0);
+  const unassigned = entries.filter((e) => e.weight === null).length;
+  if (assigned > 1 + 1e-9 || (unassigned === 0 && assigned < 1 - 1e-9)) {
+    throw new Error(
+      `Universe weights in "${spec}" add up to ${assigned}, expected 1`
+    );
+  }
+  if (unassigned > 0 && assigned >= 1 - 1e-9) {
+    throw new Error(`No weight left for the unweighted universes in "${spec}"`);
+  }
+
+  return entries.map((e) => ({
+    ...validateUniverse(e.key, universes[e.key]),
+    weight: e.weight ?? (1 - assigned) / unassigned,
+  }));
+}
+
+// Every ticker a universe trades or reads
+function universeTickers(universe) {
+  return [
+    ...new Set([
+      universe.signal,
+      universe.volatility,
+      universe.long,
+      universe.short,
+      universe.safe,
+    ]),
+  ];
+}
+
+function describeUniverse(universe) {
+  const weight =
+    universe.weight !== undefined
+      ? ` ${(universe.weight * 100).toFixed(1)}%`
+      : "";
+  return `${universe.key}${weight}: ${universe.signal} -> ${universe.long}/${universe.short}, safe ${universe.safe}, vol ${universe.volatility}`;
+}
+
+module.exports = {
+  UNIVERSES,
+  loadUniverses,
+  parseAllocation,
+  universeTickers,
+  describeUniverse,
+};
+
+if (require.main === module) {
+  loadUniverses()
+    .then((universes) => {
+      const spec = process.argv[2];
+      const list = spec
+        ? parseAllocation(spec, universes)
+        : Object.values(universes);
+      list.forEach((u) => console.log(`🌐 ${describeUniverse(u)}`));
+    })
+    .catch((error) => {
+      console.error("❌", error.message);
+      process.exit(1);
+    });
+}
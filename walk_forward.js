@@ -0,0 +1,270 @@
+// Filename: walk_forward.js
+// Walk-forward optimisation: pick strategy parameters on a rolling in-sample window, trade
+// them on the out-of-sample window that follows, and stitch the out-of-sample results into
+// one equity curve. Only out-of-sample days count towards the result, so the curve shows
+// what re-optimising on a schedule would have earned without hindsight.
+//
+// Windows are counted in trading days of the simulated date range:
+//   |---- in-sample (inSampleDays) ----|-- out-of-sample (outOfSampleDays) --|
+//                                      |---- in-sample ----|-- out-of-sample --|  (rolling)
+// With anchored windows every in-sample period starts on the first day instead.
+//
+// Parameters (any subset, each a list of candidate values):
+//   rsiOversold, rsiOverbought   RSI(2) entry thresholds (strategy_engine.js)
+//   stopLossPercent              exit_rules.stop_loss_percent
+//   maxHoldPeriod                exit_rules.max_hold_days
+//   any other key                a top-level rules field, e.g. min_adx_threshold
+//
+// Out-of-sample windows trade as one continuous strategy: each continues from the books
+// (positions, open trades, pending orders, cash) the previous window ended with, so a trade
+// open at a boundary carries on and the first day's return is measured from the previous
+// window's close.
+//
+// The caller supplies evaluate(params, dates, capital, books) -> { simulationLog, trades,
+// metrics, books } (books: null to start afresh, as every in-sample run does) so this
+// module stays independent of how a simulation is run.
+
+const fs = require("fs-extra");
+
+const WALK_FORWARD_DEFAULTS = {
+  inSampleDays: 504, // about two years
+  outOfSampleDays: 126, // about six months
+  anchored: false,
+  objective: "sharpe", // "sharpe", "cagr" or "calmar"
+  minTrades: 3, // in-sample trades a parameter set needs to be eligible
+};
+
+const DEFAULT_PARAMETER_SPACE = {
+  rsiOversold: [5, 10, 15],
+  rsiOverbought: [85, 90, 95],
+  stopLossPercent: [0.05, 0.1],
+  maxHoldPeriod: [5, 10],
+  min_adx_threshold: [15, 25],
+  max_vix_threshold: [30, 40],
+};
+
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+
+// { a: [1, 2], b: [3] } -> [{ a: 1, b: 3 }, { a: 2, b: 3 }]
+function parameterGrid(space) {
+  return Object.entries(space).reduce(
+    (combos, [key, values]) => {
+      if (!Array.isArray(values) || values.length === 0) {
+        throw new Error(`Parameter ${key} needs a non-empty list of values`);
+      }
+      return combos.flatMap((combo) =>
+        values.map((value) => ({ ...combo, [key]: value }))
+      );
+    },
+    [{}]
+  );
+}
+
+// Rules and RSI thresholds with one parameter set applied
+function applyParameters(rules, baseSignal, params) {
+  const applied = {
+    rules: { ...rules, exit_rules: { ...(rules.exit_rules || {}) } },
+    baseSignal: { ...baseSignal },
+  };
+  for (const [key, value] of Object.entries(params)) {
+    if (key === "rsiOversold" || key === "rsiOverbought") {
+      applied.baseSignal[key] = value;
+    } else if (key === "stopLossPercent") {
+      applied.rules.exit_rules.stop_loss_percent = value;
+    } else if (key === "maxHoldPeriod") {
+      applied.rules.exit_rules.max_hold_days = value;
+    } else {
+      applied.rules[key] = value;
+    }
+  }
+  return applied;
+}
+
+// dates: sorted trading days. Returns [{ index, inSample: [dates], outOfSample: [dates] }]
+function buildWindows(dates, options = {}) {
+  const { inSampleDays, outOfSampleDays, anchored } = {
+    ...WALK_FORWARD_DEFAULTS,
+    ...options,
+  };
+  if (!(inSampleDays > 0 && outOfSampleDays > 0)) {
+    throw new Error("Walk-forward windows need positive in/out-of-sample days");
+  }
+  const windows = [];
+  for (
+    let start = inSampleDays;
+    start < dates.length;
+    start += outOfSampleDays
+  ) {
+    windows.push({
+      index: windows.length + 1,
+      inSample: dates.slice(anchored ? 0 : start - inSampleDays, start),
+      outOfSample: dates.slice(start, start + outOfSampleDays),
+    });
+  }
+  if (windows.length === 0) {
+    throw new Error(
+      `Walk-forward needs more than ${inSampleDays} trading days, got ${dates.length}`
+    );
+  }
+  return windows;
+}
+
+// Higher is better; parameter sets with too few trades are never chosen
+function scoreMetrics(metrics, trades, { objective, minTrades }) {
+  const entries = trades.filter((t) => t.action === "BUY").length;
+  if (entries < minTrades) return -Infinity;
+  switch (objective) {
+    case "cagr":
+      return metrics.cagr;
+    case "calmar":
+      return metrics.maxDrawdown < 0
+        ? metrics.cagr / Math.abs(metrics.maxDrawdown)
+        : metrics.cagr;
+    default:
+      return metrics.sharpeRatio;
+  }
+}
+
+// Per parameter: the values chosen across windows and how much they moved
+function parameterStability(windowResults) {
+  const keys = [
+    ...new Set(windowResults.flatMap((w) => Object.keys(w.params || {}))),
+  ];
+  return keys.map((parameter) => {
+    const values = windowResults.map((w) => w.params[parameter]);
+    const numeric = values.filter(isNum);
+    const mean = numeric.reduce((a, b) => a + b, 0) / (numeric.length || 1);
+    const stdDev = Math.sqrt(
+      numeric.reduce((sum, v) => sum + (v - mean) ** 2, 0) /
+        (numeric.length || 1)
+    );
+    const counts = values.reduce(
+      (acc, v) => acc.set(v, (acc.get(v) || 0) + 1),
+      new Map()
+    );
+    const [mostCommon, mostCommonCount] = [...counts.entries()].sort(
+      (a, b) => b[1] - a[1]
+    )[0];
+    return {
+      parameter,
+      values,
+      mean,
+      stdDev,
+      cv: mean !== 0 ? stdDev / Math.abs(mean) : null,
+      changes: values.filter((v, i) => i > 0 && v !== values[i - 1]).length,
+      mostCommon,
+      mostCommonShare: mostCommonCount / values.length,
+    };
+  });
+}
+
+// Each window's benchmark is bought with the window's starting capital at the previous
+// close; rescale it to continue from the previous window's benchmark value
+function chainBenchmark(stitched, windowLog, startCapital) {
+  const previous = stitched[stitched.length - 1];
+  if (!previous?.benchmarkEquity || !windowLog[0]?.benchmarkEquity) {
+    return windowLog;
+  }
+  const scale = previous.benchmarkEquity / startCapital;
+  return windowLog.map((day) => ({
+    ...day,
+    benchmarkEquity: day.benchmarkEquity * scale,
+  }));
+}
+
+// Runs the optimisation. onWindow(windowResult) is called after each window for progress
+async function runWalkForward({
+  dates,
+  grid,
+  evaluate,
+  initialCapital,
+  options = {},
+  onWindow = () => {},
+}) {
+  const settings = { ...WALK_FORWARD_DEFAULTS, ...options };
+  const windows = buildWindows(dates, settings);
+  const windowResults = [];
+  const simulationLog = [];
+  const trades = [];
+  let capital = initialCapital;
+  let books = null;
+
+  for (const window of windows) {
+    let best = null;
+    for (const params of grid) {
+      const inSample = await evaluate(
+        params,
+        new Set(window.inSample),
+        initialCapital,
+        null
+      );
+      const score = scoreMetrics(inSample.metrics, inSample.trades, settings);
+      if (!best || score > best.score) best = { params, score, inSample };
+    }
+
+    // Out-of-sample: the chosen parameters, continuing the previous window's books
+    const outOfSample = await evaluate(
+      best.params,
+      new Set(window.outOfSample),
+      capital,
+      books
+    );
+    const startCapital = capital;
+    capital = outOfSample.metrics.finalEquity;
+    books = outOfSample.books;
+    simulationLog.push(
+      ...chainBenchmark(simulationLog, outOfSample.simulationLog, startCapital)
+    );
+    trades.push(...outOfSample.trades);
+
+    const result = {
+      index: window.index,
+      inSampleStart: window.inSample[0],
+      inSampleEnd: window.inSample[window.inSample.length - 1],
+      outOfSampleStart: window.outOfSample[0],
+      outOfSampleEnd: window.outOfSample[window.outOfSample.length - 1],
+      params: best.params,
+      eligible: best.score !== -Infinity,
+      inSampleScore: best.score,
+      inSampleMetrics: best.inSample.metrics,
+      outOfSampleMetrics: outOfSample.metrics,
+      outOfSampleReturn: capital / startCapital - 1,
+      outOfSampleTrades: outOfSample.trades.filter((t) => t.action === "BUY")
+        .length,
+    };
+    windowResults.push(result);
+    onWindow(result);
+  }
+
+  return {
+    settings,
+    windows: windowResults,
+    simulationLog,
+    trades,
+    stability: parameterStability(windowResults),
+  };
+}
+
+// A JSON object of parameter -> candidate values (WALK_FORWARD_SPACE)
+async function loadParameterSpace(filePath) {
+  const space = await fs.readJson(filePath);
+  if (!space || typeof space !== "object" || Array.isArray(space)) {
+    throw new Error(
+      `Parameter space file ${filePath} must contain an object of value lists`
+    );
+  }
+  parameterGrid(space);
+  return space;
+}
+
+module.exports = {
+  WALK_FORWARD_DEFAULTS,
+  DEFAULT_PARAMETER_SPACE,
+  parameterGrid,
+  applyParameters,
+  buildWindows,
+  scoreMetrics,
+  parameterStability,
+  runWalkForward,
+  loadParameterSpace,
+};